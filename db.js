@@ -1,120 +1,425 @@
-const { kv } = require('@vercel/kv');
 const fs = require('fs');
 const path = require('path');
+const { createStore } = require('./lib/storage');
+const { importLegacyData } = require('./lib/storage/migrate');
+const { v4: uuidv4 } = require('uuid');
 
-// Fallback to file system in development
-const isVercel = process.env.VERCEL === '1';
+function toSection(doc) {
+  return {
+    id: doc.sectionId || 'main',
+    courseId: doc.courseId,
+    title: doc.title || 'Material',
+    source: doc.source || null,
+    order: doc.order || 0,
+    chars: (doc.text || '').length,
+    text: doc.text || '',
+    createdAt: doc.createdAt || doc.updatedAt,
+  };
+}
 
+// Single storage interface for the app. Backed by embedded SQLite by default
+// and Vercel KV on Vercel (see lib/storage). Every method is async; use
+// `transaction` for read-modify-write sequences.
 class Database {
-  constructor() {
-    this.isVercel = isVercel;
+  constructor(store, tx = null) {
+    this.store = store;
+    this.tx = tx;
   }
 
-  async get(key) {
-    if (this.isVercel) {
-      try {
-        return await kv.get(key);
-      } catch (error) {
-        console.error('KV get error:', error);
-        return null;
-      }
-    } else {
-      // Fallback to file system
-      const filePath = path.join(__dirname, 'data', `${key}.json`);
-      if (fs.existsSync(filePath)) {
-        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
-      }
-      return null;
-    }
+  collection(name) {
+    return this.tx ? this.tx.collection(name) : this.store.collection(name);
   }
 
-  async set(key, value) {
-    if (this.isVercel) {
-      try {
-        await kv.set(key, value);
-        return true;
-      } catch (error) {
-        console.error('KV set error:', error);
-        return false;
-      }
-    } else {
-      // Fallback to file system
-      const dataDir = path.join(__dirname, 'data');
-      if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
-      }
-      const filePath = path.join(dataDir, `${key}.json`);
-      fs.writeFileSync(filePath, JSON.stringify(value, null, 2));
-      return true;
-    }
+  // Write pending changes to storage now (e.g. before the process stops)
+  async flush() {
+    return this.store.flush();
   }
 
-  async delete(key) {
-    if (this.isVercel) {
-      try {
-        await kv.del(key);
-        return true;
-      } catch (error) {
-        console.error('KV delete error:', error);
-        return false;
-      }
-    } else {
-      // Fallback to file system
-      const filePath = path.join(__dirname, 'data', `${key}.json`);
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-        return true;
-      }
-      return false;
-    }
+  // Run fn(db) atomically; nested calls reuse the open transaction
+  async transaction(fn) {
+    if (this.tx) return fn(this);
+    return this.store.transaction(tx => fn(new Database(this.store, tx)));
   }
 
   // Course management
   async getCourses() {
-    const courses = await this.get('courses');
-    return courses || {};
+    const courses = await this.collection('courses').list();
+    return Object.fromEntries(courses.map(c => [c.id, c]));
+  }
+
+  async getCourse(courseId) {
+    if (!courseId) return null;
+    return this.collection('courses').get(courseId);
   }
 
   async saveCourse(courseId, courseData) {
-    const courses = await this.getCourses();
-    courses[courseId] = courseData;
-    return await this.set('courses', courses);
+    await this.collection('courses').put({ ...courseData, id: courseId });
+    return true;
+  }
+
+  // Sets only `changes` on the course as stored now, so edits made while a
+  // caller was busy (e.g. waiting on the model) are kept; null if it is gone
+  async updateCourse(courseId, changes) {
+    return this.transaction(async (db) => {
+      const course = await db.getCourse(courseId);
+      if (!course) return null;
+      const updated = { ...course, ...changes, id: courseId };
+      await db.collection('courses').put(updated);
+      return updated;
+    });
   }
 
+  // Removes the course and everything stored against it
   async deleteCourse(courseId) {
-    const courses = await this.getCourses();
-    delete courses[courseId];
-    return await this.set('courses', courses);
+    return this.transaction(async (db) => {
+      await db.collection('materials').removeWhere({ courseId });
+      await db.collection('prompts').remove(courseId);
+      await db.collection('banks').remove(courseId);
+      await db.collection('bankVersions').removeWhere({ courseId });
+      await db.collection('attempts').removeWhere({ courseId });
+      await db.collection('sessions').removeWhere({ courseId });
+      await db.collection('enrollments').removeWhere({ courseId });
+      await db.collection('papers').removeWhere({ courseId });
+      await db.collection('jobs').removeWhere({ courseId });
+      await db.collection('reviews').removeWhere({ courseId });
+      await db.collection('paperTemplates').removeWhere({ courseId });
+      await db.collection('paperItems').removeWhere({ courseId });
+      await db.collection('voiceLogs').removeWhere({ courseId });
+      return db.collection('courses').remove(courseId);
+    });
+  }
+
+  // Course material: one section per uploaded document, in display order.
+  // Documents are keyed `courseId:sectionId`; material saved before sections
+  // existed is keyed by the course id alone and shows up as section `main`.
+  async getSections(courseId) {
+    const docs = await this.collection('materials').list({ courseId });
+    return docs.map(toSection).sort((a, b) => a.order - b.order);
+  }
+
+  async getSection(courseId, sectionId) {
+    return (await this.getSections(courseId)).find(s => s.id === sectionId) || null;
+  }
+
+  // Text of the given sections (all when omitted) joined in display order
+  async getMaterial(courseId, sectionIds = null) {
+    const sections = await this.getSections(courseId);
+    return sections.filter(s => !sectionIds || sectionIds.includes(s.id)).map(s => s.text).join('\n\n');
+  }
+
+  async addSection(courseId, { id = uuidv4().slice(0, 8), title, source = null, text }) {
+    const sections = await this.getSections(courseId);
+    const order = sections.length ? sections[sections.length - 1].order + 1 : 0;
+    const doc = { id: `${courseId}:${id}`, sectionId: id, courseId, title, source, order, text, createdAt: new Date().toISOString() };
+    await this.collection('materials').put(doc);
+    return toSection(doc);
+  }
+
+  async updateSection(courseId, sectionId, changes) {
+    const doc = await this.findSectionDoc(courseId, sectionId);
+    if (!doc) return null;
+    const updated = { ...doc, ...changes, updatedAt: new Date().toISOString() };
+    await this.collection('materials').put(updated);
+    return toSection(updated);
+  }
+
+  async removeSection(courseId, sectionId) {
+    const doc = await this.findSectionDoc(courseId, sectionId);
+    return doc ? this.collection('materials').remove(doc.id) : false;
+  }
+
+  // `order` must list every section id exactly once
+  async reorderSections(courseId, order) {
+    return this.transaction(async (db) => {
+      const docs = await db.collection('materials').list({ courseId });
+      const byId = new Map(docs.map(d => [toSection(d).id, d]));
+      if (!Array.isArray(order) || order.length !== byId.size || new Set(order).size !== order.length || !order.every(id => byId.has(id))) {
+        return null;
+      }
+      for (const [index, id] of order.entries()) await db.collection('materials').put({ ...byId.get(id), order: index });
+      return db.getSections(courseId);
+    });
+  }
+
+  async findSectionDoc(courseId, sectionId) {
+    const docs = await this.collection('materials').list({ courseId });
+    return docs.find(d => toSection(d).id === sectionId) || null;
+  }
+
+  async getPrompt(courseId) {
+    const doc = await this.collection('prompts').get(courseId);
+    return doc ? doc.text : null;
+  }
+
+  async savePrompt(courseId, text) {
+    await this.collection('prompts').put({ id: courseId, text, updatedAt: new Date().toISOString() });
+    return true;
+  }
+
+  // Question banks: current bank plus full snapshots per version
+  async getBank(courseId) {
+    const doc = await this.collection('banks').get(courseId);
+    return doc ? { version: doc.version, questions: doc.questions } : { version: 0, questions: [] };
+  }
+
+  async getBankVersions(courseId) {
+    const versions = await this.collection('bankVersions').list({ courseId });
+    return versions.sort((a, b) => a.version - b.version);
+  }
+
+  async getBankVersion(courseId, version) {
+    return this.collection('bankVersions').get(`${courseId}:${version}`);
+  }
+
+  async saveBankVersion(courseId, entry) {
+    await this.collection('bankVersions').put({ ...entry, id: `${courseId}:${entry.version}`, courseId });
+    await this.collection('banks').put({ id: courseId, version: entry.version, questions: entry.questions });
+    return true;
   }
 
   // Session management
-  async getSessions() {
-    const sessions = await this.get('sessions');
-    return sessions || {};
+  async getSessions(where = {}) {
+    const sessions = await this.collection('sessions').list(where);
+    return Object.fromEntries(sessions.map(s => [s.id, s]));
+  }
+
+  async getSession(sessionId) {
+    if (!sessionId) return null;
+    return this.collection('sessions').get(sessionId);
   }
 
   async saveSession(sessionId, sessionData) {
-    const sessions = await this.getSessions();
-    sessions[sessionId] = sessionData;
-    return await this.set('sessions', sessions);
+    await this.collection('sessions').put({ ...sessionData, id: sessionId });
+    return true;
   }
 
   async deleteSession(sessionId) {
-    const sessions = await this.getSessions();
-    delete sessions[sessionId];
-    return await this.set('sessions', sessions);
+    return this.transaction(async (db) => {
+      await db.collection('attempts').removeWhere({ sessionId });
+      await db.collection('reviews').removeWhere({ sessionId });
+      await db.collection('voiceLogs').remove(sessionId);
+      return db.collection('sessions').remove(sessionId);
+    });
+  }
+
+  // Learners, and course rosters as one enrollment per (course, learner)
+  async getLearners(where = {}) {
+    return this.collection('learners').list(where);
+  }
+
+  async getLearner(learnerId) {
+    if (!learnerId) return null;
+    return this.collection('learners').get(learnerId);
+  }
+
+  async saveLearner(learnerId, learnerData) {
+    await this.collection('learners').put({ ...learnerData, id: learnerId });
+    return true;
+  }
+
+  async getRoster(courseId) {
+    const enrollments = await this.collection('enrollments').list({ courseId });
+    const learners = [];
+    for (const e of enrollments) {
+      const learner = await this.getLearner(e.learnerId);
+      if (learner) learners.push(learner);
+    }
+    return learners;
+  }
+
+  async getEnrollments(where = {}) {
+    return this.collection('enrollments').list(where);
+  }
+
+  async enroll(courseId, learnerId) {
+    const id = `${courseId}:${learnerId}`;
+    const existing = await this.collection('enrollments').get(id);
+    if (existing) return existing;
+    return this.collection('enrollments').put({ id, courseId, learnerId, enrolledAt: new Date().toISOString() });
+  }
+
+  async unenroll(courseId, learnerId) {
+    return this.collection('enrollments').remove(`${courseId}:${learnerId}`);
   }
 
-  // Course content management
-  async saveCourseContent(courseId, type, content) {
-    const key = `course_${courseId}_${type}`;
-    return await this.set(key, content);
+  // Users (admin/teacher/learner logins) and their login tokens
+  async getUsers(where = {}) {
+    return this.collection('users').list(where);
   }
 
-  async getCourseContent(courseId, type) {
-    const key = `course_${courseId}_${type}`;
-    return await this.get(key);
+  async getUser(userId) {
+    if (!userId) return null;
+    return this.collection('users').get(userId);
+  }
+
+  async saveUser(userId, userData) {
+    await this.collection('users').put({ ...userData, id: userId });
+    return true;
+  }
+
+  async deleteUser(userId) {
+    return this.transaction(async (db) => {
+      await db.collection('authSessions').removeWhere({ userId });
+      return db.collection('users').remove(userId);
+    });
+  }
+
+  async getAuthSession(token) {
+    if (!token) return null;
+    return this.collection('authSessions').get(token);
+  }
+
+  async saveAuthSession(token, data) {
+    await this.collection('authSessions').put({ ...data, id: token });
+    return true;
+  }
+
+  async deleteAuthSession(token) {
+    return this.collection('authSessions').remove(token);
+  }
+
+  // Question papers: what was printed on each paper, so uploaded answer
+  // sheets can be graded against the same question ids and answer key
+  async getPapers(where = {}) {
+    return this.collection('papers').list(where);
+  }
+
+  async getPaper(paperId) {
+    if (!paperId) return null;
+    return this.collection('papers').get(paperId);
+  }
+
+  async savePaper(paperId, paperData) {
+    await this.collection('papers').put({ ...paperData, id: paperId });
+    return true;
+  }
+
+  async deletePaper(paperId) {
+    return this.collection('papers').remove(paperId);
+  }
+
+  // Paper templates: named blueprints of how many questions of each kind,
+  // level and section a paper has (see lib/papers)
+  async getPaperTemplates(courseId) {
+    return this.collection('paperTemplates').list({ courseId });
+  }
+
+  async getPaperTemplate(templateId) {
+    if (!templateId) return null;
+    return this.collection('paperTemplates').get(templateId);
+  }
+
+  async savePaperTemplate(templateId, template) {
+    await this.collection('paperTemplates').put({ ...template, id: templateId });
+    return true;
+  }
+
+  async deletePaperTemplate(templateId) {
+    return this.collection('paperTemplates').remove(templateId);
+  }
+
+  // MCQ / fill-in items made from bank questions, cached so papers are reproducible
+  async getPaperItems(courseId) {
+    return this.collection('paperItems').list({ courseId });
+  }
+
+  async savePaperItem(item) {
+    await this.collection('paperItems').put(item);
+    return item;
+  }
+
+  // Background jobs (see lib/jobs)
+  async getJobs(where = {}) {
+    return this.collection('jobs').list(where);
+  }
+
+  async getJob(jobId) {
+    if (!jobId) return null;
+    return this.collection('jobs').get(jobId);
+  }
+
+  async saveJob(jobId, jobData) {
+    await this.collection('jobs').put({ ...jobData, id: jobId });
+    return true;
+  }
+
+  // Attempts: one row per question answered in a session, in order
+  async getAttempts(sessionId) {
+    const attempts = await this.collection('attempts').list({ sessionId });
+    return attempts.sort((a, b) => a.index - b.index);
+  }
+
+  async addAttempt(session, attempt) {
+    const index = (await this.collection('attempts').list({ sessionId: session.id })).length;
+    const doc = { ...attempt, id: `${session.id}:${index}`, sessionId: session.id, courseId: session.courseId, index, createdAt: new Date().toISOString() };
+    await this.collection('attempts').put(doc);
+    return doc;
+  }
+
+  async getCourseAttempts(courseId) {
+    return this.collection('attempts').list({ courseId });
+  }
+
+  async getAttempt(attemptId) {
+    if (!attemptId) return null;
+    return this.collection('attempts').get(attemptId);
+  }
+
+  async saveAttempt(attempt) {
+    await this.collection('attempts').put(attempt);
+    return true;
+  }
+
+  async replaceAttempts(session, attempts) {
+    return this.transaction(async (db) => {
+      await db.collection('attempts').removeWhere({ sessionId: session.id });
+      const saved = [];
+      for (const attempt of attempts) saved.push(await db.addAttempt(session, attempt));
+      return saved;
+    });
+  }
+
+  // Teacher overrides of AI grading, kept as an audit trail
+  async getReviews(where = {}) {
+    return this.collection('reviews').list(where);
+  }
+
+  async addReview(review) {
+    await this.collection('reviews').put(review);
+    return review;
+  }
+
+  // Voice calls: the turn log built from realtime events (lib/voiceLog)
+  async getVoiceLog(sessionId) {
+    if (!sessionId) return null;
+    return this.collection('voiceLogs').get(sessionId);
+  }
+
+  async saveVoiceLog(log) {
+    await this.collection('voiceLogs').put(log);
+    return true;
+  }
+
+  // Q&A history in the shape the routes and clients have always used
+  async getHistory(sessionId) {
+    const attempts = await this.getAttempts(sessionId);
+    return attempts.map(({ q, a, correct, feedback }) => ({ q, a, correct, feedback }));
   }
 }
 
-module.exports = new Database();
+const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+const store = createStore({ dataDir });
+const db = new Database(store);
+
+// First start on a fresh SQLite file: import the legacy JSON files
+db.ready = store.ready.then(async ({ created }) => {
+  if (created && fs.existsSync(dataDir)) {
+    const counts = await importLegacyData(db, dataDir);
+    if (counts.courses || counts.sessions) {
+      console.log(`[DB] Imported legacy JSON data: ${counts.courses} courses, ${counts.sessions} sessions`);
+    }
+  }
+});
+
+module.exports = db;
+module.exports.Database = Database;
@@ -0,0 +1,159 @@
+const db = require('../db');
+const bankStore = require('./questionBank');
+
+// Adaptive question selection from the course's question bank. A session
+// climbs an easy → medium → hard ladder: STEP_UP correct answers in a row
+// move it up a level, STEP_DOWN wrong answers in a row move it down (the
+// default 2-up/1-down staircase settles where a learner gets about 70%
+// right). The next item is the learner's least-seen bank question at that
+// level, so repeats across sessions only happen once a level is used up.
+// The model only phrases the picked question and judges the answer.
+//
+// Session state, kept as session.adaptive:
+//   { level, correctStreak, wrongStreak, asked: [itemId],
+//     current: { itemId, q, a, level, selection } | null }
+// `selection` says why the item was picked and is stored on its attempt.
+
+const { LEVELS } = bankStore;
+const STEP_UP = Number(process.env.ADAPTIVE_STEP_UP || 2);
+const STEP_DOWN = Number(process.env.ADAPTIVE_STEP_DOWN || 1);
+
+function initialState() {
+	return { level: LEVELS[0], correctStreak: 0, wrongStreak: 0, asked: [], current: null };
+}
+
+/**
+ * Move the ladder after an answer. Returns the new state and `why`, a short
+ * account of the level it ends on, for the next item's selection reason.
+ */
+function step(state, correct) {
+	const from = LEVELS.includes(state.level) ? state.level : LEVELS[0];
+	const next = {
+		...state,
+		level: from,
+		asked: [ ...(state.asked || []) ],
+		correctStreak: correct ? (state.correctStreak || 0) + 1 : 0,
+		wrongStreak: correct ? 0 : (state.wrongStreak || 0) + 1,
+	};
+	const i = LEVELS.indexOf(from);
+	if (correct && next.correctStreak >= STEP_UP && i < LEVELS.length - 1) {
+		next.level = LEVELS[i + 1];
+		next.correctStreak = 0;
+		return { state: next, rule: 'up', why: `${STEP_UP} correct in a row, up from ${from}` };
+	}
+	if (!correct && next.wrongStreak >= STEP_DOWN && i > 0) {
+		next.level = LEVELS[i - 1];
+		next.wrongStreak = 0;
+		return { state: next, rule: 'down', why: `${STEP_DOWN} wrong in a row, down from ${from}` };
+	}
+	return { state: next, rule: 'stay', why: correct ? `${next.correctStreak} correct in a row` : `${next.wrongStreak} wrong in a row` };
+}
+
+// How often, and when last, the learner was asked each bank item in the
+// course: adaptive sessions list what they asked, answered or not; other
+// sessions (e.g. handwritten sheets) have the question id on each attempt
+async function seenByLearner(courseId, learnerId, store = db) {
+	const seen = new Map();
+	if (!learnerId) return seen;
+	const sessions = Object.values(await store.getSessions({ courseId, learnerId }));
+	const questionIds = new Map();
+	if (sessions.some(s => !s.adaptive)) {
+		for (const attempt of await store.getCourseAttempts(courseId)) {
+			if (attempt.questionId) questionIds.set(attempt.sessionId, [ ...(questionIds.get(attempt.sessionId) || []), attempt.questionId ]);
+		}
+	}
+	for (const session of sessions) {
+		const ids = session.adaptive ? session.adaptive.asked || [] : questionIds.get(session.id) || [];
+		ids.forEach((id, i) => {
+			const entry = seen.get(id) || { count: 0, lastAt: '' };
+			const at = `${session.createdAt}#${String(i).padStart(4, '0')}`;
+			entry.count++;
+			if (at > entry.lastAt) entry.lastAt = at;
+			seen.set(id, entry);
+		});
+	}
+	return seen;
+}
+
+// Levels to try for a target: the target, then the nearest ones, easier first
+const levelsFrom = target => [ ...LEVELS ].sort((a, b) =>
+	Math.abs(LEVELS.indexOf(a) - LEVELS.indexOf(target)) - Math.abs(LEVELS.indexOf(b) - LEVELS.indexOf(target)) || LEVELS.indexOf(a) - LEVELS.indexOf(b));
+
+/**
+ * The next bank item for a target level, skipping `exclude` (ids asked this
+ * session). Within a level the learner's unseen items come first, then the
+ * least often and least recently seen, then bank order. Returns
+ * { item, selection } or null when every item has been asked.
+ */
+function pick(questions, { level, exclude = new Set(), seen = new Map(), why = '' }) {
+	const order = new Map(questions.map((q, i) => [q.id, i]));
+	const stats = q => seen.get(q.id) || { count: 0, lastAt: '' };
+	for (const candidateLevel of levelsFrom(level)) {
+		const candidates = questions
+			.filter(q => q.level === candidateLevel && !exclude.has(q.id))
+			.sort((a, b) => stats(a).count - stats(b).count || stats(a).lastAt.localeCompare(stats(b).lastAt) || order.get(a.id) - order.get(b.id));
+		if (!candidates.length) continue;
+		const item = candidates[0];
+		const { count } = stats(item);
+		const levelPart = candidateLevel === level ? `${level} question` : `no ${level} question left, nearest is ${candidateLevel}`;
+		const seenPart = count ? `asked ${count} time${count === 1 ? '' : 's'} in earlier sessions, least recently of its level` : 'new to this learner';
+		return {
+			item,
+			selection: {
+				itemId: item.id,
+				level: item.level,
+				targetLevel: level,
+				seenBefore: count,
+				reason: [ why, levelPart, seenPart ].filter(Boolean).join('; '),
+			},
+		};
+	}
+	return null;
+}
+
+/**
+ * Pick the session's next item from the course bank for the state's level.
+ * Returns { item, selection }, or null when the bank is empty or used up.
+ */
+async function next(courseId, learnerId, { state, why }, store = db) {
+	const { questions } = await bankStore.load(courseId, store);
+	const seen = await seenByLearner(courseId, learnerId, store);
+	return pick(questions, { level: state.level, exclude: new Set(state.asked || []), seen, why });
+}
+
+// The state after asking a picked item (or after running out of items)
+function asking(state, picked) {
+	if (!picked) return { ...state, current: null };
+	const { item, selection } = picked;
+	return { ...state, asked: [ ...(state.asked || []), item.id ], current: { itemId: item.id, q: item.q, a: item.a, level: item.level, selection } };
+}
+
+/**
+ * A fixed set of `count` items for one sitting (e.g. a handwritten sheet):
+ * an easy → hard ramp, a third of the items per level, each the learner's
+ * least-seen at its level. Items carry their `selection`.
+ */
+function selectSet(questions, count, seen = new Map()) {
+	const exclude = new Set();
+	const picked = [];
+	for (let i = 0; i < Math.min(count, questions.length); i++) {
+		const level = LEVELS[Math.floor(i * LEVELS.length / count)];
+		const next = pick(questions, { level, exclude, seen, why: `item ${i + 1} of ${count} on the easy to hard ramp` });
+		if (!next) break;
+		exclude.add(next.item.id);
+		picked.push({ ...next.item, selection: next.selection });
+	}
+	return picked;
+}
+
+module.exports = {
+	STEP_UP,
+	STEP_DOWN,
+	initialState,
+	step,
+	seenByLearner,
+	pick,
+	next,
+	asking,
+	selectSet,
+};
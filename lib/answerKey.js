@@ -0,0 +1,220 @@
+const llm = require('./llm');
+const { phonetic } = require('./transliterate');
+
+// Rule-based grading of printed paper questions against their stored key.
+//   mcq  the chosen option (A-D, क-घ, 1-4, the option's text or both, as in
+//        "B) leaves") is compared with correctIndex; there is nothing for a
+//        model to judge. An answer that picks no option goes to review
+//   fib  the answer is normalized (case, punctuation, accents, Devanagari
+//        spelling variants) and compared with the key and its alternatives
+//        ("a / b"). An answer in the other script than a key is compared
+//        on its phonetic key (lib/transliterate), so "gaay" matches a
+//        Devanagari-only "गाय". Only a near miss, close in spelling or
+//        containing the key, is sent to the model (task answer-check);
+//        clear matches and clear misses never are.
+// Grades carry a method ('key' or 'llm') and a confidence like the
+// handwriting grader's, so uncertain model calls can go to teacher review.
+
+const LETTERS = 'ABCD';
+const HINDI_LETTERS = 'कखगघ';
+// Similarity (0 to 1) from which a fill-in answer that does not match counts as a near miss
+const BORDERLINE = Number(process.env.ANSWER_KEY_BORDERLINE || 0.75);
+// Confidence of an MCQ answer that names no option, low enough for teacher review
+const UNREADABLE_CONFIDENCE = 0.3;
+
+const DEVANAGARI_DIGITS = '०१२३४५६७८९';
+const DEVANAGARI = /[\u0900-\u097f]/;
+
+/**
+ * Canonical form of a short answer, so that spellings which differ only in
+ * case, punctuation, accents or common Hindi variants compare equal:
+ * nukta dropped (ज़ = ज), chandrabindu as anusvara (हँस = हंस), a nasal
+ * half-letter before a consonant as anusvara (हिन्दी = हिंदी), and joiners
+ * and Devanagari digits normalized.
+ */
+function normalize(text) {
+	return String(text ?? '')
+		.normalize('NFD')
+		.replace(/[\u0300-\u036f\u093c\u200c\u200d]/g, '')
+		.normalize('NFC')
+		.replace(/\u0901/g, '\u0902')
+		.replace(/[ङञणनम]\u094d(?=[क-ह])/g, '\u0902')
+		.replace(/[०-९]/g, d => String(DEVANAGARI_DIGITS.indexOf(d)))
+		.toLowerCase()
+		.replace(/[^\p{L}\p{M}\p{N}\s.]|(?<!\d)\.|\.(?!\d)/gu, ' ')
+		.replace(/\s+/g, ' ')
+		.trim()
+		.replace(/^(the|an|a) /, '');
+}
+
+function editDistance(a, b) {
+	const s = Array.from(a);
+	const t = Array.from(b);
+	let prev = t.map((_, j) => j + 1);
+	prev.unshift(0);
+	for (let i = 1; i <= s.length; i++) {
+		const row = [ i ];
+		for (let j = 1; j <= t.length; j++) {
+			row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (s[i - 1] === t[j - 1] ? 0 : 1));
+		}
+		prev = row;
+	}
+	return prev[t.length];
+}
+
+// 1 for identical strings, falling towards 0 as more characters differ
+function similarity(a, b) {
+	const length = Math.max(Array.from(a).length, Array.from(b).length);
+	return length ? 1 - editDistance(a, b) / length : 1;
+}
+
+// Whether a question has a key this module can grade against
+function isKeyed(question) {
+	if (!question) return false;
+	if (question.kind === 'mcq') return Array.isArray(question.options) && Number.isInteger(question.correctIndex);
+	return question.kind === 'fib' && !!normalize(question.answer);
+}
+
+// The index a single option label (A-D, क-घ, 1-4, maybe bracketed) stands for, else -1
+function labelIndex(token) {
+	const bare = token.replace(/^[(\[]|[)\].:]$/g, '');
+	if (/^[a-d]$/i.test(bare)) return LETTERS.indexOf(bare.toUpperCase());
+	if (HINDI_LETTERS.includes(bare) && bare.length === 1) return HINDI_LETTERS.indexOf(bare);
+	if (/^[1-4]$/.test(bare)) return Number(bare) - 1;
+	return -1;
+}
+
+/**
+ * The option index an MCQ answer picks: a letter (A-D, क-घ), a number (1-4),
+ * the option's text or a label followed by its text ("B) leaves", "B. leaves",
+ * "B: leaves"). Returns null for a blank or unreadable answer, or a label and
+ * text naming different options, and 'multiple' when more than one option is
+ * marked. When the options are numbers a number is read as an option's text,
+ * never as a label: "2" among 4, 6, 8, 2 is the fourth option, and a number
+ * that is no option's text is unreadable.
+ */
+function mcqChoice(question, answer) {
+	const raw = String(answer ?? '').trim().replace(/^option\s+/i, '');
+	if (!raw) return null;
+	const count = question.options.length;
+	const optionNamed = text => question.options.findIndex(o => normalize(o) === normalize(text));
+	const numeric = question.options.some(o => /^\d+$/.test(normalize(o)));
+	const labelOf = token => (numeric && /^[(\[]?\d/.test(token) ? -1 : labelIndex(token));
+	if (numeric && optionNamed(raw) >= 0) return optionNamed(raw);
+	const marks = raw.split(/\s*(?:,|\/|&|\band\b|\s)\s*/i).filter(Boolean).map(labelOf);
+	if (marks.length && marks.every(i => i >= 0 && i < count)) {
+		return new Set(marks).size > 1 ? 'multiple' : marks[0];
+	}
+	const byText = optionNamed(raw);
+	if (byText >= 0) return byText;
+	// A label and the option's text; when they disagree it is unclear which was meant
+	const labelled = raw.match(/^(\(?[a-dA-D1-4कखगघ])\s*[).:]\s*(\S.*)$/);
+	const label = labelled ? labelOf(labelled[1]) : -1;
+	if (label < 0 || label >= count) return null;
+	const named = optionNamed(labelled[2]);
+	return named < 0 || named === label ? label : null;
+}
+
+// A normalized answer spelled the same way in either script
+const spokenForm = text => text.split(' ').map(phonetic).join(' ');
+
+// Key alternatives of a fill-in question: "photosynthesis / प्रकाश संश्लेषण" accepts either
+function keyAnswers(question) {
+	const listed = Array.isArray(question.accept) ? question.accept : [];
+	return [ question.answer, ...listed ]
+		.flatMap(a => String(a ?? '').split(/\s*[/|]\s*/))
+		.map(normalize)
+		.filter(Boolean);
+}
+
+/**
+ * How a fill-in answer compares with the key:
+ * { match: 'exact' | 'near' | 'none', similarity }
+ */
+function matchFib(question, answer) {
+	const given = normalize(answer);
+	if (!given) return { match: 'none', similarity: 0 };
+	let best = 0;
+	for (const key of keyAnswers(question)) {
+		if (given === key) return { match: 'exact', similarity: 1 };
+		// Numbers are right or wrong; 12 is no near miss for 13
+		if (/^\d+(\.\d+)?$/.test(key) && /^\d+(\.\d+)?$/.test(given)) {
+			if (Number(given) === Number(key)) return { match: 'exact', similarity: 1 };
+			continue;
+		}
+		// Romanized against Devanagari (or the reverse): compare how they sound
+		if (DEVANAGARI.test(given) !== DEVANAGARI.test(key)) {
+			const [ heard, expected ] = [ spokenForm(given), spokenForm(key) ];
+			if (heard === expected) return { match: 'exact', similarity: 1 };
+			best = Math.max(best, similarity(heard, expected));
+			continue;
+		}
+		const words = ` ${given} `;
+		const contains = words.includes(` ${key} `) || ` ${key} `.includes(words);
+		best = Math.max(best, contains ? Math.max(BORDERLINE, similarity(given, key)) : similarity(given, key));
+	}
+	return { match: best >= BORDERLINE ? 'near' : 'none', similarity: best };
+}
+
+// Ask the model about a near miss: { correct, feedback, confidence }
+async function checkBorderline(question, answer) {
+	const expected = String(question.answer || '');
+	const prompt = `A child's fill-in-the-blank answer almost matches the answer key. Decide whether it should be accepted.
+
+Question: ${question.q}
+Answer key: ${expected}
+Learner's answer: ${answer}
+
+Accept spelling mistakes, transliteration and Hindi/English variants of the same word. Do not accept a different word or concept.
+Return JSON only: { "correct": boolean, "feedback": string (at most 2 short sentences, encouraging), "confidence": number }
+confidence is 0 to 1: how sure you are of the decision.`;
+	try {
+		const payload = await llm.generateJson('answer-check', { prompt, context: { question, expected, answer } });
+		return { correct: payload.correct, feedback: String(payload.feedback || ''), confidence: payload.confidence };
+	} catch (err) {
+		console.warn(`[ANSWER KEY] Checking ${question.id} failed:`, err?.message || err);
+		return { correct: false, feedback: '', confidence: 0 };
+	}
+}
+
+/**
+ * Grade one answer to a keyed question (see isKeyed):
+ * { correct, feedback, confidence, method: 'key' | 'llm' }
+ */
+async function grade(question, answer) {
+	if (question.kind === 'mcq') {
+		const choice = mcqChoice(question, answer);
+		const right = `${LETTERS[question.correctIndex]}) ${question.options[question.correctIndex]}`;
+		if (choice === null) {
+			// Unreadable is not the same as wrong: a teacher decides what was meant
+			if (String(answer ?? '').trim()) return { correct: false, feedback: '', confidence: UNREADABLE_CONFIDENCE, method: 'key' };
+			return { correct: false, feedback: `No option was chosen. The answer is ${right}.`, confidence: 1, method: 'key' };
+		}
+		if (choice === 'multiple') return { correct: false, feedback: `Choose only one option. The answer is ${right}.`, confidence: 1, method: 'key' };
+		const correct = choice === question.correctIndex;
+		return { correct, feedback: correct ? 'Correct!' : `Not quite. The answer is ${right}.`, confidence: 1, method: 'key' };
+	}
+	const { match } = matchFib(question, answer);
+	if (match === 'exact') return { correct: true, feedback: 'Correct!', confidence: 1, method: 'key' };
+	if (match === 'none') {
+		const feedback = normalize(answer) ? `Not quite. The answer is "${question.answer}".` : `No answer was given. The answer is "${question.answer}".`;
+		return { correct: false, feedback, confidence: 1, method: 'key' };
+	}
+	return { ...(await checkBorderline(question, answer)), method: 'llm' };
+}
+
+// Questions as learners see them online: everything but the key
+function publicQuestions(questions) {
+	return (questions || []).map(({ id, kind, q, options }) => ({ id, kind, q, ...(kind === 'mcq' ? { options } : {}) }));
+}
+
+module.exports = {
+	BORDERLINE,
+	normalize,
+	similarity,
+	isKeyed,
+	mcqChoice,
+	matchFib,
+	grade,
+	publicQuestions,
+};
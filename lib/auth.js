@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+
+// Users log in with a username and password and get an opaque token, sent
+// back as the `pl_session` cookie or an `Authorization: Bearer` header.
+//
+// Roles:
+//   admin    everything, including user management and deleting courses
+//   teacher  /api/admin routes for courses listing them in `teacherIds`
+//   learner  learner routes only; sessions attach to the user's learnerId
+
+const ROLES = ['admin', 'teacher', 'learner'];
+const COOKIE = 'pl_session';
+const SESSION_TTL_MS = Number(process.env.AUTH_SESSION_TTL_HOURS || 24 * 7) * 60 * 60 * 1000;
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+	const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+	return { salt, hash };
+}
+
+function verifyPassword(password, user) {
+	const { hash } = hashPassword(password, user.salt);
+	return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(user.passwordHash, 'hex'));
+}
+
+// What the API returns for a user: never the password hash
+const publicUser = ({ passwordHash, salt, ...user }) => user;
+
+function validateUser(input, { partial = false } = {}) {
+	if (!partial || input.username !== undefined) {
+		if (typeof input.username !== 'string' || !/^[a-z0-9._-]{3,}$/i.test(input.username)) return 'username must be at least 3 letters, digits, dots, dashes or underscores';
+	}
+	if (!partial || input.password !== undefined) {
+		if (typeof input.password !== 'string' || input.password.length < 8) return 'password must be at least 8 characters';
+	}
+	if (!partial || input.role !== undefined) {
+		if (!ROLES.includes(input.role)) return 'role must be admin, teacher or learner';
+	}
+	return null;
+}
+
+async function findUser(username) {
+	const [user] = await db.getUsers({ username: String(username || '').toLowerCase() });
+	return user || null;
+}
+
+async function createUser({ username, password, role, name, learnerId }) {
+	if (await findUser(username)) return { error: 'username taken' };
+	const { salt, hash } = hashPassword(password);
+	const user = {
+		id: uuidv4(),
+		username: username.toLowerCase(),
+		name: name || username,
+		role,
+		learnerId: role === 'learner' ? learnerId || null : null,
+		salt,
+		passwordHash: hash,
+		createdAt: new Date().toISOString(),
+	};
+	await db.saveUser(user.id, user);
+	return { user: publicUser(user) };
+}
+
+async function updateUser(userId, changes) {
+	const user = await db.getUser(userId);
+	if (!user) return null;
+	const updated = { ...user, updatedAt: new Date().toISOString() };
+	for (const field of ['name', 'role', 'learnerId']) if (changes[field] !== undefined) updated[field] = changes[field];
+	if (updated.role !== 'learner') updated.learnerId = null;
+	if (changes.password !== undefined) {
+		const { salt, hash } = hashPassword(changes.password);
+		Object.assign(updated, { salt, passwordHash: hash });
+	}
+	await db.saveUser(userId, updated);
+	return publicUser(updated);
+}
+
+// Whether `user` is the only admin left, who must not be demoted or deleted
+async function isLastAdmin(user) {
+	if (!user || user.role !== 'admin') return false;
+	return (await db.getUsers({ role: 'admin' })).length <= 1;
+}
+
+async function login(username, password) {
+	const user = await findUser(username);
+	if (!user || !verifyPassword(password, user)) return null;
+	const token = crypto.randomBytes(32).toString('hex');
+	const now = Date.now();
+	await db.saveAuthSession(token, { userId: user.id, createdAt: new Date(now).toISOString(), expiresAt: new Date(now + SESSION_TTL_MS).toISOString() });
+	return { token, user: publicUser(user) };
+}
+
+async function logout(token) {
+	return db.deleteAuthSession(token);
+}
+
+function tokenFrom(req) {
+	const header = req.get('authorization') || '';
+	if (header.startsWith('Bearer ')) return header.slice(7).trim();
+	const cookies = Object.fromEntries((req.get('cookie') || '').split(';').map(c => c.trim().split('=')).filter(([k]) => k).map(([k, ...v]) => [k, decodeURIComponent(v.join('='))]));
+	return cookies[COOKIE] || null;
+}
+
+function setCookie(res, token, { secure = false } = {}) {
+	const parts = [ `${COOKIE}=${token}`, 'Path=/', 'HttpOnly', 'SameSite=Lax', `Max-Age=${Math.floor(SESSION_TTL_MS / 1000)}` ];
+	if (secure) parts.push('Secure');
+	res.setHeader('Set-Cookie', parts.join('; '));
+}
+
+function clearCookie(res) {
+	res.setHeader('Set-Cookie', `${COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+}
+
+// Sets req.user (public fields) and req.authToken when a valid token is sent
+async function authenticate(req, res, next) {
+	try {
+		const token = tokenFrom(req);
+		if (token) {
+			const session = await db.getAuthSession(token);
+			if (session && new Date(session.expiresAt) > new Date()) {
+				const user = await db.getUser(session.userId);
+				if (user) {
+					req.user = publicUser(user);
+					req.authToken = token;
+				}
+			} else if (session) {
+				await db.deleteAuthSession(token);
+			}
+		}
+		next();
+	} catch (err) {
+		next(err);
+	}
+}
+
+function requireRole(...roles) {
+	return (req, res, next) => {
+		if (!req.user) return res.status(401).json({ error: 'login required' });
+		if (!roles.includes(req.user.role)) return res.status(403).json({ error: 'forbidden' });
+		next();
+	};
+}
+
+function canAccessCourse(user, course) {
+	if (!user || !course) return false;
+	if (user.role === 'admin') return true;
+	return user.role === 'teacher' && (course.teacherIds || []).includes(user.id);
+}
+
+// Course ids a user may manage; null means every course
+async function courseIdsFor(user) {
+	if (user.role === 'admin') return null;
+	if (user.role !== 'teacher') return [];
+	const courses = await db.getCourses();
+	return Object.values(courses).filter(c => canAccessCourse(user, c)).map(c => c.id);
+}
+
+// First start: create the admin named by ADMIN_USERNAME / ADMIN_PASSWORD if no admin exists
+async function bootstrapAdmin() {
+	const { ADMIN_USERNAME: username, ADMIN_PASSWORD: password } = process.env;
+	if (!username || !password) return null;
+	if ((await db.getUsers({ role: 'admin' })).length) return null;
+	const error = validateUser({ username, password, role: 'admin' });
+	if (error) throw new Error(`ADMIN_USERNAME/ADMIN_PASSWORD: ${error}`);
+	const { user } = await createUser({ username, password, role: 'admin', name: 'Administrator' });
+	console.log(`[AUTH] Created admin user ${user.username}`);
+	return user;
+}
+
+module.exports = {
+	ROLES,
+	validateUser,
+	createUser,
+	updateUser,
+	isLastAdmin,
+	login,
+	logout,
+	setCookie,
+	clearCookie,
+	authenticate,
+	requireRole,
+	canAccessCourse,
+	courseIdsFor,
+	bootstrapAdmin,
+	publicUser,
+};
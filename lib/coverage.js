@@ -0,0 +1,71 @@
+const db = require('../db');
+const bankStore = require('./questionBank');
+const retrieval = require('./retrieval');
+
+// Which parts of a course's material its question bank covers. Each question
+// is mapped to the passage (retrieval chunk) that best matches its question
+// and answer, looking first in the question's own section.
+
+const levelCounts = questions => Object.fromEntries(bankStore.LEVELS.map(l => [l, questions.filter(q => q.level === l).length]));
+
+async function report(courseId) {
+	const bank = await bankStore.load(courseId);
+	const sections = await db.getSections(courseId);
+	const passages = await retrieval.passages(courseId);
+
+	const questions = [];
+	for (const q of bank.questions) {
+		const text = `${q.q} ${q.a}`;
+		const match = (q.section && await retrieval.locate(courseId, text, { sections: [q.section] })) || await retrieval.locate(courseId, text);
+		questions.push({ id: q.id, q: q.q, level: q.level, section: match ? match.section : q.section, passage: match ? match.id : null });
+	}
+
+	const passageReport = passages.map(p => ({
+		id: p.id,
+		section: p.section,
+		preview: p.text.slice(0, 160),
+		chars: p.text.length,
+		questions: questions.filter(q => q.passage === p.id).map(q => q.id),
+	}));
+
+	const sectionReport = sections.map((s) => {
+		const own = passageReport.filter(p => p.section === s.id);
+		const covered = own.filter(p => p.questions.length).length;
+		const sectionQuestions = questions.filter(q => q.section === s.id);
+		return {
+			id: s.id,
+			title: s.title,
+			questions: sectionQuestions.length,
+			levels: levelCounts(sectionQuestions),
+			passages: own.length,
+			coveredPassages: covered,
+			coverage: own.length ? covered / own.length : 0,
+		};
+	});
+
+	const coveredPassages = passageReport.filter(p => p.questions.length).length;
+	return {
+		version: bank.version,
+		totalQuestions: questions.length,
+		levels: levelCounts(questions),
+		coverage: passages.length ? coveredPassages / passages.length : 0,
+		sections: sectionReport,
+		uncoveredSections: sectionReport.filter(s => s.passages && !s.coveredPassages).map(({ id, title }) => ({ id, title })),
+		passages: passageReport,
+		questions,
+		unmatched: questions.filter(q => !q.passage).map(q => q.id),
+	};
+}
+
+// Uncovered passages grouped per section as { id, title, text } for generation
+async function gaps(courseId, { sections = null } = {}) {
+	const { passages } = await report(courseId);
+	const uncovered = new Set(passages.filter(p => !p.questions.length).map(p => p.id));
+	const chunks = await retrieval.passages(courseId);
+	return (await db.getSections(courseId))
+		.filter(s => !sections || sections.includes(s.id))
+		.map(s => ({ id: s.id, title: s.title, text: chunks.filter(c => c.section === s.id && uncovered.has(c.id)).map(c => c.text).join('\n\n') }))
+		.filter(s => s.text);
+}
+
+module.exports = { report, gaps };
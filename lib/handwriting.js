@@ -0,0 +1,262 @@
+const llm = require('./llm');
+const answerKey = require('./answerKey');
+const pdf = require('./pdf');
+
+// Handwritten answer sheets are graded one question at a time:
+//   1. handwritten-regions  find each question's answer box on the sheet's pages
+//   2. handwritten-answer   read what the learner wrote in that box, cut out of
+//                           the photo when it can be (see lib/pdf cropImage)
+//   3. handwritten-grade    compare it with the expected answer; printed MCQ and
+//                           fill-in questions are graded against their key
+//                           instead (see lib/answerKey)
+// Reading and grading each report a confidence. Items below REVIEW_THRESHOLD
+// are left ungraded (correct: null) and flagged for a teacher rather than
+// counted as wrong.
+//
+// A page is { data: base64, mimeType, pdfPage? }: a photo, or one page of a
+// scanned PDF (the whole PDF is attached and the model told which page).
+
+const REVIEW_THRESHOLD = Number(process.env.HANDWRITTEN_REVIEW_THRESHOLD || 0.6);
+const LETTERS = 'ABCD';
+
+function toConfidence(value) {
+	const n = Number(value);
+	return Number.isFinite(n) ? Math.min(1, Math.max(0, n)) : 0;
+}
+
+// { x, y, w, h } as fractions of the image size, or null when unusable
+function toBox(box) {
+	if (!box || typeof box !== 'object') return null;
+	const [x, y, w, h] = ['x', 'y', 'w', 'h'].map(k => Number(box[k]));
+	if (![x, y, w, h].every(Number.isFinite) || w <= 0 || h <= 0) return null;
+	const clamp = v => Math.min(1, Math.max(0, v));
+	return { x: clamp(x), y: clamp(y), w: clamp(w), h: clamp(h) };
+}
+
+/**
+ * Questions as the grader sees them. Paper questions keep the ids printed on
+ * their answer boxes (A1, B2, ...) and their bank item as bankId; bank
+ * questions use their bank id.
+ */
+function sheetQuestions(questions) {
+	return (questions || []).filter(q => q && q.q).map((q, i) => ({
+		id: String(q.id || `Q${i + 1}`),
+		number: i + 1,
+		kind: q.kind || 'short',
+		q: q.q,
+		options: Array.isArray(q.options) ? q.options : null,
+		correctIndex: Number.isInteger(q.correctIndex) ? q.correctIndex : null,
+		answer: q.answer ?? q.a ?? '',
+		...(q.bankId ? { bankId: String(q.bankId) } : {}),
+	}));
+}
+
+function expectedAnswer(question) {
+	if (question.kind === 'mcq' && question.options && question.correctIndex !== null) {
+		return `${LETTERS[question.correctIndex]}) ${question.options[question.correctIndex]}`;
+	}
+	return String(question.answer || '');
+}
+
+// Attachments for a set of pages (a PDF is attached once however many of its
+// pages are used) and a legend telling the model which page is which
+function attach(pages) {
+	const images = [];
+	const legend = pages.map((p, i) => {
+		let n = images.findIndex(img => img.data === p.data);
+		if (n < 0) n = images.push({ data: p.data, mimeType: p.mimeType }) - 1;
+		return `Page ${i + 1}: ${p.pdfPage ? `page ${p.pdfPage} of attachment ${n + 1}` : `attachment ${n + 1}`}`;
+	});
+	return { images, legend: legend.join('\n') };
+}
+
+function levelFor(score, total) {
+	if (!total) return 'Beginner';
+	return score >= total * 0.8 ? 'Advanced' : score >= total * 0.5 ? 'Intermediate' : 'Beginner';
+}
+
+// Map of question id -> { page, box, confidence }; empty when the model finds nothing usable
+async function detectRegions(pages, questions) {
+	const { images, legend } = attach(pages);
+	const prompt = `These are the pages of one learner's handwritten answer sheet. Each answer is written in a box labelled with its question id.
+
+${legend}
+
+Question ids: ${questions.map(q => q.id).join(', ')}
+
+For every question id, find its answer box. Return JSON only:
+{ "regions": [ { "id": "question id", "page": number, "box": { "x": number, "y": number, "w": number, "h": number }, "confidence": number } ] }
+
+- page is the page number from the list above
+- x, y, w, h are fractions (0 to 1) of that page's width and height, x/y being the top-left corner
+- Use "box": null for a question whose box you cannot find
+- confidence is 0 to 1: how sure you are the box belongs to that question`;
+	const regions = new Map();
+	try {
+		const payload = await llm.generateJson('handwritten-regions', { prompt, images, context: { questions, pages: pages.length } });
+		for (const r of payload.regions) {
+			const page = Number.isInteger(r.page) && r.page >= 1 && r.page <= pages.length ? r.page : (pages.length === 1 ? 1 : null);
+			regions.set(String(r.id), { page, box: toBox(r.box), confidence: toConfidence(r.confidence) });
+		}
+	} catch (err) {
+		console.warn('[HANDWRITTEN] Region detection failed:', err?.message || err);
+	}
+	return regions;
+}
+
+// What the learner wrote for one question: { answer, blank, confidence }
+async function readAnswer(pages, question, region) {
+	// Just the box when it was found and can be cut out, else the page it is
+	// on, else the whole sheet
+	const onPage = region && region.page ? [ pages[region.page - 1] ] : pages;
+	const box = region && region.page && region.box ? await pdf.cropImage(onPage[0], region.box) : null;
+	const { images, legend } = box ? { images: [ box ], legend: `Attachment 1: the answer box labelled ${question.id}, cut out of the sheet` } : attach(onPage);
+	const where = box
+		? 'The answer is in the attached box; ignore anything cut off at its edges.'
+		: region && region.box
+			? `The answer is inside the box at x=${region.box.x.toFixed(3)}, y=${region.box.y.toFixed(3)}, w=${region.box.w.toFixed(3)}, h=${region.box.h.toFixed(3)} (fractions of the page size).`
+			: `Find the answer written next to the label ${question.id}.`;
+	const prompt = `Read one handwritten answer from ${box ? 'a learner\'s' : 'this'} answer sheet.
+
+${legend}
+
+Question ${question.id}: ${question.q}
+${question.options ? `Options: ${question.options.map((o, i) => `${LETTERS[i]}) ${o}`).join('  ')}\n` : ''}${where}
+
+Copy exactly what the learner wrote; do not correct spelling or grammar.${question.kind === 'mcq' ? ' For this multiple choice question give the letter of the bubble they filled in or the option they wrote; if several are marked, give every letter separated by commas.' : ''}
+Return JSON only: { "answer": string, "blank": boolean, "confidence": number }
+confidence is 0 to 1: how sure you are that you read the handwriting correctly.`;
+	try {
+		const payload = await llm.generateJson('handwritten-answer', { prompt, images, context: { question, region, cropped: !!box } });
+		const answer = String(payload.answer ?? '').trim();
+		return { answer, blank: !!payload.blank || !answer, confidence: toConfidence(payload.confidence) };
+	} catch (err) {
+		console.warn(`[HANDWRITTEN] Reading ${question.id} failed:`, err?.message || err);
+		return { answer: '', blank: false, confidence: 0 };
+	}
+}
+
+// Whether one transcribed answer is right: { correct, feedback, confidence, method }
+async function gradeAnswer(question, answer) {
+	if (answerKey.isKeyed(question)) return answerKey.grade(question, answer);
+	const expected = expectedAnswer(question);
+	const prompt = `Grade one answer from a child's handwritten science assessment.
+
+Question: ${question.q}
+${question.options ? `Options: ${question.options.map((o, i) => `${LETTERS[i]}) ${o}`).join('  ')}\n` : ''}Expected answer: ${expected}
+Learner's answer (transcribed from handwriting): ${answer}
+
+Be lenient with children's answers: accept partial correctness and common misspellings.
+Return JSON only: { "correct": boolean, "feedback": string (at most 2 short sentences, encouraging), "confidence": number }
+confidence is 0 to 1: how sure you are of the grade.`;
+	try {
+		const payload = await llm.generateJson('handwritten-grade', { prompt, context: { question, expected, answer } });
+		return { correct: payload.correct, feedback: String(payload.feedback || ''), confidence: toConfidence(payload.confidence), method: 'llm' };
+	} catch (err) {
+		console.warn(`[HANDWRITTEN] Grading ${question.id} failed:`, err?.message || err);
+		return { correct: false, feedback: '', confidence: 0, method: 'llm' };
+	}
+}
+
+/**
+ * Grade one learner's answer sheet: a single `image` or several `pages`.
+ * Returns { items, score, total, pending, level } where total counts graded
+ * items only and pending counts items waiting for teacher review.
+ */
+async function gradeSheet({ image, pages = [ image ], questions }) {
+	const list = sheetQuestions(questions);
+	const regions = await detectRegions(pages, list);
+	const items = [];
+	for (const question of list) {
+		const region = regions.get(question.id) || null;
+		const reading = await readAnswer(pages, question, region);
+		// A confidently blank answer is simply wrong; no need to ask the grader
+		const grade = reading.blank
+			? { correct: false, feedback: 'No answer was written.', confidence: reading.confidence, method: 'key' }
+			: await gradeAnswer(question, reading.answer);
+		const confidence = Math.min(reading.confidence, grade.confidence);
+		const needsReview = confidence < REVIEW_THRESHOLD;
+		items.push({
+			questionId: question.id,
+			number: question.number,
+			question: question.q,
+			expected: expectedAnswer(question),
+			answer: reading.answer,
+			page: region ? region.page : null,
+			region: region && region.box ? region.box : null,
+			correct: needsReview ? null : grade.correct,
+			feedback: grade.feedback || (needsReview ? 'Waiting for teacher review.' : ''),
+			confidence,
+			method: grade.method,
+			needsReview,
+		});
+	}
+	const graded = items.filter(i => i.correct !== null);
+	const score = graded.filter(i => i.correct).length;
+	return { items, score, total: graded.length, pending: items.length - graded.length, level: levelFor(score, graded.length) };
+}
+
+// Who a page belongs to, from the name / learner ID box printed on papers:
+// { name, learnerId, confidence }, empty when the page has none (a continuation page)
+async function identifyPage(page) {
+	const { images, legend } = attach([ page ]);
+	const prompt = `This is one page of a learner's handwritten answer sheet.
+
+${legend}
+
+If the page has a Name or Learner ID box filled in, read it. Continuation pages usually have neither.
+Return JSON only: { "name": string, "learnerId": string, "confidence": number }
+Use empty strings for boxes that are missing or empty. confidence is 0 to 1: how sure you are of the reading.`;
+	try {
+		const payload = await llm.generateJson('handwritten-identify', { prompt, images, context: { page } });
+		return { name: String(payload.name || '').trim(), learnerId: String(payload.learnerId || '').trim(), confidence: toConfidence(payload.confidence) };
+	} catch (err) {
+		console.warn('[HANDWRITTEN] Identifying page failed:', err?.message || err);
+		return { name: '', learnerId: '', confidence: 0 };
+	}
+}
+
+/**
+ * Split a class's scanned pages into one sheet per learner, in page order.
+ *   roster  every `pagesPerLearner` pages belong to the next learner on the roster
+ *   sheet   a page with a readable name / ID box starts the next learner's sheet;
+ *           pages without one continue the previous sheet
+ * Returns [{ pages: [index], learner, identified }] where learner is null when
+ * nobody on the roster matches; such sheets are left for the teacher.
+ */
+async function assignPages(pages, { mode = 'roster', roster = [], pagesPerLearner = 1 } = {}) {
+	const sheets = [];
+	if (mode === 'roster') {
+		const size = Math.max(1, Math.floor(pagesPerLearner) || 1);
+		for (let i = 0; i < pages.length; i += size) {
+			sheets.push({ pages: pages.slice(i, i + size).map((_, k) => i + k), learner: roster[sheets.length] || null, identified: null });
+		}
+		return sheets;
+	}
+	for (const [index, page] of pages.entries()) {
+		const who = await identifyPage(page);
+		const readable = (who.name || who.learnerId) && who.confidence >= REVIEW_THRESHOLD;
+		if (readable || !sheets.length) {
+			const byId = who.learnerId && roster.find(l => l.id === who.learnerId);
+			const byName = who.name && roster.filter(l => l.name.toLowerCase() === who.name.toLowerCase());
+			const learner = readable ? byId || (byName && byName.length === 1 ? byName[0] : null) : null;
+			sheets.push({ pages: [ index ], learner, identified: readable ? who : null });
+		} else {
+			sheets[sheets.length - 1].pages.push(index);
+		}
+	}
+	return sheets;
+}
+
+module.exports = {
+	REVIEW_THRESHOLD,
+	sheetQuestions,
+	expectedAnswer,
+	levelFor,
+	detectRegions,
+	readAnswer,
+	gradeAnswer,
+	gradeSheet,
+	identifyPage,
+	assignPages,
+};
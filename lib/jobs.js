@@ -0,0 +1,104 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+
+// Background jobs, stored in the `jobs` collection and run one at a time in
+// this process. A job is
+//   { id, type, courseId, status: 'queued'|'running'|'done'|'failed',
+//     progress: { done, total }, input, results: [], error,
+//     createdAt, startedAt, finishedAt }
+// Handlers are registered per type and called as handler(job, report);
+// report({ done, total, result, state }) saves progress as the work goes,
+// `state` being anything the handler wants back if the job is re-run. Jobs
+// left queued or running by a restart are picked up again by resume(), so
+// handlers should skip work already recorded in job.results.
+
+const handlers = new Map();
+let chain = Promise.resolve();
+
+function register(type, handler) {
+	handlers.set(type, handler);
+}
+
+async function enqueue(type, { courseId = null, input = {}, total = 0 } = {}) {
+	const job = {
+		id: uuidv4(),
+		type,
+		courseId,
+		status: 'queued',
+		progress: { done: 0, total },
+		input,
+		results: [],
+		error: null,
+		createdAt: new Date().toISOString(),
+	};
+	await db.saveJob(job.id, job);
+	schedule(job.id);
+	return job;
+}
+
+function schedule(jobId) {
+	chain = chain.then(() => run(jobId)).catch(err => console.error('[JOBS] Runner error:', err));
+	return chain;
+}
+
+// Saves the job unless it was deleted meanwhile (e.g. with its course); false when gone
+async function save(job) {
+	if (!(await db.getJob(job.id))) return false;
+	await db.saveJob(job.id, job);
+	return true;
+}
+
+async function run(jobId) {
+	const job = await db.getJob(jobId);
+	if (!job || job.status === 'done' || job.status === 'failed') return;
+	const handler = handlers.get(job.type);
+	Object.assign(job, { status: 'running', startedAt: job.startedAt || new Date().toISOString() });
+	if (!handler) {
+		Object.assign(job, { status: 'failed', error: `no handler for job type ${job.type}`, finishedAt: new Date().toISOString() });
+		await save(job);
+		return;
+	}
+	await save(job);
+	console.log(`[JOBS] Running ${job.type} ${job.id}`);
+
+	let removed = false;
+	const report = async ({ done, total, result, state } = {}) => {
+		if (result) job.results = [ ...job.results, result ];
+		if (state !== undefined) job.state = state;
+		if (done !== undefined) job.progress = { ...job.progress, done };
+		if (total !== undefined) job.progress = { ...job.progress, total };
+		if (!(await save(job))) {
+			removed = true;
+			throw new Error('job was removed');
+		}
+	};
+	try {
+		await handler(job, report);
+		Object.assign(job, { status: 'done', finishedAt: new Date().toISOString() });
+	} catch (err) {
+		if (removed) return;
+		console.error(`[JOBS] ${job.type} ${job.id} failed:`, err);
+		Object.assign(job, { status: 'failed', error: err.message || String(err), finishedAt: new Date().toISOString() });
+	}
+	await save(job);
+	console.log(`[JOBS] ${job.type} ${job.id} ${job.status}`);
+}
+
+// Re-schedule jobs interrupted by a restart; returns how many were found
+async function resume() {
+	const pending = await db.getJobs({ status: [ 'queued', 'running' ] });
+	for (const job of pending) schedule(job.id);
+	return pending.length;
+}
+
+// Resolves once every job scheduled so far has finished
+function idle() {
+	return chain;
+}
+
+module.exports = {
+	register,
+	enqueue,
+	resume,
+	idle,
+};
@@ -0,0 +1,142 @@
+const createOpenAIProvider = require('./providers/openai');
+const createGeminiProvider = require('./providers/gemini');
+const createLocalProvider = require('./providers/local');
+const schemas = require('./schemas');
+
+// Provider selection, in order of precedence:
+//   LLM_PROVIDER_<TASK>  per-task override, e.g. LLM_PROVIDER_HANDWRITTEN=openai
+//   LLM_PROVIDER         deployment-wide provider (openai | gemini | local)
+//   TASK_DEFAULTS        built-in per-task choice
+//   'openai'
+//
+// Tasks: prompt, bank, question, evaluate, assessment, transcript, studyplan,
+// ocr, handwritten-regions, handwritten-answer, handwritten-grade,
+// handwritten-identify, answer-check, paper, paper-html, transcribe, speech.
+//
+// Sub-tasks fall back to their family's settings, so LLM_PROVIDER_HANDWRITTEN
+// covers every handwritten-* task unless one is overridden on its own.
+//
+// Tasks that answer in JSON go through generateJson(), which checks the reply
+// against the task's schema (lib/llm/schemas) and asks again with the errors
+// up to LLM_JSON_RETRIES times before giving up with an LlmOutputError.
+
+const factories = {
+	openai: createOpenAIProvider,
+	gemini: createGeminiProvider,
+	local: createLocalProvider,
+};
+
+const TASK_DEFAULTS = {
+	handwritten: 'gemini',
+};
+
+const TASK_FAMILIES = {
+	'handwritten-regions': 'handwritten',
+	'handwritten-answer': 'handwritten',
+	'handwritten-grade': 'handwritten',
+	'handwritten-identify': 'handwritten',
+};
+
+const JSON_RETRIES = Number(process.env.LLM_JSON_RETRIES ?? 1);
+
+const instances = new Map();
+
+// A model reply that still did not match its schema after the retries
+class LlmOutputError extends Error {
+	constructor(task, errors, reply) {
+		super(`${task} reply did not match its schema: ${errors.slice(0, 3).join('; ')}`);
+		this.name = 'LlmOutputError';
+		this.task = task;
+		this.errors = errors;
+		this.reply = reply;
+	}
+}
+
+const envKey = task => `LLM_PROVIDER_${String(task).toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+
+function providerNameFor(task) {
+	const family = TASK_FAMILIES[task];
+	return process.env[envKey(task)]
+		|| (family && process.env[envKey(family)])
+		|| process.env.LLM_PROVIDER
+		|| TASK_DEFAULTS[task]
+		|| (family && TASK_DEFAULTS[family])
+		|| 'openai';
+}
+
+function getProvider(task) {
+	const name = providerNameFor(task);
+	if (!instances.has(name)) {
+		const factory = factories[name];
+		if (!factory) throw new Error(`unknown LLM provider: ${name}`);
+		instances.set(name, factory());
+	}
+	return instances.get(name);
+}
+
+function registerProvider(name, factory) {
+	factories[name] = factory;
+	instances.delete(name);
+}
+
+// Drop cached provider instances (e.g. after changing env in tests)
+function reset() {
+	instances.clear();
+}
+
+/**
+ * Run a text/vision generation task and return the raw model text.
+ * `context` carries the structured inputs the prompt was built from; hosted
+ * providers ignore it, the local provider answers from it.
+ */
+async function generate(task, { prompt, json = false, schema, maxTokens, images, model, context } = {}) {
+	const provider = getProvider(task);
+	return provider.generate({ task, prompt, json, schema, maxTokens, images, model, context });
+}
+
+/**
+ * Run a task that answers in JSON and return the parsed reply, checked
+ * against `schema` (default: the task's schema in lib/llm/schemas). A reply
+ * that is not JSON or does not match is sent back to the model with the
+ * problems listed; when retries run out an LlmOutputError is thrown.
+ */
+async function generateJson(task, { prompt, schema = schemas.SCHEMAS[task], ...options } = {}) {
+	if (!schema) throw new Error(`no schema for task ${task}`);
+	let request = prompt;
+	let errors = [];
+	let text = '';
+	for (let attempt = 0; attempt <= JSON_RETRIES; attempt++) {
+		text = await generate(task, { ...options, prompt: request, json: true, schema });
+		const parsed = schemas.parse(text);
+		const value = parsed === undefined ? undefined : schemas.coerce(schema, parsed);
+		errors = value === undefined ? [ 'reply: not JSON' ] : schemas.validate(schema, value);
+		if (!errors.length) return value;
+		console.warn(`[LLM] ${task} reply rejected (attempt ${attempt + 1} of ${JSON_RETRIES + 1}): ${errors.slice(0, 3).join('; ')}`);
+		request = `${prompt}\n\nYour previous reply could not be used:\n${errors.slice(0, 10).map(e => `- ${e}`).join('\n')}\n\nPrevious reply:\n${String(text).slice(0, 2000)}\n\nReply again with JSON only, matching this JSON schema:\n${JSON.stringify(schema)}`;
+	}
+	throw new LlmOutputError(task, errors, text);
+}
+
+async function transcribe({ filePath, mimeType }) {
+	const provider = getProvider('transcribe');
+	if (!provider.transcribe) throw new Error(`provider ${provider.name} cannot transcribe audio`);
+	return provider.transcribe({ filePath, mimeType });
+}
+
+async function speech({ text, voice }) {
+	const provider = getProvider('speech');
+	if (!provider.speech) throw new Error(`provider ${provider.name} cannot synthesize speech`);
+	return provider.speech({ text, voice });
+}
+
+module.exports = {
+	LlmOutputError,
+	generate,
+	generateJson,
+	transcribe,
+	speech,
+	getProvider,
+	providerNameFor,
+	registerProvider,
+	reset,
+};
@@ -0,0 +1,25 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// Google Gemini (text + inline images). No speech support.
+function createGeminiProvider(options = {}) {
+	const apiKey = options.apiKey || process.env.GOOGLE_AI_API_KEY;
+	const defaultModel = options.model || process.env.GEMINI_MODEL || 'gemini-2.0-flash-exp';
+	const genAI = new GoogleGenerativeAI(apiKey);
+
+	return {
+		name: 'gemini',
+
+		async generate({ prompt, json, maxTokens, images, model }) {
+			const generationConfig = {};
+			if (json) generationConfig.responseMimeType = 'application/json';
+			if (maxTokens) generationConfig.maxOutputTokens = maxTokens;
+			const gemini = genAI.getGenerativeModel({ model: model || defaultModel, generationConfig });
+			const parts = [ prompt, ...(images || []).map(img => ({ inlineData: { data: img.data, mimeType: img.mimeType } })) ];
+			const result = await gemini.generateContent(parts);
+			const response = await result.response;
+			return response.text();
+		},
+	};
+}
+
+module.exports = createGeminiProvider;
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+
+// Offline, deterministic stand-in for the hosted models. Each task has a
+// canned handler that builds a plausible answer from the structured
+// `context` the route passes alongside its prompt. Handlers can be replaced
+// per task with fixtures, either programmatically (setFixture) or from files
+// named `<task>.json` / `<task>.txt` in LLM_FIXTURES_DIR.
+
+const STOPWORDS = new Set(['the', 'and', 'that', 'this', 'with', 'from', 'what', 'which', 'about', 'have', 'there', 'their', 'they', 'them', 'into', 'your', 'were', 'will', 'when', 'where', 'does', 'than', 'then', 'also', 'some', 'such', 'only', 'other']);
+
+function sentences(text) {
+	return String(text || '')
+		.split(/(?<=[.!?।])\s+|\n+/)
+		.map(s => s.trim())
+		.filter(s => s.length > 12);
+}
+
+function keywords(text) {
+	return (String(text || '').toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || [])
+		.filter(w => w.length > 3 && !STOPWORDS.has(w));
+}
+
+function overlaps(a, b) {
+	const set = new Set(keywords(b));
+	return keywords(a).some(w => set.has(w));
+}
+
+function questionsFromMaterial(material, count = 20) {
+	const levels = ['easy', 'medium', 'hard'];
+	return sentences(material).slice(0, count).map((s, i) => {
+		const words = s.split(/\s+/);
+		const topic = words.slice(0, Math.min(6, words.length)).join(' ').replace(/[.,;:!?।]+$/, '');
+		return { q: `What does the chapter say about "${topic}"?`, a: s, level: levels[i % levels.length] };
+	});
+}
+
+function bankOf(context) {
+	const bank = context.bank;
+	if (Array.isArray(bank)) return bank;
+	if (bank && Array.isArray(bank.questions)) return bank.questions;
+	return questionsFromMaterial(context.material);
+}
+
+const handlers = {
+	prompt({ context }) {
+		const lang = context.language === 'hi' ? 'Hindi' : 'English';
+		return [
+			'SYSTEM PROMPT (offline)',
+			`- Role & Tone: friendly, child-friendly voice tutor. Use only ${lang}.`,
+			'- Ask one short question at a time from the question bank.',
+			'- Adapt easy→medium→hard after two correct answers in a row.',
+			'- Give one gentle hint after a wrong answer, then move on.',
+			'- Stay within the chapter content.',
+		].join('\n');
+	},
+
+	bank({ context }) {
+		return JSON.stringify({ questions: questionsFromMaterial(context.material, context.count || 20) });
+	},
+
+	question({ context }) {
+		if (context.item) return context.item.q;
+		const first = bankOf(context)[0];
+		return first ? first.q : 'What is the main idea of this chapter?';
+	},
+
+	evaluate({ context }) {
+		const answer = String(context.answer || '').trim();
+		const reference = context.expected || context.material || '';
+		const correct = !!answer && overlaps(answer, reference);
+		return JSON.stringify({
+			correctness: correct,
+			feedback: correct ? 'Well done!' : 'Good try! Let\'s look at that part of the chapter again.',
+		});
+	},
+
+	assessment({ context }) {
+		return JSON.stringify(questionsFromMaterial(context.material, 5).map(({ q, a }) => ({ q, a })));
+	},
+
+	// Pairs come already aligned (lib/transcriptAlign); each is judged on its own
+	transcript({ context }) {
+		const grades = (context.pairs || []).map((pair, index) => {
+			const correct = !!pair.answer && !!pair.expected && (pair.match >= 0.5 || overlaps(pair.answer, pair.expected));
+			return { index, correct, feedback: correct ? 'Correct.' : 'Not quite.' };
+		});
+		return JSON.stringify({ grades });
+	},
+
+	studyplan({ context }) {
+		const missed = (context.history || []).filter(h => !h.correct).map(h => h.q).filter(Boolean);
+		const focus = missed.length ? missed : ['the key ideas of the chapter'];
+		return focus.slice(0, 7).map((topic, i) => `Day ${i + 1}: Revise ${topic} and practise 3 questions.`).join('\n');
+	},
+
+	ocr() {
+		return '';
+	},
+
+	transcribe() {
+		return '';
+	},
+
+	// Offline there is no vision model: nothing is found or read, so every
+	// handwritten item lands in teacher review rather than being marked wrong
+	'handwritten-regions'({ context }) {
+		return JSON.stringify({ regions: (context.questions || []).map(q => ({ id: q.id, box: null, confidence: 0 })) });
+	},
+
+	'handwritten-answer'() {
+		return JSON.stringify({ answer: '', blank: false, confidence: 0 });
+	},
+
+	'handwritten-identify'() {
+		return JSON.stringify({ name: '', learnerId: '', confidence: 0 });
+	},
+
+	'handwritten-grade'({ context }) {
+		const answer = String(context.answer || '').trim();
+		const letter = answer.match(/^[A-D]\b/i);
+		const correct = letter && context.question?.kind === 'mcq'
+			? letter[0].toUpperCase() === String(context.expected || '').charAt(0)
+			: !!answer && overlaps(answer, context.expected);
+		return JSON.stringify({ correct, feedback: correct ? 'Well done!' : 'Not quite. Check this part of the chapter again.', confidence: 0.9 });
+	},
+
+	// Near misses against an answer key are exactly what needs judgement, which
+	// offline means a teacher: never confident enough to grade on its own
+	'answer-check'() {
+		return JSON.stringify({ correct: false, feedback: '', confidence: 0 });
+	},
+
+	paper({ context }) {
+		const items = context.items || [];
+		const answers = [ ...new Set(items.map(i => i.a)) ];
+		return JSON.stringify({ items: items.map((item, i) => {
+			if (item.kind === 'mcq') {
+				const distractors = answers.filter(a => a !== item.a);
+				const options = [ item.a, ...[0, 1, 2].map(k => distractors[(i + k) % Math.max(distractors.length, 1)] || `Option ${k + 2}`) ];
+				const correctIndex = i % 4;
+				[options[0], options[correctIndex]] = [options[correctIndex], options[0]];
+				return { source: item.source, kind: 'mcq', q: item.q, options, correctIndex };
+			}
+			const word = keywords(item.a)[0] || item.a;
+			const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+			return { source: item.source, kind: 'fib', q: item.a.replace(new RegExp(escaped, 'i'), '____'), answer: word };
+		}) });
+	},
+
+	'paper-html'({ context }) {
+		const items = bankOf(context).map(b => `<li>${b.q}<p>Answer: ________________</p></li>`).join('');
+		return `<!doctype html><html><body><h1>${context.title || 'Question Paper'}</h1><ol>${items}</ol></body></html>`;
+	},
+};
+
+function createLocalProvider(options = {}) {
+	const fixturesDir = options.fixturesDir || process.env.LLM_FIXTURES_DIR;
+	const fixtures = new Map();
+
+	function fromFile(task) {
+		if (!fixturesDir) return undefined;
+		for (const ext of ['.json', '.txt']) {
+			const file = path.join(fixturesDir, `${task}${ext}`);
+			if (fs.existsSync(file)) return fs.readFileSync(file, 'utf8');
+		}
+		return undefined;
+	}
+
+	async function resolve(task, request) {
+		const fixture = fixtures.has(task) ? fixtures.get(task) : fromFile(task);
+		if (fixture !== undefined) {
+			const value = typeof fixture === 'function' ? await fixture(request) : fixture;
+			return typeof value === 'string' ? value : JSON.stringify(value);
+		}
+		const handler = handlers[task];
+		return handler ? handler({ ...request, context: request.context || {} }) : 'ok';
+	}
+
+	return {
+		name: 'local',
+
+		async generate(request) {
+			return resolve(request.task, request);
+		},
+
+		async transcribe(request) {
+			return resolve('transcribe', request);
+		},
+
+		async speech() {
+			return Buffer.alloc(0);
+		},
+
+		// Override the canned answer for a task (string, object or function)
+		setFixture(task, value) {
+			fixtures.set(task, value);
+		},
+
+		clearFixtures() {
+			fixtures.clear();
+		},
+	};
+}
+
+module.exports = createLocalProvider;
+module.exports.questionsFromMaterial = questionsFromMaterial;
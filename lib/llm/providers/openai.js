@@ -0,0 +1,63 @@
+const fs = require('fs');
+const OpenAI = require('openai');
+
+// Chat completions take images as image_url parts but reject PDFs sent that
+// way; a PDF has to go in as a file part instead.
+function attachmentPart(img, i) {
+	const url = `data:${img.mimeType};base64,${img.data}`;
+	if (img.mimeType === 'application/pdf') return { type: 'file', file: { filename: `attachment-${i + 1}.pdf`, file_data: url } };
+	return { type: 'image_url', image_url: { url } };
+}
+
+// OpenAI chat completions (text + vision), Whisper transcription and TTS.
+function createOpenAIProvider(options = {}) {
+	const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+	const defaultModel = options.model || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+	let client = options.client || null;
+
+	// The SDK throws without a key, so only construct it on first use
+	function getClient() {
+		if (!client) client = new OpenAI({ apiKey });
+		return client;
+	}
+
+	return {
+		name: 'openai',
+
+		async generate({ task, prompt, json, schema, maxTokens, images, model }) {
+			const content = images && images.length
+				? [
+					{ type: 'text', text: prompt },
+					...images.map(attachmentPart),
+				]
+				: prompt;
+			const params = { model: model || defaultModel, messages: [ { role: 'user', content } ] };
+			if (maxTokens) params.max_tokens = maxTokens;
+			if (schema) params.response_format = { type: 'json_schema', json_schema: { name: String(task || 'reply').replace(/[^a-zA-Z0-9_-]/g, '_'), schema, strict: false } };
+			else if (json) params.response_format = { type: 'json_object' };
+			const result = await getClient().chat.completions.create(params);
+			return result?.choices?.[0]?.message?.content || '';
+		},
+
+		async transcribe({ filePath }) {
+			const transcription = await getClient().audio.transcriptions.create({
+				model: 'whisper-1',
+				file: fs.createReadStream(filePath),
+				response_format: 'json',
+			});
+			return transcription.text || '';
+		},
+
+		async speech({ text, voice }) {
+			const speech = await getClient().audio.speech.create({
+				model: 'gpt-4o-mini-tts',
+				voice: voice || 'alloy',
+				input: text,
+				response_format: 'mp3',
+			});
+			return Buffer.from(await speech.arrayBuffer());
+		},
+	};
+}
+
+module.exports = createOpenAIProvider;
@@ -0,0 +1,173 @@
+// Shapes of the JSON replies the tasks ask for, as a small JSON Schema subset
+// (type, properties, required, items, enum, minLength, minItems, minimum,
+// maximum) so the same schema can be handed to providers with structured
+// output. validate() lists what is wrong with a reply; an empty list means
+// the reply can be used as it is.
+
+const str = (extra = {}) => ({ type: 'string', ...extra });
+const text = str({ minLength: 1 });
+const confidence = { type: 'number', minimum: 0, maximum: 1 };
+const box = {
+	type: ['object', 'null'],
+	properties: { x: confidence, y: confidence, w: confidence, h: confidence },
+	required: ['x', 'y', 'w', 'h'],
+};
+
+const SCHEMAS = {
+	bank: {
+		type: 'object',
+		properties: {
+			questions: {
+				type: 'array',
+				items: { type: 'object', properties: { q: text, a: text, level: str({ enum: ['easy', 'medium', 'hard'] }) }, required: ['q', 'a'] },
+			},
+		},
+		required: ['questions'],
+	},
+	evaluate: {
+		type: 'object',
+		properties: { correctness: { type: 'boolean' }, feedback: str() },
+		required: ['correctness', 'feedback'],
+	},
+	assessment: {
+		type: 'object',
+		properties: {
+			questions: { type: 'array', minItems: 1, items: { type: 'object', properties: { q: text, a: text }, required: ['q', 'a'] } },
+		},
+		required: ['questions'],
+	},
+	// One grade per aligned Q&A pair, by its index in the prompt
+	transcript: {
+		type: 'object',
+		properties: {
+			grades: {
+				type: 'array',
+				items: {
+					type: 'object',
+					properties: { index: { type: 'integer', minimum: 0 }, correct: { type: 'boolean' }, feedback: str() },
+					required: ['index', 'correct'],
+				},
+			},
+		},
+		required: ['grades'],
+	},
+	// Items are checked one by one in lib/papers; an unusable one falls back to the bank answer
+	paper: {
+		type: 'object',
+		properties: {
+			items: {
+				type: 'array',
+				items: { type: 'object', properties: { source: { type: ['string', 'number'] }, kind: str({ enum: ['mcq', 'fib'] }), q: text }, required: ['source', 'kind', 'q'] },
+			},
+		},
+		required: ['items'],
+	},
+	'answer-check': {
+		type: 'object',
+		properties: { correct: { type: 'boolean' }, feedback: str(), confidence },
+		required: ['correct', 'confidence'],
+	},
+	'handwritten-regions': {
+		type: 'object',
+		properties: {
+			regions: {
+				type: 'array',
+				items: { type: 'object', properties: { id: { type: ['string', 'number'] }, page: { type: ['integer', 'null'], minimum: 1 }, box, confidence }, required: ['id', 'confidence'] },
+			},
+		},
+		required: ['regions'],
+	},
+	'handwritten-answer': {
+		type: 'object',
+		properties: { answer: str(), blank: { type: 'boolean' }, confidence },
+		required: ['answer', 'confidence'],
+	},
+	'handwritten-grade': {
+		type: 'object',
+		properties: { correct: { type: 'boolean' }, feedback: str(), confidence },
+		required: ['correct', 'confidence'],
+	},
+	'handwritten-identify': {
+		type: 'object',
+		properties: { name: str(), learnerId: str(), confidence },
+		required: ['name', 'learnerId', 'confidence'],
+	},
+};
+
+const typeOf = value => value === null ? 'null' : Array.isArray(value) ? 'array' : Number.isInteger(value) ? 'integer' : typeof value;
+const matches = (type, value) => typeOf(value) === type || (type === 'number' && typeOf(value) === 'integer');
+
+// Every problem with `value`, as "path: what is wrong"
+function validate(schema, value, at = 'reply') {
+	const types = [].concat(schema.type || []);
+	if (types.length && !types.some(t => matches(t, value))) return [ `${at}: expected ${types.join(' or ')}, got ${typeOf(value)}` ];
+	const errors = [];
+	if (schema.enum && !schema.enum.includes(value)) errors.push(`${at}: must be one of ${schema.enum.join(', ')}`);
+	if (typeof value === 'string' && schema.minLength && value.trim().length < schema.minLength) errors.push(`${at}: must not be empty`);
+	if (typeof value === 'number') {
+		if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be at least ${schema.minimum}`);
+		if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be at most ${schema.maximum}`);
+	}
+	if (Array.isArray(value)) {
+		if (schema.minItems && value.length < schema.minItems) errors.push(`${at}: needs at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+		if (schema.items) value.forEach((item, i) => errors.push(...validate(schema.items, item, `${at}[${i}]`)));
+	}
+	if (typeOf(value) === 'object') {
+		for (const key of schema.required || []) {
+			if (value[key] === undefined) errors.push(`${at}.${key}: missing`);
+		}
+		for (const [key, sub] of Object.entries(schema.properties || {})) {
+			if (value[key] !== undefined) errors.push(...validate(sub, value[key], `${at}.${key}`));
+		}
+	}
+	return errors;
+}
+
+/**
+ * Fix what models commonly get almost right, before validation: numbers and
+ * booleans sent as strings, and a bare array where the schema wants an
+ * object holding one array (e.g. [ ... ] for { questions: [ ... ] }).
+ */
+function coerce(schema, value) {
+	const types = [].concat(schema.type || []);
+	if (types.includes('object') && Array.isArray(value)) {
+		const arrays = Object.entries(schema.properties || {}).filter(([, sub]) => [].concat(sub.type).includes('array'));
+		if (arrays.length === 1) return coerce(schema, { [arrays[0][0]]: value });
+	}
+	if (typeof value === 'string' && !types.includes('string')) {
+		const trimmed = value.trim();
+		if ((types.includes('number') || types.includes('integer')) && trimmed !== '' && Number.isFinite(Number(trimmed))) return Number(trimmed);
+		if (types.includes('boolean') && /^(true|false)$/i.test(trimmed)) return trimmed.toLowerCase() === 'true';
+	}
+	if (Array.isArray(value) && schema.items) return value.map(item => coerce(schema.items, item));
+	if (typeOf(value) === 'object' && schema.properties) {
+		const out = { ...value };
+		for (const [key, sub] of Object.entries(schema.properties)) {
+			if (out[key] !== undefined) out[key] = coerce(sub, out[key]);
+		}
+		return out;
+	}
+	return value;
+}
+
+// The JSON in a model reply: code fences and any text around the outermost
+// object or array are ignored. Undefined when there is none.
+function parse(text) {
+	const raw = String(text || '').replace(/```(?:json)?/gi, '').trim();
+	const starts = [ raw.indexOf('{'), raw.indexOf('[') ].filter(i => i >= 0);
+	if (!starts.length) return undefined;
+	const start = Math.min(...starts);
+	const end = raw.lastIndexOf(raw[start] === '{' ? '}' : ']');
+	try {
+		return JSON.parse(raw.slice(start, end + 1));
+	} catch {
+		return undefined;
+	}
+}
+
+module.exports = {
+	SCHEMAS,
+	validate,
+	coerce,
+	parse,
+};
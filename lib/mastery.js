@@ -0,0 +1,167 @@
+const db = require('../db');
+const bankStore = require('./questionBank');
+
+// A learner's progress across sessions, replayed from the graded attempts of
+// every session they took (text, voice, handwritten and paper), so teacher
+// overrides and re-analysed transcripts always count as they are now.
+// Attempts waiting for review are left out until a teacher grades them.
+//
+// Each attempt is traced to its bank item (itemId, a sheet question's bank
+// id, or the question text) and counts towards the item's concepts: its
+// tags, else its material section, else the course as a whole. A concept's
+// mastery is the share of right answers with each answer weighing DECAY
+// times the next one, so recent answers count most:
+//   new         not answered yet
+//   learning    below 0.5
+//   practising  0.5 or more, or fewer than MASTERED_AFTER answers
+//   mastered    0.8 or more over at least MASTERED_AFTER answers
+
+const LEVELS = ['new', 'learning', 'practising', 'mastered'];
+const DECAY = 0.8;
+const MASTERED_AFTER = 3;
+// A concept improved when its mastery rose at least this much over the window
+const IMPROVED_BY = 0.15;
+const WINDOW_DAYS = 7;
+
+function scoreOf(answers) {
+	let weight = 1, right = 0, total = 0;
+	for (let i = answers.length - 1; i >= 0; i--) {
+		if (answers[i].correct) right += weight;
+		total += weight;
+		weight *= DECAY;
+	}
+	return total ? right / total : 0;
+}
+
+function levelOf(answers) {
+	if (!answers.length) return 'new';
+	const score = scoreOf(answers);
+	if (score >= 0.8 && answers.length >= MASTERED_AFTER) return 'mastered';
+	return score >= 0.5 ? 'practising' : 'learning';
+}
+
+const round = n => Math.round(n * 100) / 100;
+const normalizeText = text => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+// The concepts one bank item (or null) counts towards, within its course
+function conceptsOf(item, { course, sections }) {
+	if (item?.tags?.length) return item.tags.map(tag => ({ concept: `tag:${tag}`, label: tag, kind: 'tag' }));
+	const section = item?.section && sections.find(s => s.id === item.section);
+	if (section) return [ { concept: `section:${section.id}`, label: section.title || 'Untitled section', kind: 'section' } ];
+	return [ { concept: 'course', label: course?.title || 'This course', kind: 'course' } ];
+}
+
+function bankItemFor(attempt, session, bank) {
+	const byId = id => id && bank.find(q => q.id === id);
+	const sheet = (session.questions || []).find(q => q.id === attempt.questionId);
+	return byId(attempt.itemId) || byId(sheet?.bankId) || byId(attempt.questionId)
+		|| bank.find(q => normalizeText(q.q) === normalizeText(attempt.q)) || null;
+}
+
+// Everything a course contributes: its record, bank, sections and the learner's attempts there
+async function loadCourse(courseId, sessionIds, store) {
+	const [ course, { questions }, sections, attempts ] = await Promise.all([
+		store.getCourse(courseId),
+		bankStore.load(courseId, store),
+		store.getSections(courseId),
+		store.getCourseAttempts(courseId),
+	]);
+	return { course, bank: questions, sections, attempts: attempts.filter(a => sessionIds.has(a.sessionId)) };
+}
+
+/**
+ * A learner's progress, optionally limited to `courseIds`: the sessions as a
+ * timeline, mastery by concept, every level change a concept went through,
+ * and the concepts that improved since `now` minus WINDOW_DAYS.
+ */
+async function progress(learnerId, { courseIds = null, now = Date.now(), store = db } = {}) {
+	const sessions = Object.values(await store.getSessions({ learnerId }))
+		.filter(s => !courseIds || courseIds.includes(s.courseId))
+		.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+	const byId = new Map(sessions.map(s => [s.id, s]));
+	const courses = new Map();
+	for (const courseId of new Set(sessions.map(s => s.courseId))) courses.set(courseId, await loadCourse(courseId, new Set(byId.keys()), store));
+
+	// Graded answers, oldest first, each with the concepts it counts towards
+	const answers = [];
+	for (const [ courseId, data ] of courses) {
+		for (const attempt of data.attempts) {
+			if (attempt.correct !== true && attempt.correct !== false) continue;
+			const session = byId.get(attempt.sessionId);
+			answers.push({
+				at: attempt.createdAt || session.createdAt,
+				order: `${attempt.createdAt || session.createdAt}#${String(attempt.index ?? 0).padStart(4, '0')}`,
+				sessionId: session.id,
+				courseId,
+				correct: attempt.correct,
+				concepts: conceptsOf(bankItemFor(attempt, session, data.bank), data),
+			});
+		}
+	}
+	answers.sort((a, b) => a.order.localeCompare(b.order));
+
+	const concepts = new Map();
+	const changes = [];
+	for (const answer of answers) {
+		for (const { concept, label, kind } of answer.concepts) {
+			const key = `${answer.courseId}:${concept}`;
+			const entry = concepts.get(key) || { courseId: answer.courseId, concept, label, kind, answers: [] };
+			concepts.set(key, entry);
+			const from = levelOf(entry.answers);
+			entry.answers.push({ at: answer.at, correct: answer.correct });
+			const to = levelOf(entry.answers);
+			if (to !== from) changes.push({ at: answer.at, sessionId: answer.sessionId, courseId: answer.courseId, concept, label, from, to, score: round(scoreOf(entry.answers)) });
+		}
+	}
+
+	const since = new Date(now - WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+	const mastery = [];
+	const improvements = [];
+	for (const entry of concepts.values()) {
+		const score = scoreOf(entry.answers);
+		const level = levelOf(entry.answers);
+		mastery.push({
+			courseId: entry.courseId,
+			concept: entry.concept,
+			label: entry.label,
+			kind: entry.kind,
+			answered: entry.answers.length,
+			correct: entry.answers.filter(a => a.correct).length,
+			score: round(score),
+			level,
+			lastAt: entry.answers.at(-1).at,
+		});
+		const before = entry.answers.filter(a => a.at < since);
+		if (!before.length || before.length === entry.answers.length) continue;
+		const gain = score - scoreOf(before);
+		if (gain >= IMPROVED_BY || LEVELS.indexOf(level) > LEVELS.indexOf(levelOf(before))) {
+			improvements.push({ courseId: entry.courseId, concept: entry.concept, label: entry.label, from: { score: round(scoreOf(before)), level: levelOf(before) }, to: { score: round(score), level }, gain: round(gain) });
+		}
+	}
+	mastery.sort((a, b) => a.courseId.localeCompare(b.courseId) || LEVELS.indexOf(a.level) - LEVELS.indexOf(b.level) || a.score - b.score || a.label.localeCompare(b.label));
+	improvements.sort((a, b) => b.gain - a.gain);
+
+	const timeline = sessions.map(s => ({
+		sessionId: s.id,
+		courseId: s.courseId,
+		courseTitle: courses.get(s.courseId)?.course?.title || null,
+		type: s.type || 'text',
+		mode: s.voice?.mode || null,
+		createdAt: s.createdAt,
+		score: s.score ?? 0,
+		total: s.total ?? 0,
+		pending: s.pending || 0,
+		level: s.level || null,
+		changes: changes.filter(c => c.sessionId === s.id).map(({ concept, label, from, to }) => ({ concept, label, from, to })),
+	}));
+
+	return { timeline, mastery, changes, improvements, since };
+}
+
+module.exports = {
+	LEVELS,
+	WINDOW_DAYS,
+	scoreOf,
+	levelOf,
+	progress,
+};
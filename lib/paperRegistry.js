@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('../db');
+const papers = require('./papers');
+
+// Every generated paper has a record in the `papers` collection: its course,
+// when it was made and the files written for it in the papers directory.
+//   set   one variant of a paper set (see lib/papers): questions with their
+//         key, and a student PDF and a set-wide answer key PDF when Chrome
+//         could render them; the HTML is rendered again from the questions
+//   html  an LLM-written HTML paper from /api/papers/html
+// Sessions graded against a paper keep its id (session.paperId), so the
+// registry can tell which papers still matter for a learner's records.
+
+const RETENTION_DAYS = Number(process.env.PAPER_RETENTION_DAYS || 90);
+const SWEEP_EVERY_MS = 24 * 60 * 60 * 1000;
+
+const typeOf = paper => paper.type || 'set';
+const filesOf = paper => [ paper.pdfFile, paper.keyPdfFile, paper.htmlFile ].filter(Boolean);
+
+// Sessions graded against a paper, oldest first
+async function sessionsFor(paper) {
+	const sessions = Object.values(await db.getSessions({ courseId: paper.courseId }));
+	return sessions.filter(s => s.paperId === paper.id).sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+}
+
+function summary(paper, sessions = []) {
+	return {
+		id: paper.id,
+		courseId: paper.courseId,
+		type: typeOf(paper),
+		title: paper.title || null,
+		setId: paper.setId || null,
+		variant: paper.variant || null,
+		seed: paper.seed || null,
+		templateId: paper.templateId || null,
+		templateName: paper.templateName || null,
+		questions: Array.isArray(paper.questions) ? paper.questions.length : null,
+		pdf: !!paper.pdfFile,
+		answerKey: typeOf(paper) === 'set',
+		sessions: sessions.length,
+		createdAt: paper.createdAt,
+	};
+}
+
+/**
+ * A course's papers, newest first, each with the number of sessions graded
+ * against it.
+ */
+async function list(courseId) {
+	const papers = await db.getPapers({ courseId });
+	const sessions = Object.values(await db.getSessions({ courseId }));
+	const graded = new Map();
+	for (const s of sessions) if (s.paperId) graded.set(s.paperId, [ ...(graded.get(s.paperId) || []), s ]);
+	return papers
+		.map(p => summary(p, graded.get(p.id)))
+		.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+// The other variants of a paper's set, including itself, in letter order
+async function setOf(paper) {
+	if (!paper.setId) return [ paper ];
+	const papers = await db.getPapers({ courseId: paper.courseId });
+	return papers.filter(p => p.setId === paper.setId).sort((a, b) => String(a.variant).localeCompare(String(b.variant)));
+}
+
+// The paper as printed: set papers are rendered again from their questions,
+// HTML papers read back from their file. Null once the file is gone.
+async function html(dir, paper) {
+	if (paper.questions) {
+		const variants = (await setOf(paper)).length;
+		return papers.paperHtml({ paperId: paper.id, title: paper.title, language: paper.language, letter: paper.variant, variants, questions: paper.questions });
+	}
+	const file = paper.htmlFile && path.join(dir, path.basename(paper.htmlFile));
+	return file && fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+// The answer key of the paper's whole set; null for papers without one
+async function keyHtml(paper) {
+	if (!paper.questions) return null;
+	const set = await setOf(paper);
+	return papers.keyHtml({ title: paper.title, seed: paper.seed, papers: set.map(p => ({ letter: p.variant, paperId: p.id, questions: p.questions })) });
+}
+
+/**
+ * Delete a paper's record and its files. The set's answer key PDF is only
+ * removed with the last variant that shares it.
+ */
+async function remove(dir, paper) {
+	const others = (await setOf(paper)).filter(p => p.id !== paper.id);
+	const shared = new Set(others.flatMap(filesOf));
+	for (const file of filesOf(paper)) {
+		if (!shared.has(file)) fs.rmSync(path.join(dir, path.basename(file)), { force: true });
+	}
+	await db.deletePaper(paper.id);
+}
+
+/**
+ * Remove what is older than `days`: papers nobody was graded against go
+ * entirely; papers with graded sessions keep their record (the sessions'
+ * questions and reviews refer to it) but lose their files. Files in the
+ * directory no record refers to, such as PDFs from before the registry, go
+ * by modification time. Returns { papers, cleared, files } counts.
+ */
+async function sweep(dir, { days = RETENTION_DAYS, now = Date.now() } = {}) {
+	const cutoff = now - days * 24 * 60 * 60 * 1000;
+	const records = await db.getPapers();
+	const gradedIds = new Set(Object.values(await db.getSessions()).map(s => s.paperId).filter(Boolean));
+	const keep = new Set();
+	const counts = { papers: 0, cleared: 0, files: 0 };
+	for (const paper of records) {
+		if (Date.parse(paper.createdAt) >= cutoff) {
+			for (const file of filesOf(paper)) keep.add(file);
+		} else if (gradedIds.has(paper.id)) {
+			if (filesOf(paper).length) {
+				await db.savePaper(paper.id, { ...paper, pdfFile: null, keyPdfFile: null, htmlFile: null });
+				counts.cleared++;
+			}
+		} else {
+			await db.deletePaper(paper.id);
+			counts.papers++;
+		}
+	}
+	for (const file of fs.existsSync(dir) ? fs.readdirSync(dir) : []) {
+		if (keep.has(file) || !/\.(pdf|html)$/i.test(file)) continue;
+		const full = path.join(dir, file);
+		if (fs.statSync(full).mtimeMs < cutoff) {
+			fs.rmSync(full, { force: true });
+			counts.files++;
+		}
+	}
+	console.log(`[PAPERS] Retention sweep (${days} days): ${counts.papers} papers removed, ${counts.cleared} cleared, ${counts.files} files removed`);
+	return counts;
+}
+
+// Sweep at most once a day, when papers are being made anyway; serverless
+// deployments have no process that lives long enough for a timer
+let lastSweep = 0;
+function sweepIfDue(dir) {
+	if (Date.now() - lastSweep < SWEEP_EVERY_MS) return;
+	lastSweep = Date.now();
+	sweep(dir).catch(err => console.error('[PAPERS] Retention sweep failed:', err));
+}
+
+module.exports = {
+	RETENTION_DAYS,
+	sessionsFor,
+	summary,
+	list,
+	setOf,
+	html,
+	keyHtml,
+	remove,
+	sweep,
+	sweepIfDue,
+};
@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const db = require('../db');
+const llm = require('./llm');
+const bankStore = require('./questionBank');
+
+// Question paper sets, built in three reproducible steps:
+//   1. a template's blueprint picks bank questions with a seeded shuffle
+//   2. picked questions become MCQ / fill-in items once and are cached per
+//      bank question (paperItems), so an unchanged bank gives the same items
+//   3. each variant (A, B, C) shuffles question and option order with its
+//      own seed; every variant question keeps the id of its master question,
+//      which is what the shared answer key is written against
+// The same template, seed and bank version therefore always give the same set.
+
+const KINDS = ['mcq', 'fib', 'short'];
+const LEVELS = ['easy', 'medium', 'hard'];
+const VARIANTS = 'ABC';
+const MAX_COUNT = 50;
+// Printed ids: A1.. for MCQs, B1.. for fill-ins, C1.. for short answers
+const ID_PREFIX = { mcq: 'A', fib: 'B', short: 'C' };
+
+const DEFAULT_TEMPLATE = {
+	id: 'default',
+	name: 'Standard paper',
+	blueprint: [ { kind: 'mcq', count: 12 }, { kind: 'fib', count: 8 } ],
+};
+
+const hash = text => crypto.createHash('sha256').update(String(text)).digest('hex');
+
+// Deterministic numbers in [0, 1) from a string seed (mulberry32)
+function random(seed) {
+	let a = parseInt(hash(seed).slice(0, 8), 16);
+	return () => {
+		a = (a + 0x6D2B79F5) | 0;
+		let t = Math.imul(a ^ (a >>> 15), 1 | a);
+		t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+function shuffle(list, rand) {
+	const out = [ ...list ];
+	for (let i = out.length - 1; i > 0; i--) {
+		const j = Math.floor(rand() * (i + 1));
+		[out[i], out[j]] = [out[j], out[i]];
+	}
+	return out;
+}
+
+// A fresh seed when the caller has none; short enough to write on a register
+function newSeed() {
+	return crypto.randomBytes(4).toString('hex');
+}
+
+/**
+ * Check a template ({ name, blueprint: [{ kind, count, level?, sections? }] })
+ * against the course's section ids. Returns an error message or null.
+ */
+function validateTemplate(input, sectionIds = [], { partial = false } = {}) {
+	if (!input || typeof input !== 'object') return 'template required';
+	if (!partial || input.name !== undefined) {
+		if (typeof input.name !== 'string' || !input.name.trim()) return 'name required';
+	}
+	if (!partial || input.blueprint !== undefined) {
+		if (!Array.isArray(input.blueprint) || !input.blueprint.length) return 'blueprint must be a non-empty array';
+		for (const [i, row] of input.blueprint.entries()) {
+			if (!row || !KINDS.includes(row.kind)) return `blueprint[${i}].kind must be mcq, fib or short`;
+			if (!Number.isInteger(row.count) || row.count < 1 || row.count > MAX_COUNT) return `blueprint[${i}].count must be 1 to ${MAX_COUNT}`;
+			if (row.level !== undefined && row.level !== null && !LEVELS.includes(row.level)) return `blueprint[${i}].level must be easy, medium or hard`;
+			if (row.sections !== undefined && row.sections !== null) {
+				if (!Array.isArray(row.sections) || !row.sections.length) return `blueprint[${i}].sections must be a non-empty array of section ids`;
+				const unknown = row.sections.find(id => !sectionIds.includes(id));
+				if (unknown) return `unknown section: ${unknown}`;
+			}
+		}
+	}
+	return null;
+}
+
+function normalizeBlueprint(blueprint) {
+	return blueprint.map(({ kind, count, level, sections }) => ({ kind, count, level: level || null, sections: sections || null }));
+}
+
+/**
+ * Pick bank questions for each blueprint row, in seeded order. Questions not
+ * on the paper yet come first; a small bank may then reuse a question in
+ * another kind (once as an MCQ, once as a fill-in), never twice in one kind.
+ * Rows the bank still cannot fill are reported as shortfalls rather than
+ * padded. Returns { picked: [{ kind, bank }], shortfalls }.
+ */
+function select(questions, blueprint, seed) {
+	// Sorting first makes the pick independent of the bank's display order
+	const pool = shuffle([ ...questions ].sort((a, b) => a.id.localeCompare(b.id)), random(`${seed}:select`));
+	const used = new Set();
+	const usedAs = new Set();
+	const picked = [];
+	const shortfalls = [];
+	for (const [row, rule] of blueprint.entries()) {
+		const matching = bankStore.forSections(pool, rule.sections)
+			.filter(q => !usedAs.has(`${rule.kind}:${q.id}`) && (!rule.level || q.level === rule.level));
+		const take = [ ...matching.filter(q => !used.has(q.id)), ...matching.filter(q => used.has(q.id)) ].slice(0, rule.count);
+		for (const q of take) {
+			used.add(q.id);
+			usedAs.add(`${rule.kind}:${q.id}`);
+		}
+		picked.push(...take.map(bank => ({ kind: rule.kind, bank })));
+		if (take.length < rule.count) shortfalls.push({ row, kind: rule.kind, level: rule.level, wanted: rule.count, found: take.length });
+	}
+	return { picked, shortfalls };
+}
+
+// Blank out the answer's longest word; a one-word answer blanks the whole answer
+function fallbackFib(bank) {
+	const words = bank.a.match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+	const word = words.reduce((best, w) => (w.length > best.length ? w : best), '');
+	if (words.length < 2 || word.length < 3) return { q: `${bank.q} ____`, answer: bank.a };
+	return { q: bank.a.replace(word, '____'), answer: word };
+}
+
+// Other bank answers as distractors, placed with a seed of the question itself
+function fallbackMcq(bank, all) {
+	const rand = random(`${bank.id}:${bank.a}`);
+	const others = [ ...new Set(all.filter(q => q.id !== bank.id && q.a && q.a !== bank.a).map(q => q.a)) ].sort();
+	const distractors = shuffle(others, rand).slice(0, 3);
+	while (distractors.length < 3) distractors.push(`None of these (${distractors.length + 1})`);
+	const correctIndex = Math.floor(rand() * 4);
+	const options = [ ...distractors ];
+	options.splice(correctIndex, 0, bank.a);
+	return { q: bank.q, options, correctIndex };
+}
+
+function usableItem(kind, item) {
+	if (!item || typeof item.q !== 'string' || !item.q.trim()) return false;
+	if (kind === 'mcq') {
+		return Array.isArray(item.options) && item.options.length === 4 && item.options.every(o => typeof o === 'string' && o.trim())
+			&& Number.isInteger(item.correctIndex) && item.correctIndex >= 0 && item.correctIndex < 4;
+	}
+	return typeof item.answer === 'string' && !!item.answer.trim();
+}
+
+// Ask the model to turn bank questions into MCQ / fill-in items, keyed by bank id
+async function convert(todo, language) {
+	const entries = todo.map(p => ({ source: p.bank.id, kind: p.kind, q: p.bank.q, a: p.bank.a }));
+	const prompt = `Turn each question bank entry into the item type it asks for. Write in ${language === 'hi' ? 'Hindi' : 'English'}.
+Return JSON only: { "items": [ ... ] } with one entry per input, in any order:
+- mcq: { "source": id, "kind": "mcq", "q": string, "options": [4 strings], "correctIndex": 0-3 }
+  Exactly one option is right; the other three are plausible but clearly wrong.
+- fib: { "source": id, "kind": "fib", "q": "a sentence with ____ for the blank", "answer": string }
+  The blank is one key word or short phrase from the answer.
+
+Entries:
+${JSON.stringify(entries)}`;
+	const items = new Map();
+	try {
+		const payload = await llm.generateJson('paper', { prompt, context: { items: entries } });
+		for (const item of payload.items) items.set(`${item.source}:${item.kind}`, item);
+	} catch (err) {
+		console.warn('[PAPER] Item generation failed; using bank answers:', err?.message || err);
+	}
+	return items;
+}
+
+/**
+ * The printable item for each picked question. MCQ and fill-in items come
+ * from the course's cache, made (by the model, else from the bank answers)
+ * for questions that are new or whose text changed since.
+ */
+async function itemsFor(courseId, picked, { bank, language }) {
+	const cached = new Map((await db.getPaperItems(courseId)).map(i => [i.id, i]));
+	const cacheId = p => `${courseId}:${p.bank.id}:${p.kind}`;
+	const fingerprint = p => hash(`${p.bank.q}\n${p.bank.a}`);
+	const todo = picked.filter(p => p.kind !== 'short' && cached.get(cacheId(p))?.fingerprint !== fingerprint(p));
+	if (todo.length) {
+		const made = await convert(todo, language);
+		let fallbacks = 0;
+		for (const p of todo) {
+			let item = made.get(`${p.bank.id}:${p.kind}`);
+			if (!usableItem(p.kind, item)) {
+				item = p.kind === 'mcq' ? fallbackMcq(p.bank, bank) : fallbackFib(p.bank);
+				fallbacks++;
+			}
+			const doc = {
+				id: cacheId(p),
+				courseId,
+				bankId: p.bank.id,
+				kind: p.kind,
+				fingerprint: fingerprint(p),
+				q: item.q.trim(),
+				...(p.kind === 'mcq' ? { options: item.options.map(o => o.trim()), correctIndex: item.correctIndex } : { answer: item.answer.trim() }),
+				createdAt: new Date().toISOString(),
+			};
+			await db.savePaperItem(doc);
+			cached.set(doc.id, doc);
+		}
+		console.log(`[PAPER] Made ${todo.length} paper items for course ${courseId}, ${fallbacks} from bank answers`);
+	}
+	return picked.map(p => {
+		if (p.kind === 'short') return { kind: 'short', q: p.bank.q, answer: p.bank.a, bankId: p.bank.id, level: p.bank.level };
+		const { q, options, correctIndex, answer } = cached.get(cacheId(p));
+		return p.kind === 'mcq'
+			? { kind: 'mcq', q, options, correctIndex, answer: options[correctIndex], bankId: p.bank.id, level: p.bank.level }
+			: { kind: 'fib', q, answer, bankId: p.bank.id, level: p.bank.level };
+	});
+}
+
+// Master questions M1.. in printed order: all MCQs, then fill-ins, then short answers
+function master(items) {
+	return KINDS.flatMap(kind => items.filter(i => i.kind === kind)).map((item, i) => ({ ...item, master: `M${i + 1}` }));
+}
+
+/**
+ * One variant of the master questions: the letter's own seed shuffles the
+ * questions within each kind and the options of each MCQ. Variant A keeps
+ * the master order, so a single-variant paper reads like the blueprint.
+ */
+function variant(masterQuestions, letter, seed) {
+	const rand = random(`${seed}:${letter}`);
+	return KINDS.flatMap(kind => {
+		const group = masterQuestions.filter(q => q.kind === kind);
+		const ordered = letter === 'A' ? group : shuffle(group, rand);
+		return ordered.map((q, i) => {
+			const question = { ...q, id: `${ID_PREFIX[kind]}${i + 1}` };
+			if (kind !== 'mcq' || letter === 'A') return question;
+			const order = shuffle(q.options.map((_, k) => k), rand);
+			return { ...question, options: order.map(k => q.options[k]), correctIndex: order.indexOf(q.correctIndex) };
+		});
+	});
+}
+
+/**
+ * Build a paper set: { masterQuestions, variants: [{ letter, questions }],
+ * shortfalls, seed, bankVersion, key } where `key` identifies the set, so a
+ * repeated request can return the papers already made instead of new ones.
+ */
+async function buildSet(course, { template, seed, variants = 1, sections = null }) {
+	const bank = await bankStore.load(course.id);
+	const questions = bankStore.forSections(bank.questions, sections);
+	const blueprint = normalizeBlueprint(template.blueprint);
+	const { picked, shortfalls } = select(questions, blueprint, seed);
+	const items = await itemsFor(course.id, picked, { bank: bank.questions, language: course.language });
+	const masterQuestions = master(items);
+	const letters = VARIANTS.slice(0, variants).split('');
+	return {
+		seed,
+		bankVersion: bank.version,
+		key: hash(JSON.stringify({ blueprint, seed, variants, sections, bankVersion: bank.version })),
+		masterQuestions,
+		variants: letters.map(letter => ({ letter, questions: variant(masterQuestions, letter, seed) })),
+		shortfalls,
+	};
+}
+
+const escapeHtml = s => String(s ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+const STYLE = 'body{font-family:Arial,Helvetica,Sans-Serif;margin:24px}h1{margin:0 0 8px}h2{margin:16px 0 8px}ol{padding-left:20px}li{margin:8px 0}small{color:#666}.opts{margin:6px 0 0 0;padding-left:18px}.opts li{list-style-type: upper-alpha;margin:4px 0}.paper{font-size:12px;color:#444}.box{border:1.5px solid #000;min-height:32px;margin:6px 0;padding:2px 6px;width:70%}.box span{font-size:11px;font-weight:bold}.box .bubbles{font-size:14px;font-weight:normal;margin-left:12px}table{border-collapse:collapse}td,th{border:1px solid #999;padding:4px 8px;text-align:left}';
+
+const HEADINGS = { mcq: 'Multiple Choice Questions', fib: 'Fill in the Blanks', short: 'Short Answer Questions' };
+
+/**
+ * The student's paper: questions with answer boxes labelled by id (MCQ boxes
+ * carry OMR-style bubbles) and Name / Learner ID boxes so scanned sheets can
+ * be matched to the roster. There is no answer key on it; see keyHtml.
+ */
+function paperHtml({ paperId, title, language, letter, variants, questions }) {
+	const bubbles = q => q.kind === 'mcq' ? `<span class="bubbles">${q.options.map((_, i) => `○ ${String.fromCharCode(65 + i)}`).join('&nbsp;&nbsp;&nbsp;')}</span>` : '';
+	const box = q => `<div class="box" data-qid="${q.id}"><span>${q.id}</span> ${bubbles(q)}</div>`;
+	const header = `<p class="paper" data-paper-id="${paperId}">Paper ${paperId.slice(0, 8)}${variants > 1 ? ` · Set ${letter}` : ''}. Write each answer inside the box labelled with its question number.</p>`+
+		`<div style="display:flex;gap:12px"><div class="box" data-box="name" style="width:60%"><span>Name</span></div><div class="box" data-box="learner-id" style="width:35%"><span>Learner ID</span></div></div>`;
+	const sections = KINDS.filter(kind => questions.some(q => q.kind === kind)).map(kind => {
+		const items = questions.filter(q => q.kind === kind).map(q => kind === 'mcq'
+			? `<li>${escapeHtml(q.q)}<ul class="opts">${q.options.map(opt => `<li>${escapeHtml(opt)}</li>`).join('')}</ul>${box(q)}</li>`
+			: `<li>${escapeHtml(q.q)}${box(q)}</li>`).join('');
+		return `<h2>${ID_PREFIX[kind]}) ${HEADINGS[kind]}</h2><ol>${items}</ol>`;
+	}).join('');
+	return `<!doctype html><html><head><meta charset="utf-8"><style>${STYLE}</style></head><body>`+
+		`<h1>${escapeHtml(title)}${variants > 1 ? ` (Set ${letter})` : ''}</h1><small>Language: ${language === 'hi' ? 'Hindi' : 'English'}</small>`+header+
+		`<p>Instructions: Attempt all questions. Read carefully and choose/enter the best answer. For multiple choice questions fill in one bubble.</p>`+
+		sections+
+		`</body></html>`;
+}
+
+/**
+ * The teacher's answer key for a whole set: each variant's answers by printed
+ * id, and a table mapping every master question to its id in each variant.
+ */
+function keyHtml({ title, seed, papers }) {
+	const answer = q => q.kind === 'mcq' ? String.fromCharCode(65 + q.correctIndex) : escapeHtml(q.answer);
+	const perVariant = papers.map(({ letter, paperId, questions }) => {
+		const lines = KINDS.filter(kind => questions.some(q => q.kind === kind)).map(kind =>
+			`<p><strong>${HEADINGS[kind]}:</strong> ${questions.filter(q => q.kind === kind).map(q => `${q.id}: ${answer(q)}`).join(kind === 'mcq' ? ', ' : '; ')}</p>`).join('');
+		return `<h2>Set ${letter} <small>(paper ${paperId.slice(0, 8)})</small></h2>${lines}`;
+	}).join('');
+	const masters = papers[0].questions.map(q => q.master).sort((a, b) => Number(a.slice(1)) - Number(b.slice(1)));
+	const byMaster = papers.map(p => new Map(p.questions.map(q => [q.master, q])));
+	const rows = masters.map(m => {
+		const q = byMaster[0].get(m);
+		const text = q.kind === 'mcq' ? `${escapeHtml(q.q)} <em>(${escapeHtml(q.options[q.correctIndex])})</em>` : `${escapeHtml(q.q)} <em>(${escapeHtml(q.answer)})</em>`;
+		return `<tr><td>${m}</td><td>${text}</td>${byMaster.map(v => `<td>${v.get(m).id}: ${answer(v.get(m))}</td>`).join('')}</tr>`;
+	}).join('');
+	return `<!doctype html><html><head><meta charset="utf-8"><style>${STYLE}</style></head><body>`+
+		`<h1>Answer Key - ${escapeHtml(title)}</h1><small>Seed ${escapeHtml(seed)}. For teachers only; do not hand out.</small>`+
+		perVariant+
+		`<h2>Questions across sets</h2><table><thead><tr><th>#</th><th>Question (answer)</th>${papers.map(p => `<th>Set ${p.letter}</th>`).join('')}</tr></thead><tbody>${rows}</tbody></table>`+
+		`</body></html>`;
+}
+
+module.exports = {
+	KINDS,
+	VARIANTS,
+	DEFAULT_TEMPLATE,
+	random,
+	shuffle,
+	newSeed,
+	validateTemplate,
+	normalizeBlueprint,
+	select,
+	itemsFor,
+	variant,
+	buildSet,
+	paperHtml,
+	keyHtml,
+};
@@ -0,0 +1,230 @@
+// HTML to PDF with puppeteer. One headless Chromium is launched on first use
+// and shared by every render, at most PDF_MAX_PAGES pages at a time; it is
+// closed again after PDF_BROWSER_IDLE_MS without work. When Chromium cannot
+// be launched render() resolves to null and callers serve the HTML instead;
+// the launch is not retried for a few minutes so that stays quick.
+//
+// Only HTML handed to render() is printed: pages run without JavaScript and
+// every request other than inline data: URLs is blocked, so a paper cannot
+// pull in local files or anything from the network.
+//
+// The same browser cuts answer boxes out of photographed answer sheets
+// (cropImage), so a box is read and reviewed on its own.
+
+const MAX_PAGES = Number(process.env.PDF_MAX_PAGES || 2);
+const IDLE_MS = Number(process.env.PDF_BROWSER_IDLE_MS || 60000);
+const RETRY_MS = 5 * 60 * 1000;
+
+const FORMATS = ['A3', 'A4', 'A5', 'Letter', 'Legal'];
+const SIDES = ['top', 'right', 'bottom', 'left'];
+const MAX_MARGIN_MM = 50;
+const DEFAULTS = { format: 'A4', margin: { top: 15, right: 12, bottom: 15, left: 12 }, pageNumbers: true };
+
+// Room left around a cropped box, as a fraction of the image size
+const CROP_PADDING = 0.02;
+
+const escapeHtml = s => String(s ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+let browser = null;         // Promise of the shared browser
+let unavailableUntil = 0;
+let idleTimer = null;
+let active = 0;
+const waiting = [];
+
+async function getBrowser() {
+	if (!browser) {
+		browser = (async () => {
+			const puppeteer = require('puppeteer');
+			const launched = await puppeteer.launch({ args: ['--no-sandbox', '--disable-setuid-sandbox'] });
+			launched.on('disconnected', () => { if (browser === current) browser = null; });
+			console.log('[PDF] Browser launched');
+			return launched;
+		})();
+		const current = browser;
+		current.catch(err => {
+			if (browser === current) browser = null;
+			unavailableUntil = Date.now() + RETRY_MS;
+			console.warn('[PDF] Chromium unavailable; serving HTML only:', err?.message || err);
+		});
+	}
+	return browser;
+}
+
+// A page slot in the shared browser; the last one released starts the idle timer
+async function acquire() {
+	clearTimeout(idleTimer);
+	if (active < MAX_PAGES) {
+		active++;
+		return;
+	}
+	await new Promise(resolve => waiting.push(resolve));
+}
+
+function release() {
+	const next = waiting.shift();
+	if (next) return next();
+	active--;
+	if (!active && browser) {
+		idleTimer = setTimeout(close, IDLE_MS);
+		idleTimer.unref();
+	}
+}
+
+async function close() {
+	clearTimeout(idleTimer);
+	const current = browser;
+	browser = null;
+	if (!current) return;
+	try {
+		await (await current).close();
+		console.log('[PDF] Browser closed');
+	} catch {
+		// never launched, or already gone
+	}
+}
+
+const available = () => Date.now() >= unavailableUntil;
+
+const text = (value, field) => {
+	if (value === undefined || value === null || value === '') return { value: '' };
+	if (typeof value !== 'string' && typeof value !== 'number') return { error: `${field} must be text` };
+	const out = String(value).trim();
+	if (out.length > 120) return { error: `${field} must be at most 120 characters` };
+	return { value: out };
+};
+
+/**
+ * Print options from a request body, checked and filled with defaults:
+ *   format       A3, A4 (default), A5, Letter or Legal
+ *   margin       millimetres, one number for every side or { top, right, bottom, left }
+ *   schoolName   printed at the top left of every page
+ *   learnerName, rollNumber   printed at the top right of every page
+ *   pageNumbers  "Page n of m" at the bottom (default true)
+ * Returns { options } or { error }.
+ */
+function printOptions(input = {}) {
+	const options = { ...DEFAULTS, margin: { ...DEFAULTS.margin } };
+	if (input.format !== undefined) {
+		const format = FORMATS.find(f => f.toLowerCase() === String(input.format).toLowerCase());
+		if (!format) return { error: `format must be one of ${FORMATS.join(', ')}` };
+		options.format = format;
+	}
+	if (input.margin !== undefined) {
+		const given = typeof input.margin === 'object' && input.margin !== null
+			? input.margin
+			: Object.fromEntries(SIDES.map(side => [side, input.margin]));
+		for (const side of SIDES) {
+			if (given[side] === undefined) continue;
+			const mm = Number(given[side]);
+			if (given[side] === '' || !Number.isFinite(mm) || mm < 0 || mm > MAX_MARGIN_MM) return { error: `margin must be 0 to ${MAX_MARGIN_MM} mm` };
+			options.margin[side] = mm;
+		}
+	}
+	for (const field of ['schoolName', 'learnerName', 'rollNumber']) {
+		const { value, error } = text(input[field], field);
+		if (error) return { error };
+		options[field] = value;
+	}
+	if (input.pageNumbers !== undefined) options.pageNumbers = input.pageNumbers !== false && input.pageNumbers !== 'false';
+	return { options };
+}
+
+// puppeteer's page.pdf() options; header and footer need room in the margins
+function pdfOptions({ format, margin, schoolName, learnerName, rollNumber, pageNumbers }) {
+	const learner = [ learnerName, rollNumber && `Roll No. ${rollNumber}` ].filter(Boolean).join(' · ');
+	const header = schoolName || learner;
+	const line = (left, right) => `<div style="font-size:9px;width:100%;padding:0 12mm;display:flex;justify-content:space-between;font-family:sans-serif"><span>${left}</span><span>${right}</span></div>`;
+	const mm = side => `${Math.max(margin[side], (side === 'top' && header) || (side === 'bottom' && pageNumbers) ? 12 : 0)}mm`;
+	return {
+		format,
+		printBackground: true,
+		margin: Object.fromEntries(SIDES.map(side => [side, mm(side)])),
+		displayHeaderFooter: !!(header || pageNumbers),
+		headerTemplate: header ? line(escapeHtml(schoolName), escapeHtml(learner)) : '<span></span>',
+		footerTemplate: pageNumbers ? line('', 'Page <span class="pageNumber"></span> of <span class="totalPages"></span>') : '<span></span>',
+	};
+}
+
+/**
+ * Print HTML to a PDF Buffer with printOptions() options, or null when no
+ * PDF can be made (Chromium missing or the render failed).
+ */
+async function render(html, options = DEFAULTS) {
+	if (!available()) return null;
+	await acquire();
+	let page;
+	try {
+		page = await (await getBrowser()).newPage();
+		await page.setJavaScriptEnabled(false);
+		await page.setRequestInterception(true);
+		page.on('request', req => (/^(data|about):/.test(req.url()) ? req.continue() : req.abort()));
+		await page.setContent(html, { waitUntil: 'load' });
+		return Buffer.from(await page.pdf(pdfOptions({ ...DEFAULTS, ...options })));
+	} catch (err) {
+		if (available()) console.warn('[PDF] Render failed:', err?.message || err);
+		return null;
+	} finally {
+		if (page) page.close().catch(() => {});
+		release();
+	}
+}
+
+/**
+ * The pixel rectangle to cut from an image of `size` ({ width, height }) for
+ * a box of fractions ({ x, y, w, h }), padded and kept inside the image, or
+ * null when nothing of the box is left.
+ */
+function cropClip(size, box) {
+	const left = Math.max(0, box.x - CROP_PADDING);
+	const top = Math.max(0, box.y - CROP_PADDING);
+	const right = Math.min(1, box.x + box.w + CROP_PADDING);
+	const bottom = Math.min(1, box.y + box.h + CROP_PADDING);
+	const clip = {
+		x: Math.floor(left * size.width),
+		y: Math.floor(top * size.height),
+		width: Math.round((right - left) * size.width),
+		height: Math.round((bottom - top) * size.height),
+	};
+	return clip.width >= 1 && clip.height >= 1 ? clip : null;
+}
+
+/**
+ * Cut a box ({ x, y, w, h } as fractions) out of a photographed page
+ * ({ data: base64, mimeType }) as { data, mimeType: 'image/png' }, or null
+ * when it cannot be cut: a PDF page, an unreadable image or no Chromium.
+ */
+async function cropImage(image, box) {
+	if (!box || !/^image\//.test(image?.mimeType || '') || !available()) return null;
+	await acquire();
+	let page;
+	try {
+		page = await (await getBrowser()).newPage();
+		await page.setJavaScriptEnabled(false);
+		await page.setRequestInterception(true);
+		page.on('request', req => (/^(data|about):/.test(req.url()) ? req.continue() : req.abort()));
+		await page.setContent(`<body style="margin:0"><img src="data:${escapeHtml(image.mimeType)};base64,${escapeHtml(image.data)}" style="display:block"></body>`, { waitUntil: 'load' });
+		const size = await (await page.$('img')).boundingBox();
+		const clip = size && cropClip(size, box);
+		if (!clip) return null;
+		const data = await page.screenshot({ clip, type: 'png', encoding: 'base64', captureBeyondViewport: true });
+		return { data, mimeType: 'image/png' };
+	} catch (err) {
+		if (available()) console.warn('[PDF] Crop failed:', err?.message || err);
+		return null;
+	} finally {
+		if (page) page.close().catch(() => {});
+		release();
+	}
+}
+
+module.exports = {
+	FORMATS,
+	DEFAULTS,
+	printOptions,
+	pdfOptions,
+	render,
+	cropClip,
+	cropImage,
+	available,
+	close,
+};
@@ -0,0 +1,181 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+
+// Question bank editing with version history. Every save stores a full
+// snapshot as a new version so edits can be diffed and rolled back.
+
+const LEVELS = ['easy', 'medium', 'hard'];
+
+// Legacy banks have no ids; derive stable ones from position until first save
+function normalizeQuestion(q, index) {
+	return {
+		id: q.id || `q-${index + 1}`,
+		q: String(q.q || ''),
+		a: String(q.a || ''),
+		level: LEVELS.includes(q.level) ? q.level : 'easy',
+		tags: Array.isArray(q.tags) ? q.tags.map(String) : [],
+		origin: q.origin || 'generated',
+		section: q.section || null,
+	};
+}
+
+function validateQuestion(input, { partial = false } = {}) {
+	if (!partial || input.q !== undefined) {
+		if (typeof input.q !== 'string' || !input.q.trim()) return 'q required';
+	}
+	if (!partial || input.a !== undefined) {
+		if (typeof input.a !== 'string' || !input.a.trim()) return 'a required';
+	}
+	if (input.level !== undefined && !LEVELS.includes(input.level)) return 'level must be easy, medium or hard';
+	if (input.tags !== undefined && !Array.isArray(input.tags)) return 'tags must be an array';
+	if (input.section !== undefined && input.section !== null && typeof input.section !== 'string') return 'section must be a section id';
+	return null;
+}
+
+async function load(courseId, store = db) {
+	const bank = await store.getBank(courseId);
+	const questions = Array.isArray(bank.questions) ? bank.questions.map(normalizeQuestion) : [];
+	return { version: bank.version || 0, questions };
+}
+
+async function listVersions(courseId) {
+	return db.getBankVersions(courseId);
+}
+
+async function getVersion(courseId, version) {
+	if (!Number.isInteger(Number(version))) return null;
+	const entry = await db.getBankVersion(courseId, Number(version));
+	return entry ? { ...entry, questions: entry.questions.map(normalizeQuestion) } : null;
+}
+
+/**
+ * Persist a new bank version. `source` is 'generated', 'manual', 'rollback'
+ * or 'imported' (migrated from question-bank.json).
+ */
+async function save(courseId, questions, { source = 'manual', note = '' } = {}, store = db) {
+	const current = await store.getBank(courseId);
+	const version = (current.version || 0) + 1;
+	const normalized = questions.map(normalizeQuestion);
+	await store.saveBankVersion(courseId, { version, createdAt: new Date().toISOString(), source, note, questions: normalized });
+	return { version, questions: normalized };
+}
+
+// Load, change and save the bank as one transaction so concurrent edits
+// cannot overwrite each other. `change` returns the new question list or null.
+async function update(courseId, change, options) {
+	return db.transaction(async (tx) => {
+		const bank = await load(courseId, tx);
+		const questions = change(bank.questions);
+		if (!questions) return null;
+		return save(courseId, questions, options, tx);
+	});
+}
+
+/**
+ * Save freshly generated questions while keeping every manually added or
+ * edited question, so expert fixes survive a regeneration. With `sections`,
+ * only generated questions from those material sections are replaced.
+ */
+async function saveGenerated(courseId, generated, note = 'regenerated', { sections } = {}) {
+	return update(courseId, (questions) => {
+		const kept = questions.filter(q => q.origin === 'manual' || (sections && !sections.includes(q.section)));
+		const keptText = new Set(kept.map(q => q.q.trim().toLowerCase()));
+		const fresh = generated
+			.filter(q => q && q.q && !keptText.has(String(q.q).trim().toLowerCase()))
+			.map(q => ({ ...q, id: uuidv4().slice(0, 8), origin: 'generated' }));
+		return [ ...kept, ...fresh ];
+	}, { source: 'generated', note });
+}
+
+// Add generated questions without replacing any (e.g. filling coverage gaps)
+async function appendGenerated(courseId, generated, note = 'filled gaps') {
+	return update(courseId, (questions) => {
+		const existing = new Set(questions.map(q => q.q.trim().toLowerCase()));
+		const fresh = generated
+			.filter(q => q && q.q && !existing.has(String(q.q).trim().toLowerCase()))
+			.map(q => ({ ...q, id: uuidv4().slice(0, 8), origin: 'generated' }));
+		return fresh.length ? [ ...questions, ...fresh ] : null;
+	}, { source: 'generated', note });
+}
+
+async function addQuestion(courseId, input) {
+	const id = uuidv4().slice(0, 8);
+	const saved = await update(courseId, questions => [ ...questions, { ...input, id, origin: 'manual' } ], { note: `added ${id}` });
+	return { version: saved.version, question: saved.questions.find(q => q.id === id) };
+}
+
+async function updateQuestion(courseId, questionId, changes) {
+	const { q, a, level, tags, section } = changes;
+	const patch = Object.fromEntries(Object.entries({ q, a, level, tags, section }).filter(([, v]) => v !== undefined));
+	const saved = await update(courseId, (questions) => {
+		if (!questions.some(x => x.id === questionId)) return null;
+		return questions.map(x => (x.id === questionId ? { ...x, ...patch, origin: 'manual' } : x));
+	}, { note: `edited ${questionId}` });
+	return saved && { version: saved.version, question: saved.questions.find(x => x.id === questionId) };
+}
+
+async function deleteQuestion(courseId, questionId) {
+	return update(courseId, (questions) => {
+		const remaining = questions.filter(q => q.id !== questionId);
+		return remaining.length === questions.length ? null : remaining;
+	}, { note: `deleted ${questionId}` });
+}
+
+// `order` must list every current question id exactly once
+async function reorder(courseId, order) {
+	return update(courseId, (questions) => {
+		const byId = new Map(questions.map(q => [q.id, q]));
+		if (!Array.isArray(order) || order.length !== byId.size || new Set(order).size !== order.length || !order.every(id => byId.has(id))) {
+			return null;
+		}
+		return order.map(id => byId.get(id));
+	}, { note: 'reordered' });
+}
+
+function diff(before, after) {
+	const prev = new Map(before.map(q => [q.id, q]));
+	const next = new Map(after.map(q => [q.id, q]));
+	const fields = ['q', 'a', 'level', 'tags', 'section'];
+	const added = after.filter(q => !prev.has(q.id));
+	const removed = before.filter(q => !next.has(q.id));
+	const changed = after
+		.filter(q => prev.has(q.id))
+		.map(q => {
+			const old = prev.get(q.id);
+			const changes = fields.filter(f => JSON.stringify(old[f]) !== JSON.stringify(q[f]));
+			return changes.length ? { id: q.id, fields: changes, before: old, after: q } : null;
+		})
+		.filter(Boolean);
+	const common = after.map(q => q.id).filter(id => prev.has(id));
+	const previousOrder = before.map(q => q.id).filter(id => next.has(id));
+	return { added, removed, changed, reordered: common.join() !== previousOrder.join() };
+}
+
+// Questions generated from (or assigned to) any of the given material sections
+function forSections(questions, sectionIds) {
+	return sectionIds ? questions.filter(q => sectionIds.includes(q.section)) : questions;
+}
+
+async function rollback(courseId, version) {
+	const target = await getVersion(courseId, version);
+	if (!target) return null;
+	return update(courseId, () => target.questions, { source: 'rollback', note: `rollback to v${target.version}` });
+}
+
+module.exports = {
+	LEVELS,
+	load,
+	save,
+	saveGenerated,
+	appendGenerated,
+	listVersions,
+	getVersion,
+	validateQuestion,
+	addQuestion,
+	updateQuestion,
+	deleteQuestion,
+	reorder,
+	diff,
+	forSections,
+	rollback,
+};
@@ -0,0 +1,41 @@
+const createOpenAIRealtime = require('./openai');
+const createLocalRealtime = require('./local');
+
+// Realtime voice sessions. REALTIME_PROVIDER picks who mints them:
+//   openai  the OpenAI Realtime API over WebRTC (default)
+//   local   the offline stand-in in ./local, served by this app at LOCAL_PATH,
+//           which replays scripted calls for development and tests
+// mint() takes the session request built by /api/voice/ephemeral and
+// resolves to { status, json, connection }, where connection tells the
+// browser how to reach the call ({ transport, url, eventsUrl? }).
+
+const factories = {
+	openai: createOpenAIRealtime,
+	local: createLocalRealtime,
+};
+
+const instances = new Map();
+
+const providerName = () => process.env.REALTIME_PROVIDER || 'openai';
+
+function getProvider(name = providerName()) {
+	if (!instances.has(name)) {
+		const factory = factories[name];
+		if (!factory) throw new Error(`unknown realtime provider: ${name}`);
+		instances.set(name, factory());
+	}
+	return instances.get(name);
+}
+
+async function mint(body) {
+	const provider = getProvider();
+	const { status, json } = await provider.mint(body);
+	return { status, json, connection: provider.connection() };
+}
+
+module.exports = {
+	LOCAL_PATH: createLocalRealtime.BASE_PATH,
+	providerName,
+	getProvider,
+	mint,
+};
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+
+// Offline stand-in for the OpenAI Realtime API, for development and tests.
+// Mounted at BASE_PATH, it mints fake ephemeral tokens, answers SDP offers
+// like /v1/realtime does (the answer cannot carry real audio), and replays
+// a scripted stream of data-channel events over server-sent events, which
+// voice.html reads in place of the WebRTC data channel:
+//   POST BASE_PATH/sessions            mint { client_secret: { value } }
+//   POST BASE_PATH?model=              SDP offer in, SDP answer out (Bearer token)
+//   GET  BASE_PATH/events?token=&script=   the script, once per token
+//   POST BASE_PATH/events?token=       client events (response.create, ...), recorded
+//
+// Built-in scripts are made from the minted session's instructions (its
+// question bank, question count and end phrase):
+//   assessment   asks each question, the learner answers (every third one
+//                wrong), then the end phrase with a <<PLAN_START>> block
+//   interrupted  the same, but the learner talks over the second question
+//                and asks for it again
+// Other scripts are JSON files in REALTIME_SCRIPTS_DIR, named <script>.json:
+// an array of events, each with an optional delayMs. {{q1}}, {{a1}}, ... and
+// {{end}} are filled in from the session.
+
+const BASE_PATH = '/api/voice/local-realtime';
+const TOKEN_TTL_MS = 10 * 60 * 1000;
+const DEFAULT_SCRIPT = 'assessment';
+
+// Time between scripted events; 0 in tests
+const delayMs = () => Number(process.env.REALTIME_LOCAL_DELAY_MS ?? 250);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function createLocalRealtime() {
+	const calls = new Map();
+
+	function prune(now = Date.now()) {
+		for (const [token, call] of calls) {
+			if (call.expiresAt < now) calls.delete(token);
+		}
+	}
+
+	function callFor(token) {
+		const call = calls.get(String(token || ''));
+		return call && call.expiresAt >= Date.now() ? call : null;
+	}
+
+	function mint(body = {}) {
+		prune();
+		const token = `ek_local_${crypto.randomBytes(12).toString('hex')}`;
+		const expiresAt = Date.now() + TOKEN_TTL_MS;
+		const session = { ...body, id: `sess_local_${crypto.randomBytes(6).toString('hex')}`, object: 'realtime.session' };
+		calls.set(token, { session, expiresAt, sdp: null, replayed: false, clientEvents: [] });
+		return { status: 200, json: { ...session, client_secret: { value: token, expires_at: Math.floor(expiresAt / 1000) } } };
+	}
+
+	const router = express.Router();
+	const unauthorized = res => res.status(401).json({ error: { message: 'Invalid ephemeral token', type: 'invalid_request_error' } });
+
+	router.post('/sessions', (req, res) => {
+		const { status, json } = mint(req.body || {});
+		res.status(status).json(json);
+	});
+
+	router.post('/', express.text({ type: 'application/sdp' }), (req, res) => {
+		const call = callFor(String(req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+		if (!call) return unauthorized(res);
+		if (typeof req.body !== 'string' || !req.body.startsWith('v=0')) return res.status(400).json({ error: { message: 'SDP offer required', type: 'invalid_request_error' } });
+		call.sdp = req.body;
+		res.status(201).type('application/sdp').send(answerSdp());
+	});
+
+	router.get('/events', async (req, res) => {
+		const call = callFor(req.query.token);
+		if (!call) return unauthorized(res);
+		// A finished stream is not replayed when EventSource reconnects
+		if (call.replayed) return res.status(204).end();
+		const events = script(String(req.query.script || process.env.REALTIME_LOCAL_SCRIPT || DEFAULT_SCRIPT), call.session);
+		if (!events) return res.status(404).json({ error: { message: 'Unknown script', type: 'invalid_request_error' } });
+		call.replayed = true;
+		res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+		for (const { delayMs: wait, ...event } of events) {
+			await sleep(wait ?? delayMs());
+			if (res.destroyed) return;
+			res.write(`data: ${JSON.stringify(event)}\n\n`);
+		}
+		res.end();
+	});
+
+	router.post('/events', (req, res) => {
+		const call = callFor(req.query.token);
+		if (!call) return unauthorized(res);
+		call.clientEvents.push(req.body);
+		res.status(204).end();
+	});
+
+	return {
+		name: 'local',
+		mint: async body => mint(body),
+		connection: () => ({ transport: 'local', url: BASE_PATH, eventsUrl: `${BASE_PATH}/events` }),
+		router,
+		// What a call sent, for tests
+		call: token => callFor(token),
+	};
+}
+
+function answerSdp() {
+	return [
+		'v=0',
+		`o=- ${Date.now()} 2 IN IP4 127.0.0.1`,
+		's=-',
+		't=0 0',
+		'a=group:BUNDLE 0 1',
+		'm=audio 9 UDP/TLS/RTP/SAVPF 111',
+		'c=IN IP4 0.0.0.0',
+		'a=mid:0',
+		'a=sendrecv',
+		'a=rtpmap:111 opus/48000/2',
+		'm=application 9 UDP/DTLS/SCTP webrtc-datachannel',
+		'c=IN IP4 0.0.0.0',
+		'a=mid:1',
+		'a=sctp-port:5000',
+		'',
+	].join('\r\n');
+}
+
+// What a script needs from the session's instructions
+function sessionFacts(instructions = '') {
+	const bank = [ ...instructions.matchAll(/"q":("(?:[^"\\]|\\.)*"),"a":("(?:[^"\\]|\\.)*")/g) ]
+		.map(m => ({ q: JSON.parse(m[1]), a: JSON.parse(m[2]) }));
+	const count = Number((instructions.match(/(?:exactly|at most) (\d+) (?:questions|points)/) || [])[1]) || 3;
+	// The phrase the agent is told to finish with (lib/voiceModes)
+	const end = instructions.match(/say "([^"]+)"(?= and emit|\s*$)/m);
+	return {
+		bank,
+		questions: bank.slice(0, count),
+		endMarker: end ? end[1] : 'Assessment complete',
+		plan: instructions.includes('<<PLAN_START>>'),
+	};
+}
+
+// Realtime server events, numbered like the API's own ids
+function eventWriter() {
+	let n = 0;
+	const events = [];
+	const id = prefix => `${prefix}_local_${++n}`;
+	const push = event => events.push({ ...event, event_id: id('event') });
+
+	function assistant(text, { cutAfter } = {}) {
+		const response = id('resp');
+		const item = id('item');
+		const words = text.split(' ');
+		const spoken = cutAfter ? words.slice(0, cutAfter) : words;
+		push({ type: 'response.created', response: { id: response, status: 'in_progress' } });
+		push({ type: 'output_audio_buffer.started', response_id: response });
+		for (let i = 0; i < spoken.length; i += 4) {
+			push({ type: 'response.audio_transcript.delta', response_id: response, item_id: item, output_index: 0, content_index: 0, delta: (i ? ' ' : '') + spoken.slice(i, i + 4).join(' ') });
+		}
+		if (cutAfter) return response;
+		push({ type: 'response.audio_transcript.done', response_id: response, item_id: item, output_index: 0, content_index: 0, transcript: text });
+		push({ type: 'response.done', response: { id: response, status: 'completed' } });
+		push({ type: 'output_audio_buffer.stopped', response_id: response });
+		push({ type: 'rate_limits.updated', rate_limits: [ { name: 'tokens', limit: 4000000, remaining: 3999000, reset_seconds: 0.01 } ] });
+		return response;
+	}
+
+	// The learner speaking; `over` is a response they cut off
+	function learner(text, { over } = {}) {
+		const item = id('item');
+		push({ type: 'input_audio_buffer.speech_started', item_id: item, audio_start_ms: n * 100 });
+		if (over) {
+			push({ type: 'output_audio_buffer.cleared', response_id: over });
+			push({ type: 'response.done', response: { id: over, status: 'cancelled' } });
+		}
+		push({ type: 'input_audio_buffer.speech_stopped', item_id: item, audio_end_ms: n * 100 + 900 });
+		push({ type: 'input_audio_buffer.committed', item_id: item });
+		push({ type: 'conversation.item.created', item: { id: item, type: 'message', role: 'user', content: [ { type: 'input_audio', transcript: null } ] } });
+		push({ type: 'conversation.item.input_audio_transcription.completed', item_id: item, content_index: 0, transcript: text });
+	}
+
+	return { events, assistant, learner };
+}
+
+const BUILT_IN = {
+	assessment: (facts, options = {}) => {
+		const { events, assistant, learner } = eventWriter();
+		const missed = [];
+		facts.questions.forEach(({ q, a }, i) => {
+			const asked = `${i ? 'Okay.' : 'Hello!'} ${q}`;
+			if (options.interruptAt === i) {
+				const cut = assistant(asked, { cutAfter: 3 });
+				learner('Sorry, can you say that again?', { over: cut });
+			}
+			assistant(asked);
+			const wrong = i % 3 === 2;
+			if (wrong) missed.push(q);
+			learner(wrong ? 'I don\'t know' : a);
+		});
+		const plan = facts.plan ? ` <<PLAN_START>> Revise: ${missed.join(' ') || 'keep practising every topic.'} <<PLAN_END>>` : '';
+		assistant(`Okay. ${facts.endMarker}.${plan}`);
+		return events;
+	},
+	interrupted: facts => BUILT_IN.assessment(facts, { interruptAt: 1 }),
+};
+
+// A named script's events for a session, or null when there is none
+function script(name, session) {
+	if (!/^[\w-]+$/.test(name)) return null;
+	const facts = sessionFacts(session.instructions);
+	if (BUILT_IN[name]) return BUILT_IN[name](facts);
+	const dir = process.env.REALTIME_SCRIPTS_DIR;
+	const file = dir && path.join(dir, `${name}.json`);
+	if (!file || !fs.existsSync(file)) return null;
+	// Filled in as JSON string content, so quotes in a question stay valid JSON
+	const fill = text => text.replace(/\{\{(?:([qa])(\d+)|end)\}\}/g, (_, key, n) => JSON.stringify(key ? facts.bank[Number(n) - 1]?.[key] ?? '' : facts.endMarker).slice(1, -1));
+	const parsed = JSON.parse(fill(fs.readFileSync(file, 'utf8')));
+	return (Array.isArray(parsed) ? parsed : parsed.events || []).map((event, i) => ({ event_id: `event_local_${i + 1}`, ...event }));
+}
+
+module.exports = createLocalRealtime;
+module.exports.BASE_PATH = BASE_PATH;
+module.exports.script = script;
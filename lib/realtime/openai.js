@@ -0,0 +1,32 @@
+// OpenAI Realtime: sessions are minted server-side with the API key and the
+// browser connects over WebRTC with the ephemeral client secret.
+const SESSIONS_URL = 'https://api.openai.com/v1/realtime/sessions';
+const CONNECT_URL = 'https://api.openai.com/v1/realtime';
+
+function createOpenAIRealtime(options = {}) {
+	const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+
+	return {
+		name: 'openai',
+
+		// { status, json } as OpenAI answered; json is { raw } when it was not JSON
+		async mint(body) {
+			const r = await fetch(SESSIONS_URL, {
+				method: 'POST',
+				headers: {
+					'Authorization': `Bearer ${apiKey}`,
+					'Content-Type': 'application/json'
+				},
+				body: JSON.stringify(body)
+			});
+			const text = await r.text();
+			let json;
+			try { json = JSON.parse(text); } catch { json = { raw: text }; }
+			return { status: r.ok ? 200 : r.status, json };
+		},
+
+		connection: () => ({ transport: 'webrtc', url: CONNECT_URL }),
+	};
+}
+
+module.exports = createOpenAIRealtime;
@@ -0,0 +1,47 @@
+// Okapi BM25 over chunk text. Works for Hindi as well as English because
+// tokens are any run of letters, digits and combining marks.
+
+const STOPWORDS = new Set([
+	'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'do', 'does', 'for', 'from', 'how', 'in', 'is', 'it', 'its',
+	'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what', 'when', 'where', 'which', 'who', 'why', 'with',
+	'है', 'हैं', 'का', 'की', 'के', 'में', 'और', 'को', 'से', 'पर', 'क्या', 'यह', 'था', 'थे',
+]);
+
+function tokenize(text) {
+	return String(text || '').toLowerCase().split(/[^\p{L}\p{N}\p{M}]+/u).filter(t => t && !STOPWORDS.has(t));
+}
+
+function createBm25Index(chunks, { k1 = 1.5, b = 0.75 } = {}) {
+	const docs = chunks.map((chunk) => {
+		const terms = new Map();
+		const tokens = tokenize(chunk.text);
+		for (const t of tokens) terms.set(t, (terms.get(t) || 0) + 1);
+		return { chunk, terms, length: tokens.length };
+	});
+	const avgLength = docs.reduce((n, d) => n + d.length, 0) / (docs.length || 1);
+	const docFreq = new Map();
+	for (const doc of docs) for (const t of doc.terms.keys()) docFreq.set(t, (docFreq.get(t) || 0) + 1);
+
+	const idf = t => Math.log(1 + (docs.length - docFreq.get(t) + 0.5) / (docFreq.get(t) + 0.5));
+
+	function search(query, limit = 5) {
+		const terms = [ ...new Set(tokenize(query)) ].filter(t => docFreq.has(t));
+		if (!terms.length) return [];
+		return docs
+			.map((doc) => {
+				let score = 0;
+				for (const t of terms) {
+					const tf = doc.terms.get(t) || 0;
+					if (tf) score += idf(t) * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * doc.length / (avgLength || 1)));
+				}
+				return { chunk: doc.chunk, score };
+			})
+			.filter(r => r.score > 0)
+			.sort((x, y) => y.score - x.score)
+			.slice(0, limit);
+	}
+
+	return { kind: 'bm25', search };
+}
+
+module.exports = { createBm25Index, tokenize };
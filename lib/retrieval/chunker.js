@@ -0,0 +1,37 @@
+// Splits material into chunks of at most `size` characters on paragraph and
+// sentence boundaries, so every chunk reads as whole sentences.
+
+const SENTENCE_END = /(?<=[.!?।॥])\s+/u;
+
+function pieces(text, size) {
+	const out = [];
+	for (const paragraph of text.split(/\n\s*\n/)) {
+		const trimmed = paragraph.trim();
+		if (!trimmed) continue;
+		if (trimmed.length <= size) {
+			out.push(trimmed);
+			continue;
+		}
+		for (const sentence of trimmed.split(SENTENCE_END)) {
+			// A single run-on "sentence" (e.g. a table) is cut at the size limit
+			for (let i = 0; i < sentence.length; i += size) out.push(sentence.slice(i, i + size));
+		}
+	}
+	return out;
+}
+
+function chunkText(text, { size = 1200 } = {}) {
+	const chunks = [];
+	let current = '';
+	for (const piece of pieces(String(text || ''), size)) {
+		if (current && current.length + piece.length + 1 > size) {
+			chunks.push(current);
+			current = '';
+		}
+		current = current ? `${current}\n${piece}` : piece;
+	}
+	if (current) chunks.push(current);
+	return chunks;
+}
+
+module.exports = { chunkText };
@@ -0,0 +1,134 @@
+const db = require('../../db');
+const { chunkText } = require('./chunker');
+const { createBm25Index } = require('./bm25');
+
+// Chunking and retrieval over course material, used to build prompt context
+// instead of cutting the material off after its first few thousand characters.
+//
+//   relevant(courseId, query, { budget, sections })  best matching chunks, topped up with an overview
+//   overview(courseId, { budget, sections })         chunks spread evenly over the whole material
+//   windows(text, budget)                            consecutive windows that cover all of the text
+//   passages(courseId) / locate(courseId, text)      the chunks themselves, and the best match for a text
+//
+// RETRIEVAL_INDEX picks the index (bm25 by default). registerIndex adds others,
+// e.g. embeddings, as a factory(chunks) returning { search(query, limit) }.
+
+const factories = {
+	bm25: createBm25Index,
+};
+
+// One entry per course, rebuilt when its sections change
+const cache = new Map();
+
+function registerIndex(name, factory) {
+	factories[name] = factory;
+	cache.clear();
+}
+
+function reset() {
+	cache.clear();
+}
+
+function chunkSections(sections, options) {
+	const chunks = [];
+	for (const section of sections) {
+		chunkText(section.text, options).forEach((text, i) => {
+			chunks.push({ id: `${section.id}#${i}`, section: section.id, title: section.title, position: chunks.length, text });
+		});
+	}
+	return chunks;
+}
+
+async function load(courseId) {
+	const sections = await db.getSections(courseId);
+	const kind = process.env.RETRIEVAL_INDEX || 'bm25';
+	const key = [ kind, ...sections.map(s => `${s.id}:${s.chars}`) ].join('|');
+	const cached = cache.get(courseId);
+	if (cached && cached.key === key) return cached;
+
+	const factory = factories[kind];
+	if (!factory) throw new Error(`unknown retrieval index: ${kind}`);
+	const chunks = chunkSections(sections);
+	const entry = { key, chunks, index: factory(chunks) };
+	cache.set(courseId, entry);
+	return entry;
+}
+
+// Chunks are joined with a blank line, counted against the budget too
+const size = chunks => chunks.reduce((n, c) => n + c.text.length + 2, 0);
+const join = chunks => chunks.slice().sort((a, b) => a.position - b.position).map(c => c.text).join('\n\n');
+
+// Take chunks in the given order while they fit
+function fill(chunks, budget) {
+	const picked = [];
+	let used = 0;
+	for (const chunk of chunks) {
+		if (used + chunk.text.length + 2 > budget) continue;
+		picked.push(chunk);
+		used += chunk.text.length + 2;
+	}
+	return picked;
+}
+
+// The largest evenly spaced selection of chunks that fits the budget
+function spread(chunks, budget) {
+	if (size(chunks) <= budget) return chunks;
+	const average = size(chunks) / chunks.length;
+	for (let k = Math.min(chunks.length, Math.floor(budget / average)); k > 0; k--) {
+		const picked = Array.from({ length: k }, (_, i) => chunks[Math.floor(i * chunks.length / k)]);
+		if (size(picked) <= budget) return picked;
+	}
+	return fill(chunks, budget);
+}
+
+async function overview(courseId, { budget = 6000, sections = null } = {}) {
+	const { chunks } = await load(courseId);
+	return join(spread(chunks.filter(c => !sections || sections.includes(c.section)), budget));
+}
+
+async function relevant(courseId, query, { budget = 6000, sections = null } = {}) {
+	const { chunks, index } = await load(courseId);
+	const pool = chunks.filter(c => !sections || sections.includes(c.section));
+	const hits = index.search(query, chunks.length).map(r => r.chunk).filter(c => pool.includes(c));
+	const picked = fill(hits, budget);
+	const rest = spread(pool.filter(c => !picked.includes(c)), budget - size(picked));
+	return join([ ...picked, ...rest ]);
+}
+
+async function passages(courseId) {
+	return (await load(courseId)).chunks;
+}
+
+// Best matching chunk for a piece of text (e.g. a question and its answer), or null
+async function locate(courseId, text, { sections = null } = {}) {
+	const { chunks, index } = await load(courseId);
+	const hit = index.search(text, chunks.length).find(r => !sections || sections.includes(r.chunk.section));
+	return hit ? { ...hit.chunk, score: hit.score } : null;
+}
+
+// Consecutive windows of at most `budget` characters, for tasks that must see everything
+function windows(text, budget) {
+	const out = [];
+	let current = '';
+	for (const chunk of chunkText(text)) {
+		if (current && current.length + chunk.length + 2 > budget) {
+			out.push(current);
+			current = '';
+		}
+		current = current ? `${current}\n\n${chunk}` : chunk;
+	}
+	if (current) out.push(current);
+	return out;
+}
+
+module.exports = {
+	chunkText,
+	chunkSections,
+	overview,
+	relevant,
+	windows,
+	passages,
+	locate,
+	registerIndex,
+	reset,
+};
@@ -0,0 +1,176 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+const { levelFor } = require('./handwriting');
+
+// Teacher review of AI grading. Any graded attempt (text, voice or
+// handwritten) can be overridden: the first override keeps the AI's verdict
+// on the attempt as `original`, every change is logged in the `reviews`
+// collection, and the session's score, total and level are recomputed from
+// its attempts. The review log is what grading accuracy is measured from.
+
+// Levels of sessions graded as a whole; text sessions keep their adaptive
+// difficulty (easy/medium/hard) as level, which an override does not change
+const GRADED_LEVELS = ['Beginner', 'Intermediate', 'Advanced'];
+
+// The lines of a voice transcript around one Q&A, for checking the grading against
+function transcriptSnippet(transcript, question, answer, context = 1) {
+	const lines = String(transcript || '').split(/\n+/).map(l => l.trim()).filter(Boolean);
+	const find = (text, from = 0) => {
+		const needle = String(text || '').trim().toLowerCase().slice(0, 60);
+		if (!needle) return -1;
+		const i = lines.slice(from).findIndex(l => l.toLowerCase().includes(needle));
+		return i < 0 ? -1 : i + from;
+	};
+	const q = find(question);
+	const a = find(answer, Math.max(q, 0));
+	const found = [q, a].filter(i => i >= 0);
+	if (!found.length) return '';
+	return lines.slice(Math.max(0, Math.min(...found) - context), Math.max(...found) + context + 1).join('\n');
+}
+
+// What a teacher looks at to judge one attempt
+function evidenceFor(session, attempt) {
+	if (attempt.evidence) return attempt.evidence;
+	if (session.type === 'handwritten') {
+		const page = attempt.page || 1;
+		const url = `/api/admin/sessions/${session.id}/image?page=${page}`;
+		// The answer box alone, when the grader found one
+		return { kind: 'image', url, page, region: attempt.region || null, cropUrl: attempt.region ? `${url}&attempt=${encodeURIComponent(attempt.id)}` : null };
+	}
+	return { kind: 'text', answer: attempt.a };
+}
+
+function queueItem(session, attempt) {
+	return {
+		attemptId: attempt.id,
+		sessionId: session.id,
+		courseId: session.courseId,
+		learnerId: session.learnerId || null,
+		learnerName: session.name,
+		type: session.type || 'text',
+		createdAt: attempt.createdAt,
+		question: attempt.q,
+		answer: attempt.a,
+		expected: attempt.expected || null,
+		correct: attempt.correct ?? null,
+		feedback: attempt.feedback || '',
+		confidence: attempt.confidence ?? null,
+		needsReview: !!attempt.needsReview,
+		reviewedAt: attempt.reviewedAt || null,
+		original: attempt.original || null,
+		evidence: evidenceFor(session, attempt),
+	};
+}
+
+/**
+ * Attempts of a course waiting for a teacher (flagged by the grader), oldest
+ * first; with `all` every graded attempt, so AI decisions can be spot-checked.
+ */
+async function queue(courseId, { all = false, type, learnerId } = {}) {
+	const sessions = await db.getSessions({ courseId, learnerId });
+	const attempts = await db.getCourseAttempts(courseId);
+	const items = [];
+	for (const attempt of attempts) {
+		const session = sessions[attempt.sessionId];
+		if (!session || (type && (session.type || 'text') !== type)) continue;
+		if (all || attempt.needsReview) items.push(queueItem(session, attempt));
+	}
+	items.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+	return { items, pending: items.filter(i => i.needsReview).length };
+}
+
+// Score, total and level from the attempts as they now stand
+async function rescore(store, session) {
+	const attempts = await store.getAttempts(session.id);
+	const graded = attempts.filter(a => a.correct === true || a.correct === false);
+	const score = graded.filter(a => a.correct).length;
+	const updated = {
+		...session,
+		score,
+		total: graded.length,
+		pending: attempts.length - graded.length,
+		level: GRADED_LEVELS.includes(session.level) ? levelFor(score, graded.length) : session.level,
+	};
+	await store.saveSession(session.id, updated);
+	return updated;
+}
+
+/**
+ * Override one attempt's grading ({ correct, feedback, note }) as `user`.
+ * Returns { attempt, session, review }, or null when the attempt is unknown.
+ */
+async function override(attemptId, { correct, feedback, note } = {}, user) {
+	return db.transaction(async (tx) => {
+		const attempt = await tx.getAttempt(attemptId);
+		if (!attempt) return null;
+		const session = await tx.getSession(attempt.sessionId);
+		if (!session) return null;
+		const now = new Date().toISOString();
+		const before = { correct: attempt.correct ?? null, feedback: attempt.feedback || '' };
+		const after = {
+			correct: correct === undefined ? before.correct : correct,
+			feedback: feedback === undefined ? before.feedback : String(feedback),
+		};
+		const updated = {
+			...attempt,
+			...after,
+			original: attempt.original || { ...before, confidence: attempt.confidence ?? null },
+			needsReview: after.correct === null,
+			reviewedBy: user.id,
+			reviewedAt: now,
+		};
+		await tx.saveAttempt(updated);
+		const review = await tx.addReview({
+			id: uuidv4(),
+			attemptId,
+			sessionId: session.id,
+			courseId: session.courseId,
+			learnerId: session.learnerId || null,
+			type: session.type || 'text',
+			userId: user.id,
+			username: user.username,
+			before,
+			after,
+			note: note ? String(note) : '',
+			createdAt: now,
+		});
+		return { attempt: updated, session: await rescore(tx, session), review };
+	});
+}
+
+/**
+ * How often teachers agreed with the AI, per session type. For each reviewed
+ * attempt the AI's verdict (before the first override) is compared with the
+ * final one; items the grader left for review count as `resolved` instead.
+ */
+async function stats(courseId) {
+	const reviews = (await db.getReviews({ courseId })).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+	const byAttempt = new Map();
+	for (const r of reviews) {
+		if (!byAttempt.has(r.attemptId)) byAttempt.set(r.attemptId, { type: r.type, first: r.before, last: r.after });
+		else byAttempt.get(r.attemptId).last = r.after;
+	}
+	const empty = () => ({ reviewed: 0, overturned: 0, resolved: 0, agreement: null });
+	const bySource = {};
+	const overall = empty();
+	for (const { type, first, last } of byAttempt.values()) {
+		const counts = bySource[type] || (bySource[type] = empty());
+		for (const c of [counts, overall]) {
+			if (first.correct === null) c.resolved++;
+			else {
+				c.reviewed++;
+				if (last.correct !== first.correct) c.overturned++;
+			}
+		}
+	}
+	for (const c of [overall, ...Object.values(bySource)]) c.agreement = c.reviewed ? (c.reviewed - c.overturned) / c.reviewed : null;
+	return { overrides: reviews.length, attempts: byAttempt.size, ...overall, bySource };
+}
+
+module.exports = {
+	transcriptSnippet,
+	evidenceFor,
+	queue,
+	override,
+	stats,
+};
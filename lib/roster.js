@@ -0,0 +1,166 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+
+// Learner accounts and per-course rosters. A learner is
+//   { id, name, grade, language: 'hi'|'en'|null, className, section, createdAt }
+// and every session (text, voice, handwritten) records the learner's id.
+
+const LANGUAGES = ['hi', 'en'];
+const LANGUAGE_NAMES = { hindi: 'hi', english: 'en' };
+// Name the clients send when the child typed none; never matched to a roster entry
+const DEFAULT_NAME = 'Learner';
+
+// CSV header spellings teachers use, mapped to learner fields
+const HEADERS = {
+	id: 'id', 'learner id': 'id', learnerid: 'id',
+	name: 'name', 'learner name': 'name', student: 'name', 'student name': 'name',
+	grade: 'grade', std: 'grade', standard: 'grade',
+	language: 'language', lang: 'language', 'preferred language': 'language',
+	class: 'className', classname: 'className', 'class name': 'className',
+	section: 'section', div: 'section', division: 'section',
+};
+
+// RFC 4180 style: quoted fields may contain commas, newlines and "" escapes
+function parseCsv(text) {
+	const rows = [];
+	let row = [], field = '', quoted = false;
+	const src = String(text || '').replace(/^\uFEFF/, '');
+	for (let i = 0; i < src.length; i++) {
+		const ch = src[i];
+		if (quoted) {
+			if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+			else if (ch === '"') quoted = false;
+			else field += ch;
+		} else if (ch === '"') {
+			quoted = true;
+		} else if (ch === ',') {
+			row.push(field); field = '';
+		} else if (ch === '\n' || ch === '\r') {
+			if (ch === '\r' && src[i + 1] === '\n') i++;
+			row.push(field); field = '';
+			rows.push(row); row = [];
+		} else {
+			field += ch;
+		}
+	}
+	if (field || row.length) { row.push(field); rows.push(row); }
+	return rows.filter(r => r.some(cell => cell.trim()));
+}
+
+function normalizeLearner(input) {
+	const out = {};
+	for (const field of ['name', 'grade', 'className', 'section']) {
+		if (input[field] !== undefined && input[field] !== null) out[field] = String(input[field]).trim();
+	}
+	if (input.language !== undefined && input.language !== null) {
+		const lang = String(input.language).trim().toLowerCase();
+		out.language = LANGUAGE_NAMES[lang] || lang || null;
+	}
+	return out;
+}
+
+function validateLearner(input, { partial = false } = {}) {
+	if (!partial || input.name !== undefined) {
+		if (typeof input.name !== 'string' || !input.name.trim()) return 'name required';
+	}
+	if (input.language && !LANGUAGES.includes(input.language)) return 'language must be hi or en';
+	return null;
+}
+
+// `flags` are stored as-is, e.g. { adHoc: true } for learners created from a typed name
+async function createLearner(input, store = db, flags = {}) {
+	const learner = { id: uuidv4(), grade: '', language: null, className: '', section: '', ...normalizeLearner(input), ...flags, createdAt: new Date().toISOString() };
+	await store.saveLearner(learner.id, learner);
+	return learner;
+}
+
+async function updateLearner(learnerId, changes, store = db) {
+	const learner = await store.getLearner(learnerId);
+	if (!learner) return null;
+	const updated = { ...learner, ...normalizeLearner(changes), updatedAt: new Date().toISOString() };
+	await store.saveLearner(learnerId, updated);
+	return updated;
+}
+
+const sameLearner = (a, b) => ['name', 'className', 'section'].every(f => String(a[f] || '').toLowerCase() === String(b[f] || '').toLowerCase());
+
+/**
+ * Import a roster CSV (header row required, `name` column mandatory) into a
+ * course. Rows with an `id` update that learner; other rows update the
+ * enrolled learner with the same name, class and section, or create one, so
+ * re-importing the same sheet is safe.
+ */
+async function importRoster(courseId, csv) {
+	const [header, ...rows] = parseCsv(csv);
+	if (!header) return { error: 'csv is empty' };
+	const columns = header.map(h => HEADERS[h.trim().toLowerCase()] || null);
+	if (!columns.includes('name')) return { error: 'csv needs a name column' };
+
+	const result = { created: 0, updated: 0, enrolled: 0, errors: [] };
+	await db.transaction(async (tx) => {
+		const roster = await tx.getRoster(courseId);
+		for (const [index, row] of rows.entries()) {
+			const line = index + 2;
+			const record = Object.fromEntries(columns.map((field, i) => [field, row[i]]).filter(([field]) => field));
+			const input = normalizeLearner(record);
+			const error = validateLearner(input);
+			if (error) {
+				result.errors.push({ line, error });
+				continue;
+			}
+			let learner = record.id ? await tx.getLearner(record.id.trim()) : roster.find(l => sameLearner(l, input));
+			if (record.id && !learner) {
+				result.errors.push({ line, error: `unknown learner id ${record.id.trim()}` });
+				continue;
+			}
+			if (learner) {
+				learner = await updateLearner(learner.id, input, tx);
+				result.updated++;
+			} else {
+				learner = await createLearner(input, tx);
+				roster.push(learner);
+				result.created++;
+			}
+			const enrollments = await tx.getEnrollments({ courseId, learnerId: learner.id });
+			if (!enrollments.length) {
+				await tx.enroll(courseId, learner.id);
+				result.enrolled++;
+			}
+		}
+	});
+	return result;
+}
+
+/**
+ * The learner a session belongs to. An explicit learnerId must exist and be
+ * enrolled in the course (null otherwise). With only a name, the course's
+ * enrolled learner of that name is used when there is exactly one, unless the
+ * caller (`user`) is a learner login; otherwise a new learner is created and
+ * enrolled, so every session still has a learner id.
+ */
+async function resolveLearner(courseId, { learnerId, learnerName, user = null } = {}) {
+	if (learnerId) {
+		const enrolled = await db.getEnrollments({ courseId, learnerId: String(learnerId) });
+		return enrolled.length ? db.getLearner(String(learnerId)) : null;
+	}
+	const name = String(learnerName || '').trim();
+	if (name && name !== DEFAULT_NAME && user?.role !== 'learner') {
+		const matches = (await db.getRoster(courseId)).filter(l => l.name.toLowerCase() === name.toLowerCase());
+		if (matches.length === 1) return matches[0];
+	}
+	return db.transaction(async (tx) => {
+		const learner = await createLearner({ name: name || DEFAULT_NAME }, tx, { adHoc: true });
+		await tx.enroll(courseId, learner.id);
+		return learner;
+	});
+}
+
+module.exports = {
+	LANGUAGES,
+	parseCsv,
+	validateLearner,
+	createLearner,
+	updateLearner,
+	importRoster,
+	resolveLearner,
+};
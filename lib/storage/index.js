@@ -0,0 +1,35 @@
+const path = require('path');
+
+// Collections and the document fields they are queried by
+const COLLECTIONS = [
+	{ name: 'courses' },
+	{ name: 'materials', indexes: ['courseId'] },
+	{ name: 'prompts' },
+	{ name: 'banks' },
+	{ name: 'bankVersions', indexes: ['courseId'] },
+	{ name: 'sessions', indexes: ['courseId', 'learnerId'] },
+	{ name: 'attempts', indexes: ['sessionId', 'courseId'] },
+	{ name: 'learners' },
+	{ name: 'enrollments', indexes: ['courseId', 'learnerId'] },
+	{ name: 'users', indexes: ['username', 'role'] },
+	{ name: 'authSessions', indexes: ['userId'] },
+	{ name: 'papers', indexes: ['courseId'] },
+	{ name: 'jobs', indexes: ['courseId', 'status'] },
+	{ name: 'reviews', indexes: ['courseId', 'sessionId', 'attemptId'] },
+	{ name: 'paperTemplates', indexes: ['courseId'] },
+	{ name: 'paperItems', indexes: ['courseId'] },
+	{ name: 'voiceLogs', indexes: ['courseId'] },
+];
+
+// STORAGE=sqlite (default) or kv (default on Vercel, whose disk is ephemeral)
+function createStore({ kind, dataDir } = {}) {
+	const backend = kind || process.env.STORAGE || (process.env.VERCEL === '1' ? 'kv' : 'sqlite');
+	if (backend === 'kv') return require('./kv')();
+	if (backend === 'sqlite') {
+		const dir = dataDir || process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data');
+		return require('./sqlite')({ file: path.join(dir, 'prathamlearn.sqlite'), collections: COLLECTIONS });
+	}
+	throw new Error(`unknown STORAGE backend: ${backend}`);
+}
+
+module.exports = { COLLECTIONS, createStore };
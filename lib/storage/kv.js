@@ -0,0 +1,71 @@
+const { kv } = require('@vercel/kv');
+
+// Vercel KV store for serverless deployments where the filesystem is not
+// persistent. Documents live under `<collection>:<id>` and insertion order in
+// a sorted set `<collection>:ids`. Filtering happens in memory. Transactions
+// are serialized within this instance but cannot be rolled back.
+
+function createKvStore() {
+	let lock = Promise.resolve();
+	let seq = 0;
+
+	function exclusive(fn) {
+		const run = lock.then(fn);
+		lock = run.catch(() => {});
+		return run;
+	}
+
+	function matches(doc, where = {}) {
+		return Object.entries(where).every(([field, value]) => {
+			if (value === undefined) return true;
+			const actual = doc[field] === undefined ? null : doc[field];
+			return Array.isArray(value) ? value.includes(actual) : actual === value;
+		});
+	}
+
+	function table(name) {
+		const key = id => `${name}:${id}`;
+		const t = {
+			async get(id) {
+				return (await kv.get(key(id))) || null;
+			},
+			async list(where) {
+				const ids = await kv.zrange(`${name}:ids`, 0, -1);
+				if (!ids.length) return [];
+				const docs = await kv.mget(...ids.map(key));
+				return docs.filter(doc => doc && matches(doc, where));
+			},
+			async put(doc) {
+				if (!doc || doc.id === undefined || doc.id === null) throw new Error(`${name}: document id required`);
+				await kv.set(key(doc.id), doc);
+				await kv.zadd(`${name}:ids`, { nx: true }, { score: Date.now() * 1000 + (seq++ % 1000), member: String(doc.id) });
+				return doc;
+			},
+			async remove(id) {
+				const removed = await kv.del(key(id));
+				await kv.zrem(`${name}:ids`, String(id));
+				return removed > 0;
+			},
+			async removeWhere(where) {
+				const docs = await t.list(where);
+				for (const doc of docs) await t.remove(doc.id);
+				return docs.length;
+			},
+		};
+		return t;
+	}
+
+	function collection(name) {
+		const t = table(name);
+		return Object.fromEntries(Object.keys(t).map(op => [op, (...args) => exclusive(() => t[op](...args))]));
+	}
+
+	function transaction(fn) {
+		return exclusive(() => fn({ collection: table }));
+	}
+
+	// Every write goes straight to KV; nothing to flush
+	return { kind: 'kv', ready: Promise.resolve({ created: false }), collection, transaction, flush: async () => {} };
+}
+
+module.exports = createKvStore;
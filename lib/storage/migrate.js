@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+
+// Imports the pre-SQLite JSON layout into the storage interface:
+//   data/db.json            { courses: { id: course } }  (server.js)
+//   data/courses.json       { id: course }               (old db.js file fallback)
+//   data/courses/<id>/      material.txt, system-prompt.txt|prompt.txt,
+//                           question-bank.json, question-bank.versions.json
+//   data/sessions.json      { sessions: { id: session with history[] } }
+// Records that already exist in the store are left untouched.
+
+function readJSON(filePath, fallback) {
+	try {
+		return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+	} catch {
+		return fallback;
+	}
+}
+
+function readText(filePath) {
+	return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+}
+
+// The realtime client used to store raw data-channel events as answers
+function isRealtimeEvent(answer) {
+	if (typeof answer !== 'string' || !answer.startsWith('{')) return false;
+	try {
+		return typeof JSON.parse(answer).type === 'string';
+	} catch {
+		return false;
+	}
+}
+
+async function importLegacyData(db, dataDir) {
+	const counts = { courses: 0, sessions: 0 };
+	const courses = {
+		...readJSON(path.join(dataDir, 'courses.json'), {}),
+		...(readJSON(path.join(dataDir, 'db.json'), {}).courses || {}),
+	};
+	const sessions = readJSON(path.join(dataDir, 'sessions.json'), {}).sessions || {};
+
+	await db.transaction(async (tx) => {
+		for (const [courseId, record] of Object.entries(courses)) {
+			if (!record || await tx.getCourse(courseId)) continue;
+			const { materialTextPath, promptPath, questionBankPath, ...course } = record;
+			const dir = path.join(dataDir, 'courses', courseId);
+			await tx.saveCourse(courseId, { ...course, id: courseId });
+
+			const material = readText(path.join(dir, 'material.txt'));
+			if (material !== null) await tx.addSection(courseId, { id: 'main', title: 'Material', source: 'material.txt', text: material });
+			const prompt = readText(path.join(dir, 'system-prompt.txt')) ?? readText(path.join(dir, 'prompt.txt'));
+			if (prompt !== null) await tx.savePrompt(courseId, prompt);
+
+			const versions = readJSON(path.join(dir, 'question-bank.versions.json'), { versions: [] }).versions || [];
+			for (const entry of versions) await tx.saveBankVersion(courseId, entry);
+			const bank = readJSON(path.join(dir, 'question-bank.json'), null);
+			if (!versions.length && bank && Array.isArray(bank.questions) && bank.questions.length) {
+				await tx.saveBankVersion(courseId, { version: 1, createdAt: course.createdAt || new Date().toISOString(), source: 'imported', note: 'imported from question-bank.json', questions: bank.questions });
+			}
+			counts.courses++;
+		}
+
+		for (const [sessionId, record] of Object.entries(sessions)) {
+			if (!record || await tx.getSession(sessionId)) continue;
+			const { history = [], ...session } = record;
+			await tx.saveSession(sessionId, { ...session, id: sessionId });
+			const attempts = history.filter(h => !isRealtimeEvent(h.a));
+			for (const h of attempts) await tx.addAttempt({ ...session, id: sessionId }, { q: h.q, a: h.a, correct: h.correct, feedback: h.feedback });
+			counts.sessions++;
+		}
+	});
+	return counts;
+}
+
+module.exports = { importLegacyData };
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+
+// Embedded SQLite (sql.js/WASM) store. Each collection is a table of JSON
+// documents keyed by id; declared index fields get expression indexes so
+// `list({ field: value })` stays cheap. All access is serialized through one
+// lock. The database lives in memory; committed writes mark it dirty and it
+// is written to disk (atomic rename) at most once per SQLITE_FLUSH_MS, so a
+// burst of writes costs one file write. flush() writes it out now, and the
+// process writes any pending changes before it exits.
+
+const FLUSH_MS = Number(process.env.SQLITE_FLUSH_MS || 1000);
+
+function createSqliteStore({ file, collections }) {
+	let sql = null;
+	let lock = Promise.resolve();
+	let dirty = false;
+	let timer = null;
+	let writing = null;   // Promise of the file write in progress
+
+	const ready = (async () => {
+		const SQL = await initSqlJs();
+		const existed = !!file && fs.existsSync(file);
+		sql = existed ? new SQL.Database(fs.readFileSync(file)) : new SQL.Database();
+		for (const { name, indexes = [] } of collections) {
+			sql.run(`CREATE TABLE IF NOT EXISTS "${name}" (id TEXT PRIMARY KEY, data TEXT NOT NULL, updated_at TEXT NOT NULL)`);
+			for (const field of indexes) {
+				sql.run(`CREATE INDEX IF NOT EXISTS "idx_${name}_${field}" ON "${name}" (json_extract(data, '$.${field}'))`);
+			}
+		}
+		return { created: !existed };
+	})();
+
+	function exclusive(fn) {
+		const run = lock.then(() => ready).then(fn);
+		lock = run.catch(() => {});
+		return run;
+	}
+
+	// Mark committed changes for the next scheduled flush
+	function persist() {
+		if (!file) return;
+		dirty = true;
+		if (!timer) {
+			timer = setTimeout(() => flush().catch(err => console.error('[DB] Flush failed:', err?.message || err)), FLUSH_MS);
+			timer.unref();
+		}
+	}
+
+	/** Write pending changes to the file; resolves once they are on disk. */
+	async function flush() {
+		clearTimeout(timer);
+		timer = null;
+		while (writing) await writing.catch(() => {});
+		if (!dirty || !file) return;
+		dirty = false;
+		const current = writing = (async () => {
+			// Taking the snapshot under the lock keeps open transactions out of it
+			const data = await exclusive(() => Buffer.from(sql.export()));
+			await fs.promises.mkdir(path.dirname(file), { recursive: true });
+			const tmp = `${file}.tmp`;
+			await fs.promises.writeFile(tmp, data);
+			await fs.promises.rename(tmp, file);
+		})();
+		try {
+			await current;
+		} catch (err) {
+			dirty = true;
+			throw err;
+		} finally {
+			if (writing === current) writing = null;
+		}
+	}
+
+	// Last chance for changes still waiting on the timer; must be synchronous
+	process.on('exit', () => {
+		if (!dirty || !file || !sql) return;
+		fs.mkdirSync(path.dirname(file), { recursive: true });
+		fs.writeFileSync(`${file}.tmp`, Buffer.from(sql.export()));
+		fs.renameSync(`${file}.tmp`, file);
+	});
+
+	function bindValue(value) {
+		if (typeof value === 'boolean') return value ? 1 : 0;
+		return value;
+	}
+
+	function whereClause(where = {}) {
+		const clauses = [];
+		const params = [];
+		for (const [field, value] of Object.entries(where)) {
+			if (value === undefined) continue;
+			if (value === null) {
+				clauses.push(`json_extract(data, '$.${field}') IS NULL`);
+			} else if (Array.isArray(value)) {
+				clauses.push(`json_extract(data, '$.${field}') IN (${value.map(() => '?').join(', ') || 'NULL'})`);
+				params.push(...value.map(bindValue));
+			} else {
+				clauses.push(`json_extract(data, '$.${field}') = ?`);
+				params.push(bindValue(value));
+			}
+		}
+		return { sql: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+	}
+
+	function query(statement, params = []) {
+		const stmt = sql.prepare(statement);
+		try {
+			stmt.bind(params);
+			const rows = [];
+			while (stmt.step()) rows.push(stmt.getAsObject());
+			return rows;
+		} finally {
+			stmt.free();
+		}
+	}
+
+	// Synchronous table operations; callers hold the lock
+	function table(name) {
+		return {
+			get(id) {
+				const [row] = query(`SELECT data FROM "${name}" WHERE id = ?`, [String(id)]);
+				return row ? JSON.parse(row.data) : null;
+			},
+			list(where) {
+				const clause = whereClause(where);
+				return query(`SELECT data FROM "${name}" ${clause.sql} ORDER BY rowid`, clause.params).map(r => JSON.parse(r.data));
+			},
+			put(doc) {
+				if (!doc || doc.id === undefined || doc.id === null) throw new Error(`${name}: document id required`);
+				sql.run(
+					`INSERT INTO "${name}" (id, data, updated_at) VALUES (?, ?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`,
+					[String(doc.id), JSON.stringify(doc), new Date().toISOString()]
+				);
+				return doc;
+			},
+			remove(id) {
+				sql.run(`DELETE FROM "${name}" WHERE id = ?`, [String(id)]);
+				return sql.getRowsModified() > 0;
+			},
+			removeWhere(where) {
+				const clause = whereClause(where);
+				sql.run(`DELETE FROM "${name}" ${clause.sql}`, clause.params);
+				return sql.getRowsModified();
+			},
+		};
+	}
+
+	const WRITES = new Set(['put', 'remove', 'removeWhere']);
+
+	// Async collection API; each call takes the lock, writes are scheduled for flushing
+	function collection(name) {
+		const t = table(name);
+		return Object.fromEntries(Object.keys(t).map(op => [op, (...args) => exclusive(() => {
+			const result = t[op](...args);
+			if (WRITES.has(op)) persist();
+			return result;
+		})]));
+	}
+
+	// Collections bound to an open transaction: no locking, no flush
+	function txCollection(name) {
+		const t = table(name);
+		return Object.fromEntries(Object.keys(t).map(op => [op, async (...args) => t[op](...args)]));
+	}
+
+	/**
+	 * Run `fn(tx)` atomically. `tx.collection(name)` must be used for all
+	 * reads and writes inside `fn`; calling the store itself would deadlock.
+	 */
+	function transaction(fn) {
+		return exclusive(async () => {
+			sql.run('BEGIN');
+			try {
+				const result = await fn({ collection: txCollection });
+				sql.run('COMMIT');
+				persist();
+				return result;
+			} catch (err) {
+				sql.run('ROLLBACK');
+				throw err;
+			}
+		});
+	}
+
+	return { kind: 'sqlite', ready, collection, transaction, flush };
+}
+
+module.exports = createSqliteStore;
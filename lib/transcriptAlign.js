@@ -0,0 +1,202 @@
+const answerKey = require('./answerKey');
+const { romanize, phonetic } = require('./transliterate');
+
+// Deterministic pairing of questions and answers in a voice call, so the
+// model is only asked whether each answer is right, never which answer
+// belongs to which question.
+//   1. Assistant turns are matched to question bank items by fuzzy word
+//      overlap. Words compare on a phonetic key that folds transliteration:
+//      Devanagari is romanized and spellings are folded (c/k/q, w/v,
+//      aspirates, doubled letters, vowel groups), so "kao", "cow" and "काउ"
+//      share a key, and a bank answer given in both scripts ("Cow (गाय)")
+//      also matches "gaay". Turns that match nothing but ask something
+//      ("...?") are kept as questions outside the bank.
+//   2. Each learner turn belongs to the question asked most recently before
+//      it (the turn log is ordered by when turns started). A question asked
+//      again counts from its last asking; what was said before is kept as
+//      `earlier`. An answer given only after the next question was asked
+//      (older client transcripts) goes back to the unanswered question when
+//      it fits that question's answer better.
+// Every pair carries a confidence (0 to 1) for how sure the pairing is, and
+// `signals` saying what lowered it.
+
+// Pairs below this go to teacher review instead of being graded
+const REVIEW_THRESHOLD = Number(process.env.TRANSCRIPT_REVIEW_THRESHOLD || 0.5);
+// Share of a bank question's words an assistant turn must contain to count as asking it
+const QUESTION_MATCH = 0.6;
+
+const STOPWORDS = new Set([
+	'a', 'an', 'the', 'is', 'are', 'was', 'of', 'to', 'in', 'on', 'do', 'does', 'did', 'what', 'which', 'who', 'why', 'how', 'can', 'you', 'it', 'and', 'or', 'for', 'okay', 'alright',
+	// Hindi, romanized
+	'kya', 'hai', 'hain', 'ka', 'ki', 'ke', 'ko', 'se', 'men', 'aur', 'ya', 'yah', 'vah', 'kaun', 'kaise', 'kyon', 'to',
+]);
+
+function tokens(text) {
+	return answerKey.normalize(text).split(' ').filter(Boolean).map(raw => ({ raw, roman: romanize(raw), key: phonetic(raw) }));
+}
+
+const content = list => list.filter(t => !STOPWORDS.has(t.roman));
+
+function alike(a, b) {
+	if (a.roman === b.roman) return true;
+	if (a.key.length >= 2 && a.key === b.key) return true;
+	return a.roman.length >= 4 && b.roman.length >= 4 && answerKey.similarity(a.roman, b.roman) >= 0.8;
+}
+
+// Share (0 to 1) of the target's words found in `said`
+function coverage(said, target) {
+	const wanted = content(target);
+	if (!wanted.length) return 0;
+	return wanted.filter(w => said.some(t => alike(t, w))).length / wanted.length;
+}
+
+/**
+ * How well an answer fits an expected answer (0 to 1), trying each of its
+ * alternatives: "a / b", "a, b", "a or b" and "a (b)".
+ */
+function answerMatch(answer, expected) {
+	const said = tokens(answer);
+	const alternatives = String(expected || '').split(/\s*[/,;()]\s*|\s+(?:or|या)\s+/i).filter(s => s.trim());
+	return Math.max(0, ...alternatives.map(alt => coverage(said, tokens(alt))));
+}
+
+// What an assistant turn says, without the study plan block some modes end with
+const spoken = text => String(text || '').replace(/<<PLAN_START>>[\s\S]*?(?:<<PLAN_END>>|$)/g, ' ').trim();
+
+/**
+ * Turns from a transcript in text form: the server log's "[mm:ss] Speaker:"
+ * lines or an older client transcript, where learner lines start with
+ * "[USER ANSWER]:" or "User:" and everything else is the assistant.
+ */
+function parseTranscript(text) {
+	const turns = [];
+	for (const raw of String(text || '').split(/\n+/)) {
+		const time = raw.match(/^\s*\[(\d+):(\d\d)\]\s*/);
+		const line = raw.slice(time ? time[0].length : 0).trim();
+		if (!line || /^\(learner started speaking/.test(line)) continue;
+		const at = time ? (Number(time[1]) * 60 + Number(time[2])) * 1000 : null;
+		const learner = line.match(/^(?:\[USER ANSWER\]:|User:|Learner( \(typed\))?:)\s*(.*)$/);
+		if (learner) {
+			const inaudible = learner[2] === '(inaudible)';
+			turns.push({ kind: 'learner', at, text: inaudible ? '' : learner[2], ...(learner[1] ? { typed: true } : {}), ...(inaudible ? { inaudible: true } : {}) });
+			continue;
+		}
+		const assistant = line.match(/^Assistant( \((?:interrupted|cut off)\))?:\s*(.*)$/);
+		turns.push({ kind: 'assistant', at, text: assistant ? assistant[2] : line, ...(assistant?.[1] ? { interrupted: true } : {}) });
+	}
+	return turns;
+}
+
+// The bank item an assistant turn asks, a question outside the bank, or null
+function questionIn(turn, bank) {
+	const text = spoken(turn.text);
+	const said = tokens(text);
+	let best = null;
+	bank.forEach((item, index) => {
+		const score = coverage(said, item.tokens);
+		if (score >= QUESTION_MATCH && (!best || score > best.score)) best = { index, score };
+	});
+	if (best) return best;
+	const asked = text.split(/(?<=[.!?।])\s+/).filter(s => s.trim().endsWith('?'));
+	return asked.length ? { index: null, score: 0, text: asked.join(' ') } : null;
+}
+
+function confidenceOf(entry, timed) {
+	const factors = [];
+	const heard = entry.answers.filter(t => !t.inaudible && t.text);
+	if (entry.index === null) factors.push([0.6, 'question not found in the bank']);
+	else if (entry.score < 0.8) factors.push([entry.score, 'question only partly matches the bank']);
+	if (entry.cut) factors.push([0.7, 'question was cut off']);
+	if (!entry.answers.length) factors.push([0.6, 'no answer heard']);
+	else if (!heard.length) factors.push([0.5, 'answer was inaudible']);
+	if (heard.length > 1) factors.push([0.85, `answer given in ${heard.length} parts`]);
+	if (entry.late) factors.push([0.7, 'answer given after the next question']);
+	if (entry.earlier.length) factors.push([0.9, 'question asked again']);
+	if (!timed) factors.push([0.9, 'no turn timestamps']);
+	const confidence = factors.reduce((c, [f]) => c * f, 1);
+	return { confidence: Math.round(confidence * 100) / 100, signals: factors.map(([, why]) => why) };
+}
+
+/**
+ * Pair questions with answers from ordered `turns` (lib/voiceLog's turnsOf
+ * or parseTranscript) and the course's bank questions ({ q, a }). Returns
+ * { pairs, unassigned }: pairs in the order questions were first asked, as
+ * { question, expected, bankIndex, answer, earlier, askedAt, answeredAt,
+ * match, confidence, signals }, and the learner turns that followed no
+ * question.
+ */
+function align(turns, bankQuestions = []) {
+	const bank = bankQuestions.map(item => ({ ...item, tokens: tokens(item.q) }));
+	const entries = [];
+	const unassigned = [];
+	let open = null;
+	let previous = null;
+	for (const turn of turns) {
+		if (turn.kind === 'assistant') {
+			const found = questionIn(turn, bank);
+			const cut = !!(turn.interrupted || turn.unfinished);
+			if (!found) {
+				// Talking over something that was not a question leaves nothing to answer
+				if (cut) {
+					previous = open || previous;
+					open = null;
+				}
+				continue;
+			}
+			let entry = entries.find(e => found.index !== null ? e.index === found.index : e.index === null && e.text === found.text);
+			if (entry) {
+				entry.earlier.push(...entry.answers.filter(t => t.text).map(t => t.text));
+				entry.answers = [];
+				entry.late = false;
+			} else {
+				entry = { index: found.index, score: found.score, text: found.text, earlier: [], answers: [] };
+				entries.push(entry);
+			}
+			entry.askedAt = turn.at ?? null;
+			entry.cut = cut;
+			if (entry !== open) previous = open || previous;
+			open = entry;
+		} else if (turn.kind === 'learner') {
+			if (!open) {
+				unassigned.push(turn);
+				continue;
+			}
+			let target = open;
+			if (!open.answers.length && previous && previous.index !== null && !previous.answers.length && turn.text) {
+				const fits = answerMatch(turn.text, bank[previous.index].a);
+				if (fits >= 0.5 && fits > (open.index !== null ? answerMatch(turn.text, bank[open.index].a) : 0)) {
+					target = previous;
+					target.late = true;
+				}
+			}
+			target.answers.push(turn);
+		}
+	}
+
+	const timed = turns.some(t => t.at !== null && t.at !== undefined);
+	const pairs = entries.map(entry => {
+		const item = entry.index !== null ? bank[entry.index] : null;
+		const answer = entry.answers.filter(t => !t.inaudible && t.text).map(t => t.text.trim()).join(' ');
+		return {
+			question: item ? item.q : entry.text,
+			expected: item ? item.a : null,
+			bankIndex: entry.index,
+			answer,
+			earlier: entry.earlier,
+			askedAt: entry.askedAt,
+			answeredAt: entry.answers[0]?.at ?? null,
+			match: item && answer ? Math.round(answerMatch(answer, item.a) * 100) / 100 : null,
+			...confidenceOf(entry, timed),
+		};
+	});
+	return { pairs, unassigned };
+}
+
+module.exports = {
+	REVIEW_THRESHOLD,
+	romanize,
+	phonetic,
+	answerMatch,
+	parseTranscript,
+	align,
+};
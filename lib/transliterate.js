@@ -0,0 +1,46 @@
+// Devanagari and Latin spellings of the same spoken word, for comparing a
+// transcript or a typed answer with text in the other script.
+
+const VOWELS = { 'अ': 'a', 'आ': 'a', 'इ': 'i', 'ई': 'i', 'उ': 'u', 'ऊ': 'u', 'ऋ': 'ri', 'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au' };
+const SIGNS = { 'ा': 'a', 'ि': 'i', 'ी': 'i', 'ु': 'u', 'ू': 'u', 'ृ': 'ri', 'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ं': 'n', 'ः': 'h', '्': '' };
+const CONSONANTS = {
+	'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n', 'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+	'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n', 'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+	'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm', 'य': 'y', 'र': 'r', 'ल': 'l', 'व': 'v',
+	'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h',
+};
+
+// Devanagari in Latin letters; a consonant's inherent "a" is dropped before
+// a vowel sign or virama and at the end of a word, but kept before anusvara
+// and visarga (गाय = gay, कमल = kamal, संश्लेषण = sanshleshan)
+function romanize(word) {
+	const chars = Array.from(word);
+	return chars.map((c, i) => {
+		if (VOWELS[c] !== undefined) return VOWELS[c];
+		if (SIGNS[c] !== undefined) return SIGNS[c];
+		if (CONSONANTS[c] === undefined) return c;
+		const next = chars[i + 1];
+		return CONSONANTS[c] + (next === undefined || (SIGNS[next] !== undefined && next !== 'ं' && next !== 'ः') ? '' : 'a');
+	}).join('');
+}
+
+// One key for the ways a word can be heard and spelled
+function phonetic(word) {
+	return romanize(word)
+		.replace(/(.)\1+/g, '$1')
+		.replace(/ao|au|aw|ow|ou/g, 'u')
+		.replace(/ai|ay|ei|ey/g, 'i')
+		.replace(/ph/g, 'f')
+		.replace(/([kgcjtdpbs])h/g, '$1')
+		.replace(/c(?=[eiy])/g, 's')
+		.replace(/[cq]/g, 'k')
+		.replace(/x/g, 'ks')
+		.replace(/z/g, 'j')
+		.replace(/w/g, 'v')
+		.replace(/e/g, 'i')
+		.replace(/o/g, 'u')
+		.replace(/y(?![aiu])/g, 'i')
+		.replace(/(.)\1+/g, '$1');
+}
+
+module.exports = { romanize, phonetic };
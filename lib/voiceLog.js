@@ -0,0 +1,198 @@
+// The turn log of a voice session, built on the server from the realtime
+// data-channel events the browser forwards in batches while the call runs,
+// so a closed tab loses at most the last unsent batch. Only what was said is
+// kept, as turns ordered by when they started:
+//   { kind: 'assistant', at, text, responseId, interrupted? }
+//   { kind: 'learner', at, text, itemId, typed?, inaudible? }
+//   { kind: 'interruption', at, responseId }   learner spoke over the assistant
+// Everything else (rate limits, audio buffer bookkeeping, ...) only moves
+// the bookkeeping in `state` or is dropped. Events are deduplicated by
+// event_id, so a batch that is sent twice is harmless.
+//
+// Stored as one voiceLogs document per session:
+//   { id: sessionId, sessionId, courseId, startedAt, updatedAt, events, turns, state,
+//     endedAt?, endReason? }   set once the call's mode says it is over (lib/voiceModes)
+
+const MAX_BATCH = 500;
+const SEEN_LIMIT = 2000;
+
+function create(session) {
+	return {
+		id: session.id,
+		sessionId: session.id,
+		courseId: session.courseId,
+		startedAt: null,
+		updatedAt: null,
+		events: 0,
+		turns: [],
+		// open: responses still generating; playing: response whose audio is
+		// being heard; speechAt: when each learner utterance started;
+		// pending: assistant text received so far, by item
+		state: { seen: [], open: {}, playing: null, speechAt: {}, pending: {} },
+	};
+}
+
+// Client timestamps (ms) are trusted if they are plausible, else arrival time
+function timeOf(at, now) {
+	const ms = typeof at === 'string' ? Date.parse(at) : Number(at);
+	return Number.isFinite(ms) && Math.abs(ms - now) < 24 * 60 * 60 * 1000 ? new Date(ms).toISOString() : new Date(now).toISOString();
+}
+
+// Keep turns ordered by start; a learner transcript often arrives after the
+// assistant has already started its next turn
+function insert(log, turn) {
+	let i = log.turns.length;
+	while (i > 0 && log.turns[i - 1].at > turn.at) i--;
+	log.turns.splice(i, 0, turn);
+}
+
+function finishAssistant(log, key, { text, interrupted = false } = {}) {
+	const pending = log.state.pending[key];
+	delete log.state.pending[key];
+	const said = String(text ?? pending?.text ?? '').trim();
+	if (!said) return;
+	const turn = { kind: 'assistant', at: pending?.at, text: said, responseId: pending?.responseId || null };
+	if (interrupted || pending?.interrupted) turn.interrupted = true;
+	insert(log, turn);
+}
+
+function learnerSaid(log, itemId, at, fields) {
+	const started = itemId && log.state.speechAt[itemId];
+	if (itemId) delete log.state.speechAt[itemId];
+	insert(log, { kind: 'learner', at: started || at, itemId: itemId || null, ...fields });
+}
+
+function assistantText(log, event, at) {
+	const key = event.item_id || event.response_id;
+	const pending = log.state.pending[key] || (log.state.pending[key] = { at: log.state.open[event.response_id] || at, responseId: event.response_id || null, text: '' });
+	return pending;
+}
+
+function applyOne(log, event, at) {
+	const { state } = log;
+	switch (event.type) {
+	case 'response.created':
+		if (event.response?.id) state.open[event.response.id] = at;
+		break;
+	case 'response.audio_transcript.delta':
+	case 'response.text.delta':
+	case 'response.output_audio_transcript.delta':
+	case 'response.output_text.delta':
+		assistantText(log, event, at).text += event.delta || '';
+		break;
+	case 'response.audio_transcript.done':
+	case 'response.text.done':
+	case 'response.output_audio_transcript.done':
+	case 'response.output_text.done':
+		assistantText(log, event, at);
+		finishAssistant(log, event.item_id || event.response_id, { text: event.transcript ?? event.text });
+		break;
+	case 'response.done': {
+		const id = event.response?.id;
+		delete state.open[id];
+		const cut = event.response?.status && event.response.status !== 'completed';
+		for (const [key, pending] of Object.entries(state.pending)) {
+			if (pending.responseId === id) finishAssistant(log, key, { interrupted: cut });
+		}
+		break;
+	}
+	case 'output_audio_buffer.started':
+		state.playing = event.response_id || null;
+		break;
+	case 'output_audio_buffer.stopped':
+	case 'output_audio_buffer.cleared':
+		state.playing = null;
+		break;
+	case 'input_audio_buffer.speech_started': {
+		if (event.item_id) state.speechAt[event.item_id] = at;
+		const talking = state.playing || Object.keys(state.open)[0];
+		if (!talking) break;
+		insert(log, { kind: 'interruption', at, responseId: talking });
+		const cut = log.turns.find(t => t.kind === 'assistant' && t.responseId === talking);
+		if (cut) cut.interrupted = true;
+		for (const pending of Object.values(state.pending)) {
+			if (pending.responseId === talking) pending.interrupted = true;
+		}
+		break;
+	}
+	case 'conversation.item.input_audio_transcription.completed':
+		learnerSaid(log, event.item_id, at, String(event.transcript || '').trim() ? { text: String(event.transcript).trim() } : { text: '', inaudible: true });
+		break;
+	case 'conversation.item.input_audio_transcription.failed':
+		learnerSaid(log, event.item_id, at, { text: '', inaudible: true });
+		break;
+	case 'conversation.item.created': {
+		// Typed answers; spoken ones arrive as transcriptions
+		const item = event.item || {};
+		const typed = item.role === 'user' && (item.content || []).find(c => c.type === 'input_text')?.text;
+		if (typed && String(typed).trim()) learnerSaid(log, item.id, at, { text: String(typed).trim(), typed: true });
+		break;
+	}
+	default:
+		return false;
+	}
+	return true;
+}
+
+/**
+ * Apply a batch of { at, event } entries to the log in place. Returns how
+ * many events changed it; duplicates and ignored event types do not count.
+ */
+function apply(log, entries, now = Date.now()) {
+	const seen = new Set(log.state.seen);
+	let applied = 0;
+	for (const entry of entries) {
+		const event = entry?.event;
+		if (!event || typeof event.type !== 'string') continue;
+		if (event.event_id) {
+			if (seen.has(event.event_id)) continue;
+			seen.add(event.event_id);
+			log.state.seen.push(event.event_id);
+		}
+		const at = timeOf(entry.at, now);
+		if (applyOne(log, event, at)) {
+			applied++;
+			if (!log.startedAt || at < log.startedAt) log.startedAt = at;
+		}
+	}
+	if (log.state.seen.length > SEEN_LIMIT) log.state.seen = log.state.seen.slice(-SEEN_LIMIT);
+	log.events += applied;
+	log.updatedAt = new Date(now).toISOString();
+	return applied;
+}
+
+// Finished turns plus assistant text that never finished (the tab closed
+// mid-sentence), in order
+function turnsOf(log) {
+	if (!log) return [];
+	const unfinished = Object.values(log.state?.pending || {})
+		.filter(p => p.text.trim())
+		.map(p => ({ kind: 'assistant', at: p.at, text: p.text.trim(), responseId: p.responseId, unfinished: true }));
+	const turns = [ ...log.turns ];
+	for (const turn of unfinished) insert({ turns }, turn);
+	return turns;
+}
+
+const clock = (at, startedAt) => {
+	const s = Math.max(0, Math.round((Date.parse(at) - Date.parse(startedAt)) / 1000)) || 0;
+	return `${String(Math.floor(s / 60)).padStart(2, '0')}:${String(s % 60).padStart(2, '0')}`;
+};
+
+// The log as transcript text for analysis: one "[mm:ss] Speaker: text" line per turn
+function transcript(log) {
+	return turnsOf(log).map(turn => {
+		const time = `[${clock(turn.at, log.startedAt)}]`;
+		if (turn.kind === 'interruption') return `${time} (learner started speaking over the assistant)`;
+		if (turn.kind === 'learner') return `${time} Learner${turn.typed ? ' (typed)' : ''}: ${turn.inaudible ? '(inaudible)' : turn.text}`;
+		const note = turn.unfinished ? ' (cut off)' : turn.interrupted ? ' (interrupted)' : '';
+		return `${time} Assistant${note}: ${turn.text}`;
+	}).join('\n');
+}
+
+module.exports = {
+	MAX_BATCH,
+	create,
+	apply,
+	turnsOf,
+	transcript,
+};
@@ -0,0 +1,151 @@
+// What the realtime voice agent does in a call. Each mode has its own
+// instruction template, the opening response it is told to give, how many
+// questions (or study plan points) it covers, a cap on its own turns, and
+// the phrase it says when it is done:
+//   assessment  asks bank questions in order, no hints or teaching
+//   tutoring    teaches with the course's generated tutor prompt: hints,
+//               short explanations, re-asking after a mistake
+//   revision    walks through the learner's latest study plan with a quick
+//               practice question per point
+// The session keeps the limits and end markers (session.voice) so the server
+// can tell from the turn log when a call is over (endReason).
+
+const DEFAULT_MODE = 'assessment';
+
+const MODES = {
+	assessment: {
+		label: 'Assessment',
+		turnsPerQuestion: 2,
+		endMarkers: ['Assessment complete'],
+		start: () => 'Start the assessment now. Ask the first question from the question bank immediately. Wait for the learner to finish speaking before you respond.',
+		instructions: ({ bank, languageDirective, questions, endMarker }) => `You are an ASSESSMENT AGENT. Your ONLY job is to ask questions from the provided question bank.
+
+MANDATORY QUESTION BANK (use ONLY these questions - NO exceptions):
+${bank}
+
+ABSOLUTE RULES - FOLLOW EXACTLY:
+- ${languageDirective}
+- Ask ONLY the questions from the question bank above - NO other questions
+- Start with the FIRST question from the bank immediately
+- Ask exactly ${questions} questions from the bank in order
+- CRITICAL: You must wait for the user to finish speaking completely and answer the question before you respond
+- After each answer, ONLY say "Okay" or "Alright" then WAIT 8 seconds before next question
+- NO explanations, NO correct answers, NO hints, NO teaching
+- Count internally: 1 of ${questions}, 2 of ${questions}, etc.
+- After Last question ${questions} is answered wait for 8 seconds, say "${endMarker}" and emit:
+  <<PLAN_START>>
+  [Generate personalized study plan based on which questions they got right/wrong]
+  <<PLAN_END>>
+
+TURN-TAKING PROTOCOL:
+1. Ask a question from the bank
+2. Wait for user to speak and finish completely
+3. Say "Okay" or "Alright"
+4. Wait 8 seconds
+5. Ask next question from the bank
+6. Repeat until all ${questions} questions are done and wait for answer
+
+CRITICAL:
+- Use ONLY questions from the provided bank - NO questions about atmosphere, capitals, or any other topics
+- Do not start the next question until the user has completely finished their answer and you have acknowledged it
+- Do not interrupt the user while they are speaking`,
+	},
+	tutoring: {
+		label: 'Tutoring',
+		turnsPerQuestion: 4,
+		endMarkers: ['Session complete'],
+		start: ({ learnerName }) => `Greet ${learnerName} in one short sentence, then ask the first question from the question bank.`,
+		instructions: ({ systemPrompt, bank, languageDirective, learnerName, questions, maxTurns, endMarker }) => `You are a friendly voice tutor for ${learnerName}, a school child. Follow the tutor rules of this course.
+
+TUTOR RULES:
+${systemPrompt}
+
+QUESTION BANK (teach through these questions, easiest first):
+${bank}
+
+HOW TO TUTOR:
+- ${languageDirective}
+- Ask one question at a time and wait for the learner to finish speaking before you respond
+- Right answer: praise briefly and say in one sentence why it is right, then move on
+- Wrong or incomplete answer: give a hint and ask again; after a second miss explain the answer simply, then ask an easier question on the same idea
+- "I don't know": explain the idea in two or three simple sentences and ask again in different words
+- Keep every turn short (at most 3 sentences); use examples from everyday life
+- Cover at most ${questions} questions from the bank and take at most ${maxTurns} turns
+- When you are done, tell the learner what they did well and one thing to practise, then say "${endMarker}"`,
+	},
+	revision: {
+		label: 'Revision',
+		turnsPerQuestion: 3,
+		endMarkers: ['Revision complete'],
+		needsPlan: true,
+		start: ({ learnerName }) => `Greet ${learnerName} in one short sentence and start with the first point of the study plan.`,
+		instructions: ({ plan, bank, languageDirective, learnerName, questions, maxTurns, endMarker }) => `You are a voice revision coach for ${learnerName}, a school child. Walk them through their study plan.
+
+STUDY PLAN:
+${plan}
+
+QUESTION BANK (for practice questions):
+${bank}
+
+HOW TO REVISE:
+- ${languageDirective}
+- Take the study plan one point at a time, in order, starting with what the learner struggled with
+- For each point: recap the idea in two or three simple sentences, then ask one quick practice question about it from the question bank
+- Wait for the learner to finish speaking; say whether the answer is right and correct it kindly if not
+- Keep every turn short (at most 3 sentences)
+- Cover at most ${questions} points and take at most ${maxTurns} turns
+- When you are done, summarise what to keep practising this week, then say "${endMarker}"`,
+	},
+};
+
+const NAMES = Object.keys(MODES);
+
+// The mode asked for, or { error } for an unknown one
+function resolve(name) {
+	const mode = String(name || DEFAULT_MODE).toLowerCase();
+	if (!MODES[mode]) return { error: `mode must be one of ${NAMES.join(', ')}` };
+	return { mode, ...MODES[mode] };
+}
+
+// Questions (or plan points) to cover and the cap on the agent's turns
+function limits(mode, questions) {
+	const { turnsPerQuestion } = MODES[mode];
+	return { questions, maxTurns: questions * turnsPerQuestion + 2 };
+}
+
+/**
+ * Realtime session settings for a mode: the instructions, the opening
+ * response and what the session keeps as session.voice. `context` carries
+ * learnerName, languageDirective, systemPrompt, bank (question bank text),
+ * plan (study plan text) and questions (how many to cover).
+ */
+function build(mode, context) {
+	const { questions, maxTurns } = limits(mode, context.questions);
+	const { endMarkers } = MODES[mode];
+	const filled = { ...context, questions, maxTurns, endMarker: endMarkers[0] };
+	return {
+		instructions: MODES[mode].instructions(filled),
+		startInstructions: `${context.languageDirective} ${MODES[mode].start(filled)}`,
+		voice: { mode, questions, maxTurns, endMarkers },
+	};
+}
+
+// Why a call with `voice` settings is over, from its turns, or null
+function endReason(turns, voice) {
+	if (!voice) return null;
+	const said = turns.filter(t => t.kind === 'assistant');
+	const markers = (voice.endMarkers || []).map(m => m.toLowerCase());
+	if (said.some(t => markers.some(m => t.text.toLowerCase().includes(m)))) return 'end marker';
+	if (voice.maxTurns && said.length >= voice.maxTurns) return 'turn limit';
+	return null;
+}
+
+module.exports = {
+	DEFAULT_MODE,
+	MODES,
+	NAMES,
+	resolve,
+	limits,
+	build,
+	endReason,
+};
@@ -0,0 +1,153 @@
+// Per-course settings for realtime voice calls, kept on the course as
+// course.voiceSettings and applied when /api/voice/ephemeral mints a session:
+//   model          realtime model
+//   voice          one of the model's voices
+//   speed          speaking speed, 0.25-1.5 (1 is normal; needs a model that supports it)
+//   turnDetection  { type: 'server_vad', threshold, prefixPaddingMs, silenceDurationMs }
+//                  or { type: 'semantic_vad', eagerness } on models that have it
+//   transcription  { model, prompt, hindiPrompt }  hindiPrompt is used for Hindi calls
+//   bankChars      how much of the question bank goes into the instructions
+// Changes are merged over what is stored and validate() checks the full set,
+// including combinations the chosen model does not support.
+
+const OLD_VOICES = ['alloy', 'echo', 'shimmer'];
+const VOICES = ['alloy', 'ash', 'ballad', 'coral', 'echo', 'sage', 'shimmer', 'verse'];
+
+const MODELS = {
+	'gpt-4o-realtime-preview-2024-10-01': { voices: OLD_VOICES },
+	'gpt-4o-realtime-preview-2024-12-17': { voices: VOICES },
+	'gpt-4o-mini-realtime-preview-2024-12-17': { voices: VOICES },
+	'gpt-4o-realtime-preview-2025-06-03': { voices: VOICES, speed: true, semanticVad: true },
+	'gpt-realtime': { voices: [ ...VOICES, 'marin', 'cedar' ], speed: true, semanticVad: true },
+};
+
+const TRANSCRIPTION_MODELS = ['whisper-1', 'gpt-4o-transcribe', 'gpt-4o-mini-transcribe'];
+const EAGERNESS = ['low', 'medium', 'high', 'auto'];
+
+const DEFAULTS = {
+	model: 'gpt-4o-realtime-preview-2024-12-17',
+	voice: 'alloy',
+	speed: 1,
+	turnDetection: { type: 'server_vad', threshold: 0.5, prefixPaddingMs: 300, silenceDurationMs: 500 },
+	transcription: { model: 'whisper-1', prompt: '', hindiPrompt: '' },
+	bankChars: 5000,
+};
+
+const RANGES = {
+	speed: [0.25, 1.5],
+	threshold: [0, 1],
+	prefixPaddingMs: [0, 2000],
+	silenceDurationMs: [200, 3000],
+	bankChars: [1000, 20000],
+};
+
+const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Stored settings over the defaults; a new turn detection type starts from its own defaults
+function merge(stored = {}, changes = {}) {
+	const base = { ...DEFAULTS, ...stored };
+	const next = { ...base, ...changes };
+	for (const key of ['turnDetection', 'transcription']) {
+		const from = changes[key]?.type && changes[key].type !== base[key]?.type ? { ...DEFAULTS[key] } : { ...DEFAULTS[key], ...base[key] };
+		next[key] = { ...from, ...(isObject(changes[key]) ? changes[key] : {}) };
+	}
+	if (next.turnDetection.type === 'semantic_vad') next.turnDetection = { type: 'semantic_vad', eagerness: next.turnDetection.eagerness || 'auto' };
+	return next;
+}
+
+function range(value, field) {
+	const [min, max] = RANGES[field];
+	if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) return `${field} must be a number from ${min} to ${max}`;
+	return null;
+}
+
+function text(value, field) {
+	if (typeof value !== 'string') return `${field} must be text`;
+	if (value.length > 1000) return `${field} must be at most 1000 characters`;
+	return null;
+}
+
+/**
+ * Check `changes` (a partial settings object, or null to reset) against the
+ * course's stored settings. Returns { settings } with the full set to store
+ * or { error }.
+ */
+function validate(changes, stored = {}) {
+	if (changes === null) return { settings: { ...DEFAULTS } };
+	if (!isObject(changes)) return { error: 'voiceSettings must be an object' };
+	const unknown = Object.keys(changes).find(key => !(key in DEFAULTS));
+	if (unknown) return { error: `unknown voice setting: ${unknown}` };
+	for (const key of ['turnDetection', 'transcription']) {
+		if (changes[key] !== undefined && !isObject(changes[key])) return { error: `${key} must be an object` };
+	}
+	const settings = merge(stored, changes);
+	const model = MODELS[settings.model];
+	if (!model) return { error: `model must be one of ${Object.keys(MODELS).join(', ')}` };
+	if (!model.voices.includes(settings.voice)) return { error: `voice ${settings.voice} is not available on ${settings.model}; use one of ${model.voices.join(', ')}` };
+	const error = range(settings.speed, 'speed') || range(settings.bankChars, 'bankChars');
+	if (error) return { error };
+	if (settings.speed !== 1 && !model.speed) return { error: `${settings.model} cannot change the speaking speed` };
+
+	const turns = settings.turnDetection;
+	if (turns.type === 'server_vad') {
+		const bad = ['threshold', 'prefixPaddingMs', 'silenceDurationMs'].map(field => range(turns[field], field)).find(Boolean);
+		if (bad) return { error: bad };
+		const extra = Object.keys(turns).find(key => !(key in DEFAULTS.turnDetection));
+		if (extra) return { error: `${extra} does not apply to server_vad` };
+	} else if (turns.type === 'semantic_vad') {
+		if (!model.semanticVad) return { error: `${settings.model} does not support semantic_vad` };
+		if (!EAGERNESS.includes(turns.eagerness)) return { error: `eagerness must be one of ${EAGERNESS.join(', ')}` };
+	} else {
+		return { error: 'turnDetection type must be server_vad or semantic_vad' };
+	}
+
+	const { transcription } = settings;
+	if (!TRANSCRIPTION_MODELS.includes(transcription.model)) return { error: `transcription model must be one of ${TRANSCRIPTION_MODELS.join(', ')}` };
+	const badText = text(transcription.prompt, 'prompt') || text(transcription.hindiPrompt, 'hindiPrompt');
+	if (badText) return { error: badText };
+	const extra = Object.keys(transcription).find(key => !(key in DEFAULTS.transcription));
+	if (extra) return { error: `unknown transcription setting: ${extra}` };
+	return { settings };
+}
+
+// A course's settings, stored ones over the defaults
+const resolve = stored => merge(stored || {});
+
+/**
+ * The realtime session request for a course's settings: `instructions` and
+ * `lang` (hi or en) come from the call being minted.
+ */
+function sessionBody(settings, { instructions, lang }) {
+	const { turnDetection: turns, transcription } = settings;
+	const prompt = (lang === 'hi' && transcription.hindiPrompt) || transcription.prompt;
+	return {
+		model: settings.model,
+		voice: settings.voice,
+		...(MODELS[settings.model]?.speed ? { speed: settings.speed } : {}),
+		modalities: ['audio', 'text'],
+		input_audio_transcription: { model: transcription.model, language: lang, ...(prompt ? { prompt } : {}) },
+		turn_detection: turns.type === 'semantic_vad'
+			? { type: 'semantic_vad', eagerness: turns.eagerness }
+			: { type: 'server_vad', threshold: turns.threshold, prefix_padding_ms: turns.prefixPaddingMs, silence_duration_ms: turns.silenceDurationMs },
+		instructions,
+	};
+}
+
+// What the admin form offers
+function options() {
+	return {
+		models: Object.fromEntries(Object.entries(MODELS).map(([name, m]) => [name, { voices: m.voices, speed: !!m.speed, semanticVad: !!m.semanticVad }])),
+		transcriptionModels: TRANSCRIPTION_MODELS,
+		eagerness: EAGERNESS,
+		ranges: RANGES,
+	};
+}
+
+module.exports = {
+	DEFAULTS,
+	MODELS,
+	validate,
+	resolve,
+	sessionBody,
+	options,
+};
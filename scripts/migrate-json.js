@@ -0,0 +1,19 @@
+// Import legacy JSON data (data/db.json, data/sessions.json, data/courses/*)
+// into the configured store. Safe to re-run: existing records are skipped.
+const path = require('path');
+require('dotenv').config();
+const db = require('../db');
+const { importLegacyData } = require('../lib/storage/migrate');
+
+const dataDir = process.argv[2] || process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+db.ready
+	.then(() => importLegacyData(db, dataDir))
+	.then(async ({ courses, sessions }) => {
+		await db.flush();
+		console.log(`Imported ${courses} courses and ${sessions} sessions from ${dataDir}`);
+	})
+	.catch((err) => {
+		console.error('Migration failed:', err);
+		process.exit(1);
+	});
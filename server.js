@@ -6,11 +6,28 @@ const multer = require('multer');
 const pdfParse = require('pdf-parse');
 const { v4: uuidv4 } = require('uuid');
 const dotenv = require('dotenv');
-const OpenAI = require('openai');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-let puppeteer; // lazy load
 const morgan = require('morgan');
 const db = require('./db');
+const llm = require('./lib/llm');
+const bankStore = require('./lib/questionBank');
+const retrieval = require('./lib/retrieval');
+const coverage = require('./lib/coverage');
+const roster = require('./lib/roster');
+const auth = require('./lib/auth');
+const handwriting = require('./lib/handwriting');
+const jobs = require('./lib/jobs');
+const review = require('./lib/review');
+const answerKey = require('./lib/answerKey');
+const papers = require('./lib/papers');
+const paperRegistry = require('./lib/paperRegistry');
+const pdf = require('./lib/pdf');
+const adaptive = require('./lib/adaptive');
+const mastery = require('./lib/mastery');
+const voiceLog = require('./lib/voiceLog');
+const transcriptAlign = require('./lib/transcriptAlign');
+const voiceModes = require('./lib/voiceModes');
+const voiceSettings = require('./lib/voiceSettings');
+const realtime = require('./lib/realtime');
 
 // Polyfill fetch if missing (Node < 18)
 if (typeof fetch === 'undefined') {
@@ -19,27 +36,21 @@ if (typeof fetch === 'undefined') {
 
 dotenv.config();
 
-// Initialize Google AI with API key
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
-
 const app = express();
 const port = process.env.PORT || 3000;
 const DEBUG = process.env.DEBUG === 'true' || process.env.NODE_ENV === 'development';
 
 // Ensure required directories
-const DATA_DIR = path.join(__dirname, 'data');
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
 const COURSES_DIR = path.join(DATA_DIR, 'courses');
-const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
-const DB_FILE = path.join(DATA_DIR, 'db.json');
-const PAPERS_DIR = path.join(__dirname, 'public', 'papers');
+// Paper files are only served through the paper routes, never as static files
+const PAPERS_DIR = process.env.PAPERS_DIR || path.join(DATA_DIR, 'papers');
 
 for (const p of [DATA_DIR, COURSES_DIR, PAPERS_DIR]) {
 	if (!fs.existsSync(p)) {
 		fs.mkdirSync(p, { recursive: true });
 	}
 }
-if (!fs.existsSync(DB_FILE)) fs.writeFileSync(DB_FILE, JSON.stringify({ courses: {} }, null, 2));
-if (!fs.existsSync(SESSIONS_FILE)) fs.writeFileSync(SESSIONS_FILE, JSON.stringify({ sessions: {} }, null, 2));
 
 // Storage for uploads
 const upload = multer({ dest: path.join(__dirname, 'uploads') });
@@ -50,41 +61,285 @@ app.use(express.urlencoded({ extended: true }));
 if (DEBUG) app.use(morgan('dev'));
 app.use(express.static(path.join(__dirname, 'public')));
 
-// OpenAI client
+// Text/vision goes through lib/llm and realtime voice sessions through lib/realtime
 const apiKey = process.env.OPENAI_API_KEY;
-if (!apiKey) {
-	console.warn('Warning: OPENAI_API_KEY not set. Add it to .env');
+if (!apiKey && llm.providerNameFor('evaluate') === 'openai') {
+	console.warn('Warning: OPENAI_API_KEY not set. Add it to .env or set LLM_PROVIDER=local');
 }
-const openai = new OpenAI({ apiKey });
 
-// Helpers
-function readJSON(filePath) {
+// Wait for storage (and the one-time legacy JSON import) before serving the API;
+// background jobs interrupted by a restart start again once it is up
+const ready = db.ready.then(() => auth.bootstrapAdmin()).then(() => jobs.resume());
+app.use('/api', async (req, res, next) => {
+	try {
+		await ready;
+		next();
+	} catch (err) {
+		next(err);
+	}
+});
+
+// Who is calling: sets req.user from the session cookie or bearer token
+app.use('/api', auth.authenticate);
+
+app.post('/api/auth/login', async (req, res) => {
+	const { username, password } = req.body || {};
+	if (!username || !password) return res.status(400).json({ error: 'username and password required' });
+	const result = await auth.login(username, password);
+	if (!result) return res.status(401).json({ error: 'invalid username or password' });
+	console.log(`[AUTH] ${result.user.username} logged in as ${result.user.role}`);
+	auth.setCookie(res, result.token, { secure: req.secure });
+	res.json(result);
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+	if (req.authToken) await auth.logout(req.authToken);
+	auth.clearCookie(res);
+	res.json({ ok: true });
+});
+
+app.get('/api/auth/me', (req, res) => {
+	if (!req.user) return res.status(401).json({ error: 'login required' });
+	res.json({ user: req.user });
+});
+
+// Admin routes need an admin or teacher; teachers only reach their own courses
+app.use('/api/admin', auth.requireRole('admin', 'teacher'));
+app.param('courseId', async (req, res, next, courseId) => {
 	try {
-		return JSON.parse(fs.readFileSync(filePath, 'utf8'));
-	} catch (e) {
-		return {};
+		if (!req.originalUrl.startsWith('/api/admin/')) return next();
+		const course = await db.getCourse(String(courseId));
+		if (course && !auth.canAccessCourse(req.user, course)) return res.status(403).json({ error: 'forbidden' });
+		next();
+	} catch (err) {
+		next(err);
 	}
+});
+
+const LANGUAGES = ['auto', 'hi', 'en'];
+
+// Helpers
+async function ensureCourse(courseId) {
+	if (!courseId) return null;
+	return db.getCourse(String(courseId));
 }
-function writeJSON(filePath, data) {
-	fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+
+// Sections named in a request body, or every section of the course when omitted
+async function selectSections(courseId, ids) {
+	const all = await db.getSections(courseId);
+	if (ids === undefined || ids === null) return { sections: all, ids: null };
+	if (!Array.isArray(ids) || !ids.length) return { error: 'sections must be a non-empty array of section ids' };
+	const unknown = ids.find(id => !all.some(s => s.id === id));
+	if (unknown) return { error: `unknown section: ${unknown}` };
+	return { sections: all.filter(s => ids.includes(s.id)), ids };
 }
 
-async function ensureCourse(courseId) {
-	const courses = await db.getCourses();
-	if (!courses[courseId]) return null;
-	return courses[courseId];
+const sectionSummary = ({ text, ...section }) => section;
+
+// A route's 500, or a 502 naming the task when the model's JSON reply failed
+// its schema (see lib/llm/schemas) so the client is not handed made-up data
+function sendError(res, err, message) {
+	if (err instanceof llm.LlmOutputError) {
+		console.error(`[LLM] ${message}:`, err.message);
+		return res.status(502).json({ error: `${message}: the model gave an unusable ${err.task} reply`, task: err.task, details: err.errors.slice(0, 10) });
+	}
+	console.error(err);
+	res.status(500).json({ error: message });
+}
+
+// Ask for bank questions one section at a time so each question records its
+// section; long sections are sent in consecutive windows so nothing is skipped
+async function generateSectionQuestions(sections, lang) {
+	const bankLangLine = lang === 'hi' ? 'Write questions and answers in Hindi.' : 'Write questions and answers in English.';
+	const parts = sections.flatMap(section => retrieval.windows(section.text, 18000).map(text => ({ section, text })));
+	const aim = parts.length > 1 ? `about ${Math.max(5, Math.round(30 / parts.length))}` : '20-40 total';
+	const questions = [];
+	for (const { section, text } of parts) {
+		const bankPrompt = `Create a question bank (JSON only). ${bankLangLine}\nReturn a JSON object: { \"questions\": [ { q: string, a: string, level: 'easy'|'medium'|'hard' } ] }.\n- Prioritize coverage of key chapter concepts\n- Keep q and a short, speakable, and child-friendly\n- Aim for ${aim} questions if content allows, balanced across levels\n\nChapter Content (${section.title}):\n${text}`;
+		const payload = await llm.generateJson('bank', { prompt: bankPrompt, context: { material: text, language: lang } });
+		questions.push(...payload.questions.map(q => ({ ...q, section: section.id })));
+	}
+	return questions;
+}
+
+// Files generated for a course on disk: its data directory and papers named `<courseId>-*`
+function removeCourseFiles(courseId) {
+	fs.rmSync(path.join(COURSES_DIR, courseId), { recursive: true, force: true });
+	const papers = fs.readdirSync(PAPERS_DIR).filter(f => f.startsWith(`${courseId}-`));
+	for (const file of papers) fs.rmSync(path.join(PAPERS_DIR, file), { force: true });
+	return papers.length;
+}
+
+// Uploaded answer sheets live under the course directory as `handwritten/<name><ext>`
+function keepHandwrittenImage(courseId, name, file) {
+	const dir = path.join(COURSES_DIR, courseId, 'handwritten');
+	fs.mkdirSync(dir, { recursive: true });
+	const fileName = `${name}${path.extname(file.originalname || '').toLowerCase()}`;
+	// Copy rather than rename: uploads/ and DATA_DIR may be on different disks
+	fs.copyFileSync(file.path, path.join(dir, fileName));
+	fs.rmSync(file.path, { force: true });
+	return { file: fileName, mimeType: file.mimetype, originalName: file.originalname || null, size: file.size };
+}
+
+// Pages a handwritten session was graded from, as kept on disk
+const sessionPages = session => session.pages || (session.image ? [ session.image ] : []);
+
+// Store a graded sheet (see lib/handwriting) as a handwritten session with one
+// attempt per question; answers typed online against a paper are stored the
+// same way with type 'paper' and no pages
+async function saveHandwrittenSession({ course, learner, sheet, result, paperId = null, pages, jobId = null, type = 'handwritten' }) {
+	const sessionId = uuidv4();
+	const session = {
+		id: sessionId,
+		courseId: course.id,
+		learnerId: learner.id,
+		name: learner.name,
+		type,
+		createdAt: new Date().toISOString(),
+		level: result.level,
+		score: result.score,
+		total: result.total,
+		pending: result.pending,
+		paperId,
+		jobId,
+		questions: sheet,
+		pages,
+	};
+	await db.transaction(async (tx) => {
+		await tx.saveSession(sessionId, session);
+		for (const item of result.items) {
+			await tx.addAttempt(session, {
+				q: item.question,
+				a: item.answer,
+				correct: item.correct,
+				feedback: item.feedback,
+				questionId: item.questionId,
+				expected: item.expected,
+				page: item.page,
+				region: item.region,
+				confidence: item.confidence,
+				method: item.method,
+				needsReview: item.needsReview,
+			});
+		}
+	});
+	return session;
+}
+
+// What the assessment routes return for a graded session
+function gradedResponse(session, result) {
+	return {
+		sessionId: session.id,
+		learnerId: session.learnerId,
+		paperId: session.paperId,
+		score: result.score,
+		total: result.total,
+		pending: result.pending,
+		level: result.level,
+		qaPairs: result.items.map(item => ({
+			questionId: item.questionId,
+			question: item.question,
+			answer: item.answer,
+			correct: item.correct,
+			feedback: item.feedback,
+			confidence: item.confidence,
+			needsReview: item.needsReview,
+			region: item.region,
+		})),
+	};
+}
+
+// Grade one photographed answer sheet and keep it as a handwritten session
+async function gradeUploadedSheet({ course, learner, sheet, file, paperId = null }) {
+	const image = { data: fs.readFileSync(file.path).toString('base64'), mimeType: file.mimetype };
+	const result = await handwriting.gradeSheet({ image, questions: sheet });
+
+	// Keep the sheet with the course so a teacher can check the grading later
+	const pages = [ keepHandwrittenImage(course.id, uuidv4(), file) ];
+	const session = await saveHandwrittenSession({ course, learner, sheet, result, paperId, pages });
+	console.log(`[HANDWRITTEN] Graded session ${session.id} for course ${course.id}, learner ${learner.id}: ${result.score}/${result.total}, ${result.pending} for review`);
+	return gradedResponse(session, result);
+}
+
+// Questions a handwritten upload is graded against: the printed paper when
+// given, else questions sent by the client, else the course bank
+async function handwrittenQuestions(course, { paperId, questions }) {
+	let sheet = [];
+	if (paperId) {
+		const paper = await db.getPaper(String(paperId));
+		if (!paper?.questions || paper.courseId !== course.id) return { error: 'Paper not found', status: 404 };
+		sheet = paper.questions;
+	} else {
+		try {
+			sheet = questions ? (typeof questions === 'string' ? JSON.parse(questions) : questions) : (await db.getBank(course.id)).questions;
+		} catch (e) {
+			console.warn('[HANDWRITTEN] Failed to parse questions:', e.message);
+		}
+	}
+	sheet = handwriting.sheetQuestions(Array.isArray(sheet) ? sheet : []);
+	if (!sheet.length) return { error: 'No questions to grade against', status: 400 };
+	return { sheet };
+}
+
+// A 1-week study plan from a learner's results; `history` is [{ q, a, correct, feedback }]
+async function studyPlanFor(course, { score, total, level, history, handwritten = false }) {
+	// Pull the material behind the questions the learner missed (all of them if none)
+	const missed = history.filter(h => !h.correct);
+	const material = await retrieval.relevant(course.id, (missed.length ? missed : history).map(h => h.q).join(' '), { budget: 7000 });
+	const language = course.language === 'hi' ? 'Hindi' : 'English';
+
+	// Build detailed Q&A history
+	const qaHistory = history.map(h => `Q: ${h.q}\nA: ${h.a}\nCorrect: ${h.correct === null ? 'Not graded yet' : h.correct ? 'Yes' : 'No'}${h.feedback ? `\nFeedback: ${h.feedback}` : ''}`).join('\n\n');
+
+	const planPrompt = `Based on the learner's ${handwritten ? 'handwritten ' : ''}assessment results, create a personalized study plan.
+
+Learner Performance:
+- Score: ${score}/${total} (${total ? Math.round((score/total)*100) : 0}%)
+- Level: ${level}
+- Language: ${language}
+
+Assessment Q&A:
+${qaHistory}
+
+Original Chapter Content:
+${material}
+
+Create a detailed, adaptive 1-week study plan that:
+1. Focuses on concepts the learner struggled with${handwritten ? ' (incorrect answers)' : ''}
+2. Reinforces areas they understood well${handwritten ? ' (correct answers)' : ''}
+3. Gradually builds from their current level
+4. Uses simple, child-friendly language
+5. Includes daily tasks and practice questions
+6. Only uses content from this chapter${handwritten ? '\n7. Provides specific guidance for improving handwriting if needed' : ''}
+
+Format as a clear day-by-day plan in ${language}.`;
+	const text = await llm.generate('studyplan', { prompt: planPrompt, context: { history, score, total, level } });
+	return text.trim() || 'Revise key concepts daily and practice 3 questions each day.';
+}
+
+// Generate a session's study plan and keep it on the session, so grading overrides can refresh it
+async function refreshStudyPlan(course, session) {
+	const history = await db.getHistory(session.id);
+	const plan = await studyPlanFor(course, { score: session.score, total: session.total, level: session.level, history, handwritten: session.type === 'handwritten' });
+	await db.transaction(async (tx) => {
+		const current = await tx.getSession(session.id);
+		if (current) await tx.saveSession(session.id, { ...current, studyPlan: { text: plan, createdAt: new Date().toISOString() } });
+	});
+	return plan;
 }
 
 // Admin: create a course
 app.post('/api/admin/course', async (req, res) => {
 	const { title, language } = req.body || {};
 	if (!title) return res.status(400).json({ error: 'title required' });
+	if (language && !LANGUAGES.includes(language)) return res.status(400).json({ error: 'language must be auto, hi or en' });
 	const courseId = uuidv4();
 	
 	const courseData = {
 		id: courseId,
 		title,
 		language: language || 'auto',
+		teacherIds: req.user.role === 'teacher' ? [req.user.id] : [],
 		createdAt: new Date().toISOString(),
 	};
 	
@@ -92,11 +347,297 @@ app.post('/api/admin/course', async (req, res) => {
 	res.json({ courseId });
 });
 
-// Admin: upload material (pdf/text/image)
+// Admin: rename / change language / voice settings (lib/voiceSettings; null resets them)
+app.patch('/api/admin/course/:courseId', async (req, res) => {
+	const course = await ensureCourse(req.params.courseId);
+	if (!course) return res.status(404).json({ error: 'course not found' });
+	const { title, language, teacherIds } = req.body || {};
+	const voice = req.body?.voiceSettings !== undefined ? voiceSettings.validate(req.body.voiceSettings, course.voiceSettings) : null;
+	if (voice?.error) return res.status(400).json({ error: voice.error });
+	if (title !== undefined && (typeof title !== 'string' || !title.trim())) return res.status(400).json({ error: 'title must be a non-empty string' });
+	if (language !== undefined && !LANGUAGES.includes(language)) return res.status(400).json({ error: 'language must be auto, hi or en' });
+	if (teacherIds !== undefined) {
+		if (req.user.role !== 'admin') return res.status(403).json({ error: 'only admins can assign teachers' });
+		if (!Array.isArray(teacherIds)) return res.status(400).json({ error: 'teacherIds must be an array' });
+		for (const id of teacherIds) {
+			const teacher = await db.getUser(String(id));
+			if (!teacher || teacher.role !== 'teacher') return res.status(400).json({ error: `not a teacher: ${id}` });
+		}
+	}
+	// Only the edited fields, so a prompt or bank generation running meanwhile keeps its own
+	const updated = await db.updateCourse(course.id, {
+		...(title !== undefined ? { title: title.trim() } : {}),
+		...(language !== undefined ? { language } : {}),
+		...(teacherIds !== undefined ? { teacherIds: teacherIds.map(String) } : {}),
+		...(voice ? { voiceSettings: voice.settings } : {}),
+		updatedAt: new Date().toISOString(),
+	});
+	if (!updated) return res.status(404).json({ error: 'course not found' });
+	res.json({ course: updated });
+});
+
+// Admin: a course's voice settings and the choices the form offers
+app.get('/api/admin/course/:courseId/voice-settings', async (req, res) => {
+	const course = await ensureCourse(req.params.courseId);
+	if (!course) return res.status(404).json({ error: 'course not found' });
+	res.json({ settings: voiceSettings.resolve(course.voiceSettings), defaults: voiceSettings.DEFAULTS, options: voiceSettings.options() });
+});
+
+// Admin: archive hides a course from learners without deleting anything
+app.post('/api/admin/course/:courseId/archive', async (req, res) => {
+	const course = await ensureCourse(req.params.courseId);
+	if (!course) return res.status(404).json({ error: 'course not found' });
+	const updated = await db.updateCourse(course.id, { archived: true, archivedAt: new Date().toISOString() });
+	if (!updated) return res.status(404).json({ error: 'course not found' });
+	res.json({ course: updated });
+});
+
+app.post('/api/admin/course/:courseId/unarchive', async (req, res) => {
+	const course = await ensureCourse(req.params.courseId);
+	if (!course) return res.status(404).json({ error: 'course not found' });
+	const updated = await db.updateCourse(course.id, { archived: false, archivedAt: undefined });
+	if (!updated) return res.status(404).json({ error: 'course not found' });
+	res.json({ course: updated });
+});
+
+// Admin: hard delete, including sessions, generated files and papers
+app.delete('/api/admin/course/:courseId', auth.requireRole('admin'), async (req, res) => {
+	try {
+		const course = await ensureCourse(req.params.courseId);
+		if (!course) return res.status(404).json({ error: 'course not found' });
+		await db.deleteCourse(course.id);
+		const papersRemoved = removeCourseFiles(course.id);
+		console.log(`[COURSE] Deleted course ${course.id} (${course.title}), papers removed=${papersRemoved}`);
+		res.json({ ok: true, papersRemoved });
+	} catch (err) {
+		console.error('[COURSE] delete failed:', err);
+		res.status(500).json({ error: 'failed to delete course' });
+	}
+});
+
+// Admin: copy material, prompt and question bank into a new course (e.g. for a new term)
+app.post('/api/admin/course/:courseId/clone', async (req, res) => {
+	try {
+		const source = await ensureCourse(req.params.courseId);
+		if (!source) return res.status(404).json({ error: 'course not found' });
+		const { title, language } = req.body || {};
+		if (language !== undefined && !LANGUAGES.includes(language)) return res.status(400).json({ error: 'language must be auto, hi or en' });
+		const courseId = uuidv4();
+		const sections = await db.getSections(source.id);
+		const prompt = await db.getPrompt(source.id);
+		const bank = await bankStore.load(source.id);
+		const templates = await db.getPaperTemplates(source.id);
+
+		await db.transaction(async (tx) => {
+			await tx.saveCourse(courseId, {
+				id: courseId,
+				title: (title && String(title).trim()) || `${source.title} (copy)`,
+				language: language || source.language,
+				teacherIds: req.user.role === 'teacher' ? [req.user.id] : (source.teacherIds || []),
+				createdAt: new Date().toISOString(),
+				clonedFrom: source.id,
+				prompt: prompt !== null,
+				questionBank: bank.questions.length > 0,
+				...(source.voiceSettings ? { voiceSettings: source.voiceSettings } : {}),
+			});
+			// Keep section ids so cloned bank questions still point at their sections
+			for (const { id, title, source: from, text } of sections) await tx.addSection(courseId, { id, title, source: from, text });
+			if (prompt !== null) await tx.savePrompt(courseId, prompt);
+			if (bank.questions.length) await bankStore.save(courseId, bank.questions, { source: 'cloned', note: `cloned from ${source.id} v${bank.version}` }, tx);
+			for (const template of templates) await tx.savePaperTemplate(uuidv4(), { ...template, courseId });
+		});
+		console.log(`[COURSE] Cloned ${source.id} -> ${courseId}`);
+		res.json({ courseId });
+	} catch (err) {
+		console.error('[COURSE] clone failed:', err);
+		res.status(500).json({ error: 'failed to clone course' });
+	}
+});
+
+// Learners a teacher can see are the ones enrolled in one of their courses
+async function canAccessLearner(user, learnerId) {
+	const courseIds = await auth.courseIdsFor(user);
+	if (!courseIds) return true;
+	return (await db.getEnrollments({ learnerId })).some(e => courseIds.includes(e.courseId));
+}
+
+// Admin: learner accounts
+app.post('/api/admin/learners', async (req, res) => {
+	const input = req.body || {};
+	const error = roster.validateLearner(input);
+	if (error) return res.status(400).json({ error });
+	const course = input.courseId ? await ensureCourse(input.courseId) : null;
+	if (input.courseId && !course) return res.status(404).json({ error: 'course not found' });
+	if (req.user.role === 'teacher' && !auth.canAccessCourse(req.user, course)) return res.status(403).json({ error: 'teachers must add learners to one of their courses' });
+	const learner = await roster.createLearner(input);
+	if (course) await db.enroll(course.id, learner.id);
+	res.json({ learner });
+});
+
+app.get('/api/admin/learners', async (req, res) => {
+	const courseIds = await auth.courseIdsFor(req.user);
+	if (req.query.courseId) {
+		const courseId = String(req.query.courseId);
+		if (courseIds && !courseIds.includes(courseId)) return res.status(403).json({ error: 'forbidden' });
+		return res.json({ learners: await db.getRoster(courseId) });
+	}
+	if (!courseIds) return res.json({ learners: await db.getLearners() });
+	const byId = new Map();
+	for (const courseId of courseIds) for (const learner of await db.getRoster(courseId)) byId.set(learner.id, learner);
+	res.json({ learners: [ ...byId.values() ] });
+});
+
+app.get('/api/admin/learners/:learnerId', async (req, res) => {
+	const learner = await db.getLearner(req.params.learnerId);
+	if (!learner || !(await canAccessLearner(req.user, learner.id))) return res.status(404).json({ error: 'learner not found' });
+	const courseIds = await auth.courseIdsFor(req.user);
+	const visible = courseId => !courseIds || courseIds.includes(courseId);
+	const courses = (await db.getEnrollments({ learnerId: learner.id })).map(e => e.courseId).filter(visible);
+	const sessions = Object.values(await db.getSessions({ learnerId: learner.id }))
+		.filter(s => visible(s.courseId))
+		.map(s => ({ id: s.id, courseId: s.courseId, type: s.type || 'text', createdAt: s.createdAt, score: s.score, total: s.total, level: s.level, pages: sessionPages(s).length, image: sessionPages(s).length ? `/api/admin/sessions/${s.id}/image` : null }));
+	res.json({ learner, courses, sessions });
+});
+
+// Admin: the answer sheet a handwritten session was graded from (?page=N, from 1)
+app.get('/api/admin/sessions/:sessionId/image', async (req, res) => {
+	const session = await db.getSession(req.params.sessionId);
+	if (!session || !auth.canAccessCourse(req.user, await db.getCourse(session.courseId))) return res.status(404).json({ error: 'session not found' });
+	const page = sessionPages(session)[(Number(req.query.page) || 1) - 1];
+	const filePath = page && path.join(COURSES_DIR, session.courseId, 'handwritten', page.file);
+	if (!filePath || !fs.existsSync(filePath)) return res.status(404).json({ error: 'no image for this session' });
+	// ?attempt= cuts out that answer's box; the whole page is served when it cannot be cut
+	if (req.query.attempt) {
+		const attempt = (await db.getAttempts(session.id)).find(a => a.id === String(req.query.attempt));
+		if (!attempt) return res.status(404).json({ error: 'attempt not found' });
+		const box = attempt.region && await pdf.cropImage({ data: fs.readFileSync(filePath).toString('base64'), mimeType: page.mimeType }, attempt.region);
+		if (box) return res.type(box.mimeType).send(Buffer.from(box.data, 'base64'));
+	}
+	if (page.pdfPage) res.set('X-PDF-Page', String(page.pdfPage));
+	res.type(page.mimeType || 'application/octet-stream').sendFile(filePath);
+});
+
+// Admin: how lib/adaptive moved through a session, and why it picked each item
+app.get('/api/admin/sessions/:sessionId/selections', async (req, res) => {
+	const session = await db.getSession(req.params.sessionId);
+	if (!session || !auth.canAccessCourse(req.user, await db.getCourse(session.courseId))) return res.status(404).json({ error: 'session not found' });
+	const attempts = await db.getAttempts(session.id);
+	res.json({
+		level: session.adaptive?.level || session.level,
+		items: attempts.filter(a => a.itemId).map(a => ({ attemptId: a.id, itemId: a.itemId, level: a.level, q: a.q, correct: a.correct, reason: a.selection?.reason || null })),
+		next: session.adaptive?.current ? { itemId: session.adaptive.current.itemId, level: session.adaptive.current.level, reason: session.adaptive.current.selection.reason } : null,
+	});
+});
+
+app.patch('/api/admin/learners/:learnerId', async (req, res) => {
+	const error = roster.validateLearner(req.body || {}, { partial: true });
+	if (error) return res.status(400).json({ error });
+	if (!(await canAccessLearner(req.user, req.params.learnerId))) return res.status(404).json({ error: 'learner not found' });
+	const learner = await roster.updateLearner(req.params.learnerId, req.body || {});
+	if (!learner) return res.status(404).json({ error: 'learner not found' });
+	res.json({ learner });
+});
+
+// Admin: user accounts (admin only)
+app.get('/api/admin/users', auth.requireRole('admin'), async (req, res) => {
+	const users = await db.getUsers(req.query.role ? { role: String(req.query.role) } : {});
+	res.json({ users: users.map(auth.publicUser) });
+});
+
+app.post('/api/admin/users', auth.requireRole('admin'), async (req, res) => {
+	const input = req.body || {};
+	const error = auth.validateUser(input);
+	if (error) return res.status(400).json({ error });
+	if (input.role === 'learner' && !(await db.getLearner(String(input.learnerId || '')))) return res.status(400).json({ error: 'learner accounts need an existing learnerId' });
+	const result = await auth.createUser(input);
+	if (result.error) return res.status(409).json({ error: result.error });
+	console.log(`[AUTH] Created ${result.user.role} user ${result.user.username}`);
+	res.json(result);
+});
+
+// Role and learnerId changes are checked as on creation; the last admin stays an admin
+app.patch('/api/admin/users/:userId', auth.requireRole('admin'), async (req, res) => {
+	const { username, ...changes } = req.body || {};
+	const error = auth.validateUser(changes, { partial: true });
+	if (error) return res.status(400).json({ error });
+	const existing = await db.getUser(req.params.userId);
+	if (!existing) return res.status(404).json({ error: 'user not found' });
+	const role = changes.role ?? existing.role;
+	if (role === 'learner' && !(await db.getLearner(String(changes.learnerId ?? existing.learnerId ?? '')))) return res.status(400).json({ error: 'learner accounts need an existing learnerId' });
+	if (role !== 'admin' && await auth.isLastAdmin(existing)) return res.status(409).json({ error: 'cannot demote the last admin' });
+	const user = await auth.updateUser(existing.id, changes);
+	res.json({ user });
+});
+
+app.delete('/api/admin/users/:userId', auth.requireRole('admin'), async (req, res) => {
+	if (req.params.userId === req.user.id) return res.status(400).json({ error: 'cannot delete yourself' });
+	if (await auth.isLastAdmin(await db.getUser(req.params.userId))) return res.status(409).json({ error: 'cannot delete the last admin' });
+	const removed = await db.deleteUser(req.params.userId);
+	if (!removed) return res.status(404).json({ error: 'user not found' });
+	res.json({ ok: true });
+});
+
+// Admin: course roster
+app.get('/api/admin/course/:courseId/roster', async (req, res) => {
+	const course = await ensureCourse(req.params.courseId);
+	if (!course) return res.status(404).json({ error: 'course not found' });
+	res.json({ learners: await db.getRoster(course.id) });
+});
+
+app.post('/api/admin/course/:courseId/roster', async (req, res) => {
+	const course = await ensureCourse(req.params.courseId);
+	if (!course) return res.status(404).json({ error: 'course not found' });
+	const { learnerId } = req.body || {};
+	// Teachers enroll only learners they can already see, never gaining access to others
+	if (!learnerId || !(await db.getLearner(String(learnerId))) || !(await canAccessLearner(req.user, String(learnerId)))) return res.status(404).json({ error: 'learner not found' });
+	await db.enroll(course.id, String(learnerId));
+	res.json({ ok: true });
+});
+
+app.delete('/api/admin/course/:courseId/roster/:learnerId', async (req, res) => {
+	const removed = await db.unenroll(req.params.courseId, req.params.learnerId);
+	if (!removed) return res.status(404).json({ error: 'learner not enrolled' });
+	res.json({ ok: true });
+});
+
+// Admin: import a roster CSV (file field `roster` or `csv` text)
+app.post('/api/admin/course/:courseId/roster/import', upload.single('roster'), async (req, res) => {
+	try {
+		const course = await ensureCourse(req.params.courseId);
+		if (!course) return res.status(404).json({ error: 'course not found' });
+		let csv = (req.body && req.body.csv) || '';
+		if (req.file) {
+			csv = fs.readFileSync(req.file.path, 'utf8');
+			fs.unlinkSync(req.file.path);
+		}
+		if (!csv.trim()) return res.status(400).json({ error: 'csv required' });
+		const result = await roster.importRoster(course.id, csv);
+		if (result.error) return res.status(400).json({ error: result.error });
+		console.log(`[ROSTER] Imported roster for course ${course.id}: created=${result.created} updated=${result.updated} errors=${result.errors.length}`);
+		res.json(result);
+	} catch (err) {
+		console.error('[ROSTER] import failed:', err);
+		res.status(500).json({ error: 'roster import failed' });
+	}
+});
+
+// Learner-facing roster for picking who is taking the session. Only names
+// are public; the course's teachers also get class details
+app.get('/api/courses/:courseId/roster', async (req, res) => {
+	const course = await ensureCourse(req.params.courseId);
+	if (!course) return res.status(404).json({ error: 'course not found' });
+	const staff = !!req.user && req.user.role !== 'learner' && auth.canAccessCourse(req.user, course);
+	const learners = (await db.getRoster(course.id))
+		.filter(l => !l.adHoc)
+		.map(({ id, name, grade, language, className, section }) => (staff ? { id, name, grade, language, className, section } : { id, name }));
+	res.json({ learners });
+});
+
+// Admin: upload material (pdf/text/image). Each upload is added as a new section.
 app.post('/api/admin/upload/:courseId', upload.single('material'), async (req, res) => {
 	try {
 		const { courseId } = req.params;
-		const course = ensureCourse(courseId);
+		const course = await ensureCourse(courseId);
 		if (!course) return res.status(404).json({ error: 'course not found' });
 
 		let extractedText = '';
@@ -116,19 +657,10 @@ app.post('/api/admin/upload/:courseId', upload.single('material'), async (req, r
 			} else if (mime.startsWith('image/')) {
 				// Use OpenAI Vision to extract text from the image
 				const imageB64 = fs.readFileSync(filePath).toString('base64');
-				const vision = await openai.responses.create({
-					model: 'gpt-4o-mini',
-					input: [
-						{
-							role: 'user',
-							content: [
-								{ type: 'input_text', text: 'Extract all readable text from this image in plain text.' },
-								{ type: 'input_image', image_data: imageB64, mime_type: mime },
-							],
-						},
-					],
+				const text = await llm.generate('ocr', {
+					prompt: 'Extract all readable text from this image in plain text.',
+					images: [ { data: imageB64, mimeType: mime } ],
 				});
-				const text = vision?.output_text || '';
 				extractedText += `\n${text}`;
 			} else if (mime === 'text/plain') {
 				extractedText += `\n${fs.readFileSync(filePath, 'utf8')}`;
@@ -141,330 +673,581 @@ app.post('/api/admin/upload/:courseId', upload.single('material'), async (req, r
 			return res.status(400).json({ error: 'no content extracted' });
 		}
 
-		fs.writeFileSync(course.materialTextPath, extractedText.trim(), 'utf8');
-		res.json({ ok: true, chars: extractedText.length });
+		const source = req.file ? req.file.originalname : null;
+		const title = (req.body && req.body.title && String(req.body.title).trim()) || (source ? path.parse(source).name : `Section ${(await db.getSections(courseId)).length + 1}`);
+		const section = await db.addSection(courseId, { title, source, text: extractedText.trim() });
+		console.log(`[MATERIAL] Added section ${section.id} "${title}" to course ${courseId}, chars=${section.chars}`);
+		res.json({ ok: true, chars: extractedText.length, section: sectionSummary(section) });
 	} catch (err) {
 		console.error(err);
 		res.status(500).json({ error: 'upload failed' });
 	}
 });
 
-// Admin: generate system prompt for the voice tutor (single language) + question bank
+// Admin: course material sections
+app.get('/api/admin/material/:courseId', async (req, res) => {
+	const course = await ensureCourse(req.params.courseId);
+	if (!course) return res.status(404).json({ error: 'course not found' });
+	const sections = await db.getSections(course.id);
+	res.json({ sections: sections.map(sectionSummary), chars: sections.reduce((n, s) => n + s.chars, 0) });
+});
+
+app.get('/api/admin/material/:courseId/sections/:sectionId', async (req, res) => {
+	const section = await db.getSection(req.params.courseId, req.params.sectionId);
+	if (!section) return res.status(404).json({ error: 'section not found' });
+	res.json({ section });
+});
+
+app.patch('/api/admin/material/:courseId/sections/:sectionId', async (req, res) => {
+	const { title } = req.body || {};
+	if (typeof title !== 'string' || !title.trim()) return res.status(400).json({ error: 'title required' });
+	const section = await db.updateSection(req.params.courseId, req.params.sectionId, { title: title.trim() });
+	if (!section) return res.status(404).json({ error: 'section not found' });
+	res.json({ section: sectionSummary(section) });
+});
+
+app.put('/api/admin/material/:courseId/order', async (req, res) => {
+	const course = await ensureCourse(req.params.courseId);
+	if (!course) return res.status(404).json({ error: 'course not found' });
+	const sections = await db.reorderSections(course.id, (req.body || {}).order);
+	if (!sections) return res.status(400).json({ error: 'order must list every section id exactly once' });
+	res.json({ sections: sections.map(sectionSummary) });
+});
+
+app.delete('/api/admin/material/:courseId/sections/:sectionId', async (req, res) => {
+	const removed = await db.removeSection(req.params.courseId, req.params.sectionId);
+	if (!removed) return res.status(404).json({ error: 'section not found' });
+	res.json({ ok: true });
+});
+
+// Admin: generate system prompt for the voice tutor (single language) + question bank.
+// Optional body { sections: [id] } limits both to those material sections.
 app.post('/api/admin/prompt/:courseId', async (req, res) => {
 	try {
 		const { courseId } = req.params;
-		const course = ensureCourse(courseId);
+		const course = await ensureCourse(courseId);
 		if (!course) return res.status(404).json({ error: 'course not found' });
-		if (!fs.existsSync(course.materialTextPath)) return res.status(400).json({ error: 'no material uploaded' });
-		const material = fs.readFileSync(course.materialTextPath, 'utf8');
+		const selected = await selectSections(courseId, (req.body || {}).sections);
+		if (selected.error) return res.status(400).json({ error: selected.error });
+		const material = selected.sections.map(s => s.text).join('\n\n');
+		if (!material) return res.status(400).json({ error: 'no material uploaded' });
 		const lang = (course.language === 'hi' || course.language === 'en') ? course.language : 'en';
 
 		console.log(`[PROMPT] Generating system prompt for course ${courseId}, lang=${lang}, material chars=${material.length}`);
 		const langLine = lang === 'hi' ? 'Write all instructions and examples in Hindi. Use simple, child-friendly Hindi.' : 'Write all instructions and examples in English. Keep language simple and child-friendly.';
-		const systemPromptRequest = `You are a friendly voice tutor for children. ${langLine}\n\nCreate a comprehensive, production-ready SYSTEM PROMPT for a realtime voice agent that will:\n- Be voice-first, concise, and child-friendly\n- Run a short adaptive baseline using a provided question bank\n- Keep responses <= 2 sentences\n- Provide gentle hints on mistakes and simplify follow-ups\n- After baseline, emit a study plan (we will add markers externally) and pause\n\nInclude crisp bullet sections with specific, testable rules:\n1) Role & Tone\n2) Language Policy (only ${lang === 'hi' ? 'Hindi' : 'English'})\n3) Question Policy (one short question at a time; acceptable forms; no multi-part)\n4) Adaptivity Ladder (easy→medium→hard with clear triggers)\n5) Feedback Style (hinting rules, brevity, positivity)\n6) Safety & Boundaries (no personal data, stick to chapter content)\n7) Flow Control (ask→listen→acknowledge→hint/next; recap frequency)\n8) Assessment to Plan Handoff (what constitutes end-of-baseline)\n9) Example utterances (2-3 pairs)\n\nKeep it practical. No filler.\n\nChapter Content (excerpt, do not quote verbatim in every turn):\n${material.substring(0, 20000)}`;
+		const excerpt = await retrieval.overview(courseId, { budget: 20000, sections: selected.ids });
+		const systemPromptRequest = `You are a friendly voice tutor for children. ${langLine}\n\nCreate a comprehensive, production-ready SYSTEM PROMPT for a realtime voice agent that will:\n- Be voice-first, concise, and child-friendly\n- Run a short adaptive baseline using a provided question bank\n- Keep responses <= 2 sentences\n- Provide gentle hints on mistakes and simplify follow-ups\n- After baseline, emit a study plan (we will add markers externally) and pause\n\nInclude crisp bullet sections with specific, testable rules:\n1) Role & Tone\n2) Language Policy (only ${lang === 'hi' ? 'Hindi' : 'English'})\n3) Question Policy (one short question at a time; acceptable forms; no multi-part)\n4) Adaptivity Ladder (easy→medium→hard with clear triggers)\n5) Feedback Style (hinting rules, brevity, positivity)\n6) Safety & Boundaries (no personal data, stick to chapter content)\n7) Flow Control (ask→listen→acknowledge→hint/next; recap frequency)\n8) Assessment to Plan Handoff (what constitutes end-of-baseline)\n9) Example utterances (2-3 pairs)\n\nKeep it practical. No filler.\n\nChapter Content (excerpt, do not quote verbatim in every turn):\n${excerpt}`;
 
-		const result = await openai.chat.completions.create({
-			model: 'gpt-4o-mini',
-			messages: [ { role: 'user', content: systemPromptRequest } ]
-		});
-		let promptText = result?.choices?.[0]?.message?.content || '';
+		let promptText = await llm.generate('prompt', { prompt: systemPromptRequest, context: { material: excerpt, language: lang } });
 		if (!promptText.trim()) {
 			console.warn('[PROMPT] Empty prompt, retrying with simplified request');
-			const simpleReq = `Write a concise SYSTEM PROMPT for a ${lang === 'hi' ? 'Hindi' : 'English'} child-friendly voice tutor. Bullet rules: role & tone; language policy (only ${lang === 'hi' ? 'Hindi' : 'English'}); one short question per turn; adapt easy→hard; brief hints; safety; flow; assessment to plan handoff. Keep under 400 words.\n\nChapter excerpt:\n${material.substring(0, 6000)}`;
-			const retry = await openai.chat.completions.create({ model: 'gpt-4o-mini', messages: [ { role: 'user', content: simpleReq } ] });
-			promptText = retry?.choices?.[0]?.message?.content || '';
+			const simpleReq = `Write a concise SYSTEM PROMPT for a ${lang === 'hi' ? 'Hindi' : 'English'} child-friendly voice tutor. Bullet rules: role & tone; language policy (only ${lang === 'hi' ? 'Hindi' : 'English'}); one short question per turn; adapt easy→hard; brief hints; safety; flow; assessment to plan handoff. Keep under 400 words.\n\nChapter excerpt:\n${await retrieval.overview(courseId, { budget: 6000, sections: selected.ids })}`;
+			promptText = await llm.generate('prompt', { prompt: simpleReq, context: { material: excerpt, language: lang } });
 		}
 		console.log(`[PROMPT] Prompt generated length=${promptText.length}`);
 		if (!promptText.trim()) return res.status(500).json({ error: 'prompt generation failed' });
-		fs.writeFileSync(course.promptPath, promptText.trim(), 'utf8');
+		await db.savePrompt(courseId, promptText.trim());
 
 		// Generate a structured question bank as JSON
 		let bankCount = 0;
+		let bankError = null;
 		try {
-			console.log(`[PROMPT] Generating question bank for course ${courseId}, lang=${lang}`);
-			const bankLangLine = lang === 'hi' ? 'Write questions and answers in Hindi.' : 'Write questions and answers in English.';
-			const bankPrompt = `Create a question bank (JSON only). ${bankLangLine}\nReturn a JSON object: { \"questions\": [ { q: string, a: string, level: 'easy'|'medium'|'hard' } ] }.\n- Prioritize coverage of key chapter concepts\n- Keep q and a short, speakable, and child-friendly\n- Aim for 20-40 total questions if content allows, balanced across levels\n\nChapter Content:\n${material.substring(0, 18000)}`;
-			const bank = await openai.chat.completions.create({
-				model: 'gpt-4o-mini',
-				messages: [ { role: 'user', content: bankPrompt } ]
-			});
-			let payload = {};
-			try {
-				const raw = bank.choices?.[0]?.message?.content || '{}';
-				const cleaned = raw.replace(/```json\s*/gi, '').replace(/```/g, '');
-				payload = JSON.parse(cleaned);
-			} catch {}
-			const questions = Array.isArray(payload.questions) ? payload.questions : [];
-			bankCount = questions.length;
-			fs.writeFileSync(course.questionBankPath, JSON.stringify({ questions }, null, 2), 'utf8');
-			console.log(`[PROMPT] Question bank saved count=${bankCount}`);
+			console.log(`[PROMPT] Generating question bank for course ${courseId}, lang=${lang}, sections=${selected.sections.length}`);
+			const questions = await generateSectionQuestions(selected.sections, lang);
+			const note = selected.ids ? `regenerated sections ${selected.ids.join(', ')}` : 'regenerated';
+			const saved = await bankStore.saveGenerated(courseId, questions, note, { sections: selected.ids });
+			bankCount = saved.questions.length;
+			console.log(`[PROMPT] Question bank saved version=${saved.version} count=${bankCount}`);
 		} catch (e) {
 			console.warn('[PROMPT] Question bank generation failed:', e?.message || e);
+			bankError = e instanceof llm.LlmOutputError ? { error: `the model gave an unusable ${e.task} reply`, details: e.errors.slice(0, 10) } : { error: 'question bank generation failed' };
 		}
 
 		// Update the database to mark that prompt has been generated
-		const db = readJSON(DB_FILE);
-		db.courses[courseId].prompt = true;
-		db.courses[courseId].questionBank = (bankCount > 0);
-		writeJSON(DB_FILE, db);
+		await db.updateCourse(courseId, { prompt: true, questionBank: bankCount > 0, promptSections: selected.ids });
 		
-		res.json({ ok: true, promptPreview: promptText.slice(0, 300), questionCount: bankCount });
+		res.json({ ok: true, promptPreview: promptText.slice(0, 300), questionCount: bankCount, ...(bankError ? { bankError } : {}) });
 	} catch (err) {
 		console.error('[PROMPT] generation failed:', err);
 		res.status(500).json({ error: 'prompt generation failed' });
 	}
 });
 
-// List courses
+// List courses (archived ones only with ?includeArchived=true)
 app.get('/api/courses', async (req, res) => {
 	const courses = await db.getCourses();
-	const list = Object.values(courses || {}).map(c => ({ 
+	const includeArchived = req.query.includeArchived === 'true';
+	// Teachers see only their own courses; learners and anonymous callers see all
+	const visible = req.user && req.user.role === 'teacher' ? Object.values(courses || {}).filter(c => auth.canAccessCourse(req.user, c)) : Object.values(courses || {});
+	const list = visible.filter(c => includeArchived || !c.archived).map(c => ({ 
 		id: c.id, 
 		title: c.title,
 		prompt: c.prompt || false,
 		language: c.language,
-		questionBank: c.questionBank || false
+		questionBank: c.questionBank || false,
+		archived: c.archived || false,
+		createdAt: c.createdAt,
+		...(req.user && req.user.role !== 'learner' ? { teacherIds: c.teacherIds || [] } : {})
 	}));
 	res.json({ courses: list });
 });
 
 // Fetch full generated system prompt
-app.get('/api/admin/prompt/:courseId', (req, res) => {
+app.get('/api/admin/prompt/:courseId', async (req, res) => {
 	const { courseId } = req.params;
-	const course = ensureCourse(courseId);
+	const course = await ensureCourse(courseId);
 	if (!course) return res.status(404).json({ error: 'course not found' });
-	if (!fs.existsSync(course.promptPath)) return res.status(404).json({ error: 'prompt not found' });
-	const prompt = fs.readFileSync(course.promptPath, 'utf8');
+	const prompt = await db.getPrompt(courseId);
+	if (prompt === null) return res.status(404).json({ error: 'prompt not found' });
 	res.json({ prompt });
 });
 
-// Learner: start a session (returns first question)
-app.post('/api/learner/session', async (req, res) => {
+// Question bank management (every change is saved as a new version)
+app.get('/api/admin/bank/:courseId', async (req, res) => {
+	const course = await ensureCourse(req.params.courseId);
+	if (!course) return res.status(404).json({ error: 'course not found' });
+	res.json(await bankStore.load(course.id));
+});
+
+app.post('/api/admin/bank/:courseId/questions', async (req, res) => {
+	const course = await ensureCourse(req.params.courseId);
+	if (!course) return res.status(404).json({ error: 'course not found' });
+	const input = req.body || {};
+	const invalid = bankStore.validateQuestion(input);
+	if (invalid) return res.status(400).json({ error: invalid });
+	res.json(await bankStore.addQuestion(course.id, input));
+});
+
+app.patch('/api/admin/bank/:courseId/questions/:questionId', async (req, res) => {
+	const course = await ensureCourse(req.params.courseId);
+	if (!course) return res.status(404).json({ error: 'course not found' });
+	const changes = req.body || {};
+	const invalid = bankStore.validateQuestion(changes, { partial: true });
+	if (invalid) return res.status(400).json({ error: invalid });
+	const result = await bankStore.updateQuestion(course.id, req.params.questionId, changes);
+	if (!result) return res.status(404).json({ error: 'question not found' });
+	res.json(result);
+});
+
+app.delete('/api/admin/bank/:courseId/questions/:questionId', async (req, res) => {
+	const course = await ensureCourse(req.params.courseId);
+	if (!course) return res.status(404).json({ error: 'course not found' });
+	const result = await bankStore.deleteQuestion(course.id, req.params.questionId);
+	if (!result) return res.status(404).json({ error: 'question not found' });
+	res.json({ ok: true, version: result.version });
+});
+
+app.put('/api/admin/bank/:courseId/order', async (req, res) => {
+	const course = await ensureCourse(req.params.courseId);
+	if (!course) return res.status(404).json({ error: 'course not found' });
+	const result = await bankStore.reorder(course.id, (req.body || {}).order);
+	if (!result) return res.status(400).json({ error: 'order must list every question id exactly once' });
+	res.json(result);
+});
+
+app.get('/api/admin/bank/:courseId/versions', async (req, res) => {
+	const course = await ensureCourse(req.params.courseId);
+	if (!course) return res.status(404).json({ error: 'course not found' });
+	const versions = (await bankStore.listVersions(course.id)).map(v => ({
+		version: v.version,
+		createdAt: v.createdAt,
+		source: v.source,
+		note: v.note,
+		count: v.questions.length,
+	}));
+	res.json({ versions });
+});
+
+// Snapshot of one version plus its diff against the previous version
+app.get('/api/admin/bank/:courseId/versions/:version', async (req, res) => {
+	const course = await ensureCourse(req.params.courseId);
+	if (!course) return res.status(404).json({ error: 'course not found' });
+	const entry = await bankStore.getVersion(course.id, req.params.version);
+	if (!entry) return res.status(404).json({ error: 'version not found' });
+	const previous = await bankStore.getVersion(course.id, entry.version - 1);
+	res.json({ ...entry, diff: bankStore.diff(previous ? previous.questions : [], entry.questions) });
+});
+
+app.get('/api/admin/bank/:courseId/diff', async (req, res) => {
+	const course = await ensureCourse(req.params.courseId);
+	if (!course) return res.status(404).json({ error: 'course not found' });
+	const from = await bankStore.getVersion(course.id, req.query.from);
+	const to = req.query.to ? await bankStore.getVersion(course.id, req.query.to) : await bankStore.load(course.id);
+	if (!from || !to) return res.status(404).json({ error: 'version not found' });
+	res.json({ from: from.version, to: to.version, ...bankStore.diff(from.questions, to.questions) });
+});
+
+app.post('/api/admin/bank/:courseId/rollback', async (req, res) => {
+	const course = await ensureCourse(req.params.courseId);
+	if (!course) return res.status(404).json({ error: 'course not found' });
+	const { version } = req.body || {};
+	const result = await bankStore.rollback(course.id, version);
+	if (!result) return res.status(404).json({ error: 'version not found' });
+	res.json(result);
+});
+
+// Admin: which material passages the bank covers, and the level mix
+app.get('/api/admin/bank/:courseId/coverage', async (req, res) => {
 	try {
-		const { courseId, learnerName } = req.body || {};
-		const course = ensureCourse(courseId);
+		const course = await ensureCourse(req.params.courseId);
 		if (!course) return res.status(404).json({ error: 'course not found' });
-		if (!fs.existsSync(course.promptPath)) return res.status(400).json({ error: 'system prompt missing' });
-		const systemPrompt = fs.readFileSync(course.promptPath, 'utf8');
-		const material = fs.existsSync(course.materialTextPath) ? fs.readFileSync(course.materialTextPath, 'utf8') : '';
+		res.json(await coverage.report(course.id));
+	} catch (err) {
+		console.error('[COVERAGE] report failed:', err);
+		res.status(500).json({ error: 'failed to build coverage report' });
+	}
+});
 
+// Admin: generate questions only for passages no question covers yet
+app.post('/api/admin/bank/:courseId/fill-gaps', async (req, res) => {
+	try {
+		const course = await ensureCourse(req.params.courseId);
+		if (!course) return res.status(404).json({ error: 'course not found' });
+		const selected = await selectSections(course.id, (req.body || {}).sections);
+		if (selected.error) return res.status(400).json({ error: selected.error });
+		const gaps = await coverage.gaps(course.id, { sections: selected.ids });
+		if (!gaps.length) return res.json({ added: 0, report: await coverage.report(course.id) });
+
+		const lang = (course.language === 'hi' || course.language === 'en') ? course.language : 'en';
+		console.log(`[COVERAGE] Filling gaps for course ${course.id} in ${gaps.length} sections`);
+		const generated = await generateSectionQuestions(gaps, lang);
+		const before = (await bankStore.load(course.id)).questions.length;
+		const saved = await bankStore.appendGenerated(course.id, generated, `filled gaps in ${gaps.map(g => g.id).join(', ')}`);
+		const added = saved ? saved.questions.length - before : 0;
+		if (saved) await db.updateCourse(course.id, { questionBank: true });
+		res.json({ added, version: saved ? saved.version : undefined, report: await coverage.report(course.id) });
+	} catch (err) {
+		sendError(res, err, 'failed to fill coverage gaps');
+	}
+});
+
+// The tutor's wording of a bank item picked by lib/adaptive; the model may
+// rephrase but not change the question
+async function phraseQuestion(systemPrompt, item) {
+	const prompt = `System Prompt:\n${systemPrompt}\n\nAsk the learner this question from the question bank. You may reword it to be short and child-friendly in the learner's language, but keep its meaning and do not give away the answer. Reply with the question only.\n\nQuestion: ${item.q}\nExpected answer (do not reveal): ${item.a}`;
+	const text = await llm.generate('question', { prompt, context: { item } });
+	return text.trim() || item.q;
+}
+
+// Learner: start a session (returns the first question, picked by lib/adaptive)
+app.post('/api/learner/session', async (req, res) => {
+	try {
+		const { courseId, learnerId, learnerName, type } = req.body || {};
+		const course = await ensureCourse(courseId);
+		if (!course) return res.status(404).json({ error: 'course not found' });
+		const systemPrompt = await db.getPrompt(course.id);
+		if (systemPrompt === null) return res.status(400).json({ error: 'system prompt missing' });
+		// A logged-in learner always takes sessions as themselves
+		const learner = await roster.resolveLearner(course.id, { learnerId: req.user?.learnerId || learnerId, learnerName, user: req.user });
+		if (!learner) return res.status(404).json({ error: 'learner not found' });
+
+		const start = adaptive.initialState();
+		const picked = await adaptive.next(course.id, learner.id, { state: start, why: 'start of session' });
 		const sessionId = uuidv4();
-		const sessions = readJSON(SESSIONS_FILE);
-		sessions.sessions[sessionId] = {
+		await db.saveSession(sessionId, {
 			id: sessionId,
-			courseId,
-			name: learnerName || 'Learner',
+			courseId: course.id,
+			learnerId: learner.id,
+			name: learner.name,
+			type: type === 'voice' ? 'voice' : 'text',
 			createdAt: new Date().toISOString(),
-			level: 'easy',
-			history: [],
+			level: start.level,
 			score: 0,
 			total: 0,
-		};
-		writeJSON(SESSIONS_FILE, sessions);
+			adaptive: adaptive.asking(start, picked),
+		});
 
-		const firstQuestionPrompt = `System Prompt:\n${systemPrompt}\n\nYou are starting a new session. Create the first question from the chapter content below. Start simple. Ask only one short question.\n\nChapter Content:\n${material.substring(0, 4000)}`;
-		const ai = await openai.chat.completions.create({ model: 'gpt-4o-mini', messages: [ { role: 'user', content: firstQuestionPrompt } ] });
-		const question = ai?.choices?.[0]?.message?.content?.trim() || 'Let\'s begin. What is the main idea of this chapter?';
+		let question;
+		if (picked) {
+			question = await phraseQuestion(systemPrompt, picked.item);
+		} else {
+			// No question bank yet: the model asks from the material
+			const material = await retrieval.overview(course.id, { budget: 4000 });
+			const firstQuestionPrompt = `System Prompt:\n${systemPrompt}\n\nYou are starting a new session. Create the first question from the chapter content below. Start simple. Ask only one short question.\n\nChapter Content:\n${material}`;
+			const text = await llm.generate('question', { prompt: firstQuestionPrompt, context: { material } });
+			question = text.trim() || 'Let\'s begin. What is the main idea of this chapter?';
+		}
 
-		res.json({ sessionId, question });
+		res.json({ sessionId, learnerId: learner.id, question, itemId: picked ? picked.item.id : null, level: start.level });
 	} catch (err) {
 		console.error(err);
 		res.status(500).json({ error: 'failed to start session' });
 	}
 });
 
-// Learner: submit an answer, get next question and simple evaluation
+// Learner: submit an answer; the model judges it against the bank item's
+// answer and lib/adaptive picks the next item from the learner's results
 app.post('/api/learner/answer', async (req, res) => {
 	try {
 		const { sessionId, answer, question } = req.body || {};
 		if (!sessionId) return res.status(400).json({ error: 'sessionId required' });
-		const sessions = readJSON(SESSIONS_FILE);
-		const session = sessions.sessions[sessionId];
+		const session = await db.getSession(sessionId);
 		if (!session) return res.status(404).json({ error: 'session not found' });
-		const db = readJSON(DB_FILE);
-		const course = db.courses[session.courseId];
+		const course = await ensureCourse(session.courseId);
 		if (!course) return res.status(404).json({ error: 'course not found' });
-		const material = fs.existsSync(course.materialTextPath) ? fs.readFileSync(course.materialTextPath, 'utf8') : '';
-		const systemPrompt = fs.existsSync(course.promptPath) ? fs.readFileSync(course.promptPath, 'utf8') : '';
-
-		const evalPrompt = `System Prompt (Tutor Rules):\n${systemPrompt}\n\nEvaluate the learner's answer based on the chapter content.\nReturn JSON with keys: correctness (true/false), feedback (<= 2 sentences, same language as learner), difficulty_next (easy|medium|hard), next_question (one short question).\n\nChapter Content:\n${material.substring(0, 6000)}\n\nConversation History:\n${session.history.map(h => `Q: ${h.q}\nA: ${h.a}`).join('\n')}\n\nLatest Question:\n${question || ''}\n\nLatest Answer:\n${answer || ''}`;
+		const item = session.adaptive?.current || null;
+		const asked = question || item?.q || '';
+		const material = await retrieval.relevant(course.id, `${asked} ${answer || ''}`, { budget: 6000 });
+		const systemPrompt = (await db.getPrompt(course.id)) || '';
+		const history = await db.getHistory(sessionId);
+
+		const evalPrompt = `System Prompt (Tutor Rules):\n${systemPrompt}\n\nEvaluate the learner's answer based on the chapter content${item ? ' and the expected answer' : ''}. Be lenient with children's wording.\nReturn JSON with keys: correctness (true/false), feedback (<= 2 sentences, same language as learner).\n\nChapter Content:\n${material}\n\nConversation History:\n${history.map(h => `Q: ${h.q}\nA: ${h.a}`).join('\n')}\n\nLatest Question:\n${asked}\n${item ? `\nExpected Answer:\n${item.a}\n` : ''}\nLatest Answer:\n${answer || ''}`;
+
+		const payload = await llm.generateJson('evaluate', { prompt: evalPrompt, context: { material, question: asked, answer, history, expected: item?.a } });
+		const correct = payload.correctness;
+		const feedback = payload.feedback || 'Good effort!';
+
+		// Re-read inside the transaction so concurrent answers are not lost
+		const { updated, picked } = await db.transaction(async (tx) => {
+			const current = await tx.getSession(sessionId);
+			const answered = current.adaptive?.current || null;
+			await tx.addAttempt(current, {
+				q: question || answered?.q || '',
+				a: answer || '',
+				correct,
+				feedback,
+				...(answered ? { itemId: answered.itemId, level: answered.level, selection: answered.selection } : {}),
+			});
+			const { state, why } = adaptive.step(current.adaptive || adaptive.initialState(), correct);
+			const picked = await adaptive.next(course.id, current.learnerId, { state, why }, tx);
+			current.adaptive = adaptive.asking(state, picked);
+			current.level = state.level;
+			current.total += 1;
+			if (correct) current.score += 1;
+			await tx.saveSession(sessionId, current);
+			return { updated: current, picked };
+		});
 
-		const ai = await openai.chat.completions.create({ model: 'gpt-4o-mini', messages: [ { role: 'user', content: evalPrompt } ] });
-		let payload = {};
-		try {
-			payload = JSON.parse(ai.choices?.[0]?.message?.content || '{}');
-		} catch (e) {
-			payload = { correctness: false, feedback: 'Thanks! Let\'s try another one.', difficulty_next: 'easy', next_question: 'Can you explain the main idea?' };
+		let nextQuestion = null;
+		if (picked) {
+			nextQuestion = await phraseQuestion(systemPrompt, picked.item);
+		} else if (!updated.adaptive.asked.length) {
+			// No question bank: the model asks from the material as before
+			const text = await llm.generate('question', { prompt: `System Prompt:\n${systemPrompt}\n\nAsk the learner one short ${updated.level} question about the chapter content below that was not asked yet.\n\nAlready asked:\n${[ ...history.map(h => h.q), asked ].join('\n')}\n\nChapter Content:\n${material}`, context: { material } });
+			nextQuestion = text.trim() || 'Here\'s another one: explain the key idea.';
 		}
 
-		session.history.push({ q: question || payload.prev_question || '', a: answer || '' });
-		session.level = payload.difficulty_next || session.level;
-		session.total += 1;
-		if (payload.correctness) session.score += 1;
-		writeJSON(SESSIONS_FILE, sessions);
-
 		res.json({
-			correct: !!payload.correctness,
-			feedback: payload.feedback || 'Good effort!',
-			nextQuestion: payload.next_question || 'Here\'s another one: explain the key idea.',
-			score: session.score,
-			total: session.total,
-			level: session.level,
+			correct,
+			feedback,
+			nextQuestion,
+			itemId: picked ? picked.item.id : null,
+			done: !nextQuestion,
+			score: updated.score,
+			total: updated.total,
+			level: updated.level,
 		});
 	} catch (err) {
-		console.error(err);
-		res.status(500).json({ error: 'failed to process answer' });
+		sendError(res, err, 'failed to process answer');
 	}
 });
 
 // Read a session for live UI
-app.get('/api/learner/session/:sessionId', (req, res) => {
+app.get('/api/learner/session/:sessionId', async (req, res) => {
 	const { sessionId } = req.params;
-	const sessions = readJSON(SESSIONS_FILE);
-	const s = sessions.sessions[sessionId];
+	const s = await db.getSession(sessionId);
 	if (!s) return res.status(404).json({ error: 'session not found' });
 	
-	// Include question bank if available
-	const db = readJSON(DB_FILE);
-	const course = db.courses[s.courseId];
-	const questionBank = course?.questionBank || [];
+	// The bank's questions for the live UI, without their answers
+	const questionBank = (await db.getBank(s.courseId)).questions.map(({ id, q }) => ({ id, q }));
 	
 	res.json({ 
 		id: s.id, 
 		courseId: s.courseId, 
-		name: s.name, 
+		learnerId: s.learnerId,
+		name: s.name,
+		type: s.type || 'text',
 		level: s.level, 
 		score: s.score, 
 		total: s.total, 
-		history: s.history,
+		history: await db.getHistory(sessionId),
+		// The item being asked, never its answer
+		adaptive: s.adaptive ? { level: s.adaptive.level, itemId: s.adaptive.current?.itemId || null, selection: s.adaptive.current?.selection || null } : null,
 		questionBank: questionBank 
 	});
 });
 
+// A learner's progress across sessions (see lib/mastery), limited to
+// ?courseId= if given. Needs a login: learner logins only see their own,
+// teachers only their courses.
+async function learnerProgress(req) {
+	if (!req.user) return { status: 401, error: 'login required' };
+	const learner = await db.getLearner(req.params.learnerId);
+	if (!learner) return { status: 404, error: 'learner not found' };
+	if (req.user?.role === 'learner' && req.user.learnerId !== learner.id) return { status: 403, error: 'forbidden' };
+	let courseIds = req.user && req.user.role !== 'learner' ? await auth.courseIdsFor(req.user) : null;
+	if (courseIds && !(await canAccessLearner(req.user, learner.id))) return { status: 404, error: 'learner not found' };
+	if (req.query.courseId) {
+		const courseId = String(req.query.courseId);
+		if (courseIds && !courseIds.includes(courseId)) return { status: 403, error: 'forbidden' };
+		courseIds = [ courseId ];
+	}
+	return { learner: { id: learner.id, name: learner.name }, ...(await mastery.progress(learner.id, { courseIds })) };
+}
+
+// Every session in order, with the concept levels it changed
+app.get('/api/learner/progress/:learnerId/timeline', async (req, res) => {
+	try {
+		const progress = await learnerProgress(req);
+		if (progress.error) return res.status(progress.status).json({ error: progress.error });
+		res.json({ learner: progress.learner, timeline: progress.timeline });
+	} catch (err) {
+		sendError(res, err, 'failed to load progress');
+	}
+});
+
+// Mastery by concept, and what improved over the last week
+app.get('/api/learner/progress/:learnerId/mastery', async (req, res) => {
+	try {
+		const progress = await learnerProgress(req);
+		if (progress.error) return res.status(progress.status).json({ error: progress.error });
+		res.json({ learner: progress.learner, mastery: progress.mastery, improvements: progress.improvements, since: progress.since });
+	} catch (err) {
+		sendError(res, err, 'failed to load progress');
+	}
+});
+
+// Every level change of every concept, oldest first
+app.get('/api/learner/progress/:learnerId/levels', async (req, res) => {
+	try {
+		const progress = await learnerProgress(req);
+		if (progress.error) return res.status(progress.status).json({ error: progress.error });
+		res.json({ learner: progress.learner, changes: progress.changes });
+	} catch (err) {
+		sendError(res, err, 'failed to load progress');
+	}
+});
+
 // Dynamic assessment: quick quiz generation
 app.post('/api/assessment/start', async (req, res) => {
 	try {
 		const { courseId } = req.body || {};
-		const course = ensureCourse(courseId);
+		const course = await ensureCourse(courseId);
 		if (!course) return res.status(404).json({ error: 'course not found' });
-		const material = fs.existsSync(course.materialTextPath) ? fs.readFileSync(course.materialTextPath, 'utf8') : '';
-		const prompt = `Create a short assessment (5 questions) based on the chapter content. Mix easy/medium/hard. Reply as JSON array with objects { q, a }. Use bilingual-friendly simple language.`;
-		const ai = await openai.chat.completions.create({ model: 'gpt-4o-mini', messages: [ { role: 'user', content: `${prompt}\n\nContent:\n${material.substring(0, 7000)}` } ] });
-		let parsed = { questions: [] };
-		try { parsed = JSON.parse(ai.choices?.[0]?.message?.content || '{}'); } catch {}
-		res.json({ questions: parsed.questions || [] });
+		const material = await retrieval.overview(course.id, { budget: 7000 });
+		const prompt = `Create a short assessment (5 questions) based on the chapter content. Mix easy/medium/hard. Reply with JSON only: { "questions": [ { "q": string, "a": string } ] }. Use bilingual-friendly simple language.`;
+		const { questions } = await llm.generateJson('assessment', { prompt: `${prompt}\n\nContent:\n${material}`, context: { material } });
+		res.json({ questions });
 	} catch (err) {
-		console.error(err);
-		res.status(500).json({ error: 'failed to create assessment' });
+		sendError(res, err, 'failed to create assessment');
 	}
 });
 
-// Analyze conversation transcript
+// Analyze a voice session: from its server-side turn log when the call sent
+// its events, else from a transcript posted by an older client
 app.post('/api/analyze-transcript', async (req, res) => {
 	try {
-		const { sessionId, transcript } = req.body;
-		if (!sessionId || !transcript) return res.status(400).json({ error: 'sessionId and transcript required' });
+		const { sessionId } = req.body || {};
+		if (!sessionId) return res.status(400).json({ error: 'sessionId required' });
 		
-		const sessions = readJSON(SESSIONS_FILE);
-		const session = sessions.sessions[sessionId];
+		const session = await db.getSession(sessionId);
 		if (!session) return res.status(404).json({ error: 'session not found' });
 		
-		const db = readJSON(DB_FILE);
-		const course = db.courses[session.courseId];
+		const course = await ensureCourse(session.courseId);
 		if (!course) return res.status(404).json({ error: 'course not found' });
+		// Analysing again replaces the attempts, which would drop teacher overrides
+		const reviewed = 'session has teacher reviews; its grading can no longer be replaced';
+		if ((await db.getReviews({ sessionId })).length) return res.status(409).json({ error: reviewed });
+
+		const log = await db.getVoiceLog(sessionId);
+		const fromLog = voiceLog.turnsOf(log).some(t => t.kind === 'learner');
+		const transcript = fromLog ? voiceLog.transcript(log) : req.body.transcript;
+		if (!transcript) return res.status(400).json({ error: 'no transcript recorded for this session' });
 		
-		// Load question bank
-		let questionBank = { questions: [] };
-		try {
-			if (fs.existsSync(course.questionBankPath)) {
-				questionBank = readJSON(course.questionBankPath);
-			}
-		} catch {}
+		// Pair questions and answers from the turns first; the model only grades
+		const { questions } = await bankStore.load(course.id);
+		const turns = fromLog ? voiceLog.turnsOf(log) : transcriptAlign.parseTranscript(transcript);
+		const { pairs, unassigned } = transcriptAlign.align(turns, questions);
 		
-		console.log('[ANALYZE] Analyzing transcript for session:', sessionId);
+		console.log(`[ANALYZE] Aligned ${pairs.length} Q&A pairs from ${fromLog ? 'server turn log' : 'client transcript'} for session:`, sessionId);
 		
-		// Call LLM to analyze the transcript
-		const analysisPrompt = `Analyze this voice assessment conversation transcript and extract Q&A pairs.
-
-Question Bank (expected questions):
-${JSON.stringify(questionBank.questions.slice(0, 10), null, 2)}
+		const answered = pairs.map((pair, index) => ({ ...pair, index })).filter(pair => pair.answer);
+		const grades = new Map();
+		if (answered.length) {
+			const gradingPrompt = `Grade a school child's spoken answers from a voice assessment. Each numbered item is a question, the answer the question bank expects (if there is one) and what the learner said, as written down by speech recognition.
 
-Conversation Transcript:
-${transcript}
+${answered.map(pair => `${pair.index}. Question: ${pair.question}
+   Expected: ${pair.expected || '(not in the question bank)'}
+   Learner said: ${pair.answer}`).join('\n')}
 
 Instructions:
-1. Look for questions asked by the Assistant (usually ending with "?")
-2. Find the corresponding user answer marked with [USER ANSWER]: that sometimes comes AFTER the next question that mean the answer of question 1 is most probably after the question 2
-3. The assistant may be interrupted while speaking, so reconstruct the full question
-4. Match questions to the question bank where possible
-5. The user might be saying the right answer but the assistant might have interpreted it wrong and transcribed it wrong, look for patterns, for example if the answer was "Cow" the transcript might have "kao"
+- Judge each item on its own; the questions and answers are already paired
+- Speech recognition writes words the way they sounded, sometimes in another script: "kao" or "काउ" can be "cow". Accept an answer that sounds like a right one
+- Evaluate answers based on scientific accuracy
+- Be lenient with children's answers (accept partial correctness)
+- If the learner says "I don't know" or similar, mark it incorrect but be encouraging
 
-For the transcript above, extract Q&A pairs in this JSON format:
+Reply in this JSON format, one grade per item, by its number:
 {
-  "qa_pairs": [
-    {
-      "question": "exact question from transcript or matched from question bank",
-      "user_answer": "what the user answered",
-      "correct": true/false,
-      "feedback": "brief explanation"
-    }
+  "grades": [
+    { "index": 0, "correct": true/false, "feedback": "brief explanation" }
   ]
-}
-
-Important:
-- Look for [USER ANSWER]: markers to identify user responses
-- Map each user answer to the question that was asked most recently before that answer
-- If a user answer appears while the assistant is still asking a question, wait for the complete question
-- Evaluate answers based on scientific accuracy
-- Be lenient with children's answers (accept partial correctness)
-- If user says "I don't know" or similar, mark as incorrect but be encouraging
-- Consider the sequence: Question -> User Answer -> Agent Response -> Next Question`;
-
-		const ai = await openai.chat.completions.create({
-			model: 'gpt-4o-mini',
-			messages: [{ role: 'user', content: analysisPrompt }],
-			max_tokens: 2000,
-			response_format: { type: 'json_object' }
-		});
-		
-		const analysisText = ai?.choices?.[0]?.message?.content || '{}';
-		const analysis = JSON.parse(analysisText);
-		
-		// Update session with analyzed Q&A
-		session.history = [];
-		let score = 0;
-		
-		(analysis.qa_pairs || []).forEach((qa, idx) => {
-			session.history.push({
-				q: qa.question,
-				a: qa.user_answer,
-				correct: qa.correct,
-				feedback: qa.feedback
+}`;
+			const analysis = await llm.generateJson('transcript', {
+				prompt: gradingPrompt,
+				maxTokens: 2000,
+				context: { pairs: answered }
 			});
-			if (qa.correct) score++;
+			for (const grade of analysis.grades) grades.set(grade.index, grade);
+		}
+		
+		// Unsure pairings go to teacher review instead of being scored
+		const qaPairs = pairs.map((pair, index) => {
+			const grade = pair.answer ? grades.get(index) : { correct: false, feedback: 'No answer was heard.' };
+			const needsReview = !grade || pair.confidence < transcriptAlign.REVIEW_THRESHOLD;
+			return {
+				question: pair.question,
+				user_answer: pair.answer,
+				correct: needsReview ? null : grade.correct,
+				feedback: needsReview ? 'Waiting for teacher review.' : grade.feedback || '',
+				confidence: pair.confidence,
+				signals: pair.signals,
+				needsReview
+			};
 		});
+		const attempts = pairs.map((pair, index) => ({
+			q: pair.question,
+			a: pair.answer,
+			expected: pair.expected,
+			...(pair.bankIndex !== null ? { itemId: questions[pair.bankIndex].id } : {}),
+			correct: qaPairs[index].correct,
+			feedback: qaPairs[index].feedback,
+			confidence: pair.confidence,
+			needsReview: qaPairs[index].needsReview,
+			alignment: { signals: pair.signals, earlier: pair.earlier, askedAt: pair.askedAt, answeredAt: pair.answeredAt, match: pair.match },
+			evidence: { kind: 'transcript', snippet: review.transcriptSnippet(transcript, pair.question, pair.answer) }
+		}));
+		const graded = attempts.filter(a => a.correct !== null);
+		const score = graded.filter(a => a.correct).length;
 		
 		session.score = score;
-		session.total = session.history.length;
-		session.level = score >= session.total * 0.8 ? 'Advanced' : 
-		                score >= session.total * 0.5 ? 'Intermediate' : 'Beginner';
+		session.total = graded.length;
+		session.pending = attempts.length - graded.length;
+		session.level = handwriting.levelFor(score, session.total);
+		session.transcript = transcript;
+		session.transcriptSource = fromLog ? 'server' : 'client';
 		
-		// Save updated session
-		sessions.sessions[sessionId] = session;
-		writeJSON(SESSIONS_FILE, sessions);
+		// Save updated session, unless a teacher reviewed it while the model was grading
+		const saved = await db.transaction(async (tx) => {
+			if ((await tx.getReviews({ sessionId })).length) return false;
+			await tx.replaceAttempts(session, attempts);
+			await tx.saveSession(sessionId, session);
+			return true;
+		});
+		if (!saved) return res.status(409).json({ error: reviewed });
 		
-		console.log(`[ANALYZE] Extracted ${session.history.length} Q&A pairs, score: ${score}/${session.total}`);
+		console.log(`[ANALYZE] Graded ${graded.length}/${attempts.length} Q&A pairs, score: ${score}/${session.total}, ${attempts.length - graded.length} for review, ${unassigned.length} learner turns without a question`);
 		
 		res.json({
-			qa_pairs: analysis.qa_pairs,
+			qa_pairs: qaPairs,
 			score: session.score,
 			total: session.total,
+			pending: session.pending,
 			level: session.level
 		});
 		
 	} catch (err) {
-		console.error('[ANALYZE] Error:', err);
-		res.status(500).json({ error: 'failed to analyze transcript' });
+		sendError(res, err, 'failed to analyze transcript');
 	}
 });
 
@@ -472,41 +1255,12 @@ Important:
 app.post('/api/studyplan', async (req, res) => {
 	try {
 		const { sessionId } = req.body || {};
-		const sessions = readJSON(SESSIONS_FILE);
-		const session = sessions.sessions[sessionId];
+		const session = await db.getSession(sessionId);
 		if (!session) return res.status(404).json({ error: 'session not found' });
-		const db = readJSON(DB_FILE);
-		const course = db.courses[session.courseId];
-		const material = fs.existsSync(course.materialTextPath) ? fs.readFileSync(course.materialTextPath, 'utf8') : '';
-
-		// Build detailed Q&A history
-		const qaHistory = session.history.map(h => `Q: ${h.q}\nA: ${h.a}\nCorrect: ${h.correct ? 'Yes' : 'No'}`).join('\n\n');
-		
-		const planPrompt = `Based on the learner's assessment results, create a personalized study plan.
-
-Learner Performance:
-- Score: ${session.score}/${session.total} (${session.total ? Math.round((session.score/session.total)*100) : 0}%)
-- Level: ${session.level}
-- Language: ${course.language === 'hi' ? 'Hindi' : 'English'}
-
-Assessment Q&A:
-${qaHistory}
-
-Original Chapter Content:
-${material.substring(0, 7000)}
-
-Create a detailed, adaptive 1-week study plan that:
-1. Focuses on concepts the learner struggled with
-2. Reinforces areas they understood well
-3. Gradually builds from their current level
-4. Uses simple, child-friendly language
-5. Includes daily tasks and practice questions
-6. Only uses content from this chapter
-
-Format as a clear day-by-day plan in ${course.language === 'hi' ? 'Hindi' : 'English'}.`;
-		const ai = await openai.chat.completions.create({ model: 'gpt-4o-mini', messages: [ { role: 'user', content: planPrompt } ] });
-		const planText = ai?.choices?.[0]?.message?.content?.trim() || 'Revise key concepts daily and practice 3 questions each day.';
-		res.json({ plan: planText });
+		const course = await ensureCourse(session.courseId);
+		if (!course) return res.status(404).json({ error: 'course not found' });
+		const plan = await refreshStudyPlan(course, session);
+		res.json({ plan });
 	} catch (err) {
 		console.error(err);
 		res.status(500).json({ error: 'failed to create study plan' });
@@ -516,34 +1270,27 @@ Format as a clear day-by-day plan in ${course.language === 'hi' ? 'Hindi' : 'Eng
 // Generate Assessment Questions for Handwritten Assessment
 app.post('/api/assessment/questions', async (req, res) => {
 	try {
-		const { courseId, learnerName } = req.body;
+		const { courseId, learnerId } = req.body;
 		
 		if (!courseId) {
 			return res.status(400).json({ error: 'Course ID required' });
 		}
 
-		const course = ensureCourse(courseId);
+		const course = await ensureCourse(courseId);
 		if (!course) {
 			return res.status(404).json({ error: 'Course not found' });
 		}
 
-		// Load question bank
-		let questionBank = { questions: [] };
-		try {
-			if (fs.existsSync(course.questionBankPath)) {
-				questionBank = readJSON(course.questionBankPath);
-			}
-		} catch (e) {
-			console.warn('[QUESTIONS] Failed to load question bank:', e.message);
-		}
+		const { questions } = await bankStore.load(course.id);
 
 		// Determine number of questions based on material length
-		const materialText = fs.existsSync(course.materialTextPath) ? fs.readFileSync(course.materialTextPath, 'utf8') : '';
+		const materialText = await db.getMaterial(course.id);
 		const wc = (materialText.trim().match(/\S+/g) || []).length;
 		let numQuestions = wc < 300 ? 3 : wc < 1200 ? 5 : wc < 3000 ? 7 : 10;
 		
-		// Select questions from the bank
-		const selectedQuestions = questionBank.questions.slice(0, numQuestions);
+		// An easy to hard ramp of the learner's least-seen bank items (see lib/adaptive)
+		const seen = await adaptive.seenByLearner(course.id, req.user?.learnerId || learnerId);
+		const selectedQuestions = adaptive.selectSet(questions, numQuestions, seen);
 		
 		console.log(`[QUESTIONS] Generated ${selectedQuestions.length} questions for course ${courseId}`);
 		res.json({ questions: selectedQuestions });
@@ -554,10 +1301,10 @@ app.post('/api/assessment/questions', async (req, res) => {
 	}
 });
 
-// Handwritten Assessment: Analyze uploaded image using Google Gemini Flash
+// Handwritten Assessment: grade an uploaded answer sheet question by question (see lib/handwriting)
 app.post('/api/assessment/handwritten', upload.single('image'), async (req, res) => {
 	try {
-		const { courseId, learnerName, questions } = req.body;
+		const { courseId, learnerId, learnerName, questions, paperId } = req.body;
 		const file = req.file;
 		
 		if (!file) {
@@ -568,168 +1315,234 @@ app.post('/api/assessment/handwritten', upload.single('image'), async (req, res)
 			return res.status(400).json({ error: 'Course ID required' });
 		}
 
-		const course = ensureCourse(courseId);
+		const course = await ensureCourse(courseId);
 		if (!course) {
 			return res.status(404).json({ error: 'Course not found' });
 		}
 
-		// Parse questions from frontend
-		let questionBank = { questions: [] };
-		try {
-			if (questions) {
-				questionBank = { questions: JSON.parse(questions) };
-			} else {
-				// Fallback: load from question bank file
-				if (fs.existsSync(course.questionBankPath)) {
-					questionBank = readJSON(course.questionBankPath);
-				}
-			}
-		} catch (e) {
-			console.warn('[HANDWRITTEN] Failed to parse questions:', e.message);
+		const learner = await roster.resolveLearner(course.id, { learnerId: req.user?.learnerId || learnerId, learnerName, user: req.user });
+		if (!learner) {
+			return res.status(404).json({ error: 'Learner not found' });
 		}
 
-		// Convert image to base64
-		const imageBuffer = fs.readFileSync(file.path);
-		const base64Image = imageBuffer.toString('base64');
-		const mimeType = file.mimetype;
-
-		// Create analysis prompt
-		const analysisPrompt = `Analyze this handwritten assessment image and extract the student's answers to science questions.
+		const { sheet, error, status } = await handwrittenQuestions(course, { paperId, questions });
+		if (error) {
+			fs.rmSync(file.path, { force: true });
+			return res.status(status).json({ error });
+		}
 
-QUESTION BANK (expected questions):
-${JSON.stringify(questionBank.questions, null, 2)}
+		res.json(await gradeUploadedSheet({ course, learner, sheet, file, paperId: paperId ? String(paperId) : null }));
 
-INSTRUCTIONS:
-1. Identify all questions visible in the image
-2. Extract the student's handwritten answers for each question
-3. Compare answers against the correct answers from the question bank
-4. Determine if each answer is correct, partially correct, or incorrect
-5. Provide feedback for incorrect answers
-6. Calculate overall score and learning level
+	} catch (err) {
+		if (req.file) fs.rmSync(req.file.path, { force: true });
+		console.error('[HANDWRITTEN] Analysis failed:', err);
+		res.status(500).json({ error: 'Failed to analyze handwritten assessment' });
+	}
+});
 
-Return your analysis in this exact JSON format:
-{
-  "score": number,
-  "total": number,
-  "level": "Beginner|Intermediate|Advanced",
-  "qaPairs": [
-    {
-      "question": "question text",
-      "answer": "student's answer",
-      "correct": boolean,
-      "feedback": "helpful feedback if incorrect"
-    }
-  ]
-}
+// Handwritten batch: a class's scanned sheets (photos and/or multi-page PDFs),
+// split into one sheet per learner and graded as a background job
+const MAX_BATCH_FILES = 200;
 
-Be lenient with children's answers - accept partial correctness and common misspellings.`;
+app.post('/api/admin/course/:courseId/handwritten/batch', upload.array('pages', MAX_BATCH_FILES), async (req, res) => {
+	const files = req.files || [];
+	const discard = () => { for (const f of files) fs.rmSync(f.path, { force: true }); };
+	try {
+		const course = await ensureCourse(req.params.courseId);
+		if (!course) {
+			discard();
+			return res.status(404).json({ error: 'course not found' });
+		}
+		if (!files.length) return res.status(400).json({ error: 'pages required' });
+		const { paperId, questions, assign = 'roster', pagesPerLearner = 1 } = req.body || {};
+		const perLearner = Number(pagesPerLearner);
+		let error = !['roster', 'sheet'].includes(assign) ? 'assign must be roster or sheet'
+			: !Number.isInteger(perLearner) || perLearner < 1 ? 'pagesPerLearner must be a positive whole number' : null;
+		const picked = error ? {} : await handwrittenQuestions(course, { paperId, questions });
+		error = error || picked.error;
+		if (error) {
+			discard();
+			return res.status(picked.status || 400).json({ error });
+		}
 
-		// Use Google Gemini Flash for image analysis
-		const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash-exp" });
-		
-		const result = await model.generateContent([
-			analysisPrompt,
-			{
-				inlineData: {
-					data: base64Image,
-					mimeType: mimeType
+		// Count PDF pages now so a bad file is rejected here rather than halfway through the job
+		const checked = [];
+		for (const file of files) {
+			const pdf = file.mimetype === 'application/pdf' || /\.pdf$/i.test(file.originalname || '');
+			if (!pdf && !/^image\//.test(file.mimetype || '')) {
+				discard();
+				return res.status(400).json({ error: `not an image or PDF: ${file.originalname}` });
+			}
+			let pageCount = 1;
+			if (pdf) {
+				try {
+					pageCount = (await pdfParse(fs.readFileSync(file.path))).numpages;
+				} catch (e) {
+					discard();
+					return res.status(400).json({ error: `could not read PDF: ${file.originalname}` });
 				}
 			}
-		]);
+			checked.push({ file, pdf, pageCount });
+		}
 
-		const response = await result.response;
-		const analysisText = response.text();
-		
-		// Parse the JSON response
-		let analysis;
-		try {
-			// Clean up the response text to extract JSON
-			const jsonMatch = analysisText.match(/\{[\s\S]*\}/);
-			if (jsonMatch) {
-				analysis = JSON.parse(jsonMatch[0]);
-			} else {
-				throw new Error('No JSON found in response');
+		const batchId = uuidv4();
+		const kept = checked.map(({ file, pdf, pageCount }, i) => ({
+			...keepHandwrittenImage(course.id, `batch-${batchId}-${i + 1}`, file),
+			...(pdf ? { mimeType: 'application/pdf' } : {}),
+			pageCount,
+		}));
+		const job = await jobs.enqueue('handwritten-batch', {
+			courseId: course.id,
+			input: { batchId, paperId: paperId ? String(paperId) : null, sheet: picked.sheet, assign, pagesPerLearner: perLearner, files: kept, requestedBy: req.user.id },
+		});
+		const pages = kept.reduce((sum, f) => sum + f.pageCount, 0);
+		console.log(`[HANDWRITTEN] Batch job ${job.id} queued for course ${course.id}: ${kept.length} files, ${pages} pages, assign=${assign}`);
+		res.status(202).json({ jobId: job.id, status: job.status, files: kept.length, pages });
+	} catch (err) {
+		discard();
+		console.error('[HANDWRITTEN] Batch upload failed:', err);
+		res.status(500).json({ error: 'failed to queue handwritten batch' });
+	}
+});
+
+// Grades a handwritten batch one learner's sheet at a time; each sheet's
+// outcome (graded, unassigned or failed) is a job result
+jobs.register('handwritten-batch', async (job, report) => {
+	const { files, sheet, assign, pagesPerLearner, paperId } = job.input;
+	const course = await ensureCourse(job.courseId);
+	if (!course) throw new Error('course not found');
+	const dir = path.join(COURSES_DIR, course.id, 'handwritten');
+	const pages = [], stored = [];
+	for (const f of files) {
+		const data = fs.readFileSync(path.join(dir, f.file)).toString('base64');
+		const count = f.mimeType === 'application/pdf' ? f.pageCount : 1;
+		for (let k = 1; k <= count; k++) {
+			const pdfPage = f.mimeType === 'application/pdf' ? k : null;
+			pages.push({ data, mimeType: f.mimeType, pdfPage });
+			stored.push({ file: f.file, mimeType: f.mimeType, originalName: f.originalName, pdfPage });
+		}
+	}
+
+	// Keep the page assignment so a re-run after a restart grades the same sheets
+	let sheets = job.state && job.state.sheets;
+	if (!sheets) {
+		const classRoster = (await db.getRoster(course.id)).filter(l => !l.adHoc);
+		sheets = (await handwriting.assignPages(pages, { mode: assign, roster: classRoster, pagesPerLearner }))
+			.map(s => ({ pages: s.pages, learnerId: s.learner ? s.learner.id : null, identified: s.identified }));
+		await report({ total: sheets.length, state: { sheets } });
+	}
+
+	for (const [index, s] of sheets.entries()) {
+		if (job.results.some(r => r.sheet === index)) continue;
+		const result = { sheet: index, pages: s.pages.map(i => ({ file: stored[i].originalName, page: stored[i].pdfPage })), learnerId: s.learnerId, identified: s.identified };
+		const learner = s.learnerId && await db.getLearner(s.learnerId);
+		if (!learner) {
+			Object.assign(result, { status: 'unassigned', error: s.identified ? `no roster match for ${s.identified.name || s.identified.learnerId}` : 'no learner for these pages' });
+		} else {
+			try {
+				const graded = await handwriting.gradeSheet({ pages: s.pages.map(i => pages[i]), questions: sheet });
+				const session = await saveHandwrittenSession({ course, learner, sheet, result: graded, paperId, pages: s.pages.map(i => stored[i]), jobId: job.id });
+				Object.assign(result, { status: 'graded', name: learner.name, sessionId: session.id, score: graded.score, total: graded.total, pending: graded.pending });
+			} catch (err) {
+				console.error(`[HANDWRITTEN] Batch ${job.id} sheet ${index + 1} failed:`, err);
+				Object.assign(result, { status: 'failed', name: learner.name, error: err.message || String(err) });
 			}
-		} catch (parseError) {
-			console.error('[HANDWRITTEN] JSON parse error:', parseError);
-			console.error('[HANDWRITTEN] Raw response:', analysisText);
-			
-			// Fallback: create a basic analysis
-			analysis = {
-				score: 0,
-				total: questionBank.questions.length || 1,
-				level: "Beginner",
-				qaPairs: questionBank.questions.slice(0, 3).map((q, i) => ({
-					question: q.q,
-					answer: "Could not extract answer",
-					correct: false,
-					feedback: "Unable to analyze handwritten answer"
-				}))
-			};
 		}
+		await report({ done: index + 1, result });
+	}
+});
 
-		// Clean up uploaded file
-		fs.unlinkSync(file.path);
+// Admin: background job progress
+const jobSummary = ({ input, state, ...job }) => job;
 
-		console.log(`[HANDWRITTEN] Analysis complete for course ${courseId}, score: ${analysis.score}/${analysis.total}`);
-		res.json(analysis);
+app.get('/api/admin/jobs/:jobId', async (req, res) => {
+	const job = await db.getJob(req.params.jobId);
+	if (!job || !auth.canAccessCourse(req.user, await db.getCourse(job.courseId))) return res.status(404).json({ error: 'job not found' });
+	res.json({ job: jobSummary(job) });
+});
 
+app.get('/api/admin/course/:courseId/jobs', async (req, res) => {
+	const jobsForCourse = await db.getJobs({ courseId: req.params.courseId });
+	res.json({ jobs: jobsForCourse.map(jobSummary).reverse() });
+});
+
+// Teacher review: attempts the grader flagged (or, with ?all=1, every graded attempt)
+app.get('/api/admin/course/:courseId/review-queue', async (req, res) => {
+	const course = await db.getCourse(req.params.courseId);
+	if (!course) return res.status(404).json({ error: 'course not found' });
+	const { all, type, learnerId } = req.query;
+	res.json(await review.queue(course.id, { all: all === '1' || all === 'true', type: type || undefined, learnerId: learnerId || undefined }));
+});
+
+// Override the grading of one attempt; the change is logged and the session rescored
+app.patch('/api/admin/attempts/:attemptId', async (req, res) => {
+	try {
+		const { correct, feedback, note } = req.body || {};
+		if (correct !== undefined && correct !== null && typeof correct !== 'boolean') return res.status(400).json({ error: 'correct must be true, false or null' });
+		if (feedback !== undefined && typeof feedback !== 'string') return res.status(400).json({ error: 'feedback must be a string' });
+		if (correct === undefined && feedback === undefined) return res.status(400).json({ error: 'nothing to change' });
+		const attempt = await db.getAttempt(req.params.attemptId);
+		const session = attempt && await db.getSession(attempt.sessionId);
+		const course = session && await db.getCourse(session.courseId);
+		if (!course || !auth.canAccessCourse(req.user, course)) return res.status(404).json({ error: 'attempt not found' });
+
+		const result = await review.override(attempt.id, { correct, feedback, note }, req.user);
+		if (!result) return res.status(404).json({ error: 'attempt not found' });
+		console.log(`[REVIEW] ${req.user.username} reviewed ${attempt.id}: ${JSON.stringify(result.review.before.correct)} -> ${JSON.stringify(result.review.after.correct)}`);
+
+		// A study plan the learner already has was built on the old grading
+		let studyPlan = null;
+		if (result.session.studyPlan) {
+			try {
+				studyPlan = await refreshStudyPlan(course, result.session);
+			} catch (err) {
+				console.warn('[REVIEW] Study plan refresh failed:', err?.message || err);
+			}
+		}
+		const { transcript, ...sessionInfo } = await db.getSession(session.id);
+		res.json({ attempt: result.attempt, session: sessionInfo, review: result.review, studyPlan });
 	} catch (err) {
-		console.error('[HANDWRITTEN] Analysis failed:', err);
-		res.status(500).json({ error: 'Failed to analyze handwritten assessment' });
+		console.error('[REVIEW] Override failed:', err);
+		res.status(500).json({ error: 'failed to save review' });
 	}
 });
 
+// Audit log of grading overrides, newest first
+app.get('/api/admin/course/:courseId/reviews', async (req, res) => {
+	const reviews = await db.getReviews({ courseId: req.params.courseId });
+	res.json({ reviews: reviews.sort((a, b) => b.createdAt.localeCompare(a.createdAt)) });
+});
+
+// How often teachers agree with the AI's grading
+app.get('/api/admin/course/:courseId/reviews/stats', async (req, res) => {
+	res.json(await review.stats(req.params.courseId));
+});
+
 // Study Plan for Handwritten Assessment
 app.post('/api/studyplan/handwritten', async (req, res) => {
 	try {
-		const { courseId, score, total, level, qaPairs } = req.body;
-		
+		const { sessionId, courseId, score, total, level, qaPairs } = req.body;
+
+		// A stored handwritten session is the source of truth; posting the results back is the legacy form
+		if (sessionId) {
+			const session = await db.getSession(sessionId);
+			if (!session) return res.status(404).json({ error: 'session not found' });
+			const course = await ensureCourse(session.courseId);
+			if (!course) return res.status(404).json({ error: 'Course not found' });
+			return res.json({ plan: await refreshStudyPlan(course, session) });
+		}
+
 		if (!courseId) {
 			return res.status(400).json({ error: 'Course ID required' });
 		}
 
-		const course = ensureCourse(courseId);
+		const course = await ensureCourse(courseId);
 		if (!course) {
 			return res.status(404).json({ error: 'Course not found' });
 		}
 
-		const material = fs.existsSync(course.materialTextPath) ? fs.readFileSync(course.materialTextPath, 'utf8') : '';
-
-		// Build detailed Q&A history
-		const qaHistory = qaPairs.map(qa => `Q: ${qa.question}\nA: ${qa.answer}\nCorrect: ${qa.correct ? 'Yes' : 'No'}${qa.feedback ? `\nFeedback: ${qa.feedback}` : ''}`).join('\n\n');
-		
-		const planPrompt = `Based on the learner's handwritten assessment results, create a personalized study plan.
-
-Learner Performance:
-- Score: ${score}/${total} (${total ? Math.round((score/total)*100) : 0}%)
-- Level: ${level}
-- Language: ${course.language === 'hi' ? 'Hindi' : 'English'}
-
-Assessment Q&A:
-${qaHistory}
-
-Original Chapter Content:
-${material.substring(0, 7000)}
-
-Create a detailed, adaptive 1-week study plan that:
-1. Focuses on concepts the learner struggled with (incorrect answers)
-2. Reinforces areas they understood well (correct answers)
-3. Gradually builds from their current level
-4. Uses simple, child-friendly language
-5. Includes daily tasks and practice questions
-6. Only uses content from this chapter
-7. Provides specific guidance for improving handwriting if needed
-
-Format as a clear day-by-day plan in ${course.language === 'hi' ? 'Hindi' : 'English'}.`;
-
-		const ai = await openai.chat.completions.create({ 
-			model: 'gpt-4o-mini', 
-			messages: [{ role: 'user', content: planPrompt }] 
-		});
-		
-		const planText = ai?.choices?.[0]?.message?.content?.trim() || 'Revise key concepts daily and practice 3 questions each day.';
-		res.json({ plan: planText });
+		const history = (Array.isArray(qaPairs) ? qaPairs : []).map(qa => ({ q: qa.question, a: qa.answer, correct: qa.correct, feedback: qa.feedback }));
+		res.json({ plan: await studyPlanFor(course, { score, total, level, history, handwritten: true }) });
 
 	} catch (err) {
 		console.error('[HANDWRITTEN] Study plan generation failed:', err);
@@ -741,12 +1554,8 @@ Format as a clear day-by-day plan in ${course.language === 'hi' ? 'Hindi' : 'Eng
 app.post('/api/voice/transcribe', upload.single('audio'), async (req, res) => {
 	try {
 		if (!req.file) return res.status(400).json({ error: 'audio required' });
-		const transcription = await openai.audio.transcriptions.create({
-			model: 'whisper-1',
-			audio: fs.createReadStream(req.file.path),
-			response_format: 'json',
-		});
-		res.json({ text: transcription.text || '' });
+		const text = await llm.transcribe({ filePath: req.file.path, mimeType: req.file.mimetype });
+		res.json({ text: text || '' });
 	} catch (err) {
 		console.error(err);
 		res.status(500).json({ error: 'transcription failed' });
@@ -758,13 +1567,7 @@ app.post('/api/voice/tts', async (req, res) => {
 	try {
 		const { text, voice } = req.body || {};
 		if (!text) return res.status(400).json({ error: 'text required' });
-		const speech = await openai.audio.speech.create({
-			model: 'gpt-4o-mini-tts',
-			voice: voice || 'alloy',
-			input: text,
-			format: 'mp3',
-		});
-		const buffer = Buffer.from(await speech.arrayBuffer());
+		const buffer = await llm.speech({ text, voice });
 		res.setHeader('Content-Type', 'audio/mpeg');
 		res.send(buffer);
 	} catch (err) {
@@ -773,251 +1576,502 @@ app.post('/api/voice/tts', async (req, res) => {
 	}
 });
 
-// Voice: mint ephemeral token for Realtime WebRTC
+// Voice: the browser forwards the call's realtime data-channel events in
+// batches of { at, event } while it runs; lib/voiceLog keeps the turns
+app.post('/api/voice/sessions/:sessionId/events', async (req, res) => {
+	try {
+		const events = req.body?.events;
+		if (!Array.isArray(events) || !events.length) return res.status(400).json({ error: 'events required' });
+		if (events.length > voiceLog.MAX_BATCH) return res.status(400).json({ error: `at most ${voiceLog.MAX_BATCH} events per batch` });
+		const result = await db.transaction(async (tx) => {
+			const session = await tx.getSession(req.params.sessionId);
+			if (!session) return { error: 'session not found', status: 404 };
+			if (session.type !== 'voice') return { error: 'not a voice session', status: 400 };
+			const log = (await tx.getVoiceLog(session.id)) || voiceLog.create(session);
+			const applied = voiceLog.apply(log, events);
+			// The mode's end marker or turn cap closes the call once
+			if (!log.endedAt) {
+				const reason = voiceModes.endReason(log.turns, session.voice);
+				if (reason) Object.assign(log, { endedAt: log.updatedAt, endReason: reason });
+			}
+			await tx.saveVoiceLog(log);
+			return { applied, turns: log.turns.length, ended: log.endReason || null };
+		});
+		if (result.error) return res.status(result.status).json({ error: result.error });
+		res.json(result);
+	} catch (err) {
+		console.error(err);
+		res.status(500).json({ error: 'failed to record voice events' });
+	}
+});
+
+// Voice: the session's turn log so far
+app.get('/api/voice/sessions/:sessionId/turns', async (req, res) => {
+	const session = await db.getSession(req.params.sessionId);
+	if (!session) return res.status(404).json({ error: 'session not found' });
+	const log = await db.getVoiceLog(session.id);
+	res.json({ sessionId: session.id, mode: session.voice?.mode || null, startedAt: log?.startedAt || null, updatedAt: log?.updatedAt || null, ended: log?.endReason || null, turns: voiceLog.turnsOf(log) });
+});
+
+// Voice: the offline realtime stand-in (REALTIME_PROVIDER=local)
+app.use(realtime.LOCAL_PATH, (req, res, next) => {
+	if (realtime.providerName() !== 'local') return next();
+	realtime.getProvider('local').router(req, res, next);
+});
+
+// The learner's most recent study plan in a course, for revision calls
+async function latestStudyPlan(courseId, learnerId) {
+	if (!learnerId) return null;
+	const planned = Object.values(await db.getSessions({ courseId, learnerId })).filter(s => s.studyPlan?.text);
+	planned.sort((a, b) => String(b.studyPlan.createdAt).localeCompare(String(a.studyPlan.createdAt)));
+	return planned[0]?.studyPlan.text || null;
+}
+
+// Voice: mint ephemeral token for Realtime WebRTC. `mode` picks what the
+// agent does (lib/voiceModes); with a sessionId the session keeps the mode's
+// limits and end markers so its turn log can tell when the call is over
 app.post('/api/voice/ephemeral', async (req, res) => {
 	try {
 		const courseId = (req.query.courseId || req.body?.courseId || '').toString();
-		const learnerName = (req.query.name || req.body?.name || 'Learner').toString();
-		const preferredLang = (req.query.lang || req.body?.lang || '').toString();
-		const course = ensureCourse(courseId);
+		const learnerId = (req.user?.learnerId || req.query.learnerId || req.body?.learnerId || '').toString();
+		const sessionId = (req.query.sessionId || req.body?.sessionId || '').toString();
+		const mode = voiceModes.resolve(req.query.mode || req.body?.mode);
+		if (mode.error) return res.status(400).json({ error: mode.error });
+		const course = await ensureCourse(courseId);
 		if (!course) return res.status(404).json({ error: 'course not found' });
-		const systemPrompt = fs.existsSync(course.promptPath) ? fs.readFileSync(course.promptPath, 'utf8') : 'You are a helpful tutor.';
+		const learner = learnerId ? await db.getLearner(learnerId) : null;
+		if (learnerId && !learner) return res.status(404).json({ error: 'learner not found' });
+		const session = sessionId ? await db.getSession(sessionId) : null;
+		if (sessionId && !session) return res.status(404).json({ error: 'session not found' });
+		if (session && (session.courseId !== course.id || session.type !== 'voice')) return res.status(400).json({ error: 'not a voice session of this course' });
+		const learnerName = learner ? learner.name : (req.query.name || req.body?.name || 'Learner').toString();
+		const preferredLang = (req.query.lang || req.body?.lang || (learner && learner.language) || '').toString();
+		const systemPrompt = (await db.getPrompt(course.id)) || 'You are a helpful tutor.';
+		const plan = mode.needsPlan ? await latestStudyPlan(course.id, learner?.id || session?.learnerId) : null;
+		if (mode.needsPlan && !plan) return res.status(400).json({ error: 'no study plan to revise yet' });
 
 		// Determine language and question counts
-		const materialText = fs.existsSync(course.materialTextPath) ? fs.readFileSync(course.materialTextPath, 'utf8') : '';
+		const materialText = await db.getMaterial(course.id);
 		const wc = (materialText.trim().match(/\S+/g) || []).length;
 		let baselineQuestions = wc < 300 ? 3 : wc < 1200 ? 5 : wc < 3000 ? 7 : 10;
-		const reassessQuestions = Math.max(3, Math.round(baselineQuestions / 2));
 		const lang = (preferredLang === 'hi' || preferredLang === 'en') ? preferredLang : ((course.language === 'hi' || course.language === 'en') ? course.language : 'en');
-		console.log(`[VOICE] session mint for course ${courseId}, learner=${learnerName}, lang=${lang}, baseline=${baselineQuestions}`);
+		console.log(`[VOICE] session mint for course ${courseId}, learner=${learnerName}, lang=${lang}, mode=${mode.mode}, baseline=${baselineQuestions}`);
 
-		// Load question bank, if any
-		let questionBank = { questions: [] };
-		try {
-			if (fs.existsSync(course.questionBankPath)) {
-				questionBank = readJSON(course.questionBankPath);
-			}
-		} catch {}
-		const qbString = JSON.stringify(questionBank);
-		const qbSnippet = qbString.length > 5000 ? qbString.slice(0, 5000) + '...TRUNCATED' : qbString;
+		// Load question bank, if any, cut to the course's limit
+		const settings = voiceSettings.resolve(course.voiceSettings);
+		const questionBank = await db.getBank(course.id);
+		const qbString = JSON.stringify({ questions: questionBank.questions });
+		const qbSnippet = qbString.length > settings.bankChars ? qbString.slice(0, settings.bankChars) + '...TRUNCATED' : qbString;
 
-		const model = 'gpt-4o-realtime-preview-2024-12-17';
 		const languageDirective = lang === 'hi' ? 'Use only Hindi.' : 'Use only English.';
-		const body = {
-			model,
-			voice: 'alloy',
-			modalities: ['audio', 'text'],
-			input_audio_transcription: { model: 'whisper-1' },
-			instructions: `You are a  ASSESSMENT AGENT. Your ONLY job is to ask questions from the provided question bank.
-
-MANDATORY QUESTION BANK (use ONLY these questions - NO exceptions):
-${qbSnippet}
-
-ABSOLUTE RULES - FOLLOW EXACTLY:
-- ${languageDirective} 
-- Ask ONLY the questions from the question bank above - NO other questions
-- Start with the FIRST question from the bank immediately
-- Ask exactly ${baselineQuestions} questions from the bank in order
-- CRITICAL: You must wait for the user to finish speaking completely and answer the questionbefore you respond
-- After each answer, ONLY say "Okay" or "Alright" then WAIT 8 seconds before next question
-- NO explanations, NO correct answers, NO hints, NO teaching
-- Count internally: 1 of ${baselineQuestions}, 2 of ${baselineQuestions}, etc.
-- After Last question ${baselineQuestions} is answered wait for 8 seconds, say "Assessment complete" and emit:
-  <<PLAN_START>>
-  [Generate personalized study plan based on which questions they got right/wrong]
-  <<PLAN_END>>
-
-TURN-TAKING PROTOCOL:
-1. Ask a question from the bank
-2. Wait for user to speak and finish completely
-3. Say "Okay" or "Alright" 
-4. Wait 8 seconds
-5. Ask next question from the bank
-6. Repeat until all ${baselineQuestions} questions are done and wait for answer
-
-CRITICAL: 
-- Use ONLY questions from the provided bank - NO questions about atmosphere, capitals, or any other topics
-- Do not start the next question until the user has completely finished their answer and you have acknowledged it
-- Do not interrupt the user while they are speaking"`
-		};
-
-		const r = await fetch('https://api.openai.com/v1/realtime/sessions', {
-			method: 'POST',
-			headers: {
-				'Authorization': `Bearer ${apiKey}`,
-				'Content-Type': 'application/json'
-			},
-			body: JSON.stringify(body)
-		});
-		const text = await r.text();
-		let json;
-		try { json = JSON.parse(text); } catch { json = { raw: text }; }
-		if (!r.ok) return res.status(r.status).json(json);
-		// Attach baseline so the client can auto-finish after assessment
-		res.json({ ...json, baselineQuestions });
+		const agent = voiceModes.build(mode.mode, { learnerName, languageDirective, systemPrompt, bank: qbSnippet, plan, questions: baselineQuestions });
+		const body = voiceSettings.sessionBody(settings, { instructions: agent.instructions, lang });
+
+		const { status, json, connection } = await realtime.mint(body);
+		if (status !== 200) return res.status(status).json(json);
+		if (session) {
+			await db.transaction(async (tx) => {
+				const current = await tx.getSession(session.id);
+				if (current) await tx.saveSession(session.id, { ...current, voice: agent.voice });
+			});
+		}
+		// The client opens the call with startInstructions and hangs up on an end marker
+		res.json({ model: settings.model, ...json, realtime: connection, mode: mode.mode, baselineQuestions: agent.voice.questions, maxTurns: agent.voice.maxTurns, endMarkers: agent.voice.endMarkers, startInstructions: agent.startInstructions });
 	} catch (err) {
 		console.error(err);
 		res.status(500).json({ error: 'failed to mint ephemeral token' });
 	}
 });
 
-// Generate HTML question paper
-app.post('/api/papers/html', async (req, res) => {
+// Generate HTML question paper (teachers only: it calls the model and writes files)
+app.post('/api/papers/html', auth.requireRole('admin', 'teacher'), async (req, res) => {
 	try {
-		const { courseId, learnerName } = req.body || {};
-		const course = ensureCourse(courseId);
-		if (!course) return res.status(404).json({ error: 'course not found' });
-		if (!fs.existsSync(course.materialTextPath)) return res.status(400).json({ error: 'no material uploaded for this course' });
-		const material = fs.readFileSync(course.materialTextPath, 'utf8');
-
-		const paperPrompt = `You are a friendly voice tutor for children.\n\nCreate a comprehensive, production-ready SYSTEM PROMPT for a realtime voice agent that will:\n- Be voice-first, concise, and child-friendly\n- Run a short adaptive baseline using a provided question bank\n- Keep responses <= 2 sentences\n- Provide gentle hints on mistakes and simplify follow-ups\n- After baseline, emit a study plan (we will add markers externally) and pause\n\nInclude crisp bullet sections with specific, testable rules:\n1) Role & Tone\n2) Language Policy (only ${course.language === 'hi' ? 'Hindi' : 'English'})\n3) Question Policy (one short question at a time; acceptable forms; no multi-part)\n4) Adaptivity Ladder (easy→medium→hard with clear triggers)\n5) Feedback Style (hinting rules, brevity, positivity)\n6) Safety & Boundaries (no personal data, stick to chapter content)\n7) Flow Control (ask→listen→acknowledge→hint/next; recap frequency)\n8) Assessment to Plan Handoff (what constitutes end-of-baseline)\n9) Example utterances (2-3 pairs)\n\nKeep it practical. No filler.\n\nChapter Content (excerpt, do not quote verbatim in every turn):\n${material.substring(0, 20000)}`;
-
-		const systemPrompt = fs.existsSync(course.promptPath) ? fs.readFileSync(course.promptPath, 'utf8') : 'You are a helpful tutor.';
-		const questionBank = fs.existsSync(course.questionBankPath) ? readJSON(course.questionBankPath) : { questions: [] };
-
-		const ai = await openai.chat.completions.create({
-			model: 'gpt-4o-mini',
-			messages: [ { role: 'user', content: `${paperPrompt}\n\nSystem Prompt:\n${systemPrompt}\n\nQuestion Bank:\n${JSON.stringify(questionBank, null, 2)}\n\nGenerate a comprehensive, well-formatted HTML question paper. Include:\n- A title (e.g., "Chapter 1: Introduction to ${course.title}").\n- A brief introduction (e.g., "This is a practice test for Chapter 1 of ${course.title}").\n- A table of contents (e.g., "1. Introduction, 2. Key Concepts, 3. Questions").\n- A list of questions (each question should be a separate section, numbered). Each question should:\n  - Have a clear, concise question text.\n  - Include a space for the learner's answer.\n  - Have a hint (if applicable).\n  - Be in the learner's language (${course.language === 'hi' ? 'Hindi' : 'English'}).\n- A summary of the paper at the end.\n\nThe HTML should be valid and include all necessary tags (e.g., <h1>, <h2>, <p>, <ul>, <li>, <div>, <span>).` } ]
+		const { courseId, learnerName, sections } = req.body || {};
+		const course = await ensureCourse(courseId);
+		if (!course || !auth.canAccessCourse(req.user, course)) return res.status(404).json({ error: 'course not found' });
+		const selected = await selectSections(course.id, sections);
+		if (selected.error) return res.status(400).json({ error: selected.error });
+		const material = selected.sections.map(s => s.text).join('\n\n');
+		if (!material) return res.status(400).json({ error: 'no material uploaded for this course' });
+
+		const paperPrompt = `You are a friendly voice tutor for children.\n\nCreate a comprehensive, production-ready SYSTEM PROMPT for a realtime voice agent that will:\n- Be voice-first, concise, and child-friendly\n- Run a short adaptive baseline using a provided question bank\n- Keep responses <= 2 sentences\n- Provide gentle hints on mistakes and simplify follow-ups\n- After baseline, emit a study plan (we will add markers externally) and pause\n\nInclude crisp bullet sections with specific, testable rules:\n1) Role & Tone\n2) Language Policy (only ${course.language === 'hi' ? 'Hindi' : 'English'})\n3) Question Policy (one short question at a time; acceptable forms; no multi-part)\n4) Adaptivity Ladder (easy→medium→hard with clear triggers)\n5) Feedback Style (hinting rules, brevity, positivity)\n6) Safety & Boundaries (no personal data, stick to chapter content)\n7) Flow Control (ask→listen→acknowledge→hint/next; recap frequency)\n8) Assessment to Plan Handoff (what constitutes end-of-baseline)\n9) Example utterances (2-3 pairs)\n\nKeep it practical. No filler.\n\nChapter Content (excerpt, do not quote verbatim in every turn):\n${await retrieval.overview(course.id, { budget: 20000, sections: selected.ids })}`;
+
+		const systemPrompt = (await db.getPrompt(course.id)) || 'You are a helpful tutor.';
+		const { questions } = await bankStore.load(course.id);
+		const questionBank = { questions: bankStore.forSections(questions, selected.ids) };
+
+		const htmlContent = await llm.generate('paper-html', {
+			prompt: `${paperPrompt}\n\nSystem Prompt:\n${systemPrompt}\n\nQuestion Bank:\n${JSON.stringify(questionBank, null, 2)}\n\nGenerate a comprehensive, well-formatted HTML question paper. Include:\n- A title (e.g., "Chapter 1: Introduction to ${course.title}").\n- A brief introduction (e.g., "This is a practice test for Chapter 1 of ${course.title}").\n- A table of contents (e.g., "1. Introduction, 2. Key Concepts, 3. Questions").\n- A list of questions (each question should be a separate section, numbered). Each question should:\n  - Have a clear, concise question text.\n  - Include a space for the learner's answer.\n  - Have a hint (if applicable).\n  - Be in the learner's language (${course.language === 'hi' ? 'Hindi' : 'English'}).\n- A summary of the paper at the end.\n\nThe HTML should be valid and include all necessary tags (e.g., <h1>, <h2>, <p>, <ul>, <li>, <div>, <span>).`,
+			context: { bank: questionBank, title: course.title }
 		});
-		const htmlContent = ai?.choices?.[0]?.message?.content || '';
 		if (!htmlContent.trim()) return res.status(500).json({ error: 'HTML paper generation failed' });
 
-		const paperPath = path.join(PAPERS_DIR, `${courseId}-${uuidv4()}.html`);
-		fs.writeFileSync(paperPath, htmlContent.trim(), 'utf8');
+		const paperId = uuidv4();
+		const htmlFile = `${course.id}-${paperId}.html`;
+		fs.writeFileSync(path.join(PAPERS_DIR, htmlFile), htmlContent.trim(), 'utf8');
+		await db.savePaper(paperId, { id: paperId, courseId: course.id, type: 'html', title: `Question Paper - ${course.title}`, language: course.language, sections: selected.ids, htmlFile, createdAt: new Date().toISOString() });
+		paperRegistry.sweepIfDue(PAPERS_DIR);
 
-		res.json({ paperPath });
+		res.json({ paperId, htmlPath: `/api/admin/papers/${paperId}/html` });
 	} catch (err) {
 		console.error(err);
 		res.status(500).json({ error: 'failed to generate HTML paper' });
 	}
 });
 
-// Generate PDF from HTML (fallback)
-app.post('/api/papers/pdf', async (req, res) => {
+// Print a registered paper (see lib/paperRegistry) as a PDF, with the print
+// options of lib/pdf: page size, margins, and a header with the school name
+// and the learner's name and roll number. `key: true` prints the set's
+// answer key instead. Without Chromium the HTML comes back with a 503.
+app.post('/api/papers/pdf', auth.requireRole('admin', 'teacher'), async (req, res) => {
 	try {
-		const { paperPath } = req.body || {};
-		if (!paperPath) return res.status(400).json({ error: 'paperPath required' });
-		if (!fs.existsSync(paperPath)) return res.status(404).json({ error: 'paper not found' });
-
-		if (!puppeteer) {
-			puppeteer = require('puppeteer');
+		const { paperId, key, learnerId } = req.body || {};
+		if (!paperId) return res.status(400).json({ error: 'paperId required' });
+		const paper = await db.getPaper(String(paperId));
+		if (!paper || !auth.canAccessCourse(req.user, await db.getCourse(paper.courseId))) return res.status(404).json({ error: 'paper not found' });
+		const { options, error } = pdf.printOptions(req.body);
+		if (error) return res.status(400).json({ error });
+		if (learnerId) {
+			const learner = await db.getLearner(String(learnerId));
+			if (!learner) return res.status(404).json({ error: 'learner not found' });
+			options.learnerName = options.learnerName || learner.name;
 		}
 
-		const browser = await puppeteer.launch();
-		const page = await browser.newPage();
-		await page.goto(`file://${paperPath}`);
-		const pdf = await page.pdf({ format: 'A4' });
-		await browser.close();
-
+		const html = key ? await paperRegistry.keyHtml(paper) : await paperRegistry.html(PAPERS_DIR, paper);
+		if (!html) return res.status(404).json({ error: key ? 'this paper has no answer key' : 'paper file no longer available' });
+		const file = await pdf.render(html, options);
+		if (!file) return res.status(503).json({ error: 'PDF rendering is not available; print the HTML instead', html });
 		res.setHeader('Content-Type', 'application/pdf');
-		res.send(pdf);
+		res.setHeader('Content-Disposition', `inline; filename="paper-${paper.id.slice(0, 8)}${key ? '-key' : ''}.pdf"`);
+		res.send(file);
 	} catch (err) {
 		console.error(err);
 		res.status(500).json({ error: 'failed to generate PDF' });
 	}
 });
 
-// HTML/PDF question paper from question bank
-app.post('/api/assessment/paper', async (req, res) => {
+// Paper templates: named blueprints of question counts per kind, level and section
+app.get('/api/admin/course/:courseId/paper-templates', async (req, res) => {
+	const course = await db.getCourse(req.params.courseId);
+	if (!course) return res.status(404).json({ error: 'course not found' });
+	const templates = (await db.getPaperTemplates(course.id)).sort((a, b) => a.name.localeCompare(b.name));
+	res.json({ templates: [ { ...papers.DEFAULT_TEMPLATE, builtIn: true }, ...templates ] });
+});
+
+app.post('/api/admin/course/:courseId/paper-templates', async (req, res) => {
+	const course = await db.getCourse(req.params.courseId);
+	if (!course) return res.status(404).json({ error: 'course not found' });
+	const sectionIds = (await db.getSections(course.id)).map(s => s.id);
+	const error = papers.validateTemplate(req.body, sectionIds);
+	if (error) return res.status(400).json({ error });
+	const now = new Date().toISOString();
+	const template = { id: uuidv4(), courseId: course.id, name: req.body.name.trim(), blueprint: papers.normalizeBlueprint(req.body.blueprint), createdAt: now, updatedAt: now };
+	await db.savePaperTemplate(template.id, template);
+	res.json({ template });
+});
+
+app.patch('/api/admin/course/:courseId/paper-templates/:templateId', async (req, res) => {
+	const template = await db.getPaperTemplate(req.params.templateId);
+	if (!template || template.courseId !== req.params.courseId) return res.status(404).json({ error: 'template not found' });
+	const sectionIds = (await db.getSections(template.courseId)).map(s => s.id);
+	const error = papers.validateTemplate(req.body, sectionIds, { partial: true });
+	if (error) return res.status(400).json({ error });
+	const { name, blueprint } = req.body;
+	const updated = {
+		...template,
+		...(name !== undefined ? { name: name.trim() } : {}),
+		...(blueprint !== undefined ? { blueprint: papers.normalizeBlueprint(blueprint) } : {}),
+		updatedAt: new Date().toISOString(),
+	};
+	await db.savePaperTemplate(template.id, updated);
+	res.json({ template: updated });
+});
+
+app.delete('/api/admin/course/:courseId/paper-templates/:templateId', async (req, res) => {
+	const template = await db.getPaperTemplate(req.params.templateId);
+	if (!template || template.courseId !== req.params.courseId) return res.status(404).json({ error: 'template not found' });
+	await db.deletePaperTemplate(template.id);
+	res.json({ ok: true });
+});
+
+// Render HTML to PAPERS_DIR/<fileName> (see lib/pdf); returns the file name,
+// or null when no PDF could be made and the HTML has to do
+async function renderPdf(html, fileName, options) {
+	const file = await pdf.render(html, options);
+	if (!file) return null;
+	fs.writeFileSync(path.join(PAPERS_DIR, fileName), file);
+	console.log(`[PAPER] PDF saved ${fileName}`);
+	return fileName;
+}
+
+// A paper set from the question bank (see lib/papers): a template's blueprint
+// (default: 12 MCQs and 8 fill-ins), a seed, and 1-3 shuffled variants that
+// share one answer key, printed separately from the students' papers.
+// `print` takes the PDF options of lib/pdf (page size, margins, school name).
+// Teachers only, like printing: it may call the model, save a bank and render PDFs.
+app.post('/api/assessment/paper', auth.requireRole('admin', 'teacher'), async (req, res) => {
 	try {
-		const { courseId } = req.body || {};
-		const course = ensureCourse(courseId);
-		if (!course) return res.status(404).json({ error: 'course not found' });
-		let bank = { questions: [] };
-		if (fs.existsSync(course.questionBankPath)) {
-			bank = readJSON(course.questionBankPath);
+		const { courseId, sections, templateId } = req.body || {};
+		const course = await ensureCourse(courseId);
+		if (!course || !auth.canAccessCourse(req.user, course)) return res.status(404).json({ error: 'course not found' });
+		const selected = await selectSections(course.id, sections);
+		if (selected.error) return res.status(400).json({ error: selected.error });
+		const variants = req.body?.variants === undefined ? 1 : Number(req.body.variants);
+		if (!Number.isInteger(variants) || variants < 1 || variants > papers.VARIANTS.length) return res.status(400).json({ error: `variants must be 1 to ${papers.VARIANTS.length}` });
+		const print = req.body?.print === undefined ? null : pdf.printOptions(req.body.print);
+		if (print?.error) return res.status(400).json({ error: print.error });
+		const seed = req.body?.seed === undefined || req.body.seed === '' ? papers.newSeed() : String(req.body.seed).trim().slice(0, 64);
+		let template = papers.DEFAULT_TEMPLATE;
+		if (templateId && templateId !== papers.DEFAULT_TEMPLATE.id) {
+			template = await db.getPaperTemplate(String(templateId));
+			if (!template || template.courseId !== course.id) return res.status(404).json({ error: 'template not found' });
 		}
-		if (!Array.isArray(bank.questions) || bank.questions.length === 0) {
+
+		const bank = await bankStore.load(course.id);
+		if (!bankStore.forSections(bank.questions, selected.ids).length) {
 			console.warn(`[PAPER] No question bank for course ${courseId} — generating fallback from material`);
-			const material = fs.existsSync(course.materialTextPath) ? fs.readFileSync(course.materialTextPath, 'utf8') : '';
-			const genPrompt = `Create a JSON object with key "questions" containing 20 items. Each item: { q: string (short, speakable, child-friendly), a: string (concise ideal answer), level: 'easy'|'medium'|'hard' }. Cover key concepts from this chapter. Language: ${course.language === 'hi' ? 'Hindi' : 'English'}.\n\nChapter Content:\n${material.substring(0, 12000)}`;
 			try {
-				const resp = await openai.chat.completions.create({ model: 'gpt-4o-mini', messages: [ { role: 'user', content: genPrompt } ] });
-				const raw = resp?.choices?.[0]?.message?.content || '{}';
-				const cleaned = raw.replace(/```json\s*/gi, '').replace(/```/g, '');
-				const parsed = JSON.parse(cleaned);
-				if (Array.isArray(parsed.questions) && parsed.questions.length > 0) {
-					bank = { questions: parsed.questions };
-					fs.writeFileSync(course.questionBankPath, JSON.stringify(bank, null, 2), 'utf8');
-					console.log(`[PAPER] Fallback question bank generated count=${bank.questions.length}`);
+				const generated = await generateSectionQuestions(selected.sections, course.language === 'hi' ? 'hi' : 'en');
+				if (generated.length > 0) {
+					const saved = await bankStore.saveGenerated(course.id, generated, 'paper fallback', { sections: selected.ids });
+					console.log(`[PAPER] Fallback question bank generated count=${bankStore.forSections(saved.questions, selected.ids).length}`);
 				}
 			} catch (e) {
+				// An unusable model reply is reported; a paper from nothing is no help
+				if (e instanceof llm.LlmOutputError) throw e;
 				console.warn('[PAPER] Fallback generation failed:', e?.message || e);
 			}
 		}
-		if (!Array.isArray(bank.questions) || bank.questions.length === 0) {
+
+		const set = await papers.buildSet(course, { template, seed, variants, sections: selected.ids });
+		if (!set.masterQuestions.length) {
 			return res.status(400).json({ error: 'question bank not available; try generating prompt again' });
 		}
-		console.log(`[PAPER] Generating paper for course ${courseId}, questions=${bank.questions.length}`);
+		console.log(`[PAPER] Paper set for course ${courseId}: template=${template.id}, seed=${seed}, variants=${variants}, questions=${set.masterQuestions.length}`);
 		const title = `Assessment - ${course.title}`;
-		const langName = course.language === 'hi' ? 'Hindi' : 'English';
 
-		// Build MCQ + FIB JSON via LLM, then render controlled HTML
-		let mcq = [], fib = [];
-		try {
-			const compactBank = bank.questions.slice(0, 60); // cap prompt size
-			const jsonPrompt = `From the question bank, produce EXACT JSON with keys {\"mcq\":[],\"fib\":[]} only.\n\nRules:\n- mcq: 12 items. Each item: { q: string, options: [string,string,string,string], correctIndex: 0|1|2|3 }. Options must be plausible; exactly one correct.\n- fib: 8 items. Each item: { q: string with a single blank using \"____\", answer: string }. Keep blanks short and unambiguous.\n- Use ${langName} only.\n- Do NOT include any extra keys, commentary, or code fences.\n\nQuestion Bank:\n${JSON.stringify({ questions: compactBank }).slice(0, 18000)}`;
-			const resp = await openai.chat.completions.create({ model: 'gpt-4o-mini', messages: [ { role: 'user', content: jsonPrompt } ] });
-			let content = resp?.choices?.[0]?.message?.content || '{}';
-			content = content.replace(/```json\s*/gi, '').replace(/```/g, '');
-			const parsed = JSON.parse(content);
-			if (Array.isArray(parsed.mcq)) mcq = parsed.mcq.slice(0, 20);
-			if (Array.isArray(parsed.fib)) fib = parsed.fib.slice(0, 10);
-			console.log(`[PAPER] LLM MCQ=${mcq.length}, FIB=${fib.length}`);
-		} catch (e) {
-			console.warn('[PAPER] MCQ/FIB JSON generation failed:', e?.message || e);
+		// The same template, seed and bank give the same set; hand back the papers
+		// already printed for it, so their ids still grade the sheets
+		let printed = (await db.getPapers({ courseId: course.id })).filter(p => p.setKey === set.key)
+			.sort((a, b) => a.variant.localeCompare(b.variant));
+		const reused = printed.length === variants;
+		if (!reused) {
+			const setId = uuidv4();
+			printed = set.variants.map(v => ({
+				id: uuidv4(),
+				courseId: course.id,
+				setId,
+				setKey: set.key,
+				variant: v.letter,
+				seed,
+				templateId: template.id,
+				templateName: template.name,
+				bankVersion: set.bankVersion,
+				title,
+				language: course.language,
+				sections: selected.ids,
+				questions: v.questions,
+				shortfalls: set.shortfalls,
+				createdAt: new Date().toISOString(),
+			}));
 		}
 
-		let html;
-		if (mcq.length && fib.length) {
-			const style = 'body{font-family:Arial,Helvetica,Sans-Serif;margin:24px}h1{margin:0 0 8px}h2{margin:16px 0 8px}ol{padding-left:20px}li{margin:8px 0}small{color:#666}.opts{margin:6px 0 0 0;padding-left:18px}.opts li{list-style-type: upper-alpha;margin:4px 0}';
-			const keyMCQ = mcq.map((q,i)=>`Q${i+1}: ${String.fromCharCode(65 + (q.correctIndex||0))}`).join(', ');
-			const keyFIB = fib.map((q,i)=>`Q${i+1}: ${q.answer}`).join('; ');
-			html = `<!doctype html><html><head><meta charset="utf-8"><style>${style}</style></head><body>`+
-				`<h1>${title}</h1><small>Language: ${langName}</small>`+
-				`<p>Instructions: Attempt all questions. Read carefully and choose/enter the best answer.</p>`+
-				`<h2>A) Multiple Choice Questions</h2><ol>`+
-				mcq.map((q)=>`<li>${q.q}<ul class="opts">${(q.options||[]).slice(0,4).map(opt=>`<li>${opt}</li>`).join('')}</ul></li>`).join('')+
-				`</ol>`+
-				`<h2>B) Fill in the Blanks</h2><ol>`+
-				fib.map((q)=>`<li>${q.q}</li>`).join('')+
-				`</ol>`+
-				`<h2>Answer Key</h2><p><strong>MCQ:</strong> ${keyMCQ}</p><p><strong>Fill-in:</strong> ${keyFIB}</p>`+
-				`</body></html>`;
-		} else {
-			// Fallback to simple list if LLM JSON failed
-			const now = new Date().toLocaleString();
-			html = `<!doctype html><html><head><meta charset="utf-8"><style>body{font-family:Arial,Helvetica,Sans-Serif;margin:24px}h1{margin:0 0 8px}ol{padding-left:20px}li{margin:8px 0}small{color:#666}</style></head><body><h1>${title}</h1><small>${now}</small><ol>${bank.questions.map((q,i)=>`<li><strong>Q${i+1}:</strong> ${q.q}</li>`).join('')}</ol></body></html>`;
+		const rendered = [];
+		for (const paper of printed) {
+			const html = papers.paperHtml({ paperId: paper.id, title, language: course.language, letter: paper.variant, variants, questions: paper.questions });
+			// Print options given again re-print the PDFs of a reused set
+			const pdfFile = (!print && paper.pdfFile) || await renderPdf(html, `${course.id}-${paper.id}.pdf`, print?.options) || paper.pdfFile || null;
+			rendered.push({ paper: { ...paper, pdfFile }, html });
 		}
+		const keyHtml = papers.keyHtml({ title, seed, papers: printed.map(p => ({ letter: p.variant, paperId: p.id, questions: p.questions })) });
+		const keyPdfFile = (!print && printed[0].keyPdfFile) || await renderPdf(keyHtml, `${course.id}-${printed[0].setId}-key.pdf`, print?.options) || printed[0].keyPdfFile || null;
+		for (const { paper } of rendered) await db.savePaper(paper.id, { ...paper, keyPdfFile });
+		if (!reused) paperRegistry.sweepIfDue(PAPERS_DIR);
+		if (set.shortfalls.length) console.warn(`[PAPER] Blueprint not filled: ${set.shortfalls.map(s => `${s.kind}${s.level ? `/${s.level}` : ''} ${s.found}/${s.wanted}`).join(', ')}`);
+
+		// Files are fetched by paper id, the key only through the admin routes
+		const pdfPath = paper => paper.pdfFile ? `/api/assessment/paper/${paper.id}/pdf` : null;
+		const [first] = rendered;
+		res.json({
+			paperId: first.paper.id,
+			setId: first.paper.setId,
+			seed,
+			templateId: template.id,
+			reused,
+			shortfalls: set.shortfalls,
+			html: first.html,
+			pdfPath: pdfPath(first.paper),
+			pdfUrl: pdfPath(first.paper),  // For backward compatibility
+			variants: rendered.map(({ paper, html }) => ({ variant: paper.variant, paperId: paper.id, html, pdfPath: pdfPath(paper) })),
+			answerKey: { html: keyHtml, pdfPath: keyPdfFile ? `/api/admin/papers/${first.paper.id}/key?format=pdf` : null },
+		});
+	} catch (err) {
+		sendError(res, err, 'failed to generate paper');
+	}
+});
 
-		// Generate PDF path
-		const paperId = uuidv4();
-		const pdfFile = path.join(PAPERS_DIR, `${paperId}.pdf`);
-		try {
-			if (!puppeteer) puppeteer = (await import('puppeteer')).default;
-			const browser = await puppeteer.launch({ args: ['--no-sandbox','--disable-setuid-sandbox'] });
-			const page = await browser.newPage();
-			await page.setContent(html, { waitUntil: 'networkidle0' });
-			await page.pdf({ path: pdfFile, format: 'A4', printBackground: true });
-			await browser.close();
-			console.log(`[PAPER] PDF saved ${pdfFile}`);
-		} catch (e) {
-			console.warn('[PAPER] PDF generation failed; returning HTML only:', e?.message || e);
+// A stored paper as learners answer it online: its questions without the key
+app.get('/api/assessment/paper/:paperId', async (req, res) => {
+	const paper = await db.getPaper(req.params.paperId);
+	if (!paper?.questions) return res.status(404).json({ error: 'paper not found' });
+	res.json({ paperId: paper.id, courseId: paper.courseId, title: paper.title, language: paper.language, questions: answerKey.publicQuestions(paper.questions) });
+});
+
+// The printed paper itself (never its key), for learners to download
+app.get('/api/assessment/paper/:paperId/pdf', async (req, res) => {
+	const paper = await db.getPaper(req.params.paperId);
+	const file = paper?.pdfFile && path.join(PAPERS_DIR, paper.pdfFile);
+	if (!file || !fs.existsSync(file)) return res.status(404).json({ error: 'no PDF for this paper' });
+	res.sendFile(file);
+});
+
+// Answers to a stored paper, typed online ({ answers: { A1: 'B', B1: 'leaves' } })
+// or as a photo of the filled-in sheet (`image`). MCQ and fill-in answers are
+// graded against the paper's key; see lib/answerKey.
+app.post('/api/assessment/paper/:paperId/submit', upload.single('image'), async (req, res) => {
+	const discard = () => { if (req.file) fs.rmSync(req.file.path, { force: true }); };
+	try {
+		const paper = await db.getPaper(req.params.paperId);
+		if (!paper?.questions) {
+			discard();
+			return res.status(404).json({ error: 'paper not found' });
+		}
+		const course = await ensureCourse(paper.courseId);
+		if (!course) {
+			discard();
+			return res.status(404).json({ error: 'course not found' });
 		}
+		const { learnerId, learnerName } = req.body || {};
+		const learner = await roster.resolveLearner(course.id, { learnerId: req.user?.learnerId || learnerId, learnerName, user: req.user });
+		if (!learner) {
+			discard();
+			return res.status(404).json({ error: 'learner not found' });
+		}
+		const sheet = handwriting.sheetQuestions(paper.questions);
+		if (req.file) return res.json(await gradeUploadedSheet({ course, learner, sheet, file: req.file, paperId: paper.id }));
 
-		const publicPath = `/papers/${path.basename(pdfFile)}`;
-		const pdfExists = fs.existsSync(pdfFile);
-		res.json({ 
-			html, 
-			pdfPath: pdfExists ? publicPath : null,
-			pdfUrl: pdfExists ? publicPath : null  // For backward compatibility
-		});
+		let { answers } = req.body || {};
+		if (typeof answers === 'string') {
+			try {
+				answers = JSON.parse(answers);
+			} catch {
+				answers = null;
+			}
+		}
+		if (!answers || typeof answers !== 'object' || Array.isArray(answers)) return res.status(400).json({ error: 'answers must be an object of question id to answer, or upload an image' });
+
+		const items = [];
+		for (const question of sheet) {
+			const answer = String(answers[question.id] ?? '').trim();
+			const grade = answer || answerKey.isKeyed(question)
+				? await handwriting.gradeAnswer(question, answer)
+				: { correct: false, feedback: 'No answer was given.', confidence: 1, method: 'key' };
+			const needsReview = grade.confidence < handwriting.REVIEW_THRESHOLD;
+			items.push({
+				questionId: question.id,
+				question: question.q,
+				expected: handwriting.expectedAnswer(question),
+				answer,
+				correct: needsReview ? null : grade.correct,
+				feedback: grade.feedback || (needsReview ? 'Waiting for teacher review.' : ''),
+				confidence: grade.confidence,
+				method: grade.method,
+				needsReview,
+			});
+		}
+		const graded = items.filter(i => i.correct !== null);
+		const score = graded.filter(i => i.correct).length;
+		const result = { items, score, total: graded.length, pending: items.length - graded.length, level: handwriting.levelFor(score, graded.length) };
+		const session = await saveHandwrittenSession({ course, learner, sheet, result, paperId: paper.id, type: 'paper' });
+		console.log(`[PAPER] Graded online answers ${session.id} to paper ${paper.id}: ${score}/${graded.length}, by key ${items.filter(i => i.method === 'key').length}/${items.length}, ${result.pending} for review`);
+		res.json(gradedResponse(session, result));
 	} catch (err) {
-		console.error('[PAPER] generation failed:', err);
-		res.status(500).json({ error: 'failed to generate paper' });
+		discard();
+		console.error('[PAPER] Grading answers failed:', err);
+		res.status(500).json({ error: 'failed to grade answers' });
 	}
 });
 
+// Paper registry (see lib/paperRegistry): what was printed for a course,
+// its files, and the sessions graded against it
+async function accessiblePaper(req) {
+	const paper = await db.getPaper(req.params.paperId);
+	if (!paper || !auth.canAccessCourse(req.user, await db.getCourse(paper.courseId))) return null;
+	return paper;
+}
+
+app.get('/api/admin/course/:courseId/papers', async (req, res) => {
+	const course = await db.getCourse(req.params.courseId);
+	if (!course) return res.status(404).json({ error: 'course not found' });
+	res.json({ papers: await paperRegistry.list(course.id) });
+});
+
+app.get('/api/admin/papers/:paperId', async (req, res) => {
+	const paper = await accessiblePaper(req);
+	if (!paper) return res.status(404).json({ error: 'paper not found' });
+	const sessions = await paperRegistry.sessionsFor(paper);
+	const learners = new Map((await db.getLearners()).map(l => [l.id, l]));
+	res.json({
+		paper: {
+			...paperRegistry.summary(paper, sessions),
+			sections: paper.sections || [],
+			shortfalls: paper.shortfalls || [],
+			questions: paper.questions || null,
+			pdfPath: paper.pdfFile ? `/api/admin/papers/${paper.id}/pdf` : null,
+			keyPdfPath: paper.keyPdfFile ? `/api/admin/papers/${paper.id}/key?format=pdf` : null,
+		},
+		sessions: sessions.map(s => ({ id: s.id, learnerId: s.learnerId, name: learners.get(s.learnerId)?.name || s.learnerId, type: s.type, score: s.score, total: s.total, createdAt: s.createdAt })),
+	});
+});
+
+app.get('/api/admin/papers/:paperId/html', async (req, res) => {
+	const paper = await accessiblePaper(req);
+	if (!paper) return res.status(404).json({ error: 'paper not found' });
+	const html = await paperRegistry.html(PAPERS_DIR, paper);
+	if (!html) return res.status(404).json({ error: 'paper file no longer available' });
+	res.type('html').send(html);
+});
+
+app.get('/api/admin/papers/:paperId/pdf', async (req, res) => {
+	const paper = await accessiblePaper(req);
+	if (!paper) return res.status(404).json({ error: 'paper not found' });
+	const file = paper.pdfFile && path.join(PAPERS_DIR, paper.pdfFile);
+	if (!file || !fs.existsSync(file)) return res.status(404).json({ error: 'no PDF for this paper' });
+	res.sendFile(file);
+});
+
+// The answer key of the paper's whole set, as HTML or (?format=pdf) its PDF
+app.get('/api/admin/papers/:paperId/key', async (req, res) => {
+	const paper = await accessiblePaper(req);
+	if (!paper) return res.status(404).json({ error: 'paper not found' });
+	if (!paper.questions) return res.status(404).json({ error: 'this paper has no answer key' });
+	if (req.query.format === 'pdf') {
+		const file = paper.keyPdfFile && path.join(PAPERS_DIR, paper.keyPdfFile);
+		if (!file || !fs.existsSync(file)) return res.status(404).json({ error: 'no answer key PDF for this paper' });
+		return res.sendFile(file);
+	}
+	res.type('html').send(await paperRegistry.keyHtml(paper));
+});
+
+// Papers that sessions were graded against are kept unless ?force=true; the
+// sessions keep their answers and scores either way
+app.delete('/api/admin/papers/:paperId', async (req, res) => {
+	const paper = await accessiblePaper(req);
+	if (!paper) return res.status(404).json({ error: 'paper not found' });
+	const sessions = await paperRegistry.sessionsFor(paper);
+	if (sessions.length && req.query.force !== 'true') return res.status(409).json({ error: 'sessions were graded against this paper; add ?force=true to delete it anyway', sessions: sessions.length });
+	await paperRegistry.remove(PAPERS_DIR, paper);
+	console.log(`[PAPER] Deleted paper ${paper.id} of course ${paper.courseId} (${sessions.length} graded sessions)`);
+	res.json({ ok: true });
+});
+
+// Run the retention sweep now, optionally with another age ({ days })
+app.post('/api/admin/papers/sweep', auth.requireRole('admin'), async (req, res) => {
+	const days = req.body?.days === undefined ? paperRegistry.RETENTION_DAYS : Number(req.body.days);
+	if (!Number.isFinite(days) || days < 0) return res.status(400).json({ error: 'days must be a number of days, 0 or more' });
+	res.json(await paperRegistry.sweep(PAPERS_DIR, { days }));
+});
+
 // Global error handler
 app.use((err, req, res, next) => {
 	console.error('[UNHANDLED]', err);
@@ -1029,6 +2083,10 @@ if (require.main === module) {
 	app.listen(port, () => {
 		console.log(`Server running on http://localhost:${port}`);
 	});
+	// Stored changes are flushed in batches; write out the last ones before stopping
+	for (const signal of ['SIGINT', 'SIGTERM']) {
+		process.once(signal, () => db.flush().catch(err => console.error('[DB] Final flush failed:', err)).finally(() => process.exit(0)));
+	}
 }
 
 module.exports = app;
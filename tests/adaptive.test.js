@@ -0,0 +1,45 @@
+const adaptive = require('../lib/adaptive');
+
+const bank = [
+	{ id: 'e1', q: 'E1?', a: 'e1', level: 'easy' },
+	{ id: 'e2', q: 'E2?', a: 'e2', level: 'easy' },
+	{ id: 'm1', q: 'M1?', a: 'm1', level: 'medium' },
+	{ id: 'h1', q: 'H1?', a: 'h1', level: 'hard' },
+	{ id: 'h2', q: 'H2?', a: 'h2', level: 'hard' },
+];
+
+describe('adaptive question selection', () => {
+	test('two right answers climb a level, one wrong answer steps down', () => {
+		let state = adaptive.initialState();
+		const levels = [];
+		for (const correct of [true, true, true, true, true, false, false, true]) {
+			state = adaptive.step(state, correct).state;
+			levels.push(state.level);
+		}
+		expect(levels).toEqual(['easy', 'medium', 'medium', 'hard', 'hard', 'medium', 'easy', 'easy']);
+		expect(adaptive.step({ ...adaptive.initialState(), correctStreak: 1 }, true)).toMatchObject({ rule: 'up', why: '2 correct in a row, up from easy' });
+		expect(adaptive.step(adaptive.initialState(), false)).toMatchObject({ rule: 'stay', state: { level: 'easy', wrongStreak: 1 } });
+	});
+
+	test('unseen items come first, then the least and least recently seen', () => {
+		const seen = new Map([ ['e1', { count: 2, lastAt: '2026-01-02' }], ['e2', { count: 2, lastAt: '2026-01-01' }], ['h1', { count: 1, lastAt: '2026-01-01' }] ]);
+		expect(adaptive.pick(bank, { level: 'easy' }).item.id).toBe('e1');
+		expect(adaptive.pick(bank, { level: 'easy', seen }).item.id).toBe('e2');
+		expect(adaptive.pick(bank, { level: 'hard', seen, why: 'start' }).selection).toEqual({ itemId: 'h2', level: 'hard', targetLevel: 'hard', seenBefore: 0, reason: 'start; hard question; new to this learner' });
+		expect(adaptive.pick(bank, { level: 'easy', seen, exclude: new Set(['e2']) }).selection.reason).toMatch(/asked 2 times/);
+	});
+
+	test('a used-up level falls back to the nearest one, easier first', () => {
+		const picked = adaptive.pick(bank, { level: 'medium', exclude: new Set(['m1']) });
+		expect(picked.item.id).toBe('e1');
+		expect(picked.selection.reason).toBe('no medium question left, nearest is easy; new to this learner');
+		expect(adaptive.pick(bank, { level: 'easy', exclude: new Set(bank.map(q => q.id)) })).toBeNull();
+	});
+
+	test('fixed sets ramp from easy to hard without repeats', () => {
+		const set = adaptive.selectSet(bank, 3);
+		expect(set.map(q => q.level)).toEqual(['easy', 'medium', 'hard']);
+		expect(set[2].selection.reason).toMatch(/^item 3 of 3/);
+		expect(adaptive.selectSet(bank, 10).map(q => q.id).sort()).toEqual(bank.map(q => q.id).sort());
+	});
+});
@@ -0,0 +1,97 @@
+process.env.LLM_PROVIDER = 'local';
+
+const llm = require('../lib/llm');
+const answerKey = require('../lib/answerKey');
+
+const local = llm.getProvider('answer-check');
+
+describe('answer key grading', () => {
+	afterEach(() => local.clearFixtures());
+
+	test('Hindi spelling variants normalize to the same answer', () => {
+		const same = (a, b) => expect(answerKey.normalize(a)).toBe(answerKey.normalize(b));
+		same('हिन्दी', 'हिंदी');
+		same('ज़मीन', 'जमीन');
+		same('हँसना', 'हंसना');
+		same('पत्ती।', 'पत्ती');
+		same('१२', '12');
+		same('The Chlorophyll!', 'chlorophyll');
+		expect(answerKey.normalize('3.5 cm.')).toBe('3.5 cm');
+	});
+
+	test('MCQ answers are read as letters, numbers or option text', () => {
+		const q = { kind: 'mcq', options: ['Roots', 'Leaves', 'Stem', 'Flower'], correctIndex: 1 };
+		for (const answer of ['B', 'b)', '(B)', 'Option B', 'ख', '2', 'leaves', 'B) leaves', 'B. Leaves', 'B: leaves', '(B) leaves', 'B) leafs', 'ख) leaves']) {
+			expect(answerKey.mcqChoice(q, answer)).toBe(1);
+		}
+		expect(answerKey.mcqChoice(q, 'A, C')).toBe('multiple');
+		expect(answerKey.mcqChoice(q, '')).toBeNull();
+		expect(answerKey.mcqChoice(q, 'sunlight')).toBeNull();
+		expect(answerKey.mcqChoice(q, 'B) roots')).toBeNull();
+
+		// With numbers as options a number is the option's text, not its position
+		const sums = { kind: 'mcq', options: ['4', '6', '8', '2'], correctIndex: 3 };
+		expect(answerKey.mcqChoice(sums, '2')).toBe(3);
+		expect(answerKey.mcqChoice(sums, '४')).toBe(0);
+		expect(answerKey.mcqChoice(sums, 'B')).toBe(1);
+		expect(answerKey.mcqChoice(sums, 'D) 2')).toBe(3);
+		expect(answerKey.mcqChoice(sums, '1')).toBeNull();
+		expect(answerKey.mcqChoice(sums, 'B) 2')).toBeNull();
+	});
+
+	test('fill-in answers match exactly, nearly or not at all', () => {
+		const q = { kind: 'fib', answer: 'photosynthesis / प्रकाश संश्लेषण' };
+		expect(answerKey.matchFib(q, 'Photosynthesis.').match).toBe('exact');
+		expect(answerKey.matchFib(q, 'प्रकाश संश्लेषण').match).toBe('exact');
+		expect(answerKey.matchFib(q, 'photosynthsis').match).toBe('near');
+		expect(answerKey.matchFib(q, 'the process of photosynthesis').match).toBe('near');
+		expect(answerKey.matchFib(q, 'respiration').match).toBe('none');
+		expect(answerKey.matchFib({ kind: 'fib', answer: '13' }, '12').match).toBe('none');
+		expect(answerKey.matchFib({ kind: 'fib', answer: '13' }, '१३').match).toBe('exact');
+	});
+
+	test('a romanized answer matches a Devanagari-only key and the reverse', async () => {
+		const cow = { id: 'B2', kind: 'fib', q: 'गाय को हिंदी में क्या कहते हैं?', answer: 'गाय' };
+		expect(answerKey.matchFib(cow, 'gaay').match).toBe('exact');
+		expect(answerKey.matchFib(cow, 'Gay').match).toBe('exact');
+		expect(answerKey.matchFib(cow, 'ghoda').match).toBe('none');
+		expect(answerKey.matchFib({ kind: 'fib', answer: 'प्रकाश संश्लेषण' }, 'prakash sanshleshan').match).toBe('exact');
+		expect(answerKey.matchFib({ kind: 'fib', answer: 'kamal' }, 'कमल').match).toBe('exact');
+		expect(await answerKey.grade(cow, 'gaay')).toMatchObject({ correct: true, method: 'key', confidence: 1 });
+	});
+
+	test('the model is only asked about near misses', async () => {
+		const asked = [];
+		local.setFixture('answer-check', ({ context }) => {
+			asked.push(context.answer);
+			return { correct: true, feedback: 'Small spelling slip.', confidence: 0.8 };
+		});
+		const fib = { id: 'B1', kind: 'fib', q: 'Plants make food by ____.', answer: 'photosynthesis' };
+		const mcq = { id: 'A1', kind: 'mcq', q: 'Which part makes food?', options: ['Roots', 'Leaves', 'Stem', 'Flower'], correctIndex: 1 };
+
+		expect(await answerKey.grade(fib, 'photosynthesis')).toMatchObject({ correct: true, method: 'key', confidence: 1 });
+		expect(await answerKey.grade(fib, 'digestion')).toMatchObject({ correct: false, method: 'key' });
+		expect(await answerKey.grade(fib, 'fotosynthesis')).toMatchObject({ correct: true, method: 'llm', confidence: 0.8 });
+		expect(await answerKey.grade(mcq, 'C')).toMatchObject({ correct: false, method: 'key' });
+		expect(await answerKey.grade(mcq, 'B')).toMatchObject({ correct: true, method: 'key' });
+		expect(await answerKey.grade(mcq, 'B) leaves')).toMatchObject({ correct: true, method: 'key', confidence: 1 });
+		// An answer naming no option is left for a teacher, not marked wrong
+		expect(await answerKey.grade(mcq, 'sunlight')).toMatchObject({ correct: false, feedback: '', method: 'key', confidence: 0.3 });
+		expect(await answerKey.grade(mcq, '')).toMatchObject({ correct: false, method: 'key', confidence: 1 });
+		const sums = { id: 'A2', kind: 'mcq', q: '1 + 1 = ?', options: ['4', '6', '8', '2'], correctIndex: 3 };
+		expect(await answerKey.grade(sums, '2')).toMatchObject({ correct: true, method: 'key', confidence: 1 });
+		expect(await answerKey.grade(sums, '3')).toMatchObject({ correct: false, confidence: 0.3 });
+		expect(asked).toEqual(['fotosynthesis']);
+	});
+
+	test('learners get the questions without the key', () => {
+		const questions = answerKey.publicQuestions([
+			{ id: 'A1', kind: 'mcq', q: 'Q?', options: ['a', 'b', 'c', 'd'], correctIndex: 2, answer: 'c' },
+			{ id: 'B1', kind: 'fib', q: 'Fill ____.', answer: 'x' },
+		]);
+		expect(questions).toEqual([
+			{ id: 'A1', kind: 'mcq', q: 'Q?', options: ['a', 'b', 'c', 'd'] },
+			{ id: 'B1', kind: 'fib', q: 'Fill ____.' },
+		]);
+	});
+});
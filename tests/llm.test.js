@@ -0,0 +1,99 @@
+const llm = require('../lib/llm');
+const schemas = require('../lib/llm/schemas');
+
+describe('LLM provider layer', () => {
+	const saved = { ...process.env };
+
+	afterEach(() => {
+		process.env = { ...saved };
+		llm.reset();
+	});
+
+	test('per-task override beats deployment-wide provider and built-in default', () => {
+		delete process.env.LLM_PROVIDER;
+		expect(llm.providerNameFor('evaluate')).toBe('openai');
+		expect(llm.providerNameFor('handwritten')).toBe('gemini');
+		expect(llm.providerNameFor('handwritten-regions')).toBe('gemini');
+
+		process.env.LLM_PROVIDER = 'local';
+		expect(llm.providerNameFor('handwritten')).toBe('local');
+
+		process.env.LLM_PROVIDER_HANDWRITTEN = 'openai';
+		expect(llm.providerNameFor('handwritten')).toBe('openai');
+		expect(llm.providerNameFor('handwritten-answer')).toBe('openai');
+
+		process.env.LLM_PROVIDER_HANDWRITTEN_GRADE = 'local';
+		expect(llm.providerNameFor('handwritten-grade')).toBe('local');
+	});
+
+	test('unknown provider is rejected', async () => {
+		process.env.LLM_PROVIDER = 'nope';
+		await expect(llm.generate('evaluate', { prompt: 'x' })).rejects.toThrow('unknown LLM provider: nope');
+	});
+
+	test('local provider answers deterministically from context', async () => {
+		process.env.LLM_PROVIDER = 'local';
+		const material = 'Plants make food using sunlight. This process is called photosynthesis. Leaves contain chlorophyll.';
+
+		const bank = JSON.parse(await llm.generate('bank', { prompt: '', context: { material } }));
+		expect(bank.questions).toHaveLength(3);
+		expect(bank.questions.map(q => q.level)).toEqual(['easy', 'medium', 'hard']);
+		expect(await llm.generate('bank', { prompt: '', context: { material } })).toBe(JSON.stringify(bank));
+
+		const right = JSON.parse(await llm.generate('evaluate', { prompt: '', context: { material, answer: 'photosynthesis' } }));
+		const wrong = JSON.parse(await llm.generate('evaluate', { prompt: '', context: { material, answer: 'gravity' } }));
+		expect(right.correctness).toBe(true);
+		expect(wrong.correctness).toBe(false);
+	});
+
+	test('local fixtures override canned handlers', async () => {
+		process.env.LLM_PROVIDER = 'local';
+		const local = llm.getProvider('studyplan');
+		local.setFixture('studyplan', ({ context }) => `Plan for ${context.level}`);
+		expect(await llm.generate('studyplan', { prompt: '', context: { level: 'easy' } })).toBe('Plan for easy');
+	});
+
+	test('replies are parsed, coerced and checked against the task schema', () => {
+		expect(schemas.parse('```json\n{ "questions": [] }\n```')).toEqual({ questions: [] });
+		expect(schemas.parse('Sure! Here it is: [1, 2]. Hope that helps')).toEqual([1, 2]);
+		expect(schemas.parse('no json here')).toBeUndefined();
+
+		const { assessment, evaluate } = schemas.SCHEMAS;
+		expect(schemas.coerce(assessment, [ { q: 'Q?', a: 'A' } ])).toEqual({ questions: [ { q: 'Q?', a: 'A' } ] });
+		expect(schemas.coerce(schemas.SCHEMAS['answer-check'], { correct: 'true', confidence: '0.8' })).toEqual({ correct: true, confidence: 0.8 });
+		expect(schemas.validate(evaluate, { correctness: true, feedback: 'Well done!' })).toEqual([]);
+		expect(schemas.validate(evaluate, { correctness: 'yes' })).toEqual(['reply.feedback: missing', 'reply.correctness: expected boolean, got string']);
+		expect(schemas.validate(assessment, { questions: [ { q: '', a: 'A' } ] })).toEqual(['reply.questions[0].q: must not be empty']);
+		expect(schemas.validate(schemas.SCHEMAS['handwritten-regions'], { regions: [ { id: 'A1', box: null, confidence: 2 } ] })).toEqual(['reply.regions[0].confidence: must be at most 1']);
+	});
+
+	test('unusable JSON is sent back with its problems, then reported', async () => {
+		process.env.LLM_PROVIDER = 'local';
+		const local = llm.getProvider('evaluate');
+		const prompts = [];
+		const replies = [ 'I think it is right!', '{ "correctness": true, "feedback": "Good." }' ];
+		local.setFixture('evaluate', ({ prompt }) => { prompts.push(prompt); return replies.shift(); });
+		expect(await llm.generateJson('evaluate', { prompt: 'Grade it.' })).toEqual({ correctness: true, feedback: 'Good.' });
+		expect(prompts[1]).toContain('- reply: not JSON');
+		expect(prompts[1]).toContain('I think it is right!');
+
+		local.setFixture('evaluate', { correctness: 'maybe' });
+		const failure = llm.generateJson('evaluate', { prompt: 'Grade it.' });
+		await expect(failure).rejects.toBeInstanceOf(llm.LlmOutputError);
+		await expect(failure).rejects.toMatchObject({ task: 'evaluate', errors: ['reply.feedback: missing', 'reply.correctness: expected boolean, got string'] });
+		local.clearFixtures();
+	});
+	test('openai sends images as image_url parts and PDFs as file parts', async () => {
+		const createOpenAIProvider = require('../lib/llm/providers/openai');
+		const sent = [];
+		const client = { chat: { completions: { create: async params => { sent.push(params); return { choices: [ { message: { content: 'ok' } } ] }; } } } };
+		const openai = createOpenAIProvider({ client });
+		const images = [ { mimeType: 'image/png', data: 'aW1n' }, { mimeType: 'application/pdf', data: 'cGRm' } ];
+		expect(await openai.generate({ task: 'handwritten', prompt: 'Read it.', images })).toBe('ok');
+		expect(sent[0].messages[0].content).toEqual([
+			{ type: 'text', text: 'Read it.' },
+			{ type: 'image_url', image_url: { url: 'data:image/png;base64,aW1n' } },
+			{ type: 'file', file: { filename: 'attachment-2.pdf', file_data: 'data:application/pdf;base64,cGRm' } },
+		]);
+	});
+});
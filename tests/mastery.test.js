@@ -0,0 +1,78 @@
+const mastery = require('../lib/mastery');
+
+const day = d => new Date(Date.parse('2026-03-01T10:00:00Z') + d * 24 * 60 * 60 * 1000).toISOString();
+const answers = (...marks) => marks.map(correct => ({ correct }));
+
+// The storage calls lib/mastery makes, over plain data
+function storeWith({ sessions, attempts, bank, sections = [] }) {
+	return {
+		getSessions: async ({ learnerId }) => Object.fromEntries(sessions.filter(s => s.learnerId === learnerId).map(s => [s.id, s])),
+		getCourse: async id => ({ id, title: 'Plants' }),
+		getBank: async () => ({ version: 1, questions: bank }),
+		getSections: async () => sections,
+		getCourseAttempts: async courseId => attempts.filter(a => a.courseId === courseId),
+	};
+}
+
+describe('learner mastery', () => {
+	test('recent answers weigh most and mastery needs a few answers', () => {
+		expect(mastery.levelOf([])).toBe('new');
+		expect(mastery.levelOf(answers(true))).toBe('practising');
+		expect(mastery.levelOf(answers(true, true, true))).toBe('mastered');
+		expect(mastery.levelOf(answers(true, true, false))).toBe('practising');
+		expect(mastery.levelOf(answers(true, false, false))).toBe('learning');
+		expect(mastery.scoreOf(answers(false, true))).toBeCloseTo(1 / 1.8);
+		expect(mastery.scoreOf(answers(true, false))).toBeCloseTo(0.8 / 1.8);
+	});
+
+	test('attempts from every session type are replayed into concepts, level changes and improvements', async () => {
+		const bank = [
+			{ id: 'b1', q: 'What do leaves make?', a: 'Food', tags: ['photosynthesis'] },
+			{ id: 'b2', q: 'Which gas do plants take in?', a: 'Carbon dioxide', tags: ['photosynthesis', 'gases'] },
+			{ id: 'b3', q: 'Where do roots grow?', a: 'Soil', section: 'sec-roots' },
+		];
+		const session = (id, type, d, extra = {}) => ({ id, courseId: 'c1', learnerId: 'l1', type, createdAt: day(d), score: 0, total: 0, ...extra });
+		const attempt = (sessionId, index, d, fields) => ({ id: `${sessionId}:${index}`, sessionId, courseId: 'c1', index, createdAt: day(d), ...fields });
+		const store = storeWith({
+			bank,
+			sections: [ { id: 'sec-roots', title: 'Roots' } ],
+			sessions: [
+				session('text1', 'text', 0),
+				session('paper1', 'paper', 1, { questions: [ { id: 'A1', q: 'Leaves make ____.', bankId: 'b1' } ] }),
+				session('voice1', 'voice', 9, { voice: { mode: 'assessment' } }),
+				{ ...session('other', 'text', 9), learnerId: 'l2' },
+			],
+			attempts: [
+				attempt('text1', 0, 0, { q: 'What do leaves make?', itemId: 'b1', correct: false }),
+				attempt('text1', 1, 0, { q: 'Where do roots grow?', itemId: 'b3', correct: true }),
+				attempt('paper1', 0, 1, { q: 'Leaves make ____.', questionId: 'A1', correct: false }),
+				attempt('paper1', 1, 1, { q: 'A question from elsewhere?', questionId: 'X9', correct: true }),
+				attempt('voice1', 0, 9, { q: 'Which gas do plants take in?', correct: true }),
+				attempt('voice1', 1, 9, { q: 'What do leaves make?', itemId: 'b1', correct: true }),
+				attempt('voice1', 2, 9, { q: 'Where do roots grow?', itemId: 'b3', correct: null, needsReview: true }),
+				attempt('other', 0, 9, { q: 'What do leaves make?', itemId: 'b1', correct: true }),
+			],
+		});
+
+		const progress = await mastery.progress('l1', { store, now: Date.parse(day(10)) });
+		expect(progress.mastery.map(m => [m.label, m.kind, m.correct, m.answered, m.level])).toEqual([
+			['photosynthesis', 'tag', 2, 4, 'practising'],
+			['gases', 'tag', 1, 1, 'practising'],
+			['Plants', 'course', 1, 1, 'practising'],
+			['Roots', 'section', 1, 1, 'practising'],
+		]);
+		expect(progress.changes.filter(c => c.concept === 'tag:photosynthesis').map(c => [c.sessionId, c.from, c.to])).toEqual([
+			['text1', 'new', 'learning'],
+			['voice1', 'learning', 'practising'],
+		]);
+		expect(progress.improvements).toEqual([
+			{ courseId: 'c1', concept: 'tag:photosynthesis', label: 'photosynthesis', from: { score: 0, level: 'learning' }, to: { score: 0.61, level: 'practising' }, gain: 0.61 },
+		]);
+		expect(progress.timeline.map(t => [t.sessionId, t.type, t.mode, t.changes.length])).toEqual([
+			['text1', 'text', null, 2],
+			['paper1', 'paper', null, 1],
+			['voice1', 'voice', 'assessment', 2],
+		]);
+		expect((await mastery.progress('l1', { store, courseIds: ['c2'] })).timeline).toEqual([]);
+	});
+});
@@ -0,0 +1,37 @@
+const pdf = require('../lib/pdf');
+
+describe('PDF print options', () => {
+	test('options are checked and filled with defaults', () => {
+		expect(pdf.printOptions({}).options).toEqual({ ...pdf.DEFAULTS, schoolName: '', learnerName: '', rollNumber: '' });
+		const { options } = pdf.printOptions({ format: 'letter', margin: 20, schoolName: ' GPS Rampur ', rollNumber: 14, pageNumbers: false });
+		expect(options).toMatchObject({ format: 'Letter', margin: { top: 20, right: 20, bottom: 20, left: 20 }, schoolName: 'GPS Rampur', rollNumber: '14', pageNumbers: false });
+		expect(pdf.printOptions({ margin: { left: 5 } }).options.margin).toEqual({ ...pdf.DEFAULTS.margin, left: 5 });
+
+		expect(pdf.printOptions({ format: 'B5' }).error).toMatch(/format/);
+		expect(pdf.printOptions({ margin: 80 }).error).toMatch(/margin/);
+		expect(pdf.printOptions({ margin: { top: 'wide' } }).error).toMatch(/margin/);
+		expect(pdf.printOptions({ learnerName: { name: 'x' } }).error).toMatch(/learnerName/);
+		expect(pdf.printOptions({ schoolName: 'x'.repeat(121) }).error).toMatch(/schoolName/);
+	});
+
+	test('answer boxes are cut out with a little room, inside the image', async () => {
+		expect(pdf.cropClip({ width: 1000, height: 2000 }, { x: 0.1, y: 0.5, w: 0.8, h: 0.2 })).toEqual({ x: 80, y: 960, width: 840, height: 480 });
+		expect(pdf.cropClip({ width: 1000, height: 1000 }, { x: 0, y: 0.9, w: 1, h: 0.1 })).toEqual({ x: 0, y: 880, width: 1000, height: 120 });
+		expect(pdf.cropClip({ width: 10, height: 10 }, { x: 1, y: 1, w: 0, h: 0 })).toBeNull();
+		// Pages of a scanned PDF are not cut
+		expect(await pdf.cropImage({ data: 'JVBERi0=', mimeType: 'application/pdf' }, { x: 0, y: 0, w: 1, h: 1 })).toBeNull();
+	});
+
+	test('headers carry the school and learner, escaped, with room in the margins', () => {
+		const { options } = pdf.printOptions({ margin: 0, schoolName: 'A & B <School>', learnerName: 'Asha', rollNumber: '7' });
+		const printed = pdf.pdfOptions(options);
+		expect(printed.displayHeaderFooter).toBe(true);
+		expect(printed.headerTemplate).toContain('A &amp; B &lt;School&gt;');
+		expect(printed.headerTemplate).toContain('Asha · Roll No. 7');
+		expect(printed.footerTemplate).toContain('pageNumber');
+		expect(printed.margin).toEqual({ top: '12mm', right: '0mm', bottom: '12mm', left: '0mm' });
+
+		const plain = pdf.pdfOptions(pdf.printOptions({ pageNumbers: false }).options);
+		expect(plain.displayHeaderFooter).toBe(false);
+	});
+});
@@ -0,0 +1,37 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { script } = require('../lib/realtime/local');
+
+const instructions = `QUESTION BANK:
+{"questions":[{"id":"q1","q":"What do \\"green\\" plants make?","a":"Food","level":"easy"},{"id":"q2","q":"Where?","a":"Leaves","level":"easy"}]}
+- Cover at most 1 questions from the bank and take at most 6 turns
+- When you are done, tell the learner what they did well, then say "Session complete"`;
+
+describe('local realtime scripts', () => {
+	test('built-in scripts follow the session instructions', () => {
+		const events = script('assessment', { instructions });
+		const said = events.filter(e => e.type === 'response.audio_transcript.done').map(e => e.transcript);
+		expect(said).toEqual(['Hello! What do "green" plants make?', 'Okay. Session complete.']);
+		expect(events.find(e => e.type === 'conversation.item.input_audio_transcription.completed').transcript).toBe('Food');
+		expect(new Set(events.map(e => e.event_id)).size).toBe(events.length);
+		expect(script('missing', { instructions })).toBeNull();
+		expect(script('../etc/passwd', { instructions })).toBeNull();
+	});
+
+	test('script files are filled in from the session', () => {
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prathamlearn-scripts-'));
+		fs.writeFileSync(path.join(dir, 'short.json'), JSON.stringify([
+			{ type: 'response.audio_transcript.done', transcript: '{{q1}}', delayMs: 5 },
+			{ type: 'conversation.item.input_audio_transcription.completed', transcript: '{{a2}}' },
+			{ type: 'response.audio_transcript.done', transcript: '{{end}}' },
+		]));
+		process.env.REALTIME_SCRIPTS_DIR = dir;
+		expect(script('short', { instructions })).toEqual([
+			{ event_id: 'event_local_1', type: 'response.audio_transcript.done', transcript: 'What do "green" plants make?', delayMs: 5 },
+			{ event_id: 'event_local_2', type: 'conversation.item.input_audio_transcription.completed', transcript: 'Leaves' },
+			{ event_id: 'event_local_3', type: 'response.audio_transcript.done', transcript: 'Session complete' },
+		]);
+		delete process.env.REALTIME_SCRIPTS_DIR;
+	});
+});
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'prathamlearn-'));
+
+const db = require('../db');
+const retrieval = require('../lib/retrieval');
+const { createBm25Index } = require('../lib/retrieval/bm25');
+
+// A long chapter: filler paragraphs with two distinctive topics far apart
+function longChapter() {
+	const filler = i => `Paragraph ${i} talks about the general ideas of the chapter in simple words. It repeats common points for practice.`;
+	const paragraphs = Array.from({ length: 200 }, (_, i) => filler(i));
+	paragraphs[5] = 'Chlorophyll is the green pigment in leaves that captures sunlight.';
+	paragraphs[180] = 'Stomata are tiny pores on the underside of leaves that let gases in and out.';
+	return paragraphs.join('\n\n');
+}
+
+describe('retrieval', () => {
+	beforeAll(() => db.ready);
+
+	test('chunks stay within the size limit and keep all of the text', () => {
+		const text = longChapter();
+		const chunks = retrieval.chunkText(text, { size: 1000 });
+		expect(chunks.length).toBeGreaterThan(10);
+		expect(chunks.every(c => c.length <= 1000)).toBe(true);
+		expect(chunks.join('\n').replace(/\s+/g, ' ')).toBe(text.replace(/\s+/g, ' '));
+	});
+
+	test('bm25 ranks the chunk that matches the query first, in Hindi too', () => {
+		const index = createBm25Index([
+			{ id: 'a', text: 'Plants make food by photosynthesis in their leaves.' },
+			{ id: 'b', text: 'पौधे पत्तियों में प्रकाश संश्लेषण से भोजन बनाते हैं।' },
+			{ id: 'c', text: 'Animals eat plants or other animals.' },
+		]);
+		expect(index.search('How do leaves make food?')[0].chunk.id).toBe('a');
+		expect(index.search('प्रकाश संश्लेषण')[0].chunk.id).toBe('b');
+		expect(index.search('volcano')).toEqual([]);
+	});
+
+	test('relevant pulls matching chunks from anywhere in a long chapter', async () => {
+		await db.addSection('c-long', { title: 'Leaves', text: longChapter() });
+		const context = await retrieval.relevant('c-long', 'What are stomata?', { budget: 3000 });
+		expect(context.length).toBeLessThanOrEqual(3000);
+		expect(context).toContain('Stomata are tiny pores');
+
+		const overview = await retrieval.overview('c-long', { budget: 3000 });
+		expect(overview.length).toBeLessThanOrEqual(3000);
+		expect(overview).toContain('Paragraph 0 ');
+		expect(overview).toMatch(/Paragraph 1\d\d /);
+	});
+
+	test('windows cover the whole text within the budget', () => {
+		const text = longChapter();
+		const windows = retrieval.windows(text, 5000);
+		expect(windows.every(w => w.length <= 5000)).toBe(true);
+		expect(windows.join('\n\n').replace(/\s+/g, ' ')).toBe(text.replace(/\s+/g, ' '));
+	});
+});
@@ -1,49 +1,39 @@
 const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
-// Mock OpenAI SDK
-jest.mock('openai', () => {
-	class MockOpenAI {
-		constructor() {}
-		responses = {
-			create: jest.fn(async (args) => {
-				const input = typeof args.input === 'string' ? args.input : JSON.stringify(args.input);
-				if (input.includes('Draft a crisp system prompt')) {
-					return { output_text: 'SYSTEM PROMPT: Ask short bilingual questions.' };
-				}
-				if (input.includes('You are starting a new session')) {
-					return { output_text: 'What is the main idea? (Hindi/English allowed)' };
-				}
-				if (input.includes('Evaluate the learner\'s answer')) {
-					return { output_text: JSON.stringify({ correctness: true, feedback: 'Well done!', difficulty_next: 'medium', next_question: 'Explain key term?' }) };
-				}
-				if (input.includes('Create a short assessment')) {
-					return { output_text: JSON.stringify({ questions: [ { q: 'Q1?', a: 'A1' }, { q: 'Q2?', a: 'A2' } ] }) };
-				}
-				if (input.includes('Learner performance:')) {
-					return { output_text: 'Day 1: Revise concept A. Day 2: Practice questions.' };
-				}
-				return { output_text: 'ok' };
-			})
-		};
-		audio = {
-			transcriptions: { create: jest.fn(async () => ({ text: 'hello world' })) },
-			speech: { create: jest.fn(async () => ({ arrayBuffer: async () => new ArrayBuffer(8) })) }
-		};
-	}
-	return MockOpenAI;
-});
+// Run every LLM task through the offline provider, in a throwaway data dir
+process.env.LLM_PROVIDER = 'local';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'prathamlearn-'));
+process.env.PAPERS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'prathamlearn-papers-'));
+process.env.ADMIN_USERNAME = 'admin';
+process.env.ADMIN_PASSWORD = 'admin-password';
 
-// Set API key for server
-process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'sk-test';
+const llm = require('../lib/llm');
+const local = llm.getProvider('evaluate');
+// Canned answers most tests rely on; tests that change them put these back
+function defaultFixtures() {
+	local.clearFixtures();
+	local.setFixture('prompt', 'SYSTEM PROMPT: Ask short bilingual questions.');
+	local.setFixture('question', 'What is the main idea? (Hindi/English allowed)');
+	local.setFixture('evaluate', { correctness: true, feedback: 'Well done!' });
+	local.setFixture('assessment', { questions: [ { q: 'Q1?', a: 'A1' }, { q: 'Q2?', a: 'A2' } ] });
+	local.setFixture('studyplan', 'Day 1: Revise concept A. Day 2: Practice questions.');
+}
+defaultFixtures();
 
 const app = require('../server');
 
+// Admin routes need a login; tests run as the bootstrap admin unless noted
+const api = request.agent(app);
+
 // Helper to create a course and upload text
 async function setupCourse() {
-	const create = await request(app).post('/api/admin/course').send({ title: 'Chapter 1', language: 'auto' });
+	const create = await api.post('/api/admin/course').send({ title: 'Chapter 1', language: 'auto' });
 	expect(create.status).toBe(200);
 	const courseId = create.body.courseId;
-	const upload = await request(app)
+	const upload = await api
 		.post(`/api/admin/upload/${courseId}`)
 		.field('text', 'This is the chapter content about photosynthesis. प्रकाश संश्लेषण.');
 	expect(upload.status).toBe(200);
@@ -51,18 +41,23 @@ async function setupCourse() {
 }
 
 describe('PrathamLearn API', () => {
+	beforeAll(async () => {
+		const login = await api.post('/api/auth/login').send({ username: 'admin', password: 'admin-password' });
+		expect(login.status).toBe(200);
+	});
+
 	test('create course and list', async () => {
-		const res = await request(app).post('/api/admin/course').send({ title: 'Maths - Fractions' });
+		const res = await api.post('/api/admin/course').send({ title: 'Maths - Fractions' });
 		expect(res.status).toBe(200);
 		expect(res.body.courseId).toBeDefined();
-		const list = await request(app).get('/api/courses');
+		const list = await api.get('/api/courses');
 		expect(list.status).toBe(200);
 		expect(Array.isArray(list.body.courses)).toBe(true);
 	});
 
 	test('upload material via text and generate prompt', async () => {
 		const courseId = await setupCourse();
-		const prompt = await request(app).post(`/api/admin/prompt/${courseId}`);
+		const prompt = await api.post(`/api/admin/prompt/${courseId}`);
 		expect(prompt.status).toBe(200);
 		expect(prompt.body.ok).toBe(true);
 		expect(typeof prompt.body.promptPreview).toBe('string');
@@ -70,45 +65,964 @@ describe('PrathamLearn API', () => {
 
 	test('start learner session and answer evaluation', async () => {
 		const courseId = await setupCourse();
-		await request(app).post(`/api/admin/prompt/${courseId}`);
-		const start = await request(app).post('/api/learner/session').send({ courseId, learnerName: 'Asha' });
+		await api.post(`/api/admin/prompt/${courseId}`);
+		const start = await api.post('/api/learner/session').send({ courseId, learnerName: 'Asha' });
 		expect(start.status).toBe(200);
 		expect(start.body.sessionId).toBeDefined();
 		expect(typeof start.body.question).toBe('string');
 
-		const ans = await request(app).post('/api/learner/answer').send({ sessionId: start.body.sessionId, answer: 'Explains how plants make food.' });
+		const ans = await api.post('/api/learner/answer').send({ sessionId: start.body.sessionId, answer: 'Explains how plants make food.' });
 		expect(ans.status).toBe(200);
 		expect(ans.body.correct).toBe(true);
 		expect(typeof ans.body.feedback).toBe('string');
 		expect(typeof ans.body.nextQuestion).toBe('string');
 	});
 
+	test('text sessions climb the bank levels and avoid repeating items across sessions', async () => {
+		const courseId = await setupCourse();
+		await api.post(`/api/admin/prompt/${courseId}`);
+		const bankUrl = `/api/admin/bank/${courseId}`;
+		// Just this course's own items
+		const generated = (await api.get(bankUrl)).body.questions;
+		for (const q of generated) await api.delete(`${bankUrl}/questions/${q.id}`);
+		for (const [level, n] of [ ['easy', 1], ['easy', 2], ['easy', 3], ['medium', 1], ['medium', 2], ['hard', 1], ['hard', 2] ]) {
+			await api.post(`${bankUrl}/questions`).send({ q: `A ${level} question ${n}?`, a: `${level} answer ${n}`, level });
+		}
+		const levelOf = async itemId => (await api.get(bankUrl)).body.questions.find(q => q.id === itemId).level;
+		local.setFixture('evaluate', ({ context }) => ({ correctness: context.answer === 'right', feedback: 'ok' }));
+
+		const start = await api.post('/api/learner/session').send({ courseId, learnerName: 'Pooja' });
+		expect(start.body.level).toBe('easy');
+		expect(await levelOf(start.body.itemId)).toBe('easy');
+		const seenItems = [ start.body.itemId ];
+		const levels = [];
+		for (const answer of ['right', 'right', 'wrong']) {
+			const res = await api.post('/api/learner/answer').send({ sessionId: start.body.sessionId, answer });
+			seenItems.push(res.body.itemId);
+			levels.push([res.body.level, await levelOf(res.body.itemId)]);
+		}
+		expect(levels).toEqual([ ['easy', 'easy'], ['medium', 'medium'], ['easy', 'easy'] ]);
+		expect(new Set(seenItems).size).toBe(4);
+
+		const session = await api.get(`/api/learner/session/${start.body.sessionId}`);
+		expect(JSON.stringify(session.body.adaptive)).not.toContain('answer');
+		// The bank comes without its answers
+		expect(session.body.questionBank).toHaveLength(7);
+		expect(session.body.questionBank.every(item => Object.keys(item).sort().join() === 'id,q')).toBe(true);
+		expect(JSON.stringify(session.body)).not.toContain('easy answer');
+		const selections = await api.get(`/api/admin/sessions/${start.body.sessionId}/selections`);
+		expect(selections.body.items.map(i => i.correct)).toEqual([true, true, false]);
+		expect(selections.body.items[2].reason).toMatch(/^2 correct in a row, up from easy; medium question; new to this learner/);
+		expect(selections.body.next.reason).toBe('1 wrong in a row, down from medium; easy question; new to this learner');
+
+		// Every easy item has been asked once: a new session starts with the least recent
+		const again = await api.post('/api/learner/session').send({ courseId, learnerId: start.body.learnerId });
+		expect(again.body.itemId).toBe(seenItems[0]);
+		const next = await api.get(`/api/learner/session/${again.body.sessionId}`);
+		expect(next.body.adaptive.selection.reason).toBe('start of session; easy question; asked 1 time in earlier sessions, least recently of its level');
+		defaultFixtures();
+	});
+
+	test('model replies that fail their schema are reported instead of made up', async () => {
+		const courseId = await setupCourse();
+		await api.post(`/api/admin/prompt/${courseId}`);
+		const start = await api.post('/api/learner/session').send({ courseId, learnerName: 'Asha' });
+
+		local.setFixture('evaluate', 'Correct, well done!');
+		const answer = await api.post('/api/learner/answer').send({ sessionId: start.body.sessionId, answer: 'Leaves' });
+		expect(answer.status).toBe(502);
+		expect(answer.body).toMatchObject({ task: 'evaluate', details: ['reply: not JSON'] });
+		expect((await api.get(`/api/learner/session/${start.body.sessionId}`)).body).toMatchObject({ total: 0, history: [] });
+
+		// A bare array where { questions } was asked for is still usable
+		local.setFixture('assessment', [ { q: 'Q1?', a: 'A1' } ]);
+		expect((await api.post('/api/assessment/start').send({ courseId })).body.questions).toEqual([ { q: 'Q1?', a: 'A1' } ]);
+		local.setFixture('assessment', { questions: [ { q: 'Q1?' } ] });
+		expect((await api.post('/api/assessment/start').send({ courseId })).status).toBe(502);
+
+		local.setFixture('bank', { questions: 'none' });
+		const prompt = await api.post(`/api/admin/prompt/${courseId}`);
+		expect(prompt.body).toMatchObject({ ok: true, questionCount: 0, bankError: { details: ['reply.questions: expected array, got string'] } });
+
+		defaultFixtures();
+	});
+
 	test('dynamic assessment and study plan', async () => {
 		const courseId = await setupCourse();
-		await request(app).post(`/api/admin/prompt/${courseId}`);
-		const start = await request(app).post('/api/learner/session').send({ courseId });
-		const assess = await request(app).post('/api/assessment/start').send({ courseId });
+		await api.post(`/api/admin/prompt/${courseId}`);
+		const start = await api.post('/api/learner/session').send({ courseId });
+		const assess = await api.post('/api/assessment/start').send({ courseId });
 		expect(assess.status).toBe(200);
 		expect(Array.isArray(assess.body.questions)).toBe(true);
 
-		const plan = await request(app).post('/api/studyplan').send({ sessionId: start.body.sessionId });
+		const plan = await api.post('/api/studyplan').send({ sessionId: start.body.sessionId });
 		expect(plan.status).toBe(200);
 		expect(typeof plan.body.plan).toBe('string');
 	});
 
+	test('question bank edits are versioned, diffable and survive regeneration', async () => {
+		const courseId = await setupCourse();
+		await api.post(`/api/admin/prompt/${courseId}`);
+		const initial = await api.get(`/api/admin/bank/${courseId}`);
+		expect(initial.status).toBe(200);
+		expect(initial.body.questions.length).toBeGreaterThan(0);
+
+		const bad = await api.post(`/api/admin/bank/${courseId}/questions`).send({ q: 'Why?', a: 'Because', level: 'tricky' });
+		expect(bad.status).toBe(400);
+
+		const added = await api.post(`/api/admin/bank/${courseId}/questions`).send({ q: 'What do leaves need?', a: 'Sunlight', level: 'easy', tags: ['leaves'] });
+		expect(added.status).toBe(200);
+		const qid = added.body.question.id;
+
+		const edited = await api.patch(`/api/admin/bank/${courseId}/questions/${qid}`).send({ a: 'Sunlight and water', level: 'medium' });
+		expect(edited.body.question.a).toBe('Sunlight and water');
+
+		const ids = (await api.get(`/api/admin/bank/${courseId}`)).body.questions.map(q => q.id);
+		const reordered = await api.put(`/api/admin/bank/${courseId}/order`).send({ order: ids.slice().reverse() });
+		expect(reordered.body.questions[0].id).toBe(qid);
+		expect((await api.put(`/api/admin/bank/${courseId}/order`).send({ order: [qid] })).status).toBe(400);
+
+		const version = await api.get(`/api/admin/bank/${courseId}/versions/${edited.body.version}`);
+		expect(version.body.diff.changed[0].fields).toEqual(['a', 'level']);
+
+		// Regeneration keeps the expert's fix
+		await api.post(`/api/admin/prompt/${courseId}`);
+		const regenerated = (await api.get(`/api/admin/bank/${courseId}`)).body.questions;
+		expect(regenerated.find(q => q.id === qid).a).toBe('Sunlight and water');
+
+		const rolled = await api.post(`/api/admin/bank/${courseId}/rollback`).send({ version: added.body.version });
+		expect(rolled.body.questions.find(q => q.id === qid).a).toBe('Sunlight');
+		const versions = await api.get(`/api/admin/bank/${courseId}/versions`);
+		expect(versions.body.versions.at(-1).source).toBe('rollback');
+
+		const removed = await api.delete(`/api/admin/bank/${courseId}/questions/${qid}`);
+		expect(removed.status).toBe(200);
+		expect((await api.delete(`/api/admin/bank/${courseId}/questions/${qid}`)).status).toBe(404);
+	});
+
+	test('course lifecycle: update, archive, clone and delete', async () => {
+		const courseId = await setupCourse();
+		await api.post(`/api/admin/prompt/${courseId}`);
+
+		expect((await api.patch(`/api/admin/course/${courseId}`).send({ language: 'fr' })).status).toBe(400);
+		const renamed = await api.patch(`/api/admin/course/${courseId}`).send({ title: 'Chapter 1 (2025)', language: 'hi' });
+		expect(renamed.body.course).toMatchObject({ title: 'Chapter 1 (2025)', language: 'hi' });
+
+		await api.post(`/api/admin/course/${courseId}/archive`);
+		expect((await api.get('/api/courses')).body.courses.find(c => c.id === courseId)).toBeUndefined();
+		const all = await api.get('/api/courses?includeArchived=true');
+		expect(all.body.courses.find(c => c.id === courseId).archived).toBe(true);
+		const unarchived = await api.post(`/api/admin/course/${courseId}/unarchive`);
+		expect(unarchived.body.course).toMatchObject({ archived: false, prompt: true, questionBank: true, title: 'Chapter 1 (2025)' });
+		expect(unarchived.body.course.archivedAt).toBeUndefined();
+		expect((await api.get('/api/courses')).body.courses.find(c => c.id === courseId)).toBeTruthy();
+
+		const clone = await api.post(`/api/admin/course/${courseId}/clone`).send({ title: 'Chapter 1 (2026)' });
+		expect(clone.status).toBe(200);
+		const cloneId = clone.body.courseId;
+		expect((await api.get(`/api/admin/prompt/${cloneId}`)).body.prompt).toMatch(/SYSTEM PROMPT/);
+		const cloneBank = await api.get(`/api/admin/bank/${cloneId}`);
+		const sourceBank = await api.get(`/api/admin/bank/${courseId}`);
+		expect(cloneBank.body.questions).toEqual(sourceBank.body.questions);
+
+		const start = await api.post('/api/learner/session').send({ courseId, learnerName: 'Asha' });
+		const paper = path.join(process.env.PAPERS_DIR, `${courseId}-paper.pdf`);
+		fs.writeFileSync(paper, 'pdf');
+
+		const removed = await api.delete(`/api/admin/course/${courseId}`);
+		expect(removed.body).toEqual({ ok: true, papersRemoved: 1 });
+		expect(fs.existsSync(paper)).toBe(false);
+		expect((await api.get(`/api/learner/session/${start.body.sessionId}`)).status).toBe(404);
+		expect((await api.delete(`/api/admin/course/${courseId}`)).status).toBe(404);
+		expect((await api.get(`/api/admin/bank/${cloneId}`)).body.questions.length).toBeGreaterThan(0);
+	});
+
+	test('material is kept as ordered sections that prompt and bank generation can target', async () => {
+		const courseId = await setupCourse();
+		const second = await api
+			.post(`/api/admin/upload/${courseId}`)
+			.field('title', 'Respiration')
+			.field('text', 'Plants breathe through tiny pores called stomata. Roots take in oxygen from the soil.');
+		expect(second.body.section.title).toBe('Respiration');
+
+		const listed = await api.get(`/api/admin/material/${courseId}`);
+		const [first, respiration] = listed.body.sections;
+		expect(listed.body.sections).toHaveLength(2);
+		expect(first.text).toBeUndefined();
+
+		const reordered = await api.put(`/api/admin/material/${courseId}/order`).send({ order: [respiration.id, first.id] });
+		expect(reordered.body.sections.map(s => s.id)).toEqual([respiration.id, first.id]);
+		expect((await api.put(`/api/admin/material/${courseId}/order`).send({ order: [first.id] })).status).toBe(400);
+		const renamed = await api.patch(`/api/admin/material/${courseId}/sections/${first.id}`).send({ title: 'Photosynthesis' });
+		expect(renamed.body.section.title).toBe('Photosynthesis');
+
+		expect((await api.post(`/api/admin/prompt/${courseId}`).send({ sections: ['nope'] })).status).toBe(400);
+		await api.post(`/api/admin/prompt/${courseId}`);
+		const bank = (await api.get(`/api/admin/bank/${courseId}`)).body.questions;
+		expect(new Set(bank.map(q => q.section))).toEqual(new Set([first.id, respiration.id]));
+
+		// Regenerating one section leaves the other section's questions alone
+		const kept = bank.filter(q => q.section === first.id).map(q => q.id);
+		await api.post(`/api/admin/prompt/${courseId}`).send({ sections: [respiration.id] });
+		const after = (await api.get(`/api/admin/bank/${courseId}`)).body.questions;
+		expect(after.filter(q => q.section === first.id).map(q => q.id)).toEqual(kept);
+		expect(after.filter(q => q.section === respiration.id).every(q => !bank.some(b => b.id === q.id))).toBe(true);
+
+		expect((await api.delete(`/api/admin/material/${courseId}/sections/${respiration.id}`)).status).toBe(200);
+		expect((await api.get(`/api/admin/material/${courseId}/sections/${respiration.id}`)).status).toBe(404);
+		expect((await api.get(`/api/admin/material/${courseId}`)).body.sections).toHaveLength(1);
+	});
+
+	test('coverage report maps questions to passages and fill-gaps covers the rest', async () => {
+		const courseId = await setupCourse();
+		await api
+			.post(`/api/admin/upload/${courseId}`)
+			.field('title', 'Respiration')
+			.field('text', 'Plants breathe through tiny pores called stomata. Roots take in oxygen from the soil.');
+		await api.post(`/api/admin/bank/${courseId}/questions`).send({ q: 'What is photosynthesis about?', a: 'The chapter content about photosynthesis', level: 'medium' });
+
+		const report = (await api.get(`/api/admin/bank/${courseId}/coverage`)).body;
+		expect(report.levels).toEqual({ easy: 0, medium: 1, hard: 0 });
+		expect(report.questions[0].passage).toBeTruthy();
+		expect(report.uncoveredSections.map(s => s.title)).toEqual(['Respiration']);
+
+		const filled = await api.post(`/api/admin/bank/${courseId}/fill-gaps`).send({});
+		expect(filled.status).toBe(200);
+		expect(filled.body.added).toBeGreaterThan(0);
+		expect(filled.body.report.uncoveredSections).toEqual([]);
+		const bank = (await api.get(`/api/admin/bank/${courseId}`)).body.questions;
+		expect(bank[0].q).toBe('What is photosynthesis about?');
+	});
+
+	test('roster import and sessions attached to learner ids', async () => {
+		const courseId = await setupCourse();
+		await api.post(`/api/admin/prompt/${courseId}`);
+		const csv = 'Name,Grade,Class,Section,Language\n"Sharma, Asha",5,5,A,Hindi\nRavi,5,5,B,en\n,5,5,A,en\nMeena,5,5,A,fr\n';
+
+		const imported = await api.post(`/api/admin/course/${courseId}/roster/import`).send({ csv });
+		expect(imported.body).toMatchObject({ created: 2, updated: 0, enrolled: 2 });
+		expect(imported.body.errors.map(e => e.line)).toEqual([4, 5]);
+		const again = await api.post(`/api/admin/course/${courseId}/roster/import`).send({ csv });
+		expect(again.body).toMatchObject({ created: 0, updated: 2, enrolled: 0 });
+
+		const learners = (await api.get(`/api/courses/${courseId}/roster`)).body.learners;
+		const asha = learners.find(l => l.name === 'Sharma, Asha');
+		expect(asha).toMatchObject({ grade: '5', className: '5', section: 'A', language: 'hi' });
+		const publicRoster = (await request(app).get(`/api/courses/${courseId}/roster`)).body.learners;
+		expect(publicRoster).toContainEqual({ id: asha.id, name: 'Sharma, Asha' });
+		expect(publicRoster.every(l => Object.keys(l).sort().join() === 'id,name')).toBe(true);
+
+		const byId = await api.post('/api/learner/session').send({ courseId, learnerId: asha.id });
+		expect(byId.body.learnerId).toBe(asha.id);
+		const byName = await api.post('/api/learner/session').send({ courseId, learnerName: 'ravi' });
+		expect(byName.body.learnerId).toBe(learners.find(l => l.name === 'Ravi').id);
+		expect((await api.post('/api/learner/session').send({ courseId, learnerId: 'nobody' })).status).toBe(404);
+		// A learner of another course cannot take this one's sessions
+		const otherCourse = await setupCourse();
+		const outsider = (await api.post('/api/admin/learners').send({ name: 'Ravi', courseId: otherCourse })).body.learner;
+		expect((await api.post('/api/learner/session').send({ courseId, learnerId: outsider.id })).status).toBe(404);
+
+		// An unknown name still gets a learner id, kept off the picker list
+		const stranger = await api.post('/api/learner/session').send({ courseId, learnerName: 'Zoya' });
+		expect(stranger.body.learnerId).toBeTruthy();
+		expect((await api.get(`/api/courses/${courseId}/roster`)).body.learners).toHaveLength(2);
+
+		const detail = await api.get(`/api/admin/learners/${asha.id}`);
+		expect(detail.body.courses).toEqual([courseId]);
+		expect(detail.body.sessions.map(s => s.id)).toEqual([byId.body.sessionId]);
+	});
+
+	test('handwritten sheets are graded per question and unclear answers go to review', async () => {
+		const courseId = await setupCourse();
+		await api.post(`/api/admin/prompt/${courseId}`);
+		const learner = (await api.post('/api/admin/learners').send({ name: 'Nisha', courseId })).body.learner;
+		const questions = [
+			{ id: 'q-leaf', q: 'What do leaves make?', a: 'Leaves make food' },
+			{ id: 'q-chl', q: 'What is chlorophyll?', a: 'The green pigment in leaves' },
+			{ id: 'q-root', q: 'What do roots absorb?', a: 'Roots absorb water' },
+		];
+		// What the vision model "reads" per question, with its confidence
+		const written = { 'q-leaf': ['food', 0.95], 'q-chl': ['a root', 0.9], 'q-root': ['w?t?r', 0.3] };
+		local.setFixture('handwritten-regions', ({ context }) => ({ regions: context.questions.map((q, i) => ({ id: q.id, box: { x: 0.1, y: 0.1 + i * 0.25, w: 0.8, h: 0.2 }, confidence: 0.9 })) }));
+		local.setFixture('handwritten-answer', ({ context }) => ({ answer: written[context.question.id][0], confidence: written[context.question.id][1] }));
+
+		const graded = await api.post('/api/assessment/handwritten')
+			.field('courseId', courseId)
+			.field('learnerId', learner.id)
+			.field('questions', JSON.stringify(questions))
+			.attach('image', Buffer.from('fake image bytes'), { filename: 'sheet.png', contentType: 'image/png' });
+		expect(graded.status).toBe(200);
+		expect(graded.body).toMatchObject({ score: 1, total: 2, pending: 1, learnerId: learner.id });
+		expect(graded.body.qaPairs.map(qa => [qa.questionId, qa.correct, qa.needsReview])).toEqual([
+			['q-leaf', true, false],
+			['q-chl', false, false],
+			['q-root', null, true],
+		]);
+		expect(graded.body.qaPairs[2].region).toEqual({ x: 0.1, y: 0.6, w: 0.8, h: 0.2 });
+
+		// Review shows the answer box on its own (the whole page where it cannot be cut out)
+		const [ unclear ] = (await api.get(`/api/admin/course/${courseId}/review-queue`)).body.items;
+		expect(unclear.evidence).toMatchObject({ kind: 'image', page: 1, region: { x: 0.1, y: 0.6, w: 0.8, h: 0.2 } });
+		expect(unclear.evidence.cropUrl).toBe(`${unclear.evidence.url}&attempt=${encodeURIComponent(unclear.attemptId)}`);
+		const crop = await api.get(unclear.evidence.cropUrl);
+		expect(crop.status).toBe(200);
+		expect(crop.headers['content-type']).toMatch(/image\/png/);
+		expect((await api.get(`${unclear.evidence.url}&attempt=missing`)).status).toBe(404);
+
+		const session = await api.get(`/api/learner/session/${graded.body.sessionId}`);
+		expect(session.body).toMatchObject({ type: 'handwritten', learnerId: learner.id, score: 1, total: 2 });
+		expect(session.body.history.map(h => h.correct)).toEqual([true, false, null]);
+
+		const detail = await api.get(`/api/admin/learners/${learner.id}`);
+		expect(detail.body.sessions).toEqual([ expect.objectContaining({ id: graded.body.sessionId, type: 'handwritten' }) ]);
+		const image = await api.get(detail.body.sessions[0].image);
+		expect(image.status).toBe(200);
+		expect(image.headers['content-type']).toMatch(/image\/png/);
+
+		const plan = await api.post('/api/studyplan/handwritten').send({ sessionId: graded.body.sessionId });
+		expect(plan.status).toBe(200);
+		expect(plan.body.plan).toBeTruthy();
+	});
+
+	test('question papers print question ids on answer boxes and sheets are graded against them', async () => {
+		const create = await api.post('/api/admin/course').send({ title: 'Plants', language: 'en' });
+		const courseId = create.body.courseId;
+		await api.post(`/api/admin/upload/${courseId}`).field('text', 'Plants make food using sunlight in their leaves. This process is called photosynthesis. Leaves contain chlorophyll which is green. Roots absorb water from the soil. Stems carry water to the leaves.');
+		await api.post(`/api/admin/prompt/${courseId}`);
+
+		const paper = await api.post('/api/assessment/paper').send({ courseId });
+		expect(paper.status).toBe(200);
+		expect(paper.body.paperId).toBeTruthy();
+		expect(paper.body.html).toContain('data-qid="A1"');
+		expect(paper.body.html).toContain('data-qid="B1"');
+
+		// Every box read clearly as option A: only MCQs whose key is A are right
+		local.setFixture('handwritten-answer', ({ context }) => ({ answer: context.question.kind === 'mcq' ? 'A' : 'photosynthesis', confidence: 0.95 }));
+		const graded = await api.post('/api/assessment/handwritten')
+			.field('courseId', courseId)
+			.field('learnerName', 'Dev')
+			.field('paperId', paper.body.paperId)
+			.attach('image', Buffer.from('fake image bytes'), { filename: 'sheet.jpg', contentType: 'image/jpeg' });
+		expect(graded.status).toBe(200);
+		expect(graded.body.paperId).toBe(paper.body.paperId);
+		const mcq = graded.body.qaPairs.filter(qa => qa.questionId.startsWith('A'));
+		expect(mcq.length).toBeGreaterThan(0);
+		expect(mcq.map(qa => qa.correct)).toEqual(mcq.map((qa, i) => i % 4 === 0));
+		expect(graded.body.pending).toBe(0);
+
+		const missing = await api.post('/api/assessment/handwritten')
+			.field('courseId', courseId)
+			.field('paperId', 'no-such-paper')
+			.attach('image', Buffer.from('x'), { filename: 'sheet.jpg', contentType: 'image/jpeg' });
+		expect(missing.status).toBe(404);
+	});
+
+	test('paper templates give reproducible seeded sets with variants sharing one answer key', async () => {
+		const create = await api.post('/api/admin/course').send({ title: 'Plants', language: 'en' });
+		const courseId = create.body.courseId;
+		await api.post(`/api/admin/upload/${courseId}`).field('text', 'Plants make food using sunlight in their leaves. This process is called photosynthesis. Leaves contain chlorophyll which is green. Roots absorb water from the soil. Stems carry water to the leaves. Flowers turn into fruits that hold seeds.');
+		await api.post(`/api/admin/prompt/${courseId}`);
+
+		const templates = `/api/admin/course/${courseId}/paper-templates`;
+		expect((await api.post(templates).send({ name: 'Essay', blueprint: [ { kind: 'essay', count: 2 } ] })).status).toBe(400);
+		expect((await api.post(templates).send({ name: 'Bad', blueprint: [ { kind: 'mcq', count: 2, sections: ['nope'] } ] })).status).toBe(400);
+		const created = await api.post(templates).send({ name: 'Unit test', blueprint: [ { kind: 'mcq', count: 3 }, { kind: 'fib', count: 2, level: 'easy' }, { kind: 'short', count: 1 } ] });
+		expect(created.status).toBe(200);
+		const templateId = created.body.template.id;
+		expect((await api.get(templates)).body.templates.map(t => t.name)).toEqual(['Standard paper', 'Unit test']);
+
+		const body = { courseId, templateId, seed: 'class-7b', variants: 3 };
+		const set = await api.post('/api/assessment/paper').send(body);
+		expect(set.status).toBe(200);
+		expect(set.body).toMatchObject({ seed: 'class-7b', templateId, reused: false });
+		expect(set.body.variants.map(v => v.variant)).toEqual(['A', 'B', 'C']);
+		expect(new Set(set.body.variants.map(v => v.paperId)).size).toBe(3);
+		// Students' papers carry no key; the key covers every set
+		for (const v of set.body.variants) {
+			expect(v.html).not.toContain('Answer Key');
+			expect(v.html).toContain(`Set ${v.variant}`);
+		}
+		expect(set.body.answerKey.html).toContain('Set C');
+
+		// Every variant asks the same questions with the same right answers, in its own order
+		const views = await Promise.all(set.body.variants.map(v => api.get(`/api/assessment/paper/${v.paperId}`)));
+		const asked = views.map(v => v.body.questions.map(q => q.q).sort());
+		expect(asked[1]).toEqual(asked[0]);
+		expect(asked[2]).toEqual(asked[0]);
+		expect(views[0].body.questions.map(q => q.kind)).toEqual(['mcq', 'mcq', 'mcq', 'fib', 'fib', 'short']);
+
+		// A variant is graded against its own shuffled key
+		const keyB = set.body.answerKey.html.split('<h2>Set B')[1].split('<h2>')[0];
+		const answersB = Object.fromEntries([ ...keyB.matchAll(/([AB]\d+): ([^,;<]+)/g) ].map(m => [m[1], m[2].trim()]));
+		const gradedB = await api.post(`/api/assessment/paper/${set.body.variants[1].paperId}/submit`).send({ learnerName: 'Ira', answers: answersB });
+		expect(gradedB.body.qaPairs.filter(qa => /^[AB]/.test(qa.questionId)).every(qa => qa.correct)).toBe(true);
+
+		// Same template, seed and bank: the very same papers
+		const again = await api.post('/api/assessment/paper').send(body);
+		expect(again.body.reused).toBe(true);
+		expect(again.body.variants.map(v => v.paperId)).toEqual(set.body.variants.map(v => v.paperId));
+		expect(again.body.variants[1].html).toBe(set.body.variants[1].html);
+		const other = await api.post('/api/assessment/paper').send({ ...body, seed: 'class-7c' });
+		expect(other.body.reused).toBe(false);
+
+		expect((await api.post('/api/assessment/paper').send({ ...body, variants: 4 })).status).toBe(400);
+		expect((await api.delete(`${templates}/${templateId}`)).status).toBe(200);
+		expect((await api.post('/api/assessment/paper').send(body)).status).toBe(404);
+	});
+
+	test('papers answered online are graded against the stored answer key', async () => {
+		const create = await api.post('/api/admin/course').send({ title: 'Plants', language: 'en' });
+		const courseId = create.body.courseId;
+		await api.post(`/api/admin/upload/${courseId}`).field('text', 'Plants make food using sunlight in their leaves. This process is called photosynthesis. Leaves contain chlorophyll which is green. Roots absorb water from the soil. Stems carry water to the leaves.');
+		await api.post(`/api/admin/prompt/${courseId}`);
+		const learner = (await api.post('/api/admin/learners').send({ name: 'Tara', courseId })).body.learner;
+		const paper = await api.post('/api/assessment/paper').send({ courseId });
+		expect(paper.body.html).toContain('○ A');
+
+		const online = await api.get(`/api/assessment/paper/${paper.body.paperId}`);
+		expect(online.status).toBe(200);
+		expect(online.body.questions.length).toBeGreaterThan(0);
+		expect(online.body.questions.some(q => 'correctIndex' in q || 'answer' in q)).toBe(false);
+
+		// The printed key: "A1: C, A2: B" and "B1: word; B2: word"
+		const mcqKey = Object.fromEntries([ ...paper.body.answerKey.html.matchAll(/(A\d+): ([A-D])/g) ].map(m => [m[1], m[2]]));
+		const fibKey = Object.fromEntries([ ...paper.body.answerKey.html.matchAll(/(B\d+): ([^;<]+)/g) ].map(m => [m[1], m[2].trim()]));
+		const mcqIds = online.body.questions.filter(q => q.kind === 'mcq').map(q => q.id);
+		const fibIds = online.body.questions.filter(q => q.kind === 'fib').map(q => q.id);
+		const wrong = letter => 'ABCD'[('ABCD'.indexOf(letter) + 1) % 4];
+		const answers = {
+			...Object.fromEntries(mcqIds.map((id, i) => [id, i === 0 ? wrong(mcqKey[id]) : mcqKey[id].toLowerCase()])),
+			[fibIds[0]]: `${fibKey[fibIds[0]].toUpperCase()}.`,
+			[fibIds[1]]: 'zzzz',
+			[fibIds[2]]: `${fibKey[fibIds[2]]}x`,
+		};
+		let asked = 0;
+		local.setFixture('answer-check', () => { asked++; return { correct: true, feedback: 'Close enough.', confidence: 0.9 }; });
+
+		const graded = await api.post(`/api/assessment/paper/${paper.body.paperId}/submit`).send({ learnerId: learner.id, answers });
+		expect(graded.status).toBe(200);
+		expect(asked).toBe(1);
+		const correct = Object.fromEntries(graded.body.qaPairs.map(qa => [qa.questionId, qa.correct]));
+		expect(mcqIds.map(id => correct[id])).toEqual(mcqIds.map((_, i) => i > 0));
+		expect(fibIds.slice(0, 4).map(id => correct[id])).toEqual([true, false, true, false]);
+		expect(graded.body).toMatchObject({ learnerId: learner.id, paperId: paper.body.paperId, pending: 0, score: mcqIds.length - 1 + 2, total: mcqIds.length + fibIds.length });
+
+		const session = await api.get(`/api/learner/session/${graded.body.sessionId}`);
+		expect(session.body).toMatchObject({ type: 'paper', learnerId: learner.id });
+
+		local.setFixture('answer-check', { correct: false, feedback: '', confidence: 0 });
+		const unsure = await api.post(`/api/assessment/paper/${paper.body.paperId}/submit`).send({ learnerId: learner.id, answers: { [fibIds[2]]: `${fibKey[fibIds[2]]}x` } });
+		expect(unsure.body.pending).toBe(1);
+		expect((await api.post(`/api/assessment/paper/${paper.body.paperId}/submit`).send({ learnerId: learner.id, answers: 'nope' })).status).toBe(400);
+		expect((await api.post('/api/assessment/paper/no-such-paper/submit').send({ answers: {} })).status).toBe(404);
+	});
+
+	test('papers are registered per course, tied to their graded sessions and swept when old', async () => {
+		const courseId = await setupCourse();
+		await api.post(`/api/admin/prompt/${courseId}`);
+		const set = await api.post('/api/assessment/paper').send({ courseId, seed: 'registry', variants: 2 });
+		const [paperA, paperB] = set.body.variants.map(v => v.paperId);
+		const html = await api.post('/api/papers/html').send({ courseId });
+		expect(html.status).toBe(200);
+		expect(html.body).toEqual({ paperId: expect.any(String), htmlPath: `/api/admin/papers/${html.body.paperId}/html` });
+
+		const listed = await api.get(`/api/admin/course/${courseId}/papers`);
+		expect(listed.status).toBe(200);
+		expect(listed.body.papers.map(p => p.id).sort()).toEqual([paperA, paperB, html.body.paperId].sort());
+		expect(listed.body.papers.find(p => p.id === html.body.paperId)).toMatchObject({ type: 'html', answerKey: false, sessions: 0 });
+
+		const graded = await api.post(`/api/assessment/paper/${paperA}/submit`).send({ learnerName: 'Mira', answers: {} });
+		const detail = await api.get(`/api/admin/papers/${paperA}`);
+		expect(detail.body.paper).toMatchObject({ id: paperA, type: 'set', variant: 'A', seed: 'registry', sessions: 1 });
+		expect(detail.body.sessions).toEqual([ expect.objectContaining({ id: graded.body.sessionId, name: 'Mira', type: 'paper' }) ]);
+
+		const printed = await api.get(`/api/admin/papers/${paperB}/html`);
+		expect(printed.text).toBe(set.body.variants[1].html);
+		const key = await api.get(`/api/admin/papers/${paperB}/key`);
+		expect(key.text).toBe(set.body.answerKey.html);
+		expect((await api.get(`/api/admin/papers/${html.body.paperId}/html`)).status).toBe(200);
+		expect((await api.get(`/api/admin/papers/${html.body.paperId}/key`)).status).toBe(404);
+		expect((await api.get(`/api/assessment/paper/${html.body.paperId}`)).status).toBe(404);
+
+		// Graded papers are only deleted on purpose; the session stays
+		expect((await api.delete(`/api/admin/papers/${paperA}`)).status).toBe(409);
+		expect((await api.delete(`/api/admin/papers/${paperA}?force=true`)).status).toBe(200);
+		expect((await api.get(`/api/admin/papers/${paperA}`)).status).toBe(404);
+		expect((await api.get(`/api/learner/session/${graded.body.sessionId}`)).status).toBe(200);
+
+		// A sweep with no retention removes unreferenced files and ungraded papers
+		const stray = path.join(process.env.PAPERS_DIR, 'stray-old.pdf');
+		fs.writeFileSync(stray, 'old');
+		const past = new Date(Date.now() - 1000 * 24 * 60 * 60 * 1000);
+		fs.utimesSync(stray, past, past);
+		expect((await api.post('/api/admin/papers/sweep').send({ days: -1 })).status).toBe(400);
+		const swept = await api.post('/api/admin/papers/sweep').send({ days: 0 });
+		expect(swept.status).toBe(200);
+		expect(swept.body.files).toBeGreaterThan(0);
+		expect(fs.existsSync(stray)).toBe(false);
+		expect((await api.get(`/api/admin/papers/${html.body.paperId}`)).status).toBe(404);
+	});
+
+	test('papers are generated by teachers only and their files stay out of public', async () => {
+		const courseId = await setupCourse();
+		await api.post(`/api/admin/prompt/${courseId}`);
+		const learner = (await api.post('/api/admin/learners').send({ name: 'Neha', courseId })).body.learner;
+		await api.post('/api/admin/users').send({ username: 'neha', password: 'neha-password', role: 'learner', learnerId: learner.id });
+		const child = request.agent(app);
+		await child.post('/api/auth/login').send({ username: 'neha', password: 'neha-password' });
+
+		for (const route of ['/api/assessment/paper', '/api/papers/html']) {
+			expect((await request(app).post(route).send({ courseId })).status).toBe(401);
+			expect((await child.post(route).send({ courseId })).status).toBe(403);
+		}
+		const own = await api.post('/api/assessment/paper').send({ courseId });
+		expect(own.status).toBe(200);
+		expect(own.body.setId).toBeTruthy();
+
+		// Even with the key rendered, its file name is not reachable as a static path
+		const { setId } = (await api.get(`/api/admin/papers/${own.body.paperId}`)).body.paper;
+		const keyFile = `${courseId}-${setId}-key.pdf`;
+		fs.writeFileSync(path.join(process.env.PAPERS_DIR, keyFile), '%PDF-1.4 key');
+		expect((await child.get(`/papers/${keyFile}`)).status).toBe(404);
+		expect((await child.get(`/api/admin/papers/${own.body.paperId}/key?format=pdf`)).status).toBe(403);
+		expect((await child.get(`/api/assessment/paper/${own.body.paperId}/pdf`)).status).toBe(404);
+	});
+
+	test('papers are printed to PDF by id only, falling back to HTML without Chromium', async () => {
+		const courseId = await setupCourse();
+		await api.post(`/api/admin/prompt/${courseId}`);
+		const set = await api.post('/api/assessment/paper').send({ courseId, print: { format: 'A5', schoolName: 'GPS Rampur' } });
+		expect(set.status).toBe(200);
+		expect((await api.post('/api/assessment/paper').send({ courseId, print: { format: 'B5' } })).status).toBe(400);
+
+		// Server paths are not accepted any more, only registered papers
+		expect((await api.post('/api/papers/pdf').send({ paperPath: '/etc/passwd' })).status).toBe(400);
+		expect((await api.post('/api/papers/pdf').send({ paperId: 'no-such-paper' })).status).toBe(404);
+		expect((await api.post('/api/papers/pdf').send({ paperId: set.body.paperId, margin: 99 })).status).toBe(400);
+		expect((await request(app).post('/api/papers/pdf').send({ paperId: set.body.paperId })).status).toBe(401);
+
+		const printed = await api.post('/api/papers/pdf').send({ paperId: set.body.paperId, schoolName: 'GPS Rampur', learnerName: 'Asha', rollNumber: '12' });
+		if (printed.status === 200) {
+			expect(printed.headers['content-type']).toMatch(/application\/pdf/);
+		} else {
+			expect(printed.status).toBe(503);
+			expect(printed.body.html).toBe(set.body.html);
+		}
+		const key = await api.post('/api/papers/pdf').send({ paperId: set.body.paperId, key: true });
+		if (key.status === 503) expect(key.body.html).toBe(set.body.answerKey.html);
+		else expect(key.status).toBe(200);
+	});
+
+	test('batch handwritten uploads are split per learner and graded as a background job', async () => {
+		const courseId = await setupCourse();
+		await api.post(`/api/admin/prompt/${courseId}`);
+		await api.post(`/api/admin/course/${courseId}/roster/import`).send({ csv: 'Name\nAsha\nRavi\n' });
+		const [asha, ravi] = (await api.get(`/api/courses/${courseId}/roster`)).body.learners;
+		const questions = JSON.stringify([ { id: 'q1', q: 'What do leaves make?', a: 'Leaves make food' } ]);
+		// Each fake page says whose it is; the "vision model" reads that back
+		const pageText = request => Buffer.from(request.images[0].data, 'base64').toString();
+		local.setFixture('handwritten-identify', request => {
+			const name = pageText(request).match(/^NAME:(.*)$/);
+			return name ? { name: name[1], learnerId: '', confidence: 0.9 } : { name: '', learnerId: '', confidence: 0.9 };
+		});
+		local.setFixture('handwritten-answer', () => ({ answer: 'food', confidence: 0.95 }));
+
+		async function finished(jobId) {
+			for (let i = 0; i < 100; i++) {
+				const { job } = (await api.get(`/api/admin/jobs/${jobId}`)).body;
+				if (job.status === 'done' || job.status === 'failed') return job;
+				await new Promise(resolve => setTimeout(resolve, 20));
+			}
+			throw new Error('job did not finish');
+		}
+		const attachPages = (req, names) => names.reduce((r, text, i) => r.attach('pages', Buffer.from(text), { filename: `page${i + 1}.jpg`, contentType: 'image/jpeg' }), req);
+
+		// Roster order: two pages per learner
+		const byRoster = await attachPages(api.post(`/api/admin/course/${courseId}/handwritten/batch`).field('questions', questions).field('pagesPerLearner', '2'), ['a1', 'a2', 'r1', 'r2']);
+		expect(byRoster.status).toBe(202);
+		expect(byRoster.body).toMatchObject({ files: 4, pages: 4 });
+		const rosterJob = await finished(byRoster.body.jobId);
+		expect(rosterJob).toMatchObject({ status: 'done', progress: { done: 2, total: 2 } });
+		expect(rosterJob.results.map(r => [r.learnerId, r.status, r.score, r.pages.length])).toEqual([[asha.id, 'graded', 1, 2], [ravi.id, 'graded', 1, 2]]);
+		const session = await api.get(`/api/learner/session/${rosterJob.results[1].sessionId}`);
+		expect(session.body).toMatchObject({ type: 'handwritten', learnerId: ravi.id });
+		expect((await api.get(`/api/admin/sessions/${rosterJob.results[1].sessionId}/image?page=2`)).status).toBe(200);
+
+		// Name boxes: a named page starts a sheet, unnamed pages continue it
+		const byName = await attachPages(api.post(`/api/admin/course/${courseId}/handwritten/batch`).field('questions', questions).field('assign', 'sheet'), ['NAME:ravi', 'more answers', 'NAME:Zed']);
+		const nameJob = await finished(byName.body.jobId);
+		expect(nameJob.results.map(r => [r.learnerId, r.status, r.pages.length])).toEqual([[ravi.id, 'graded', 2], [null, 'unassigned', 1]]);
+		expect(nameJob.results[1].identified.name).toBe('Zed');
+
+		const list = await api.get(`/api/admin/course/${courseId}/jobs`);
+		expect(list.body.jobs.map(j => j.id)).toEqual([byName.body.jobId, byRoster.body.jobId]);
+		expect(list.body.jobs[0].input).toBeUndefined();
+
+		const bad = await attachPages(api.post(`/api/admin/course/${courseId}/handwritten/batch`).field('questions', questions).field('assign', 'guess'), ['x']);
+		expect(bad.status).toBe(400);
+	});
+
+	test('teachers review flagged answers, overrides are logged and sessions rescored', async () => {
+		const courseId = await setupCourse();
+		await api.post(`/api/admin/prompt/${courseId}`);
+		const learner = (await api.post('/api/admin/learners').send({ name: 'Meera', courseId })).body.learner;
+		const questions = [
+			{ id: 'q-leaf', q: 'What do leaves make?', a: 'Leaves make food' },
+			{ id: 'q-root', q: 'What do roots absorb?', a: 'Roots absorb water' },
+		];
+		const written = { 'q-leaf': ['food', 0.95], 'q-root': ['w?t?r', 0.3] };
+		local.setFixture('handwritten-regions', ({ context }) => ({ regions: context.questions.map((q, i) => ({ id: q.id, box: { x: 0.1, y: 0.1 + i * 0.4, w: 0.8, h: 0.3 }, confidence: 0.9 })) }));
+		local.setFixture('handwritten-answer', ({ context }) => ({ answer: written[context.question.id][0], confidence: written[context.question.id][1] }));
+		const graded = await api.post('/api/assessment/handwritten')
+			.field('courseId', courseId)
+			.field('learnerId', learner.id)
+			.field('questions', JSON.stringify(questions))
+			.attach('image', Buffer.from('fake image bytes'), { filename: 'sheet.png', contentType: 'image/png' });
+		expect(graded.body).toMatchObject({ score: 1, total: 1, pending: 1 });
+		await api.post('/api/studyplan/handwritten').send({ sessionId: graded.body.sessionId });
+
+		// Only the unclear answer is queued, with the sheet region as evidence
+		const queue = await api.get(`/api/admin/course/${courseId}/review-queue`);
+		expect(queue.status).toBe(200);
+		expect(queue.body.pending).toBe(1);
+		const [item] = queue.body.items;
+		expect(item).toMatchObject({ sessionId: graded.body.sessionId, type: 'handwritten', answer: 'w?t?r', correct: null, needsReview: true });
+		expect(item.evidence).toMatchObject({ kind: 'image', page: 1, region: { x: 0.1, y: 0.5, w: 0.8, h: 0.3 } });
+		expect((await api.get(item.evidence.url)).status).toBe(200);
+
+		expect((await api.patch(`/api/admin/attempts/${item.attemptId}`).send({ correct: 'yes' })).status).toBe(400);
+		const resolved = await api.patch(`/api/admin/attempts/${item.attemptId}`).send({ correct: true, feedback: 'It says water.', note: 'legible on the scan' });
+		expect(resolved.status).toBe(200);
+		expect(resolved.body.attempt).toMatchObject({ correct: true, needsReview: false, original: { correct: null } });
+		expect(resolved.body.session).toMatchObject({ score: 2, total: 2, pending: 0, level: 'Advanced' });
+		expect(resolved.body.review).toMatchObject({ username: 'admin', before: { correct: null }, after: { correct: true, feedback: 'It says water.' }, note: 'legible on the scan' });
+		expect(typeof resolved.body.studyPlan).toBe('string');
+		expect((await api.get(`/api/admin/course/${courseId}/review-queue`)).body.items).toEqual([]);
+		const session = await api.get(`/api/learner/session/${graded.body.sessionId}`);
+		expect(session.body.history.map(h => h.correct)).toEqual([true, true]);
+
+		// Spot-checking a text answer the AI accepted, and overturning it
+		const start = await api.post('/api/learner/session').send({ courseId, learnerId: learner.id });
+		await api.post('/api/learner/answer').send({ sessionId: start.body.sessionId, answer: 'No idea' });
+		const all = await api.get(`/api/admin/course/${courseId}/review-queue?all=1&type=text`);
+		expect(all.body.items).toHaveLength(1);
+		expect(all.body.items[0]).toMatchObject({ correct: true, evidence: { kind: 'text', answer: 'No idea' } });
+		const overturned = await api.patch(`/api/admin/attempts/${all.body.items[0].attemptId}`).send({ correct: false });
+		expect(overturned.body.session).toMatchObject({ score: 0, total: 1 });
+
+		const log = await api.get(`/api/admin/course/${courseId}/reviews`);
+		expect(log.body.reviews.map(r => r.type)).toEqual(['text', 'handwritten']);
+		const stats = await api.get(`/api/admin/course/${courseId}/reviews/stats`);
+		expect(stats.body).toMatchObject({ overrides: 2, attempts: 2, reviewed: 1, overturned: 1, resolved: 1, agreement: 0 });
+		expect(stats.body.bySource.handwritten).toMatchObject({ resolved: 1, reviewed: 0 });
+
+		// Teachers only review attempts of their own courses
+		await api.post('/api/admin/users').send({ username: 'reviewer', password: 'reviewer-password', role: 'teacher' });
+		const teacher = request.agent(app);
+		await teacher.post('/api/auth/login').send({ username: 'reviewer', password: 'reviewer-password' });
+		expect((await teacher.patch(`/api/admin/attempts/${item.attemptId}`).send({ correct: false })).status).toBe(404);
+		expect((await teacher.get(`/api/admin/course/${courseId}/review-queue`)).status).toBe(403);
+	});
+
+	test('admin routes require a login and teachers only reach their own courses', async () => {
+		expect((await request(app).get('/api/admin/learners')).status).toBe(401);
+		expect((await request(app).post('/api/auth/login').send({ username: 'admin', password: 'wrong-password' })).status).toBe(401);
+
+		const adminCourse = await setupCourse();
+		const teacherUser = await api.post('/api/admin/users').send({ username: 'teacher1', password: 'teacher-password', role: 'teacher' });
+		expect(teacherUser.status).toBe(200);
+		expect(teacherUser.body.user.passwordHash).toBeUndefined();
+
+		const teacher = request.agent(app);
+		await teacher.post('/api/auth/login').send({ username: 'teacher1', password: 'teacher-password' });
+		const own = await teacher.post('/api/admin/course').send({ title: 'Teacher Course' });
+		expect((await teacher.get('/api/courses')).body.courses.map(c => c.id)).toEqual([own.body.courseId]);
+		expect((await teacher.get(`/api/admin/prompt/${adminCourse}`)).status).toBe(403);
+		expect((await teacher.delete(`/api/admin/course/${own.body.courseId}`)).status).toBe(403);
+		expect((await teacher.get('/api/admin/users')).status).toBe(403);
+
+		// A teacher cannot enroll someone else's learner to reach their sessions
+		const stranger = (await api.post('/api/admin/learners').send({ name: 'Stranger', courseId: adminCourse })).body.learner;
+		expect((await teacher.post(`/api/admin/course/${own.body.courseId}/roster`).send({ learnerId: stranger.id })).status).toBe(404);
+		expect((await teacher.get(`/api/admin/learners/${stranger.id}`)).status).toBe(404);
+
+		await api.patch(`/api/admin/course/${adminCourse}`).send({ teacherIds: [teacherUser.body.user.id] });
+		expect((await teacher.get(`/api/admin/material/${adminCourse}`)).status).toBe(200);
+		expect((await teacher.post(`/api/admin/course/${own.body.courseId}/roster`).send({ learnerId: stranger.id })).status).toBe(200);
+
+		// Role changes are checked like new users, and the last admin stays
+		const userUrl = `/api/admin/users/${teacherUser.body.user.id}`;
+		expect((await api.patch(userUrl).send({ role: 'learner' })).status).toBe(400);
+		expect((await api.patch(userUrl).send({ role: 'learner', learnerId: 'nobody' })).status).toBe(400);
+		const admins = (await api.get('/api/admin/users')).body.users.filter(u => u.role === 'admin');
+		expect(admins).toHaveLength(1);
+		expect((await api.patch(`/api/admin/users/${admins[0].id}`).send({ role: 'teacher' })).status).toBe(409);
+		const second = await api.post('/api/admin/users').send({ username: 'admin2', password: 'admin2-password', role: 'admin' });
+		expect((await api.patch(`/api/admin/users/${second.body.user.id}`).send({ role: 'teacher' })).body.user).toMatchObject({ role: 'teacher', learnerId: null });
+		expect((await api.delete(`/api/admin/users/${second.body.user.id}`)).status).toBe(200);
+
+		// Learner logins never reach admin routes and always take sessions as themselves
+		await api.post(`/api/admin/prompt/${adminCourse}`);
+		const learner = (await api.post('/api/admin/learners').send({ name: 'Kabir', courseId: adminCourse })).body.learner;
+		const other = (await api.post('/api/admin/learners').send({ name: 'Other', courseId: adminCourse })).body.learner;
+		await api.post('/api/admin/users').send({ username: 'kabir', password: 'kabir-password', role: 'learner', learnerId: learner.id });
+		const child = request.agent(app);
+		await child.post('/api/auth/login').send({ username: 'kabir', password: 'kabir-password' });
+		expect((await child.get('/api/admin/learners')).status).toBe(403);
+		const session = await child.post('/api/learner/session').send({ courseId: adminCourse, learnerId: other.id });
+		expect(session.body.learnerId).toBe(learner.id);
+
+		await child.post('/api/auth/logout');
+		expect((await child.get('/api/auth/me')).status).toBe(401);
+	});
+
+	test('voice calls keep a server-side turn log that analysis runs from', async () => {
+		const courseId = await setupCourse();
+		await api.post(`/api/admin/prompt/${courseId}`);
+		const [item] = (await api.get(`/api/admin/bank/${courseId}`)).body.questions;
+		const start = await api.post('/api/learner/session').send({ courseId, learnerName: 'Asha', type: 'voice' });
+		const url = `/api/voice/sessions/${start.body.sessionId}/events`;
+		const now = Date.now();
+		const batch = [
+			{ at: now, event: { type: 'response.created', event_id: 'ev1', response: { id: 'r1' } } },
+			{ at: now + 1000, event: { type: 'response.audio_transcript.done', event_id: 'ev2', response_id: 'r1', item_id: 'a1', transcript: `Okay. ${item.q}` } },
+			{ at: now + 1000, event: { type: 'response.done', event_id: 'ev3', response: { id: 'r1', status: 'completed' } } },
+			{ at: now + 1000, event: { type: 'output_audio_buffer.started', event_id: 'ev4', response_id: 'r1' } },
+			{ at: now + 1500, event: { type: 'rate_limits.updated', event_id: 'ev5', rate_limits: [] } },
+		];
+		expect((await api.post(url).send({ events: batch })).body).toEqual({ applied: 4, turns: 1, ended: null });
+		// A retried batch changes nothing
+		expect((await api.post(url).send({ events: batch })).body).toEqual({ applied: 0, turns: 1, ended: null });
+		await api.post(url).send({ events: [
+			{ at: now + 2000, event: { type: 'output_audio_buffer.stopped', event_id: 'ev6', response_id: 'r1' } },
+			{ at: now + 3000, event: { type: 'input_audio_buffer.speech_started', event_id: 'ev7', item_id: 'u1' } },
+			{ at: now + 5000, event: { type: 'conversation.item.input_audio_transcription.completed', event_id: 'ev8', item_id: 'u1', transcript: item.a } },
+		] });
+
+		const turns = await api.get(`/api/voice/sessions/${start.body.sessionId}/turns`);
+		expect(turns.body.turns.map(t => [t.kind, t.text])).toEqual([ ['assistant', `Okay. ${item.q}`], ['learner', item.a] ]);
+		expect(JSON.stringify(turns.body)).not.toContain('rate_limits');
+
+		// The client no longer sends a transcript; the server's log is analyzed
+		const analysis = await api.post('/api/analyze-transcript').send({ sessionId: start.body.sessionId });
+		expect(analysis.status).toBe(200);
+		expect(analysis.body).toMatchObject({ score: 1, total: 1 });
+		const session = await api.get(`/api/learner/session/${start.body.sessionId}`);
+		expect(session.body.history).toEqual([ expect.objectContaining({ q: item.q, a: item.a, correct: true }) ]);
+
+		const text = await api.post('/api/learner/session').send({ courseId, learnerName: 'Asha' });
+		expect((await api.post(`/api/voice/sessions/${text.body.sessionId}/events`).send({ events: batch })).status).toBe(400);
+		expect((await api.post('/api/voice/sessions/missing/events').send({ events: batch })).status).toBe(404);
+		expect((await api.post('/api/analyze-transcript').send({ sessionId: text.body.sessionId })).status).toBe(400);
+	});
+
+	test('transcripts are paired deterministically, the model only grades, unsure pairs go to review', async () => {
+		const courseId = await setupCourse();
+		await api.post(`/api/admin/prompt/${courseId}`);
+		const bank = (await api.get(`/api/admin/bank/${courseId}`)).body.questions;
+		const start = await api.post('/api/learner/session').send({ courseId, learnerName: 'Asha', type: 'voice' });
+		local.setFixture('transcript', ({ context }) => {
+			expect(context.pairs.map(p => p.answer)).toEqual([ bank[0].a, bank[1].a ]);
+			return JSON.stringify({ grades: [ { index: 0, correct: true, feedback: 'Right.' }, { index: 1, correct: true, feedback: 'Right.' } ] });
+		});
+		// An older client transcript: the first answer only arrives after the second question
+		const transcript = [
+			`Hello! ${bank[0].q}`,
+			`Okay. ${bank[1].q}`,
+			`[USER ANSWER]: ${bank[0].a}`,
+			`[USER ANSWER]: ${bank[1].a}`,
+			'Okay. Is that all?',
+			'Assessment complete.',
+		].join('\n');
+		const analysis = await api.post('/api/analyze-transcript').send({ sessionId: start.body.sessionId, transcript });
+		expect(analysis.status).toBe(200);
+		expect(analysis.body.qa_pairs.map(p => [p.question, p.user_answer, p.correct, p.needsReview])).toEqual([
+			[bank[0].q, bank[0].a, true, false],
+			[bank[1].q, bank[1].a, true, false],
+			['Is that all?', '', null, true],
+		]);
+		expect(analysis.body.qa_pairs[0]).toMatchObject({ confidence: 0.63, signals: [ 'answer given after the next question', 'no turn timestamps' ] });
+		expect(analysis.body).toMatchObject({ score: 2, total: 2, pending: 1 });
+
+		const queue = (await api.get(`/api/admin/course/${courseId}/review-queue`)).body;
+		expect(queue.items).toEqual([ expect.objectContaining({ question: 'Is that all?', confidence: 0.32, needsReview: true }) ]);
+
+		// Once a teacher reviewed an answer, analysing again would discard the override
+		const override = await api.patch(`/api/admin/attempts/${queue.items[0].attemptId}`).send({ correct: false, feedback: 'No answer.' });
+		expect(override.status).toBe(200);
+		const again = await api.post('/api/analyze-transcript').send({ sessionId: start.body.sessionId, transcript });
+		expect(again.status).toBe(409);
+		const history = (await api.get(`/api/learner/session/${start.body.sessionId}`)).body.history;
+		expect(history.map(h => h.correct)).toEqual([ true, true, false ]);
+
+		// With every pair waiting for review nothing is graded yet, so no level is earned
+		const unsure = await api.post('/api/learner/session').send({ courseId, learnerName: 'Ira', type: 'voice' });
+		const pending = await api.post('/api/analyze-transcript').send({ sessionId: unsure.body.sessionId, transcript: 'Okay. Is that all?\nAssessment complete.' });
+		expect(pending.body).toMatchObject({ score: 0, total: 0, pending: 1, level: 'Beginner' });
+		defaultFixtures();
+	});
+
+	test('learner progress: timeline, mastery by topic and level changes across sessions', async () => {
+		const courseId = await setupCourse();
+		await api.post(`/api/admin/prompt/${courseId}`);
+		const learner = (await api.post('/api/admin/learners').send({ name: 'Meena', courseId })).body.learner;
+		const start = await api.post('/api/learner/session').send({ courseId, learnerId: learner.id });
+		for (const answer of ['Leaves', 'Sunlight']) await api.post('/api/learner/answer').send({ sessionId: start.body.sessionId, answer });
+
+		const base = `/api/learner/progress/${learner.id}`;
+		const timeline = await api.get(`${base}/timeline`).query({ courseId });
+		expect(timeline.status).toBe(200);
+		expect(timeline.body.learner).toEqual({ id: learner.id, name: 'Meena' });
+		expect(timeline.body.timeline).toEqual([ expect.objectContaining({ sessionId: start.body.sessionId, type: 'text', score: 2, total: 2 }) ]);
+
+		const { mastery, improvements } = (await api.get(`${base}/mastery`).query({ courseId })).body;
+		expect(mastery.reduce((n, m) => n + m.answered, 0)).toBe(2);
+		expect(mastery.every(m => m.level === 'practising' && m.score === 1)).toBe(true);
+		expect(improvements).toEqual([]);
+		const { changes } = (await api.get(`${base}/levels`)).body;
+		expect(changes[0]).toMatchObject({ sessionId: start.body.sessionId, from: 'new', to: 'practising' });
+
+		// Learner logins only see their own progress
+		const other = (await api.post('/api/admin/learners').send({ name: 'Ravi', courseId })).body.learner;
+		await api.post('/api/admin/users').send({ username: 'ravi', password: 'ravi-password', role: 'learner', learnerId: other.id });
+		const child = request.agent(app);
+		await child.post('/api/auth/login').send({ username: 'ravi', password: 'ravi-password' });
+		expect((await child.get(`${base}/mastery`)).status).toBe(403);
+		expect((await child.get(`/api/learner/progress/${other.id}/timeline`)).body.timeline).toEqual([]);
+		expect((await api.get('/api/learner/progress/missing/timeline')).status).toBe(404);
+		for (const view of ['timeline', 'mastery', 'levels']) expect((await request(app).get(`${base}/${view}`)).status).toBe(401);
+	});
+
 	test('ephemeral voice token endpoint', async () => {
 		const courseId = await setupCourse();
-		await request(app).post(`/api/admin/prompt/${courseId}`);
+		await api.post(`/api/admin/prompt/${courseId}`);
 
 		// Mock global fetch for realtime session mint
+		const minted = { client_secret: { value: 'ephem_123' }, model: 'gpt-4o-realtime-preview-2024-12-17' };
 		global.fetch = jest.fn(async () => ({
 			ok: true,
 			status: 200,
-			json: async () => ({ client_secret: { value: 'ephem_123' }, model: 'gpt-4o-realtime-preview-2024-12-17' })
+			json: async () => minted,
+			text: async () => JSON.stringify(minted)
 		}));
 
-		const eph = await request(app).post('/api/voice/ephemeral').query({ courseId, name: 'Asha' });
+		const eph = await api.post('/api/voice/ephemeral').query({ courseId, name: 'Asha' });
 		expect(eph.status).toBe(200);
 		expect(eph.body.client_secret.value).toBe('ephem_123');
+		expect(eph.body).toMatchObject({ mode: 'assessment', endMarkers: ['Assessment complete'] });
+	});
+
+	test('voice settings are stored per course, validated and used to mint the session', async () => {
+		const courseId = await setupCourse();
+		await api.post(`/api/admin/prompt/${courseId}`);
+		const url = `/api/admin/course/${courseId}`;
+		const initial = await api.get(`${url}/voice-settings`);
+		expect(initial.body.settings).toMatchObject({ model: 'gpt-4o-realtime-preview-2024-12-17', voice: 'alloy', bankChars: 5000 });
+
+		// Combinations the model does not support are rejected
+		expect((await api.patch(url).send({ voiceSettings: { voice: 'marin' } })).body.error).toMatch(/not available on gpt-4o-realtime-preview-2024-12-17/);
+		expect((await api.patch(url).send({ voiceSettings: { speed: 0.8 } })).body.error).toBe('gpt-4o-realtime-preview-2024-12-17 cannot change the speaking speed');
+		expect((await api.patch(url).send({ voiceSettings: { turnDetection: { type: 'semantic_vad' } } })).status).toBe(400);
+		expect((await api.patch(url).send({ voiceSettings: { turnDetection: { silenceDurationMs: 50 } } })).body.error).toBe('silenceDurationMs must be a number from 200 to 3000');
+		expect((await api.patch(url).send({ voiceSettings: { pitch: 2 } })).status).toBe(400);
+
+		const saved = await api.patch(url).send({ voiceSettings: {
+			model: 'gpt-realtime', voice: 'marin', speed: 0.8,
+			turnDetection: { silenceDurationMs: 1200 },
+			transcription: { model: 'gpt-4o-transcribe', hindiPrompt: 'प्रकाश संश्लेषण, पत्ती' },
+			bankChars: 1000,
+		} });
+		expect(saved.status).toBe(200);
+		expect(saved.body.course.voiceSettings.turnDetection).toEqual({ type: 'server_vad', threshold: 0.5, prefixPaddingMs: 300, silenceDurationMs: 1200 });
+
+		global.fetch = jest.fn(async () => ({ ok: true, status: 200, text: async () => JSON.stringify({ client_secret: { value: 'ephem_123' } }) }));
+		const eph = await api.post('/api/voice/ephemeral').query({ courseId, name: 'Asha', lang: 'hi' });
+		expect(eph.body.model).toBe('gpt-realtime');
+		const body = JSON.parse(global.fetch.mock.calls.at(-1)[1].body);
+		expect(body).toMatchObject({
+			model: 'gpt-realtime',
+			voice: 'marin',
+			speed: 0.8,
+			turn_detection: { type: 'server_vad', silence_duration_ms: 1200 },
+			input_audio_transcription: { model: 'gpt-4o-transcribe', language: 'hi', prompt: 'प्रकाश संश्लेषण, पत्ती' },
+		});
+
+		// A model without the stored voice is refused; null goes back to the defaults
+		expect((await api.patch(url).send({ voiceSettings: { model: 'gpt-4o-realtime-preview-2024-10-01' } })).status).toBe(400);
+		expect((await api.patch(url).send({ voiceSettings: null })).body.course.voiceSettings.voice).toBe('alloy');
+	});
+
+	test('a voice call runs end to end against the local realtime stand-in', async () => {
+		process.env.REALTIME_PROVIDER = 'local';
+		process.env.REALTIME_LOCAL_DELAY_MS = '0';
+		const courseId = await setupCourse();
+		await api.post(`/api/admin/prompt/${courseId}`);
+		const bank = (await api.get(`/api/admin/bank/${courseId}`)).body.questions;
+		const start = await api.post('/api/learner/session').send({ courseId, learnerName: 'Asha', type: 'voice' });
+		const { sessionId } = start.body;
+
+		const eph = await api.post('/api/voice/ephemeral').query({ courseId, sessionId });
+		expect(eph.status).toBe(200);
+		expect(eph.body.realtime).toEqual({ transport: 'local', url: '/api/voice/local-realtime', eventsUrl: '/api/voice/local-realtime/events' });
+		const token = eph.body.client_secret.value;
+
+		// SDP offers are answered like /v1/realtime, for a known token only
+		const sdp = await api.post(eph.body.realtime.url).query({ model: eph.body.model }).set('Authorization', `Bearer ${token}`).set('Content-Type', 'application/sdp').send('v=0\r\no=- 1 2 IN IP4 127.0.0.1\r\n');
+		expect(sdp.status).toBe(201);
+		expect(sdp.headers['content-type']).toMatch(/application\/sdp/);
+		expect((await api.post(eph.body.realtime.url).set('Authorization', 'Bearer nope').set('Content-Type', 'application/sdp').send('v=0')).status).toBe(401);
+
+		// Replay the scripted call and forward it as voice.html does
+		const stream = await api.get(eph.body.realtime.eventsUrl).query({ token, script: 'interrupted' }).buffer(true).parse((res, done) => { let text = ''; res.on('data', c => { text += c; }); res.on('end', () => done(null, text)); });
+		const events = stream.body.split('\n\n').filter(Boolean).map(chunk => JSON.parse(chunk.replace(/^data: /, '')));
+		expect(events.map(e => e.type)).toEqual(expect.arrayContaining(['response.audio_transcript.delta', 'conversation.item.input_audio_transcription.completed', 'output_audio_buffer.cleared', 'rate_limits.updated']));
+		expect((await api.get(eph.body.realtime.eventsUrl).query({ token })).status).toBe(204);
+		const t0 = Date.now();
+		const recorded = await api.post(`/api/voice/sessions/${sessionId}/events`).send({ events: events.map((event, i) => ({ at: t0 + i * 100, event })) });
+		expect(recorded.body.ended).toBe('end marker');
+
+		const turns = (await api.get(`/api/voice/sessions/${sessionId}/turns`)).body.turns;
+		expect(turns.filter(t => t.kind === 'interruption')).toHaveLength(1);
+		expect(turns.find(t => t.interrupted).text).toBe(`Okay. ${bank[1].q.split(' ').slice(0, 2).join(' ')}`);
+		expect(turns.at(-1).text).toMatch(/^Okay\. Assessment complete\. <<PLAN_START>>/);
+
+		const analysis = await api.post('/api/analyze-transcript').send({ sessionId });
+		expect(analysis.body.qa_pairs.map(p => [p.question, p.correct])).toEqual([ [bank[0].q, true], [bank[1].q, true] ]);
+		delete process.env.REALTIME_PROVIDER;
+	});
+
+	test('voice modes have their own instructions, limits and end markers', async () => {
+		const courseId = await setupCourse();
+		await api.post(`/api/admin/prompt/${courseId}`);
+		const minted = { client_secret: { value: 'ephem_123' } };
+		global.fetch = jest.fn(async () => ({ ok: true, status: 200, text: async () => JSON.stringify(minted) }));
+		const instructions = () => JSON.parse(global.fetch.mock.calls.at(-1)[1].body).instructions;
+		const start = await api.post('/api/learner/session').send({ courseId, learnerName: 'Asha', type: 'voice' });
+		const { sessionId, learnerId } = start.body;
+
+		const tutoring = await api.post('/api/voice/ephemeral').query({ courseId, learnerId, sessionId, mode: 'tutoring' });
+		expect(tutoring.status).toBe(200);
+		expect(tutoring.body).toMatchObject({ mode: 'tutoring', baselineQuestions: 3, maxTurns: 14, endMarkers: ['Session complete'] });
+		expect(tutoring.body.startInstructions).toMatch(/^Use only English\. Greet Asha/);
+		// Tutoring teaches with the course's generated tutor prompt
+		expect(instructions()).toContain('SYSTEM PROMPT: Ask short bilingual questions.');
+		expect(instructions()).toContain('give a hint and ask again');
+
+		expect((await api.post('/api/voice/ephemeral').query({ courseId, mode: 'lecture' })).status).toBe(400);
+		const revision = await api.post('/api/voice/ephemeral').query({ courseId, learnerId, mode: 'revision' });
+		expect(revision.body.error).toBe('no study plan to revise yet');
+
+		// The session keeps the mode, and its end marker closes the call
+		const events = `/api/voice/sessions/${sessionId}/events`;
+		const said = (id, text) => ({ at: Date.now(), event: { type: 'response.audio_transcript.done', event_id: id, response_id: id, item_id: id, transcript: text } });
+		expect((await api.post(events).send({ events: [ said('r1', 'Hello Asha! What do plants make?') ] })).body.ended).toBeNull();
+		expect((await api.post(events).send({ events: [ said('r2', 'Great work today. Session complete.') ] })).body.ended).toBe('end marker');
+		expect((await api.get(`/api/voice/sessions/${sessionId}/turns`)).body).toMatchObject({ mode: 'tutoring', ended: 'end marker' });
+
+		// With a study plan on record, revision walks through it
+		await api.post('/api/studyplan').send({ sessionId });
+		const planned = await api.post('/api/voice/ephemeral').query({ courseId, learnerId, mode: 'revision' });
+		expect(planned.body).toMatchObject({ mode: 'revision', endMarkers: ['Revision complete'] });
+		expect(instructions()).toContain('Day 1: Revise concept A.');
 	});
 });
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'prathamlearn-'));
+
+const db = require('../db');
+const { Database } = require('../db');
+const { createStore } = require('../lib/storage');
+const { importLegacyData } = require('../lib/storage/migrate');
+
+describe('storage', () => {
+	beforeAll(() => db.ready);
+
+	test('transactions serialize concurrent read-modify-write updates', async () => {
+		await db.saveSession('s1', { id: 's1', courseId: 'c1', score: 0, total: 0 });
+		await Promise.all(Array.from({ length: 10 }, (_, i) => db.transaction(async (tx) => {
+			const session = await tx.getSession('s1');
+			await tx.addAttempt(session, { q: `Q${i}`, a: 'A', correct: true });
+			session.total += 1;
+			await tx.saveSession('s1', session);
+		})));
+		expect((await db.getSession('s1')).total).toBe(10);
+		expect(await db.getAttempts('s1')).toHaveLength(10);
+	});
+
+	test('a failed transaction is rolled back', async () => {
+		await expect(db.transaction(async (tx) => {
+			await tx.saveCourse('c-rollback', { title: 'Temp' });
+			throw new Error('boom');
+		})).rejects.toThrow('boom');
+		expect(await db.getCourse('c-rollback')).toBeNull();
+	});
+
+	test('course updates only touch the given fields of the stored course', async () => {
+		await db.saveCourse('c-update', { title: 'Plants', language: 'en' });
+		const stale = await db.getCourse('c-update');
+		await db.saveCourse('c-update', { ...stale, title: 'Plants and animals' });
+		expect(await db.updateCourse('c-update', { prompt: true })).toMatchObject({ title: 'Plants and animals', language: 'en', prompt: true });
+		expect(await db.getCourse('c-update')).toMatchObject({ title: 'Plants and animals', prompt: true });
+		expect(await db.updateCourse('c-missing', { prompt: true })).toBeNull();
+		expect(await db.getCourse('c-missing')).toBeNull();
+	});
+
+	test('writes persist to the SQLite file in batches', async () => {
+		await db.saveCourse('c-persist', { title: 'Draft' });
+		await db.flush();
+		const file = path.join(process.env.DATA_DIR, 'prathamlearn.sqlite');
+		const before = fs.statSync(file).mtimeMs;
+		for (let i = 0; i < 20; i++) await db.saveCourse('c-persist', { title: 'Persisted', edits: i });
+		// The writes wait for the next flush instead of each rewriting the file
+		expect(fs.statSync(file).mtimeMs).toBe(before);
+		await db.flush();
+		const reopened = new Database(createStore({ dataDir: process.env.DATA_DIR }));
+		expect(await reopened.getCourse('c-persist')).toMatchObject({ title: 'Persisted', edits: 19 });
+	});
+
+	test('legacy JSON files are imported once', async () => {
+		const legacy = fs.mkdtempSync(path.join(os.tmpdir(), 'prathamlearn-legacy-'));
+		const courseDir = path.join(legacy, 'courses', 'c-old');
+		fs.mkdirSync(courseDir, { recursive: true });
+		fs.writeFileSync(path.join(legacy, 'db.json'), JSON.stringify({ courses: { 'c-old': { id: 'c-old', title: 'Old', materialTextPath: '/Users/x/material.txt' } } }));
+		fs.writeFileSync(path.join(courseDir, 'material.txt'), 'Plants make food.');
+		fs.writeFileSync(path.join(courseDir, 'prompt.txt'), 'Be kind.');
+		fs.writeFileSync(path.join(courseDir, 'question-bank.json'), JSON.stringify({ questions: [ { q: 'What do plants make?', a: 'Food', level: 'easy' } ] }));
+		fs.writeFileSync(path.join(legacy, 'sessions.json'), JSON.stringify({ sessions: { 's-old': { id: 's-old', courseId: 'c-old', name: 'Asha', history: [
+			{ q: 'What do plants make?', a: 'Food', correct: true },
+			{ q: '', a: '{"type":"rate_limits.updated","event_id":"e1"}' },
+		] } } }));
+
+		const store = new Database(createStore({ dataDir: legacy }));
+		expect(await importLegacyData(store, legacy)).toEqual({ courses: 1, sessions: 1 });
+		expect(await importLegacyData(store, legacy)).toEqual({ courses: 0, sessions: 0 });
+
+		const course = await store.getCourse('c-old');
+		expect(course.materialTextPath).toBeUndefined();
+		expect(await store.getMaterial('c-old')).toBe('Plants make food.');
+		expect(await store.getPrompt('c-old')).toBe('Be kind.');
+		expect((await store.getBank('c-old')).questions).toHaveLength(1);
+		expect(await store.getHistory('s-old')).toEqual([ { q: 'What do plants make?', a: 'Food', correct: true, feedback: undefined } ]);
+	});
+});
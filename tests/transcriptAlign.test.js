@@ -0,0 +1,75 @@
+const transcriptAlign = require('../lib/transcriptAlign');
+
+const bank = [
+	{ q: 'Which animal gives us milk?', a: 'Cow (गाय)' },
+	{ q: 'What do plants make in their leaves?', a: 'Food' },
+	{ q: 'Which gas do plants take in?', a: 'Carbon dioxide' },
+];
+
+const t0 = Date.parse('2026-03-01T10:00:00Z');
+const at = s => new Date(t0 + s * 1000).toISOString();
+const assistant = (s, text, extra = {}) => ({ kind: 'assistant', at: at(s), text, ...extra });
+const learner = (s, text, extra = {}) => ({ kind: 'learner', at: at(s), text, ...extra });
+
+describe('transcript alignment', () => {
+	test('spellings heard in either script share a phonetic key', () => {
+		expect(transcriptAlign.romanize('गाय')).toBe('gay');
+		expect(new Set([ 'kao', 'cow', 'काउ' ].map(transcriptAlign.phonetic)).size).toBe(1);
+		expect(transcriptAlign.phonetic('gaay')).toBe(transcriptAlign.phonetic('गाय'));
+		expect(transcriptAlign.answerMatch('kao', 'Cow (गाय)')).toBe(1);
+		expect(transcriptAlign.answerMatch('gaay', 'Cow (गाय)')).toBe(1);
+		expect(transcriptAlign.answerMatch('I don\'t know', 'Cow (गाय)')).toBe(0);
+	});
+
+	test('learner turns pair with the question asked before them, re-asks count from the last asking', () => {
+		const { pairs, unassigned } = transcriptAlign.align([
+			assistant(0, 'Hello! Which animal gives us milk?'),
+			learner(4, 'kao'),
+			assistant(6, 'Okay.'),
+			assistant(14, 'Okay. What do plants', { interrupted: true }),
+			learner(15, 'Sorry, can you say that again?'),
+			assistant(17, 'Okay. What do plants make in their leaves?'),
+			learner(20, 'umm'),
+			assistant(22, 'Take your time. What do plants make in their leaves?'),
+			learner(25, 'food'),
+			learner(27, 'and sugar'),
+			assistant(30, 'Which gas do plants take in?'),
+			learner(33, '', { inaudible: true }),
+			assistant(40, 'Okay. Assessment complete. <<PLAN_START>> Revise: Which animal gives us milk? <<PLAN_END>>'),
+		], bank);
+
+		expect(unassigned.map(t => t.text)).toEqual([ 'Sorry, can you say that again?' ]);
+		expect(pairs.map(p => [p.question, p.answer, p.earlier])).toEqual([
+			[bank[0].q, 'kao', []],
+			[bank[1].q, 'food and sugar', ['umm']],
+			[bank[2].q, '', []],
+		]);
+		expect(pairs[0]).toMatchObject({ expected: 'Cow (गाय)', bankIndex: 0, askedAt: at(0), answeredAt: at(4), match: 1, confidence: 1, signals: [] });
+		expect(pairs[1]).toMatchObject({ askedAt: at(22), confidence: 0.77, signals: [ 'answer given in 2 parts', 'question asked again' ] });
+		expect(pairs[2]).toMatchObject({ match: null, confidence: 0.5, signals: [ 'answer was inaudible' ] });
+	});
+
+	test('older client transcripts: answers after the next question go back to the question they fit', () => {
+		const turns = transcriptAlign.parseTranscript([
+			'Hello! Which animal gives us milk?',
+			'Okay. What do plants make in their leaves?',
+			'',
+			'[USER ANSWER]: kao',
+			'',
+			'[USER ANSWER]: food',
+			'Can you name a planet?',
+			'User: Mars',
+		].join('\n'));
+		expect(turns[2]).toEqual({ kind: 'learner', at: null, text: 'kao' });
+
+		const { pairs } = transcriptAlign.align(turns, bank);
+		expect(pairs.map(p => [p.question, p.answer, p.confidence])).toEqual([
+			[bank[0].q, 'kao', 0.63],
+			[bank[1].q, 'food', 0.9],
+			['Can you name a planet?', 'Mars', 0.54],
+		]);
+		expect(pairs[0].signals).toEqual([ 'answer given after the next question', 'no turn timestamps' ]);
+		expect(pairs[2]).toMatchObject({ expected: null, bankIndex: null });
+		expect(pairs[2].confidence).toBeGreaterThan(transcriptAlign.REVIEW_THRESHOLD);
+	});
+});
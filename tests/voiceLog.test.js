@@ -0,0 +1,47 @@
+const voiceLog = require('../lib/voiceLog');
+
+const t0 = Date.parse('2026-03-01T10:00:00Z');
+const at = s => t0 + s * 1000;
+
+describe('voice turn log', () => {
+	test('realtime events become ordered turns, with noise and duplicates dropped', () => {
+		const log = voiceLog.create({ id: 's1', courseId: 'c1' });
+		const applied = voiceLog.apply(log, [
+			{ at: at(0), event: { type: 'response.created', event_id: 'e1', response: { id: 'r1' } } },
+			{ at: at(1), event: { type: 'response.audio_transcript.delta', event_id: 'e2', response_id: 'r1', item_id: 'i1', delta: 'What do plants ' } },
+			{ at: at(1), event: { type: 'rate_limits.updated', event_id: 'e3', rate_limits: [] } },
+			{ at: at(2), event: { type: 'response.audio_transcript.done', event_id: 'e4', response_id: 'r1', item_id: 'i1', transcript: 'What do plants make?' } },
+			{ at: at(2), event: { type: 'response.done', event_id: 'e5', response: { id: 'r1', status: 'completed' } } },
+			{ at: at(4), event: { type: 'input_audio_buffer.speech_started', event_id: 'e6', item_id: 'u1' } },
+			{ at: at(6), event: { type: 'response.created', event_id: 'e7', response: { id: 'r2' } } },
+			{ at: at(6), event: { type: 'response.audio_transcript.delta', event_id: 'e8', response_id: 'r2', item_id: 'i2', delta: 'Okay.' } },
+		], at(10));
+		expect(applied).toBe(7);
+
+		// The transcription of the answer arrives after the next response started
+		voiceLog.apply(log, [
+			{ at: at(7), event: { type: 'conversation.item.input_audio_transcription.completed', event_id: 'e9', item_id: 'u1', transcript: 'Food' } },
+			{ at: at(7), event: { type: 'conversation.item.input_audio_transcription.completed', event_id: 'e9', item_id: 'u1', transcript: 'Food' } },
+		], at(10));
+		expect(log.turns.map(t => [t.kind, t.text])).toEqual([ ['assistant', 'What do plants make?'], ['learner', 'Food'] ]);
+		expect(voiceLog.transcript(log)).toBe('[00:00] Assistant: What do plants make?\n[00:04] Learner: Food\n[00:06] Assistant (cut off): Okay.');
+	});
+
+	test('speaking over the assistant is recorded as an interruption', () => {
+		const log = voiceLog.create({ id: 's2', courseId: 'c1' });
+		voiceLog.apply(log, [
+			{ at: at(0), event: { type: 'response.created', response: { id: 'r1' } } },
+			{ at: at(0), event: { type: 'output_audio_buffer.started', response_id: 'r1' } },
+			{ at: at(1), event: { type: 'response.audio_transcript.delta', response_id: 'r1', item_id: 'i1', delta: 'Name a gas that plants' } },
+			{ at: at(2), event: { type: 'input_audio_buffer.speech_started', item_id: 'u1' } },
+			{ at: at(2), event: { type: 'output_audio_buffer.cleared', response_id: 'r1' } },
+			{ at: at(2), event: { type: 'response.done', response: { id: 'r1', status: 'cancelled' } } },
+			{ at: at(3), event: { type: 'conversation.item.input_audio_transcription.failed', item_id: 'u1' } },
+		], at(5));
+		expect(log.turns).toEqual([
+			{ kind: 'assistant', at: new Date(at(0)).toISOString(), text: 'Name a gas that plants', responseId: 'r1', interrupted: true },
+			{ kind: 'interruption', at: new Date(at(2)).toISOString(), responseId: 'r1' },
+			{ kind: 'learner', at: new Date(at(2)).toISOString(), itemId: 'u1', text: '', inaudible: true },
+		]);
+	});
+});